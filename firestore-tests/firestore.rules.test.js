@@ -0,0 +1,312 @@
+// Security rules tests. Run against the Firestore emulator with `npm run test:rules`
+// (needs the Firebase CLI and Java); they are not part of `npm test`.
+const { readFileSync } = require('fs');
+const { resolve } = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { collection, collectionGroup, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, query, where, writeBatch, serverTimestamp, Timestamp } = require('firebase/firestore');
+
+const APP_ID = 'psychoai-test-app';
+const userDoc = (db, uid, path) => doc(db, `artifacts/${APP_ID}/users/${uid}/${path}`);
+
+const validSession = () => ({
+  topic: 'Anxiety Check',
+  instrumentId: null,
+  instrumentVersion: null,
+  numQuestions: 5,
+  questions: [{ question: 'I often feel tense.', options: ['Strongly Disagree', 'Disagree', 'Agree', 'Strongly Agree'] }],
+  answers: ['Agree'],
+  score: { total: 2, min: 0, max: 3, normalized: 67, band: 'High', subscales: [] },
+  analysis: 'Some analysis.',
+  advice: 'Some advice.',
+  stabilityLevels: { emotional: { level: 'Good', emoji: '😄' } },
+  safety: { flagged: false, reasons: [] },
+  language: 'es',
+  createdAt: serverTimestamp()
+});
+
+const validDraft = (uid) => ({
+  uid,
+  topic: 'Anxiety Check',
+  instrumentId: null,
+  numQuestions: 5,
+  questions: [{ question: 'q', options: ['a', 'b'] }],
+  answers: [null],
+  adaptive: null,
+  updatedAt: Date.now()
+});
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-psychoai-rules',
+    firestore: { rules: readFileSync(resolve(__dirname, '..', 'firestore.rules'), 'utf8') }
+  });
+});
+
+afterEach(() => testEnv.clearFirestore());
+
+afterAll(() => testEnv.cleanup());
+
+const dbFor = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+// A signed-in account rather than a guest, as practitioners must be
+const accountDbFor = (uid) => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'password' } }).firestore();
+
+describe('ownership', () => {
+  test('users can read and write their own answered questions', async () => {
+    const db = dbFor('alice');
+    await assertSucceeds(setDoc(userDoc(db, 'alice', 'answeredQuestions/anxiety-check'), { questions: ['q1'] }));
+    await assertSucceeds(getDoc(userDoc(db, 'alice', 'answeredQuestions/anxiety-check')));
+  });
+
+  test("users can't touch another user's data", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(userDoc(context.firestore(), 'alice', 'answeredQuestions/anxiety-check'), { questions: ['q1'] });
+    });
+    const db = dbFor('mallory');
+    await assertFails(getDoc(userDoc(db, 'alice', 'answeredQuestions/anxiety-check')));
+    await assertFails(setDoc(userDoc(db, 'alice', 'answeredQuestions/anxiety-check'), { questions: [] }));
+  });
+
+  test('signed-out requests are denied', async () => {
+    await assertFails(getDoc(userDoc(dbFor(null), 'alice', 'answeredQuestions/anxiety-check')));
+  });
+
+  test('documents outside the user tree are denied', async () => {
+    const db = dbFor('alice');
+    await assertFails(getDoc(doc(db, 'rateLimits/alice')));
+    await assertFails(setDoc(doc(db, `artifacts/${APP_ID}/public/anything`), { value: 1 }));
+  });
+});
+
+describe('question bank', () => {
+  test('signed-in users can read a bank but not list or write them', async () => {
+    const bankPath = `artifacts/${APP_ID}/questionBank/stress__likert4__en`;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), bankPath), { topicId: 'stress', format: 'likert4', language: 'en', items: [] });
+    });
+    await assertSucceeds(getDoc(doc(dbFor('alice'), bankPath)));
+    await assertFails(getDoc(doc(dbFor(null), bankPath)));
+    await assertFails(getDocs(collection(dbFor('alice'), `artifacts/${APP_ID}/questionBank`)));
+    await assertFails(setDoc(doc(dbFor('alice'), bankPath), { items: [] }));
+  });
+});
+
+describe('admin console', () => {
+  const adminDb = () => testEnv.authenticatedContext('root', { admin: true }).firestore();
+  const templatePath = `artifacts/${APP_ID}/promptTemplates/topicValidation`;
+
+  // As savePromptTemplate writes it
+  const saveTemplate = (db, version, text, uid = 'root') => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, templatePath), { text, version, updatedAt: serverTimestamp(), updatedBy: uid });
+    batch.set(doc(db, `${templatePath}/versions/${version}`), { text, version, createdAt: serverTimestamp(), createdBy: uid });
+    return batch.commit();
+  };
+
+  test('only admins change topics and prompt templates, and every template save is a new version', async () => {
+    const topicsPath = `artifacts/${APP_ID}/config/topics`;
+    const topics = { topics: [{ id: 'sleep', name: 'Sleep', description: '' }], updatedAt: serverTimestamp() };
+    await assertFails(setDoc(doc(dbFor('alice'), topicsPath), { ...topics, updatedBy: 'alice' }));
+    await assertSucceeds(setDoc(doc(adminDb(), topicsPath), { ...topics, updatedBy: 'root' }));
+    await assertSucceeds(getDoc(doc(dbFor('alice'), topicsPath)));
+
+    await assertFails(saveTemplate(dbFor('alice'), 1, 'Is "{{topic}}" ok?{{languageInstructions}}', 'alice'));
+    await assertSucceeds(saveTemplate(adminDb(), 1, 'Is "{{topic}}" ok?{{languageInstructions}}'));
+    await assertFails(saveTemplate(adminDb(), 1, 'Overwritten'));
+    await assertSucceeds(saveTemplate(adminDb(), 2, null));
+    await assertSucceeds(getDocs(collection(dbFor('alice'), `artifacts/${APP_ID}/promptTemplates`)));
+    await assertFails(getDocs(collection(dbFor('alice'), `${templatePath}/versions`)));
+    await assertFails(deleteDoc(doc(adminDb(), `${templatePath}/versions/1`)));
+  });
+
+  test('admins review bank items but can not add or remove them', async () => {
+    const bankPath = `artifacts/${APP_ID}/questionBank/stress__likert4__en`;
+    const item = { id: 'i1', question: 'q', options: [], approved: false };
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), bankPath), { topicId: 'stress', format: 'likert4', language: 'en', items: [item] });
+    });
+    const approved = [{ ...item, approved: true, reviewedAt: 1, reviewedBy: 'root' }];
+    await assertFails(updateDoc(doc(dbFor('alice'), bankPath), { items: approved, updatedAt: serverTimestamp() }));
+    await assertSucceeds(getDocs(collection(adminDb(), `artifacts/${APP_ID}/questionBank`)));
+    await assertSucceeds(updateDoc(doc(adminDb(), bankPath), { items: approved, updatedAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(adminDb(), bankPath), { items: [...approved, item], updatedAt: serverTimestamp() }));
+    await assertFails(updateDoc(doc(adminDb(), bankPath), { topicId: 'anxiety', updatedAt: serverTimestamp() }));
+  });
+});
+
+describe('answeredQuestions shape', () => {
+  test('rejects extra fields and non-list questions', async () => {
+    const db = dbFor('alice');
+    await assertFails(setDoc(userDoc(db, 'alice', 'answeredQuestions/t'), { questions: ['q'], extra: true }));
+    await assertFails(setDoc(userDoc(db, 'alice', 'answeredQuestions/t'), { questions: 'q' }));
+  });
+});
+
+describe('sessions', () => {
+  test('accepts a session as saveSession writes it', async () => {
+    await assertSucceeds(setDoc(userDoc(dbFor('alice'), 'alice', 'sessions/s1'), validSession()));
+  });
+
+  test('accepts a session copied from a guest account with its original timestamp', async () => {
+    const session = { ...validSession(), createdAt: Timestamp.fromDate(new Date('2026-01-01')) };
+    await assertSucceeds(setDoc(userDoc(dbFor('alice'), 'alice', 'sessions/s1'), session));
+  });
+
+  test('rejects mismatched answers, missing topics and unknown fields', async () => {
+    const db = dbFor('alice');
+    await assertFails(setDoc(userDoc(db, 'alice', 'sessions/s1'), { ...validSession(), answers: [] }));
+    await assertFails(setDoc(userDoc(db, 'alice', 'sessions/s2'), { ...validSession(), topic: '' }));
+    await assertFails(setDoc(userDoc(db, 'alice', 'sessions/s3'), { ...validSession(), isAdmin: true }));
+  });
+
+  test('sessions are immutable but can be deleted by their owner', async () => {
+    const db = dbFor('alice');
+    await assertSucceeds(setDoc(userDoc(db, 'alice', 'sessions/s1'), validSession()));
+    await assertFails(setDoc(userDoc(db, 'alice', 'sessions/s1'), { ...validSession(), analysis: 'edited' }));
+    await assertSucceeds(deleteDoc(userDoc(db, 'alice', 'sessions/s1')));
+  });
+});
+
+describe('drafts and profile', () => {
+  test('only the single current draft, stamped with the owner uid', async () => {
+    const db = dbFor('alice');
+    await assertSucceeds(setDoc(userDoc(db, 'alice', 'drafts/current'), validDraft('alice')));
+    await assertFails(setDoc(userDoc(db, 'alice', 'drafts/other'), validDraft('alice')));
+    await assertFails(setDoc(userDoc(db, 'alice', 'drafts/current'), validDraft('bob')));
+    const adaptiveDraft = { ...validDraft('alice'), adaptive: { bank: [{ question: 'q', options: ['a', 'b'] }], asked: [0] } };
+    await assertSucceeds(setDoc(userDoc(db, 'alice', 'drafts/current'), adaptiveDraft));
+    await assertFails(setDoc(userDoc(db, 'alice', 'drafts/current'), { ...adaptiveDraft, adaptive: 'yes' }));
+  });
+
+  test('profile accepts a display name and rejects oversized ones', async () => {
+    const db = dbFor('alice');
+    await assertSucceeds(setDoc(userDoc(db, 'alice', 'profile/info'), { displayName: 'Alice', email: null, updatedAt: serverTimestamp() }));
+    await assertFails(setDoc(userDoc(db, 'alice', 'profile/info'), { displayName: 'x'.repeat(81), email: null, updatedAt: serverTimestamp() }));
+  });
+});
+
+describe('practitioner workspace', () => {
+  const appDoc = (db, path) => doc(db, `artifacts/${APP_ID}/${path}`);
+  const inDays = (days) => Timestamp.fromDate(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+  const validInvite = (uid) => ({ practitionerUid: uid, practitionerName: 'Coach Carol', createdAt: serverTimestamp(), expiresAt: inDays(14) });
+  const validGrant = (code) => ({ practitionerUid: 'carol', practitionerName: 'Coach Carol', clientName: 'Alice', inviteCode: code, grantedAt: serverTimestamp() });
+  const validAssignment = () => ({
+    createdBy: 'carol',
+    createdByName: 'Coach Carol',
+    clientUid: 'alice',
+    topic: 'GAD-7',
+    instrumentId: 'gad7',
+    numQuestions: 7,
+    language: null,
+    message: '',
+    singleUse: false,
+    expiresAt: null,
+    status: 'open',
+    createdAt: serverTimestamp(),
+    completedAt: null,
+    sessionId: null
+  });
+
+  // What completeAssignment writes: the completion, plus closing the assignment if `update` is given
+  const completeAs = (uid, assignmentId, update = null) => {
+    const db = dbFor(uid);
+    const batch = writeBatch(db);
+    batch.set(appDoc(db, `assignments/${assignmentId}/completions/${uid}`), { sessionId: 's1', completedAt: serverTimestamp() });
+    if (update) {
+      batch.update(appDoc(db, `assignments/${assignmentId}`), update);
+    }
+    return batch.commit();
+  };
+
+  // carol is a practitioner with invite ABCDEFGH
+  const setUpPractitioner = async () => {
+    const carol = accountDbFor('carol');
+    await assertSucceeds(setDoc(appDoc(carol, 'practitioners/carol'), { displayName: 'Coach Carol', createdAt: serverTimestamp() }));
+    await assertSucceeds(setDoc(appDoc(carol, 'invites/ABCDEFGH'), validInvite('carol')));
+    return carol;
+  };
+
+  test('guests can not become practitioners, and only practitioners create invites', async () => {
+    await assertFails(setDoc(appDoc(dbFor('mallory'), 'practitioners/mallory'), { displayName: 'M', createdAt: serverTimestamp() }));
+    await assertFails(setDoc(appDoc(accountDbFor('mallory'), 'invites/ABCDEFGH'), validInvite('mallory')));
+    const carol = await setUpPractitioner();
+    await assertFails(setDoc(appDoc(carol, 'invites/BCDEFGHJ'), { ...validInvite('carol'), expiresAt: inDays(90) }));
+    await assertFails(setDoc(appDoc(carol, 'invites/abc'), validInvite('carol')));
+  });
+
+  test('a client shares sessions by redeeming an invite, and can stop sharing', async () => {
+    const carol = await setUpPractitioner();
+    const alice = dbFor('alice');
+    await assertSucceeds(setDoc(userDoc(alice, 'alice', 'sessions/s1'), validSession()));
+    await assertFails(getDoc(userDoc(carol, 'alice', 'sessions/s1')));
+
+    await assertFails(setDoc(userDoc(alice, 'alice', 'grants/carol'), validGrant('ZZZZZZZZ')));
+    await assertSucceeds(setDoc(userDoc(alice, 'alice', 'grants/carol'), validGrant('ABCDEFGH')));
+    await assertSucceeds(getDoc(userDoc(carol, 'alice', 'sessions/s1')));
+    await assertSucceeds(getDocs(query(collectionGroup(carol, 'grants'), where('practitionerUid', '==', 'carol'))));
+    await assertFails(setDoc(userDoc(carol, 'alice', 'sessions/s2'), validSession()));
+
+    await assertSucceeds(deleteDoc(userDoc(alice, 'alice', 'grants/carol')));
+    await assertFails(getDoc(userDoc(carol, 'alice', 'sessions/s1')));
+  });
+
+  test('clients can not forge grants or read invites in bulk', async () => {
+    await setUpPractitioner();
+    const mallory = dbFor('mallory');
+    await assertFails(setDoc(userDoc(mallory, 'mallory', 'grants/dave'), { ...validGrant('ABCDEFGH'), practitionerUid: 'dave' }));
+    await assertFails(setDoc(userDoc(mallory, 'alice', 'grants/carol'), validGrant('ABCDEFGH')));
+    await assertSucceeds(getDoc(appDoc(mallory, 'invites/ABCDEFGH')));
+    await assertFails(getDocs(collection(mallory, `artifacts/${APP_ID}/invites`)));
+  });
+
+  test('notes are private and need a grant; assignments can only be completed by their client', async () => {
+    const carol = await setUpPractitioner();
+    const notePath = 'practitioners/carol/clients/alice/notes/n1';
+    await assertFails(setDoc(appDoc(carol, notePath), { text: 'First call went well.', createdAt: serverTimestamp() }));
+    await assertFails(setDoc(appDoc(carol, 'assignments/a1'), validAssignment()));
+
+    await assertSucceeds(setDoc(userDoc(dbFor('alice'), 'alice', 'grants/carol'), validGrant('ABCDEFGH')));
+    await assertSucceeds(setDoc(appDoc(carol, notePath), { text: 'First call went well.', createdAt: serverTimestamp() }));
+    await assertFails(getDoc(appDoc(dbFor('alice'), notePath)));
+    await assertSucceeds(setDoc(appDoc(carol, 'assignments/a1'), validAssignment()));
+
+    const completion = { status: 'completed', completedAt: serverTimestamp(), sessionId: 's1' };
+    // The completion has to name a session the client saved
+    await assertFails(completeAs('alice', 'a1', completion));
+    await assertSucceeds(setDoc(userDoc(dbFor('alice'), 'alice', 'sessions/s1'), validSession()));
+    await assertFails(completeAs('mallory', 'a1', completion));
+    await assertFails(completeAs('alice', 'a1', { ...completion, topic: 'changed' }));
+    await assertFails(updateDoc(appDoc(dbFor('alice'), 'assignments/a1'), completion));
+    await assertSucceeds(completeAs('alice', 'a1', completion));
+    await assertFails(completeAs('alice', 'a1', { ...completion, sessionId: 's2' }));
+    await assertSucceeds(getDoc(appDoc(carol, 'assignments/a1/completions/alice')));
+  });
+
+  test('/take/ links can be opened by anyone until they expire or, if single-use, once', async () => {
+    const carol = await setUpPractitioner();
+    const link = { ...validAssignment(), clientUid: null, language: 'es', expiresAt: inDays(7) };
+    await assertFails(setDoc(appDoc(carol, 'assignments/l0'), { ...link, expiresAt: inDays(120) }));
+    await assertFails(setDoc(appDoc(carol, 'assignments/l0'), { ...link, language: 'xx' }));
+    await assertSucceeds(setDoc(appDoc(carol, 'assignments/shared'), link));
+    await assertSucceeds(setDoc(appDoc(carol, 'assignments/once'), { ...link, singleUse: true }));
+
+    await assertSucceeds(getDoc(appDoc(dbFor('bob'), 'assignments/shared')));
+    await assertFails(getDocs(query(collection(dbFor('bob'), `artifacts/${APP_ID}/assignments`), where('clientUid', '==', null))));
+
+    // Reusable links only collect completions; they stay open
+    const completion = { status: 'completed', completedAt: serverTimestamp(), sessionId: 's1' };
+    await assertFails(completeAs('bob', 'shared'));
+    await assertSucceeds(setDoc(userDoc(dbFor('bob'), 'bob', 'sessions/s1'), validSession()));
+    await assertSucceeds(setDoc(userDoc(dbFor('dave'), 'dave', 'sessions/s1'), validSession()));
+    await assertFails(completeAs('bob', 'shared', completion));
+    await assertSucceeds(completeAs('bob', 'shared'));
+    await assertSucceeds(completeAs('dave', 'shared'));
+    await assertFails(getDoc(appDoc(dbFor('bob'), 'assignments/shared/completions/dave')));
+    await assertSucceeds(getDocs(collection(carol, `artifacts/${APP_ID}/assignments/shared/completions`)));
+
+    await assertSucceeds(completeAs('bob', 'once', completion));
+    await assertFails(completeAs('dave', 'once'));
+  });
+});
@@ -0,0 +1,72 @@
+// Server-side Gemini client. Mirrors createGeminiProvider in src/ai/providers.js,
+// but the API key comes from a Cloud Functions secret instead of the client bundle.
+
+export const callGemini = async ({ apiKey, model, prompt, schema }) => {
+  const payload = {
+    contents: [{ role: "user", parts: [{ text: prompt }] }],
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: schema
+    }
+  };
+
+  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error?.message || `Gemini request failed with status ${response.status}`);
+  }
+  const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (typeof text !== 'string') {
+    throw new Error("Unexpected response structure from Gemini");
+  }
+  return JSON.parse(text);
+};
+
+// Streaming variant: calls onText(chunk) for each piece of the response text as Gemini
+// produces it (streamGenerateContent with server-sent events) and resolves once it's done.
+export const streamGemini = async ({ apiKey, model, prompt, schema, onText }) => {
+  const payload = {
+    contents: [{ role: "user", parts: [{ text: prompt }] }],
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: schema
+    }
+  };
+
+  const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`;
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.error?.message || `Gemini request failed with status ${response.status}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const dispatch = (block) => {
+    const data = block.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+    const text = data ? JSON.parse(data).candidates?.[0]?.content?.parts?.[0]?.text : null;
+    if (text) {
+      onText(text);
+    }
+  };
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+};
@@ -0,0 +1,291 @@
+// AI proxy for the PsychoAI React app.
+// Exposes POST /generate-questions, /analyze and /validate-topic, keeps the Gemini key
+// server-side, and rate-limits each signed-in (including anonymous) Firebase user.
+// Responses have the same JSON shapes the React code consumes from the model directly.
+// A daily job also tops up the shared question banks (questionBank.js).
+import { onRequest } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { defineSecret, defineInt, defineString } from 'firebase-functions/params';
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { callGemini, streamGemini } from './gemini.js';
+import { consumeRateLimit } from './rateLimit.js';
+import { refillQuestionBanks, loadBankTopics } from './questionBank.js';
+import { loadPromptTemplates } from './promptTemplates.js';
+import { buildQuestionsPrompt, buildAnalysisPrompt, buildStabilityPrompt, buildTopicValidationPrompt, buildRepairPrompt, ANSWER_FORMAT_PROMPTS } from './shared/prompts.js';
+import { questionsSchema, analysisSchema, stabilitySchema, topicValidationSchema } from './shared/schemas.js';
+import { sanitizeUserText, findInjectionAttempts } from './shared/inputSafety.js';
+import { QUESTION_COUNT_RANGE } from './shared/validation.js';
+
+initializeApp();
+
+const GEMINI_API_KEY = defineSecret('GEMINI_API_KEY');
+const GEMINI_MODEL = defineString('GEMINI_MODEL', { default: 'gemini-2.0-flash' });
+const RATE_LIMIT_PER_HOUR = defineInt('RATE_LIMIT_PER_HOUR', { default: 30 });
+// The app's Firestore namespace (REACT_APP_APP_ID in the React build)
+const APP_ID = defineString('APP_ID', { default: 'psychoai-test-app' });
+const QUESTION_BANK_FORMATS = defineString('QUESTION_BANK_FORMATS', { default: 'likert4' });
+const QUESTION_BANK_LANGUAGES = defineString('QUESTION_BANK_LANGUAGES', { default: 'en,es,ar' });
+const QUESTION_BANK_SIZE = defineInt('QUESTION_BANK_SIZE', { default: 60 });
+
+const MAX_TOPIC_LENGTH = 200;
+// The longest test the app offers; top-up rounds for repeated questions ask for fewer than
+// QUESTION_COUNT_RANGE.min, so any count from 1 is accepted
+const MAX_QUESTIONS = QUESTION_COUNT_RANGE.max;
+const MAX_EXCLUDED_QUESTIONS = 50;
+const MAX_ANSWER_TEXT_LENGTH = 1000;
+
+// Thrown for bad input; turned into a 400 with the message as `error`.
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// The app checks custom topics before sending them (src/ai/inputSafety.js); this repeats the
+// parts that matter for the prompt, for clients that skip it.
+const requireTopic = (body) => {
+  const topic = typeof body.topic === 'string' ? sanitizeUserText(body.topic, { singleLine: true }) : '';
+  if (!topic || topic.length > MAX_TOPIC_LENGTH) {
+    throw badRequest(`"topic" must be a non-empty string of at most ${MAX_TOPIC_LENGTH} characters.`);
+  }
+  if (findInjectionAttempts(topic).length > 0) {
+    throw badRequest('"topic" must name a topic, not give instructions.');
+  }
+  return topic;
+};
+
+const requireCount = (body) => {
+  if (!Number.isInteger(body.count) || body.count < 1 || body.count > MAX_QUESTIONS) {
+    throw badRequest(`"count" must be an integer between 1 and ${MAX_QUESTIONS}.`);
+  }
+  return body.count;
+};
+
+const requireAnswers = (body) => {
+  const { answers } = body;
+  if (!Array.isArray(answers) || answers.length === 0 || answers.length > MAX_QUESTIONS ||
+      !answers.every(a => a && typeof a.question === 'string' && typeof a.userAnswer === 'string' &&
+        a.question.length <= MAX_ANSWER_TEXT_LENGTH && a.userAnswer.length <= MAX_ANSWER_TEXT_LENGTH)) {
+    throw badRequest(`"answers" must be a non-empty array of { question, userAnswer } strings of at most ${MAX_ANSWER_TEXT_LENGTH} characters.`);
+  }
+  // Free-text answers may say anything; the prompt fences them off as data, so injection-like
+  // wording is not refused. Only a count is logged: the answers are personal disclosures and
+  // must not be copied into the logs.
+  const cleaned = answers.map(({ question, userAnswer }) => ({ question: sanitizeUserText(question), userAnswer: sanitizeUserText(userAnswer) }));
+  const flaggedCount = cleaned.filter(({ userAnswer }) => findInjectionAttempts(userAnswer).length > 0).length;
+  if (flaggedCount > 0) {
+    console.warn(`${flaggedCount} answer(s) contain instruction-like text.`);
+  }
+  return cleaned;
+};
+
+// Optional local score from src/scoring; only the numeric summary fields reach the prompt.
+// Trait inventories (`composite: false`) have subscales but no total.
+const readScore = (body) => {
+  const { score } = body;
+  if (score === undefined || score === null) {
+    return null;
+  }
+  const composite = score.composite !== false;
+  const isRange = (s) => s && ['total', 'min', 'max', 'normalized'].every(key => Number.isFinite(s[key]));
+  const isLabel = (value) => typeof value === 'string' && value.length <= 100;
+  if ((composite && !isRange(score)) || (score.band !== null && score.band !== undefined && !isLabel(score.band)) ||
+      !Array.isArray(score.subscales || []) || !(score.subscales || []).every(sub => isRange(sub) && isLabel(sub.label))) {
+    throw badRequest('"score" must be a score summary from the app\'s scoring engine.');
+  }
+  const subscales = (score.subscales || []).slice(0, 10).map(({ label, total, min, max, normalized }) => ({ label, total, min, max, normalized }));
+  return composite
+    ? { total: score.total, min: score.min, max: score.max, normalized: score.normalized, band: score.band || null, subscales }
+    : { composite: false, band: null, subscales };
+};
+
+// Optional UI language (BCP 47 code such as "es" or "pt-BR") for the generated text.
+const readLanguage = (body) => {
+  const { language } = body;
+  if (language === undefined || language === null) {
+    return null;
+  }
+  if (typeof language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/.test(language)) {
+    throw badRequest('"language" must be a language code such as "en" or "es".');
+  }
+  return language;
+};
+
+// Optional answer format for generated questions; defaults to the 4-point Likert scale.
+const readFormat = (body) => {
+  const { format } = body;
+  if (format === undefined || format === null) {
+    return 'likert4';
+  }
+  if (!Object.hasOwn(ANSWER_FORMAT_PROMPTS, format)) {
+    throw badRequest(`"format" must be one of ${Object.keys(ANSWER_FORMAT_PROMPTS).join(', ')}.`);
+  }
+  return format;
+};
+
+// Optional questions the user already answered; they are echoed into the prompt, so only
+// accept a bounded list of question-sized strings.
+const readExclude = (body) => {
+  const { exclude } = body;
+  if (exclude === undefined || exclude === null) {
+    return [];
+  }
+  if (!Array.isArray(exclude) || exclude.length > MAX_EXCLUDED_QUESTIONS || !exclude.every(q => typeof q === 'string' && q.length <= 500)) {
+    throw badRequest(`"exclude" must be a list of at most ${MAX_EXCLUDED_QUESTIONS} question strings.`);
+  }
+  return exclude.map(question => sanitizeUserText(question, { singleLine: true }));
+};
+
+// Each route turns the request body into a prompt + schema, exactly like src/ai does, using
+// the admin-edited prompt templates where there are any.
+const routes = {
+  '/generate-questions': (body, templates) => ({
+    prompt: buildQuestionsPrompt({
+      topic: requireTopic(body),
+      count: requireCount(body),
+      language: readLanguage(body),
+      format: readFormat(body),
+      exclude: readExclude(body)
+    }, templates),
+    schema: questionsSchema
+  }),
+  '/analyze': (body, templates) => {
+    const topic = requireTopic(body);
+    const answers = requireAnswers(body);
+    const score = readScore(body);
+    if (body.kind === 'stability') {
+      return { prompt: buildStabilityPrompt({ topic, answers, score, language: readLanguage(body) }, templates), schema: stabilitySchema };
+    }
+    return { prompt: buildAnalysisPrompt({ topic, answers, count: answers.length, score, language: readLanguage(body) }, templates), schema: analysisSchema };
+  },
+  '/validate-topic': (body, templates) => ({
+    prompt: buildTopicValidationPrompt({ topic: requireTopic(body), language: readLanguage(body) }, templates),
+    schema: topicValidationSchema
+  })
+};
+
+// Corrective retries from the client's validation layer send the problems it found.
+// They are echoed into the prompt, so only accept a short list of short strings.
+const readRepairProblems = (body) => {
+  const problems = body.repair?.problems;
+  if (problems === undefined) {
+    return null;
+  }
+  if (!Array.isArray(problems) || problems.length > 20 || !problems.every(p => typeof p === 'string' && p.length <= 300)) {
+    throw badRequest('"repair.problems" must be a short list of strings.');
+  }
+  return problems.map(problem => sanitizeUserText(problem, { singleLine: true }));
+};
+
+const verifyUser = async (req) => {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) {
+    return null;
+  }
+  try {
+    return await getAuth().verifyIdToken(match[1]);
+  } catch (authError) {
+    console.warn('Rejected invalid ID token:', authError.message);
+    return null;
+  }
+};
+
+export const api = onRequest({ secrets: [GEMINI_API_KEY], cors: true }, async (req, res) => {
+  // Behind the Hosting rewrite the path keeps its /api prefix; under the emulator URL it doesn't.
+  const route = routes[req.path.replace(/^\/api(?=\/)/, '')];
+  if (!route) {
+    res.status(404).json({ error: `Unknown route ${req.path}` });
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Only POST is supported.' });
+    return;
+  }
+
+  const user = await verifyUser(req);
+  if (!user) {
+    res.status(401).json({ error: 'A valid Firebase ID token is required.' });
+    return;
+  }
+
+  try {
+    const body = req.body || {};
+    const templates = await loadPromptTemplates(getFirestore(), APP_ID.value());
+    const { prompt: basePrompt, schema } = route(body, templates);
+    const repairProblems = readRepairProblems(body);
+    const prompt = repairProblems ? buildRepairPrompt({ prompt: basePrompt, problems: repairProblems }) : basePrompt;
+
+    const { allowed, retryAfterSeconds } = await consumeRateLimit({
+      db: getFirestore(),
+      uid: user.uid,
+      limit: RATE_LIMIT_PER_HOUR.value(),
+      windowMs: 60 * 60 * 1000
+    });
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      res.status(429).json({ error: 'Too many AI requests. Please wait a while before trying again.' });
+      return;
+    }
+
+    // `stream: true` relays the raw text as server-sent events: { text } chunks, then { done }
+    // or { error }. Failures before the first chunk still get a normal JSON error response.
+    if (body.stream === true) {
+      let started = false;
+      try {
+        await streamGemini({
+          apiKey: GEMINI_API_KEY.value(),
+          model: GEMINI_MODEL.value(),
+          prompt,
+          schema,
+          onText: (text) => {
+            if (!started) {
+              res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+              started = true;
+            }
+            res.write(`data: ${JSON.stringify({ text })}\n\n`);
+          }
+        });
+      } catch (streamError) {
+        if (!started) {
+          throw streamError;
+        }
+        console.error(`AI proxy stream error on ${req.path}:`, streamError);
+        res.write(`data: ${JSON.stringify({ error: 'The AI service failed to respond. Please try again.' })}\n\n`);
+        res.end();
+        return;
+      }
+      if (!started) {
+        throw new Error('Gemini returned an empty stream');
+      }
+      res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
+      res.end();
+      return;
+    }
+
+    const result = await callGemini({ apiKey: GEMINI_API_KEY.value(), model: GEMINI_MODEL.value(), prompt, schema });
+    res.json(result);
+  } catch (routeError) {
+    if (routeError.status === 400) {
+      res.status(400).json({ error: routeError.message });
+      return;
+    }
+    console.error(`AI proxy error on ${req.path}:`, routeError);
+    res.status(502).json({ error: 'The AI service failed to respond. Please try again.' });
+  }
+});
+
+const listParam = (param) => param.value().split(',').map(value => value.trim()).filter(Boolean);
+
+export const refillQuestionBanksDaily = onSchedule({ schedule: 'every day 03:00', secrets: [GEMINI_API_KEY], timeoutSeconds: 540 }, async () => {
+  const db = getFirestore();
+  const formats = listParam(QUESTION_BANK_FORMATS).filter(format => Object.hasOwn(ANSWER_FORMAT_PROMPTS, format));
+  const added = await refillQuestionBanks({
+    db,
+    appId: APP_ID.value(),
+    topics: await loadBankTopics(db, APP_ID.value()),
+    templates: await loadPromptTemplates(db, APP_ID.value()),
+    generate: ({ prompt, schema }) => callGemini({ apiKey: GEMINI_API_KEY.value(), model: GEMINI_MODEL.value(), prompt, schema }),
+    formats,
+    languages: listParam(QUESTION_BANK_LANGUAGES),
+    targetSize: QUESTION_BANK_SIZE.value()
+  });
+  console.log(`Added ${added} unreviewed question(s) to the question banks.`);
+});
@@ -0,0 +1,35 @@
+// Admin-edited prompt templates (artifacts/{appId}/promptTemplates, see src/content), so the
+// proxy builds the same prompts as the browser would. Cached for a minute per instance to keep
+// Firestore reads off the request path; templates that fail the shared checks, and any read
+// failure, fall back to the built-in prompts.
+import { findPromptTemplateProblems } from './shared/prompts.js';
+
+const CACHE_MS = 60 * 1000;
+
+let cached = null; // { appId, loadedAt, templates }
+
+export const loadPromptTemplates = async (db, appId) => {
+  if (cached && cached.appId === appId && Date.now() - cached.loadedAt < CACHE_MS) {
+    return cached.templates;
+  }
+  const templates = {};
+  try {
+    const snap = await db.collection(`artifacts/${appId}/promptTemplates`).get();
+    snap.docs.forEach(templateDoc => {
+      const { text } = templateDoc.data();
+      if (text === null || text === undefined) {
+        return;
+      }
+      const problems = findPromptTemplateProblems(templateDoc.id, text);
+      if (problems.length > 0) {
+        console.warn(`Ignoring prompt template "${templateDoc.id}":`, problems);
+        return;
+      }
+      templates[templateDoc.id] = text;
+    });
+  } catch (loadError) {
+    console.error('Could not load prompt templates; using the built-in prompts:', loadError);
+  }
+  cached = { appId, loadedAt: Date.now(), templates };
+  return templates;
+};
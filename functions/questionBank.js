@@ -0,0 +1,89 @@
+// Fills the shared question banks the React app draws from (src/questionBank): one document
+// per topic, answer format and language under artifacts/{appId}/questionBank. The topics are
+// the ones admins curate (src/content), or the built-in ones if they haven't.
+// New items are stored unapproved; the app only serves items a reviewer has approved.
+import { randomUUID } from 'node:crypto';
+import { buildQuestionsPrompt } from './shared/prompts.js';
+import { questionsSchema } from './shared/schemas.js';
+import { BUILT_IN_TOPICS } from './shared/topics.js';
+import { partitionNewQuestions } from './shared/questionDedup.js';
+
+// Questions generated per bank and run, so a run stays well within the function timeout
+const BATCH_SIZE = 20;
+
+const bankId = (topicId, format, language) => `${topicId}__${format}__${language}`;
+
+const isQuestion = (item) => item && typeof item.question === 'string' && item.question.trim()
+  && Array.isArray(item.options) && item.options.every(option => typeof option === 'string');
+
+// Rejected items stay in the bank, so they aren't generated again, but don't count towards its size
+const isRejected = (item) => item.approved === false && Boolean(item.reviewedAt);
+
+// Topics to keep banks for, as [{ id, name }] with the English name the prompts use
+export const loadBankTopics = async (db, appId) => {
+  const config = (await db.doc(`artifacts/${appId}/config/topics`).get()).data();
+  if (!config) {
+    return Object.entries(BUILT_IN_TOPICS).map(([id, name]) => ({ id, name }));
+  }
+  return config.topics.map(({ id, name }) => ({ id, name: name || BUILT_IN_TOPICS[id] || id }));
+};
+
+// Adds up to BATCH_SIZE new items to one bank if it holds fewer than `targetSize` items that
+// weren't rejected, skipping near-duplicates of everything it already has. `templates` are the
+// admin-edited prompt templates, if any. Resolves to the number of items added.
+export const topUpQuestionBank = async ({ db, appId, generate, topicId, topicName, format, language, targetSize, templates = {} }) => {
+  const ref = db.doc(`artifacts/${appId}/questionBank/${bankId(topicId, format, language)}`);
+  const existing = (await ref.get()).data()?.items || [];
+  const needed = Math.min(BATCH_SIZE, targetSize - existing.filter(item => !isRejected(item)).length);
+  if (needed <= 0) {
+    return 0;
+  }
+
+  const existingTexts = existing.map(item => item.question);
+  const prompt = buildQuestionsPrompt({ topic: topicName, count: needed, language, format, exclude: existingTexts.slice(-50) }, templates);
+  const generated = (await generate({ prompt, schema: questionsSchema })).filter(isQuestion);
+  const { fresh } = partitionNewQuestions(generated, existingTexts);
+  const newItems = fresh.slice(0, needed).map(({ question, options, reverse, subscale }) => ({
+    id: randomUUID(),
+    question: question.trim(),
+    options,
+    reverse: reverse === true,
+    subscale: typeof subscale === 'string' ? subscale : null,
+    approved: false,
+    createdAt: Date.now()
+  }));
+  if (newItems.length === 0) {
+    return 0;
+  }
+
+  // Re-read inside the transaction so reviews made meanwhile aren't overwritten
+  await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(ref)).data();
+    transaction.set(ref, {
+      topicId,
+      format,
+      language,
+      items: [...(current?.items || []), ...newItems],
+      updatedAt: new Date()
+    });
+  });
+  return newItems.length;
+};
+
+// Tops up each topic's bank (see loadBankTopics) for each format and language. A failing bank
+// is logged and skipped, so one bad response doesn't hold up the rest.
+export const refillQuestionBanks = async ({ db, appId, generate, topics, templates, formats, languages, targetSize }) => {
+  let added = 0;
+  for (const topic of topics) {
+    for (const format of formats) {
+      for (const language of languages) {
+        try {
+          added += await topUpQuestionBank({ db, appId, generate, topicId: topic.id, topicName: topic.name, format, language, targetSize, templates });
+        } catch (bankError) {
+          console.error(`Could not top up question bank ${bankId(topic.id, format, language)}:`, bankError);
+        }
+      }
+    }
+  }
+  return added;
+};
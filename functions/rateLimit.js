@@ -0,0 +1,21 @@
+// Fixed-window rate limiter keyed on the Firebase uid, stored in Firestore so the
+// limit holds across function instances. Documents live in the server-only
+// `rateLimits` collection, which client security rules never expose.
+// Resolves to { allowed, retryAfterSeconds }.
+export const consumeRateLimit = async ({ db, uid, limit, windowMs, now = Date.now() }) => {
+  const ref = db.collection('rateLimits').doc(uid);
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(ref);
+    const data = snap.exists ? snap.data() : null;
+
+    if (!data || now - data.windowStart >= windowMs) {
+      transaction.set(ref, { windowStart: now, count: 1 });
+      return { allowed: true, retryAfterSeconds: 0 };
+    }
+    if (data.count >= limit) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((data.windowStart + windowMs - now) / 1000) };
+    }
+    transaction.update(ref, { count: data.count + 1 });
+    return { allowed: true, retryAfterSeconds: 0 };
+  });
+};
@@ -0,0 +1,27 @@
+// Grants or revokes the `admin` custom claim that opens the admin console (src/admin) and
+// lets firestore.rules accept its writes:
+//   npm run set-admin -- <uid>            grant
+//   npm run set-admin -- <uid> --revoke   revoke
+// Uses Application Default Credentials (e.g. `gcloud auth application-default login`), or the
+// Auth emulator when FIREBASE_AUTH_EMULATOR_HOST is set. The user sees the change once their ID
+// token refreshes (within an hour, or at once after signing out and back in).
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+
+const [uid, flag] = process.argv.slice(2);
+if (!uid || (flag && flag !== '--revoke')) {
+  console.error('Usage: npm run set-admin -- <uid> [--revoke]');
+  process.exit(1);
+}
+
+initializeApp();
+const auth = getAuth();
+const user = await auth.getUser(uid);
+const claims = { ...user.customClaims };
+if (flag === '--revoke') {
+  delete claims.admin;
+} else {
+  claims.admin = true;
+}
+await auth.setCustomUserClaims(uid, claims);
+console.log(`${flag === '--revoke' ? 'Revoked' : 'Granted'} admin for ${user.email || uid}.`);
@@ -0,0 +1,17 @@
+// Copies the dependency-free prompt, schema, validation, topic, input safety and question
+// de-duplication modules from the React app into shared/, so the server builds exactly the same
+// prompts as the browser and enforces the same limits.
+// Runs before deploy and serve.
+import { copyFileSync, mkdirSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const functionsDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const sourceDir = join(functionsDir, '..', 'src');
+const targetDir = join(functionsDir, 'shared');
+
+mkdirSync(targetDir, { recursive: true });
+['ai/prompts.js', 'ai/schemas.js', 'ai/validation.js', 'ai/topics.js', 'ai/inputSafety.js', 'history/questionDedup.js'].forEach(file => {
+  copyFileSync(join(sourceDir, file), join(targetDir, basename(file)));
+  console.log(`Synced ${file}`);
+});
@@ -1,8 +1,38 @@
 /* global __firebase_config, __initial_auth_token, __app_id */
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, getDoc, setDoc } from 'firebase/firestore';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { generateJson, AiResponseError, AiCancelledError, AiTimeoutError, readPartialJsonStrings, ANSWER_FORMATS, DEFAULT_ANSWER_FORMAT, QUESTION_COUNT_RANGE, setPromptTemplates, MAX_TOPIC_LENGTH, precheckTopic, sanitizeUserText } from './ai';
+import { instruments, getInstrument, instrumentToQuestions, scoreInstrument, hasCompositeScore } from './instruments';
+import { scoreAnswers, isAnswered, DEFAULT_NORMALIZED_BANDS, SLIDER_RANGE } from './scoring';
+import { nextAdaptiveQuestion, scoreAdaptive, ADAPTIVE_BANK_SIZE, ADAPTIVE_SETTINGS } from './adaptive';
+import { saveSession, listSessions, getSession } from './history/sessions';
+import { loadAnsweredQuestions, addAnsweredQuestions } from './history/answeredQuestions';
+import { collectNewQuestions } from './history/questionDedup';
+import { loadBankQuestions, drawBankQuestions } from './questionBank';
+import HistoryView from './history/HistoryView';
+import { screenSession } from './safety';
+import CrisisScreen from './safety/CrisisScreen';
+import ProfileView from './auth/ProfileView';
+import WorkspaceView from './workspace/WorkspaceView';
+import { listOpenAssignments, completeAssignment, openAssignmentLink, describeWorkspaceError } from './workspace';
+import AdminView from './admin/AdminView';
+import { isAdminUser } from './admin';
+import { DEFAULT_TOPICS, topicLabel, loadTopics, loadPromptTemplates } from './content';
+import { sessionToJson, sessionToCsv, sessionToFhirJson, parseSessionImport, reportFileName } from './report/sessionExport';
+import { loadReportFont } from './report/reportFont';
+import { hasMessage } from './i18n';
+import { useI18n } from './i18n/I18nContext';
+import { useStageRoute } from './routing/useStageRoute';
+import LanguageSwitcher from './i18n/LanguageSwitcher';
+import AnswerInput, { MAX_TEXT_ANSWER_LENGTH } from './questionnaire/AnswerInput';
+import StabilityBreakdown from './results/StabilityBreakdown';
+import { stabilityLevelToValue } from './history/trends';
+import { buildDraft, draftAnswersToUserAnswers, countDraftAnswers, saveLocalDraft, saveRemoteDraft, loadLatestDraft, clearDraft } from './history/drafts';
+import { enqueueWrite, getPendingWrites, getPendingSessions, flushSyncQueue } from './offline/syncQueue';
+import { listQuestionSets, saveQuestionSet } from './offline/questionSets';
+import { useOnlineStatus } from './offline/useOnlineStatus';
 
 // IMPORTANT: For online deployment (e.g., Netlify, Firebase Hosting), you will need to set these Firebase
 // configuration values as environment variables in your hosting platform.
@@ -30,17 +60,62 @@ const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial
 // This is used to create a unique path for your app's data in Firestore.
 const APP_ID_FOR_FIRESTORE = typeof __app_id !== 'undefined' ? __app_id : (process.env.REACT_APP_APP_ID || 'psychoai-test-app');
 
+// Set REACT_APP_USE_FIREBASE_EMULATORS=true to run against the local Auth and Firestore emulators
+// (`firebase emulators:start`), e.g. to try account sign-up and linking without a real project.
+const USE_FIREBASE_EMULATORS = process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true';
+
+// Builds the user-facing message for a failed AI call. Responses that kept failing schema
+// validation and timeouts get their own wording; anything else is most likely a network or
+// service problem.
+const describeAiError = (t, actionKey, aiError) => {
+  if (aiError instanceof AiTimeoutError) {
+    return t('errors.aiTimeout', { action: t(actionKey) });
+  }
+  return t(
+    aiError instanceof AiResponseError ? 'errors.aiResponse' : 'errors.aiNetwork',
+    { action: t(actionKey), message: aiError.message }
+  );
+};
+
+// Saves generated text (JSON, CSV, ...) as a download
+const downloadTextFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: sessionToJson },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: sessionToCsv },
+  fhir: { label: 'FHIR', extension: 'fhir.json', mimeType: 'application/fhir+json', build: sessionToFhirJson }
+};
+
+
+// An answer as the analysis prompt sees it: sliders with their scale and end labels, and
+// free text cleaned of invisible characters (see src/ai/inputSafety.js)
+const describeAnswer = (question, answer) => {
+  if (question.type === 'slider') {
+    return `${answer}/${SLIDER_RANGE.max} (${SLIDER_RANGE.min} = ${question.options[0]}, ${SLIDER_RANGE.max} = ${question.options[1]})`;
+  }
+  return question.type === 'text' ? sanitizeUserText(answer, { maxLength: MAX_TEXT_ANSWER_LENGTH }) : answer;
+};
 
 function App() {
+  const { t, language, setLanguage } = useI18n();
+  const online = useOnlineStatus();
   const [firebaseApp, setFirebaseApp] = useState(null);
   const [auth, setAuth] = useState(null);
   const [db, setDb] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [account, setAccount] = useState(null); // { isAnonymous, email, displayName } of the signed-in user
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null); // General application errors
-  const [pdfLibsLoaded, setPdfLibsLoaded] = useState(false);
 
-  const [stage, setStage] = useState('welcome'); // 'welcome', 'topicSelection', 'questionnaire', 'results'
   const [selectedTopic, setSelectedTopic] = useState('');
   const [questions, setQuestions] = useState([]);
   const [userAnswers, setUserAnswers] = useState({}); // Initialize as empty object
@@ -52,35 +127,69 @@ function App() {
   const [showTopicWarning, setShowTopicWarning] = useState(false);
   const [topicWarningMessage, setTopicWarningMessage] = useState('');
   const [numQuestions, setNumQuestions] = useState(5); // New state for number of questions
+  const [answerFormat, setAnswerFormat] = useState(DEFAULT_ANSWER_FORMAT); // Answer format requested for AI questions
   const [unansweredQuestionIndices, setUnansweredQuestionIndices] = useState([]); // New state for highlighting
   const [questionnaireError, setQuestionnaireError] = useState(null); // Specific error for questionnaire validation
+  const [selectedInstrumentId, setSelectedInstrumentId] = useState(null); // Set when taking a validated instrument instead of AI questions
+  const [testScore, setTestScore] = useState(null); // Local deterministic score, computed before any AI call
+  const [historySessions, setHistorySessions] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [pendingDraft, setPendingDraft] = useState(null); // Unfinished questionnaire offered for resuming
+  const [resultsDate, setResultsDate] = useState(null); // When the results on screen were produced, for the report header
+  const [importError, setImportError] = useState(null);
+  // Shown on History when a /results/{sessionId} link pointed at a session we couldn't find
+  const [historyNotice, setHistoryNotice] = useState(null);
+  const [resultsLanguage, setResultsLanguage] = useState(null); // Language the results on screen were generated in
+  const [adaptiveMode, setAdaptiveMode] = useState(false); // Ask new tests one question at a time (src/adaptive)
+  const [adaptiveBank, setAdaptiveBank] = useState(null); // Question bank of the adaptive test in progress, null otherwise
+  const [adaptiveAsked, setAdaptiveAsked] = useState([]); // Bank indices asked so far, aligned with `questions`
+  const [pendingSyncCount, setPendingSyncCount] = useState(0); // Firestore writes queued while offline (src/offline/syncQueue.js)
+  const [openAssignments, setOpenAssignments] = useState([]); // Tests practitioners assigned to this user (src/workspace)
+  const [activeAssignment, setActiveAssignment] = useState(null); // The assignment the test in progress fulfils
+  const [openingLink, setOpeningLink] = useState(false); // A /take/ link's assignment is being looked up
+  const [linkError, setLinkError] = useState(null); // Why a /take/ link couldn't be opened, described at render time
+  const [savedQuestionSets, setSavedQuestionSets] = useState(() => listQuestionSets(APP_ID_FOR_FIRESTORE)); // Recent AI question sets, available offline
+  const [resultsSessionId, setResultsSessionId] = useState(null); // Firestore id of the session on the results stage, if saved
+  const [topics, setTopics] = useState(DEFAULT_TOPICS); // Topic screen topics, as curated by admins (src/content)
+  const [isAdmin, setIsAdmin] = useState(null); // Whether the user has the admin claim; null until checked
+
+  // The stage lives in the URL (src/routing): 'welcome', 'topicSelection', 'questionnaire', 'results',
+  // 'history', 'crisis', 'profile', 'workspace', 'admin'. Going back from an unfinished questionnaire asks
+  // first, like its Exit button.
+  const [route, navigate] = useStageRoute((nextRoute) => {
+    if (stage === 'questionnaire' && nextRoute.stage !== 'questionnaire' && questions.length > 0) {
+      setShowExitConfirmation(true);
+      return false;
+    }
+    return true;
+  });
+  const { stage } = route;
 
   const mainContentRef = useRef(null); // Ref for the main content container to scroll
   const aiLoadingRef = useRef(null); // Ref for the AI loading indicator (within the overlay)
-  const contentRef = useRef(null); // Ref for the content to be downloaded as PDF (results section)
-
-  // Predefined topics for the psychological test
-  const psychologicalTopics = [
-    "Stress Level Assessment",
-    "Personality Traits",
-    "Anxiety Check",
-    "Emotional Intelligence",
-    "Self-Esteem Evaluation",
-    "Coping Mechanisms",
-    "Mindfulness & Well-being"
-  ];
-
-  // Helper to get Firestore doc ref for answered questions
-  // This function relies on 'db' being initialized, which happens in useEffect.
-  // It's called within async functions that wait for 'db' to be ready.
-  const getAnsweredQuestionsDocRef = (topic, currentUserId) => {
-    // Ensure topic is URL-friendly for document ID
-    const docId = topic.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-    return doc(db, `artifacts/${APP_ID_FOR_FIRESTORE}/users/${currentUserId}/answeredQuestions`, docId);
+  const aiRequestRef = useRef(null); // AbortController of the AI request in flight, for the Cancel button
+  const [streamedAnalysis, setStreamedAnalysis] = useState(null); // { analysis, advice } as they stream in
+
+  // Each AI request gets a fresh AbortController; its signal is passed to generateJson
+  const startAiRequest = () => {
+    const controller = new AbortController();
+    aiRequestRef.current = controller;
+    return controller.signal;
+  };
+
+  // Cancel button on the AI overlay: the pending call rejects with an AiCancelledError
+  const cancelAiRequest = () => {
+    aiRequestRef.current?.abort();
   };
 
-  // Function to generate questions using Gemini API
-  const generateQuestions = async (topic) => {
+  // Function to generate questions using the configured AI provider.
+  // Assignments bring their own length and possibly language; otherwise the topic screen's length
+  // and the UI language are used. Topics from the topic screen (`topicId`) draw from the shared question bank first.
+  const generateQuestions = async (topic, { length = numQuestions, assignment = null, questionLanguage = language, topicId = null } = {}) => {
+    setSelectedInstrumentId(null);
+    setNumQuestions(length);
+    // Adaptive tests draw from a larger bank and stop once the score is stable
+    const count = adaptiveMode ? Math.max(length, ADAPTIVE_BANK_SIZE) : length;
     setAiLoading(true);
     setError(null); // Clear general errors
     setQuestionnaireError(null); // Clear questionnaire errors
@@ -93,105 +202,119 @@ function App() {
       let answeredQuestionTexts = [];
       const currentUserId = auth.currentUser?.uid;
       if (db && currentUserId) {
-        const docRef = getAnsweredQuestionsDocRef(topic, currentUserId);
-        const docSnap = await getDoc(docRef);
-        if (docSnap.exists()) {
-          answeredQuestionTexts = docSnap.data().questions || [];
-        }
+        answeredQuestionTexts = await loadAnsweredQuestions(db, APP_ID_FOR_FIRESTORE, currentUserId, topic);
       }
 
-      // 2. Generate new questions from AI
-      const prompt = `Generate ${numQuestions} multiple-choice questions for a psychological test on "${topic}". Each question should have 4 answer options, ranging from "Strongly Disagree" to "Strongly Agree". Ensure the questions are relevant to psychological assessments and based on general psychological principles. Provide the output in JSON format: [{question: '...', options: ['...', '...', '...', '...']}, ...].`;
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-
-      const payload = {
-        contents: chatHistory,
-        generationConfig: {
-          responseMimeType: "application/json",
-          responseSchema: {
-            type: "ARRAY",
-            items: {
-              type: "OBJECT",
-              properties: {
-                "question": { "type": "STRING" },
-                "options": {
-                  "type": "ARRAY",
-                  "items": { "type": "STRING" }
-                }
-              },
-              "propertyOrdering": ["question", "options"]
-            }
-          }
+      // 2. Reviewed questions from the shared bank need no AI call (src/questionBank)
+      let bankQuestions = [];
+      if (topicId && db) {
+        try {
+          const bank = await loadBankQuestions(db, APP_ID_FOR_FIRESTORE, { topicId, format: answerFormat, language: questionLanguage });
+          bankQuestions = drawBankQuestions(bank, count, answeredQuestionTexts);
+        } catch (bankError) {
+          console.warn("Could not load the question bank; generating instead:", bankError);
         }
-      };
-
-      // THIS IS THE LINE THAT USES THE API KEY
-      const apiKey = process.env.REACT_APP_GEMINI_API_KEY; // Now using the environment variable
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
+      }
 
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+      // 3. Generate the rest, leaving out (near-)repeats of answered ones and asking again
+      // for replacements (src/history/questionDedup.js). Each question is tagged with its
+      // format so the renderer and scoring know how to treat it.
+      let generatedQuestions = [];
+      if (bankQuestions.length < count) {
+        const signal = startAiRequest();
+        generatedQuestions = await collectNewQuestions({
+          count: count - bankQuestions.length,
+          answeredTexts: [...answeredQuestionTexts, ...bankQuestions.map(q => q.question)],
+          generate: async (needed, exclude) => (await generateJson('questions', { topic, count: needed, language: questionLanguage, format: answerFormat, exclude }, { signal }))
+            .map(q => ({ ...q, type: answerFormat }))
+        });
+      }
+      const testQuestions = [...bankQuestions, ...generatedQuestions];
 
-      const result = await response.json();
-      if (!result.candidates || result.candidates.length === 0 ||
-          !result.candidates[0].content || !result.candidates[0].content.parts ||
-          result.candidates[0].content.parts.length === 0) {
-        setError("Failed to generate questions. Please try again.");
-        console.error("Gemini API response structure unexpected:", result);
+      // Keep a copy so the same set can be taken again offline
+      setSavedQuestionSets(saveQuestionSet(APP_ID_FOR_FIRESTORE, { topic, format: answerFormat, language: questionLanguage, questions: testQuestions }));
+      startTest(topic, null, testQuestions, assignment);
+    } catch (apiError) {
+      if (apiError instanceof AiCancelledError) {
+        console.log("Question generation cancelled.");
         return;
       }
+      setError(describeAiError(t, 'errors.generatingQuestions', apiError));
+      console.error("Error calling AI provider for questions:", apiError);
+    } finally {
+      setAiLoading(false);
+    }
+  };
 
-      const jsonString = result.candidates[0].content.parts[0].text;
-      let parsedQuestions = JSON.parse(jsonString);
+  // Begin an adaptive test on `bank`, showing only its first pick
+  const startAdaptive = (bank) => {
+    const first = nextAdaptiveQuestion(bank, [], {});
+    setAdaptiveBank(bank);
+    setAdaptiveAsked([first]);
+    setQuestions([bank[first]]);
+  };
 
-      // 3. Filter out already answered questions
-      let newQuestions = parsedQuestions.filter(q => !answeredQuestionTexts.includes(q.question));
+  // Open the questionnaire on `testQuestions` (the bank, in adaptive mode)
+  const startTest = (topic, instrumentId, testQuestions, assignment = null) => {
+    setActiveAssignment(assignment);
+    setLinkError(null);
+    setError(null);
+    setQuestionnaireError(null);
+    setUnansweredQuestionIndices([]);
+    setSelectedTopic(topic);
+    setSelectedInstrumentId(instrumentId);
+    if (adaptiveMode) {
+      startAdaptive(testQuestions);
+    } else {
+      setAdaptiveBank(null);
+      setAdaptiveAsked([]);
+      setQuestions(testQuestions);
+    }
+    setUserAnswers({}); // Reset answers for new test
+    setPendingDraft(null); // The new test's autosave replaces any older draft
+    navigate('questionnaire');
+  };
 
-      // 4. Handle all questions answered / allow repetition
-      if (newQuestions.length < numQuestions && answeredQuestionTexts.length > 0) {
-        // If not enough new questions, and some have been answered, reset answered list
-        console.log("All unique questions answered for this topic. Resetting answered list.");
-        if (db && currentUserId) {
-          const docRef = getAnsweredQuestionsDocRef(topic, currentUserId);
-          await setDoc(docRef, { questions: [] }); // Clear answered questions for this topic
-        }
-        // Use the original parsedQuestions (allowing repetition)
-        setQuestions(parsedQuestions);
-      } else if (newQuestions.length === 0 && answeredQuestionTexts.length === 0) {
-        // If no new questions and no history, just use what AI gave (might be empty or few)
-        setQuestions(parsedQuestions);
-      }
-      else {
-        setQuestions(newQuestions.slice(0, numQuestions)); // Take only the requested number of unique questions
-      }
+  // Start a validated instrument: its fixed items replace AI-generated questions
+  const startInstrument = (instrument, assignment = null) => startTest(instrument.title, instrument.id, instrumentToQuestions(instrument), assignment);
 
-      setUserAnswers({}); // Reset answers for new test
-      setStage('questionnaire');
-    } catch (apiError) {
-      setError(`Error generating questions: ${apiError.message}. Please check your network connection or try again.`);
-      console.error("Error calling Gemini API for questions:", apiError);
-    } finally {
-      setAiLoading(false);
+  // Take a test a practitioner assigned: their instrument, or AI questions on their topic.
+  // An assignment in another language switches the UI to it, so the analysis matches too.
+  const startAssignment = (assignment) => {
+    if (assignment.language && assignment.language !== language) {
+      setLanguage(assignment.language);
     }
+    const instrument = assignment.instrumentId ? getInstrument(assignment.instrumentId) : null;
+    if (instrument) {
+      startInstrument(instrument, assignment);
+      return;
+    }
+    setSelectedTopic(assignment.topic);
+    generateQuestions(assignment.topic, { length: assignment.numQuestions, assignment, questionLanguage: assignment.language || language });
   };
+  // The /take/ link effect below runs once per link, so it calls the latest startAssignment
+  // through a ref rather than re-running whenever the function is recreated
+  const startAssignmentRef = useRef(startAssignment);
+  useEffect(() => {
+    startAssignmentRef.current = startAssignment;
+  });
+
+  // Retake a saved AI question set; needs no AI call, so it works offline
+  const startQuestionSet = (questionSet) => startTest(questionSet.topic, null, questionSet.questions);
 
-  // Function to analyze results using Gemini API
+  // Function to analyze results using the configured AI provider
   const analyzeResults = async () => {
     // 1. Validate all questions are answered
     const unansweredIndices = [];
-    questions.forEach((_, index) => {
-      if (userAnswers[index] === undefined) {
+    questions.forEach((q, index) => {
+      if (!isAnswered(q, userAnswers[index])) {
         unansweredIndices.push(index);
       }
     });
 
     if (unansweredIndices.length > 0) {
       setUnansweredQuestionIndices(unansweredIndices);
-      setQuestionnaireError("Please answer all questions before proceeding. Unanswered questions are highlighted in red.");
+      setQuestionnaireError(t('questionnaire.unanswered'));
       // Scroll to the top of the content to show the error and highlighted questions
       mainContentRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
       return;
@@ -207,144 +330,175 @@ function App() {
     try {
       const formattedAnswers = questions.map((q, index) => ({
         question: q.question,
-        userAnswer: userAnswers[index] || 'No answer provided'
+        userAnswer: isAnswered(q, userAnswers[index]) ? describeAnswer(q, userAnswers[index]) : 'No answer provided'
       }));
 
-      // Adjust analysis prompt based on number of questions
-      const analysisPromptBase = `Based on the following psychological test on "${selectedTopic}", with questions and user answers: ${JSON.stringify(formattedAnswers)}.`;
-      let analysisPrompt;
-      if (numQuestions === 15) {
-        analysisPrompt = `${analysisPromptBase} Provide a *comprehensive and detailed analysis* of the user's psychological state related to the topic, exploring nuances and potential underlying factors. Offer *in-depth, personalized, and actionable strategies* as advice. Structure your response as a JSON object with 'analysis' and 'advice' fields.`;
-      } else { // numQuestions === 5
-        analysisPrompt = `${analysisPromptBase} Provide a *brief and easy-to-understand* analysis of the user's psychological state related to the topic. Focus on *key insights*. Also, provide *brief, actionable steps* as advice. Structure your response as a JSON object with 'analysis' and 'advice' fields.`;
+      // Score locally first: validated instruments with their official key, AI questions with
+      // their Likert values and reverse/subscale tags. The AI prompts are grounded in this score.
+      // Adaptive tests are scored on the asked items and projected onto the full instrument.
+      const instrument = selectedInstrumentId ? getInstrument(selectedInstrumentId) : null;
+      let score;
+      if (adaptiveBank) {
+        score = instrument
+          ? { ...scoreAdaptive(adaptiveBank, adaptiveAsked, userAnswers, { bands: instrument.scoring.bands, subscales: instrument.subscales, composite: instrument.scoring.composite !== false }), instrumentId: instrument.id, version: instrument.version }
+          : scoreAdaptive(adaptiveBank, adaptiveAsked, userAnswers, { normalizedBands: DEFAULT_NORMALIZED_BANDS });
+      } else {
+        score = instrument
+          ? scoreInstrument(instrument, userAnswers)
+          : scoreAnswers(questions, userAnswers, { normalizedBands: DEFAULT_NORMALIZED_BANDS });
       }
+      setTestScore(score);
 
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: analysisPrompt }] });
-
-      const analysisPayload = {
-        contents: chatHistory,
-        generationConfig: {
-          responseMimeType: "application/json",
-          responseSchema: {
-            type: "OBJECT",
-            properties: {
-              "analysis": { "type": "STRING" },
-              "advice": { "type": "STRING" }
-            },
-            "propertyOrdering": ["analysis", "advice"]
+      // Safety screen before any AI call: risk signals in the answers skip the AI entirely
+      let safety = screenSession({ topic: selectedTopic, questions, answers: userAnswers });
+      let parsedAnalysis = null;
+      let parsedStability = null;
+      // Offline, the test is scored and screened locally and the AI analysis is skipped
+      const analyzedOffline = !online && !safety.flagged;
+
+      if (!safety.flagged && online) {
+        // The analysis streams in, so the overlay can show it while the model is still writing.
+        // Each partial text goes through the same screen as the finished one before it is shown;
+        // once it flags, the rest of the stream stays hidden.
+        const signal = startAiRequest();
+        let streamFlagged = false;
+        parsedAnalysis = await generateJson('analysis', { topic: selectedTopic, answers: formattedAnswers, count: questions.length, score, language }, {
+          signal,
+          onText: (text) => {
+            const partial = readPartialJsonStrings(text, ['analysis', 'advice']);
+            streamFlagged = streamFlagged || screenSession({ analysis: partial }).flagged;
+            setStreamedAnalysis(streamFlagged ? null : partial);
           }
+        });
+
+        // Stability ratings, each with a score, a confidence and the answers behind it
+        try {
+          parsedStability = await generateJson('stability', { topic: selectedTopic, answers: formattedAnswers, score, language }, { signal });
+        } catch (stabilityError) {
+          if (stabilityError instanceof AiCancelledError) {
+            throw stabilityError;
+          }
+          // Stability levels are optional on the results page, so don't fail the whole analysis.
+          console.warn("Failed to generate stability levels:", stabilityError);
         }
-      };
-
-      // THIS IS THE LINE THAT USES THE API KEY
-      const apiKey = process.env.REACT_APP_GEMINI_API_KEY; // Now using the environment variable
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
 
-      const analysisResponse = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(analysisPayload)
-      });
+        // ...and once more on what the model wrote, the stability rationales included
+        safety = screenSession({ analysis: parsedAnalysis, stabilityLevels: parsedStability });
+      }
 
-      const analysisResultData = await analysisResponse.json();
-      let parsedAnalysis = null;
-      if (analysisResultData.candidates && analysisResultData.candidates.length > 0 &&
-        analysisResultData.candidates[0].content && analysisResultData.candidates[0].content.parts &&
-        analysisResultData.candidates[0].content.parts.length > 0) {
-        const jsonString = stabilityResultData.candidates[0].content.parts[0].text; // Fixed: was stabilityResultData, now analysisResultData
-        parsedAnalysis = JSON.parse(jsonString);
-        setAnalysisResult(parsedAnalysis);
-      } else {
-        setError("Failed to analyze results. Please try again.");
-        console.error("Gemini API response structure unexpected for analysis:", analysisResultData);
-        setAiLoading(false);
-        return;
+      // Flagged tests show crisis resources instead, with no generic AI advice
+      if (safety.flagged) {
+        parsedAnalysis = null;
+        parsedStability = null;
       }
+      setAnalysisResult(analyzedOffline ? { analysis: null, advice: null } : parsedAnalysis);
+      setStabilityLevels(parsedStability);
 
-      // New AI call for stability levels
-      const stabilityPrompt = `Based on the following psychological test answers on '${selectedTopic}': ${JSON.stringify(formattedAnswers)}. Assess the user's emotional, mental, and physical stability. For each category, provide a brief level (e.g., "Good", "Moderate", "Needs Attention") and suggest a relevant emoji (e.g., "😄", "😐", "😟"). Output in JSON: { "emotional": { "level": "...", "emoji": "..." }, "mental": { "level": "...", "emoji": "..." }, "physical": { "level": "...", "emoji": "..." } }.`;
-
-      chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: stabilityPrompt }] });
-
-      const stabilityPayload = {
-        contents: chatHistory,
-        generationConfig: {
-          responseMimeType: "application/json",
-          responseSchema: {
-            type: "OBJECT",
-            properties: {
-              "emotional": {
-                type: "OBJECT",
-                properties: { "level": { "type": "STRING" }, "emoji": { "type": "STRING" } },
-                propertyOrdering: ["level", "emoji"]
-              },
-              "mental": {
-                type: "OBJECT",
-                properties: { "level": { "type": "STRING" }, "emoji": { "type": "STRING" } },
-                propertyOrdering: ["level", "emoji"]
-              },
-              "physical": {
-                type: "OBJECT",
-                properties: { "level": { "type": "STRING" }, "emoji": { "type": "STRING" } },
-                propertyOrdering: ["level", "emoji"]
-              }
-            },
-            propertyOrdering: ["emotional", "mental", "physical"]
-          }
-        }
+      const currentUserId = auth.currentUser?.uid;
+      // Instrument items are fixed, so they aren't tracked as answered questions
+      const answeredQuestionTexts = instrument ? [] : questions.map(q => q.question);
+      const session = {
+        topic: selectedTopic,
+        instrumentId: selectedInstrumentId,
+        instrumentVersion: instrument ? instrument.version : null,
+        numQuestions,
+        questions,
+        answers: questions.map((_, index) => userAnswers[index]),
+        score,
+        analysis: parsedAnalysis ? parsedAnalysis.analysis : null,
+        advice: parsedAnalysis ? parsedAnalysis.advice : null,
+        stabilityLevels: parsedStability,
+        safety,
+        language,
+        ...(activeAssignment && { assignmentId: activeAssignment.id })
       };
 
-      const stabilityResponse = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(stabilityPayload)
-      });
+      let sessionId = null;
+      if (db && currentUserId && online) {
+        // 2. Save answered questions to Firestore. They only steer future question generation,
+        // so a failure here must not keep the session from being saved.
+        if (answeredQuestionTexts.length > 0) {
+          try {
+            await addAnsweredQuestions(db, APP_ID_FOR_FIRESTORE, currentUserId, selectedTopic, answeredQuestionTexts);
+            console.log("Answered questions saved to Firestore.");
+          } catch (answeredError) {
+            console.warn("Could not save the answered questions:", answeredError);
+          }
+        }
 
-      const stabilityResultData = await stabilityResponse.json();
-      if (stabilityResultData.candidates && stabilityResultData.candidates.length > 0 &&
-        stabilityResultData.candidates[0].content && stabilityResultData.candidates[0].content.parts &&
-        stabilityResultData.candidates[0].content.parts.length > 0) {
-        const jsonString = stabilityResultData.candidates[0].content.parts[0].text;
-        const parsedStability = JSON.parse(jsonString);
-        setStabilityLevels(parsedStability);
-      } else {
-        console.warn("Failed to generate stability levels. Response unexpected:", stabilityResultData);
-      }
+        // 3. Save the full session so it shows up in History
+        sessionId = await saveSession(db, APP_ID_FOR_FIRESTORE, currentUserId, session);
+        console.log("Session saved to Firestore.");
 
-      // 2. Save answered questions to Firestore
-      const currentUserId = auth.currentUser?.uid;
-      if (db && currentUserId) {
-        const docRef = getAnsweredQuestionsDocRef(selectedTopic, currentUserId);
-        // Get existing questions to append, or initialize if none
-        const docSnap = await getDoc(docRef);
-        let existingQuestions = [];
-        if (docSnap.exists()) {
-          existingQuestions = docSnap.data().questions || [];
+        // Let the practitioner know the assigned test is done
+        if (activeAssignment) {
+          try {
+            await completeAssignment(db, APP_ID_FOR_FIRESTORE, currentUserId, activeAssignment.id, sessionId);
+          } catch (assignmentError) {
+            // The session is saved either way, so don't fail the results over it
+            console.warn("Could not mark the assignment as completed:", assignmentError);
+          }
         }
-        const newAnsweredQuestions = questions.map(q => q.question);
-        const combinedQuestions = Array.from(new Set([...existingQuestions, ...newAnsweredQuestions])); // Ensure uniqueness
 
-        await setDoc(docRef, { questions: combinedQuestions }, { merge: true });
-        console.log("Answered questions saved to Firestore.");
+        // The questionnaire is finished, so there's nothing left to resume
+        await clearDraft(db, APP_ID_FOR_FIRESTORE, currentUserId);
+      } else if (db && currentUserId) {
+        // Offline: queue the same writes until the connection is back
+        const finishedAt = Date.now();
+        if (answeredQuestionTexts.length > 0) {
+          enqueueWrite(APP_ID_FOR_FIRESTORE, currentUserId, 'answeredQuestions', { topic: selectedTopic, questions: answeredQuestionTexts });
+        }
+        enqueueWrite(APP_ID_FOR_FIRESTORE, currentUserId, 'session', { ...session, completedAt: finishedAt });
+        enqueueWrite(APP_ID_FOR_FIRESTORE, currentUserId, 'draftCleared', { finishedAt });
+        await clearDraft(null, APP_ID_FOR_FIRESTORE, currentUserId); // Local copy only
+        setPendingSyncCount(getPendingWrites(APP_ID_FOR_FIRESTORE, currentUserId).length);
+        console.log("Offline: session queued for sync.");
+      }
+      if (activeAssignment) {
+        setOpenAssignments(prev => prev.filter(assignment => assignment.id !== activeAssignment.id));
+        setActiveAssignment(null);
       }
 
-      setStage('results');
+      setResultsDate(new Date());
+      setResultsLanguage(language);
+      setResultsSessionId(sessionId);
+      // Replaces the questionnaire's entry, so Back doesn't return to the finished test
+      navigate(safety.flagged ? 'crisis' : 'results', { sessionId, replace: true });
 
     } catch (apiError) {
-      setError(`Error analyzing results or generating stability levels: ${apiError.message}. Please check your network connection or try again.`);
-      console.error("Error calling Gemini API for analysis/stability:", apiError);
+      if (apiError instanceof AiCancelledError) {
+        // Back to the answered questionnaire, so the user can try again
+        console.log("Analysis cancelled.");
+        return;
+      }
+      setError(describeAiError(t, 'errors.analyzing', apiError));
+      console.error("Error calling AI provider for analysis/stability:", apiError);
     } finally {
       setAiLoading(false);
+      setStreamedAnalysis(null);
     }
   };
 
-  // Function to validate custom topic using Gemini API
+  // Function to validate custom topic using the configured AI provider
   const validateCustomTopic = async () => {
-    if (!customTopic.trim()) {
+    const { topic, problem } = precheckTopic(customTopic);
+    if (problem === 'empty') {
+      setShowTopicWarning(true);
+      setTopicWarningMessage(t('errors.enterTopic'));
+      return;
+    }
+
+    // Risk language in the topic itself goes straight to crisis resources, without an AI call
+    if (screenSession({ topic }).flagged) {
+      setSelectedTopic(topic);
+      navigate('crisis');
+      return;
+    }
+
+    // So do topics the local rules can already tell are unusable
+    if (problem) {
       setShowTopicWarning(true);
-      setTopicWarningMessage("Please enter a topic.");
+      setTopicWarningMessage(t(`errors.topicPrecheck.${problem}`, { max: MAX_TOPIC_LENGTH }));
       return;
     }
 
@@ -357,62 +511,107 @@ function App() {
     mainContentRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
 
     try {
-      const prompt = `Is "${customTopic}" a topic primarily related to psychology, mental health, personality, emotions, or personal well-being? Respond with a JSON object: { "isPsychological": true/false, "reason": "..." }`;
-      let chatHistory = [];
-      chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-
-      const payload = {
-        contents: chatHistory,
-        generationConfig: {
-          responseMimeType: "application/json",
-          responseSchema: {
-            type: "OBJECT",
-            properties: {
-              "isPsychological": { "type": "BOOLEAN" },
-              "reason": { "type": "STRING" }
-            },
-            "propertyOrdering": ["isPsychological", "reason"]
-          }
-        }
-      };
-
-      // THIS IS THE LINE THAT USES THE API KEY
-      const apiKey = process.env.REACT_APP_GEMINI_API_KEY; // Now using the environment variable
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
-
-      const result = await response.json();
-      if (!result.candidates || result.candidates.length === 0 ||
-          !result.candidates[0].content || !result.candidates[0].content.parts ||
-          result.candidates[0].content.parts.length === 0) {
-        setError("Failed to validate topic. Please try again.");
-        console.error("Gemini API response structure unexpected for topic validation:", result);
-        return;
-      }
-
-      const jsonString = result.candidates[0].content.parts[0].text;
-      const parsedValidation = JSON.parse(jsonString);
+      const parsedValidation = await generateJson('topicValidation', { topic, language }, { signal: startAiRequest() });
 
       if (parsedValidation.isPsychological) {
-        setSelectedTopic(customTopic);
-        generateQuestions(customTopic);
+        setSelectedTopic(topic);
+        await generateQuestions(topic);
       } else {
         setShowTopicWarning(true);
-        setTopicWarningMessage(`The topic "${customTopic}" does not seem to be related to psychology or mental health. This system is designed for psychological assessments. Please choose a relevant topic. Reason: ${parsedValidation.reason}`);
+        setTopicWarningMessage(t('errors.topicNotPsychological', { topic, reason: parsedValidation.reason }));
       }
     } catch (apiError) {
-      setError(`Error validating topic: ${apiError.message}. Please check your network connection or try again.`);
-      console.error("Error calling Gemini API for topic validation:", apiError);
+      if (apiError instanceof AiCancelledError) {
+        console.log("Topic validation cancelled.");
+        return;
+      }
+      setError(describeAiError(t, 'errors.validatingTopic', apiError));
+      console.error("Error calling AI provider for topic validation:", apiError);
     } finally {
       setAiLoading(false);
     }
   };
 
+  // Restore an autosaved questionnaire exactly where the user left it
+  const resumeDraft = () => {
+    setError(null);
+    setQuestionnaireError(null);
+    setUnansweredQuestionIndices([]);
+    setSelectedTopic(pendingDraft.topic);
+    setSelectedInstrumentId(pendingDraft.instrumentId);
+    setNumQuestions(pendingDraft.numQuestions);
+    setQuestions(pendingDraft.questions);
+    setAdaptiveBank(pendingDraft.adaptive ? pendingDraft.adaptive.bank : null);
+    setAdaptiveAsked(pendingDraft.adaptive ? pendingDraft.adaptive.asked : []);
+    setUserAnswers(draftAnswersToUserAnswers(pendingDraft));
+    setPendingDraft(null);
+    navigate('questionnaire');
+  };
+
+  const discardDraft = async () => {
+    setPendingDraft(null);
+    try {
+      await clearDraft(db, APP_ID_FOR_FIRESTORE, auth?.currentUser?.uid);
+    } catch (draftError) {
+      console.warn("Could not discard draft from Firestore:", draftError);
+    }
+  };
+
+  // The admin console is offered to users whose ID token carries the admin claim
+  const checkAdmin = (user) => {
+    isAdminUser(user).then(setIsAdmin).catch(claimError => {
+      console.warn("Could not read the user's claims:", claimError);
+      setIsAdmin(false);
+    });
+  };
+
+  // Re-read the signed-in user after account changes (linking doesn't fire onAuthStateChanged)
+  const refreshAccount = () => {
+    const user = auth?.currentUser;
+    if (user) {
+      setUserId(user.uid);
+      setAccount({ isAnonymous: user.isAnonymous, email: user.email, displayName: user.displayName });
+      checkAdmin(user);
+    }
+  };
+
+  const reloadPromptTemplates = useCallback(() => {
+    loadPromptTemplates(db, APP_ID_FOR_FIRESTORE).then(setPromptTemplates).catch(templateError => {
+      console.warn("Could not load prompt templates; using the built-in ones:", templateError);
+    });
+  }, [db]);
+
+  const openHistory = () => {
+    setImportError(null);
+    setHistoryNotice(null);
+    navigate('history');
+  };
+
+  // Reopen a saved session on the results stage. Sessions saved in Firestore get their own
+  // URL (/results/{sessionId}); pending and imported ones don't have one yet.
+  const openSession = useCallback((session, { sessionId = null, replace = false } = {}) => {
+    setHistoryNotice(null);
+    setSelectedTopic(session.topic);
+    setSelectedInstrumentId(session.instrumentId || null);
+    setNumQuestions(session.numQuestions);
+    setQuestions(session.questions);
+    setAdaptiveBank(null);
+    setAdaptiveAsked([]);
+    setUserAnswers(Object.fromEntries(session.answers.map((answer, index) => [index, answer])));
+    setTestScore(session.score || null);
+    setStabilityLevels(session.stabilityLevels || null);
+    setResultsSessionId(sessionId);
+    if (session.safety?.flagged) {
+      setAnalysisResult(null);
+      navigate('crisis', { replace });
+      return;
+    }
+    setAnalysisResult({ analysis: session.analysis, advice: session.advice });
+    setResultsDate(session.createdAt);
+    setResultsLanguage(session.language || null);
+    navigate('results', { sessionId, replace });
+  }, [navigate]);
+
   // Handle user answer selection
   const handleAnswerChange = (questionIndex, answer) => {
     setUserAnswers(prev => ({
@@ -429,70 +628,102 @@ function App() {
     }
   };
 
-  // Handle PDF download using html2canvas and jsPDF
-  const handleDownloadPdf = async () => {
-    // Ensure PDF libraries are loaded before attempting to use them
-    if (!pdfLibsLoaded || typeof window.html2canvas === 'undefined' || typeof window.jspdf === 'undefined' || typeof window.jspdf.jsPDF === 'undefined') {
-      setError(`PDF generation failed: Required libraries are not fully loaded. Please wait a moment or refresh.`);
-      console.error(`PDF generation failed: html2canvas or jspdf libraries are not loaded.`);
+  // Adaptive tests show one question at a time; the last entry of `questions` is the current one.
+  // Trait inventories stop once every subscale is stable, as they have no overall score.
+  const adaptiveSettings = selectedInstrumentId && getInstrument(selectedInstrumentId).scoring.composite === false
+    ? { ...ADAPTIVE_SETTINGS, perSubscale: true }
+    : ADAPTIVE_SETTINGS;
+  const adaptiveFinished = adaptiveBank !== null
+    && isAnswered(questions[questions.length - 1], userAnswers[questions.length - 1])
+    && nextAdaptiveQuestion(adaptiveBank, adaptiveAsked, userAnswers, adaptiveSettings) === null;
+
+  // Ask the next adaptive pick once the current question is answered, or finish the test
+  const advanceAdaptive = () => {
+    const current = questions.length - 1;
+    if (!isAnswered(questions[current], userAnswers[current])) {
+      setUnansweredQuestionIndices([current]);
+      setQuestionnaireError(t('questionnaire.answerToContinue'));
       return;
     }
-
-    const input = contentRef.current;
-    if (!input) {
-      console.error("Content reference not found for PDF generation.");
-      setError("Cannot generate PDF: Content not found.");
+    if (adaptiveFinished) {
+      analyzeResults();
       return;
     }
+    const next = nextAdaptiveQuestion(adaptiveBank, adaptiveAsked, userAnswers, adaptiveSettings);
+    setAdaptiveAsked(prev => [...prev, next]);
+    setQuestions(prev => [...prev, adaptiveBank[next]]);
+  };
 
-    // Temporarily adjust styling for PDF generation if needed (e.g., remove scrollbars)
-    const originalOverflow = document.body.style.overflow;
-    document.body.style.overflow = 'hidden';
+  // Score bands and stability levels come from fixed English vocabularies, so show them translated
+  const translateBand = (band) => (hasMessage(`bands.${band}`) ? t(`bands.${band}`) : band);
+  const translateStabilityLevel = (level) => {
+    const value = stabilityLevelToValue(level);
+    return language === 'en' || value === null ? level : t(`stabilityLevels.${value}`);
+  };
 
+  // The results on screen, in the same shape saveSession stores
+  const currentSession = () => ({
+    topic: selectedTopic,
+    instrumentId: selectedInstrumentId,
+    instrumentVersion: selectedInstrumentId ? getInstrument(selectedInstrumentId).version : null,
+    numQuestions,
+    questions,
+    answers: questions.map((_, index) => userAnswers[index]),
+    score: testScore,
+    analysis: analysisResult?.analysis,
+    advice: analysisResult?.advice,
+    stabilityLevels,
+    language: resultsLanguage,
+    createdAt: resultsDate || new Date()
+  });
+
+  // Build the results report as a vector PDF in the UI language and download it.
+  // The PDF library and the report font are only loaded once a report is requested.
+  const handleDownloadPdf = async () => {
     try {
-      // Access html2canvas and jsPDF from the global window object
-      const html2canvas = window.html2canvas;
-      const jsPDF = window.jspdf.jsPDF;
-
-      const canvas = await html2canvas(input, {
-        scale: 2, // Increase scale for better resolution
-        useCORS: true, // Required if content includes images from other origins
-        windowWidth: input.scrollWidth,
-        windowHeight: input.scrollHeight,
-      });
-
-      const imgData = canvas.toDataURL('image/png');
-      const pdf = new jsPDF('p', 'mm', 'a4');
-      const imgWidth = 210; // A4 width in mm
-      const pageHeight = 297; // A4 height in mm
-      const imgHeight = canvas.height * imgWidth / canvas.width;
-      let heightLeft = imgHeight;
-      let position = 0;
-
-      pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-      heightLeft -= pageHeight;
-
-      while (heightLeft >= 0) {
-        position = heightLeft - imgHeight;
-        pdf.addPage();
-        pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-        heightLeft -= pageHeight;
-      }
-
-      pdf.save(`${selectedTopic}_Test_Results.pdf`);
+      const session = currentSession();
+      const [{ buildReportPdf }, font] = await Promise.all([import('./report/pdfReport'), loadReportFont()]);
+      const doc = buildReportPdf({
+        ...session,
+        date: session.createdAt,
+        citation: session.instrumentId ? getInstrument(session.instrumentId).citation : null
+      }, { t, language, font, formatLevel: translateStabilityLevel, formatBand: translateBand });
+      doc.save(reportFileName(selectedTopic));
     } catch (pdfError) {
       console.error("Error generating PDF:", pdfError);
-      setError("Failed to generate PDF. Please try again.");
-    } finally {
-      // Restore original styling
-      document.body.style.overflow = originalOverflow;
+      setError(t('errors.pdf'));
+    }
+  };
+
+  const handleExport = (formatId) => {
+    const format = EXPORT_FORMATS[formatId];
+    try {
+      downloadTextFile(reportFileName(selectedTopic, format.extension), format.build(currentSession()), format.mimeType);
+    } catch (exportError) {
+      console.error(`Error exporting results as ${format.label}:`, exportError);
+      setError(t('errors.export', { format: format.label }));
+    }
+  };
+
+  // Show a previously exported JSON file on the results stage
+  const handleImportFile = async (file) => {
+    setImportError(null);
+    try {
+      openSession(parseSessionImport(await file.text()));
+    } catch (importFailure) {
+      console.error("Error importing results:", importFailure);
+      setImportError(importFailure.code ? t(`history.importErrors.${importFailure.code}`) : importFailure.message);
     }
   };
 
   // Function to reset state and go to topic selection
   const confirmExitTest = () => {
     setShowExitConfirmation(false);
-    setStage('topicSelection');
+    // The autosaved draft is kept, so offer it again on the topic selection stage
+    if (questions.length > 0) {
+      setPendingDraft(buildDraft({ uid: userId, topic: selectedTopic, instrumentId: selectedInstrumentId, numQuestions, questions, userAnswers, adaptive: adaptiveBank && { bank: adaptiveBank, asked: adaptiveAsked } }));
+    }
+    navigate('topicSelection');
     setSelectedTopic('');
     setQuestions([]);
     setUserAnswers({});
@@ -505,46 +736,182 @@ function App() {
     setError(null); // Clear any general errors
     setQuestionnaireError(null); // Clear any questionnaire errors
     setUnansweredQuestionIndices([]); // Clear highlights
+    setSelectedInstrumentId(null);
+    setAdaptiveBank(null);
+    setAdaptiveAsked([]);
+    setTestScore(null);
+    setActiveAssignment(null);
   };
 
-  // Initialize Firebase and dynamically load PDF libraries
+  // Look for an unfinished questionnaire once the user is known
   useEffect(() => {
-    // Function to load a script dynamically, returns a Promise
-    const loadScript = (src, id) => {
-      return new Promise((resolve, reject) => {
-        if (document.getElementById(id)) {
-          resolve();
-          return;
-        }
+    if (!userId) {
+      return;
+    }
+    loadLatestDraft(db, APP_ID_FOR_FIRESTORE, userId).then(draft => {
+      if (draft) {
+        setPendingDraft(draft);
+      }
+    });
+  }, [db, userId]);
 
-        const script = document.createElement('script');
-        script.src = src;
-        script.id = id;
-        script.onload = () => {
-          console.log(`${id} loaded successfully.`);
-          resolve();
-        };
-        script.onerror = () => {
-          console.error(`Failed to load ${id} from ${src}`);
-          reject(new Error(`Failed to load required library: ${id}. Please check your internet connection.`));
-        };
-        document.head.appendChild(script);
+  // Autosave the questionnaire as it is answered: immediately to localStorage,
+  // and to Firestore once the user pauses for a second
+  useEffect(() => {
+    if (stage !== 'questionnaire' || questions.length === 0 || !userId) {
+      return undefined;
+    }
+    const draft = buildDraft({ uid: userId, topic: selectedTopic, instrumentId: selectedInstrumentId, numQuestions, questions, userAnswers, adaptive: adaptiveBank && { bank: adaptiveBank, asked: adaptiveAsked } });
+    saveLocalDraft(APP_ID_FOR_FIRESTORE, draft);
+    if (!db) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      saveRemoteDraft(db, APP_ID_FOR_FIRESTORE, userId, draft).catch(draftError => {
+        console.warn("Could not save draft to Firestore:", draftError);
       });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [stage, questions, userAnswers, selectedTopic, selectedInstrumentId, numQuestions, adaptiveBank, adaptiveAsked, db, userId]);
+
+  // Tests practitioners assigned to this user, offered on the welcome stage
+  useEffect(() => {
+    if (!db || !userId || !online) {
+      return;
+    }
+    listOpenAssignments(db, APP_ID_FOR_FIRESTORE, userId)
+      .then(setOpenAssignments)
+      .catch(assignmentsError => console.warn("Could not load assigned tests:", assignmentsError));
+  }, [db, userId, online]);
+
+  // A /take/ link opens its assignment as soon as the user is signed in, skipping topic selection.
+  // The link's history entry becomes the start page, so Back doesn't open the link again.
+  useEffect(() => {
+    if (!db || !userId || !route.assignmentId) {
+      return;
+    }
+    setOpeningLink(true);
+    navigate('welcome', { replace: true });
+    openAssignmentLink(db, APP_ID_FOR_FIRESTORE, userId, route.assignmentId)
+      .then(assignment => startAssignmentRef.current(assignment))
+      .catch(openError => {
+        console.error("Error opening test link:", openError);
+        setLinkError(openError);
+      })
+      .finally(() => setOpeningLink(false));
+  }, [db, userId, route.assignmentId, navigate]);
+
+  // Load past sessions whenever the History stage is shown
+  useEffect(() => {
+    if (stage !== 'history') {
+      return undefined;
+    }
+    let cancelled = false;
+    const loadHistory = async () => {
+      setHistoryLoading(true);
+      try {
+        // Sessions taken offline show up (newest first) before they have synced
+        const pendingSessions = userId ? getPendingSessions(APP_ID_FOR_FIRESTORE, userId).reverse() : [];
+        const syncedSessions = db && userId && online ? await listSessions(db, APP_ID_FOR_FIRESTORE, userId) : [];
+        if (!cancelled) {
+          setHistorySessions([...pendingSessions, ...syncedSessions]);
+        }
+      } catch (historyError) {
+        console.error("Error loading session history:", historyError);
+        setError(t('errors.history', { message: historyError.message }));
+      } finally {
+        setHistoryLoading(false);
+      }
+    };
+    loadHistory();
+    return () => {
+      cancelled = true;
     };
+  }, [stage, db, userId, online, t]);
 
-    // Load both jsPDF and html2canvas dynamically
-    Promise.all([
-      loadScript("https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js", "jspdf-script"),
-      loadScript("https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js", "html2canvas-script")
-    ])
-    .then(() => {
-      setPdfLibsLoaded(true); // Mark all PDF libraries as loaded
-      console.log("All PDF libraries are ready.");
-    })
-    .catch(err => {
-      setError(err.message);
+  // /results/{sessionId} opened directly (reload, bookmark): load that session from Firestore
+  useEffect(() => {
+    if (stage !== 'results' || !route.sessionId || route.sessionId === resultsSessionId || !db || !userId) {
+      return;
+    }
+    getSession(db, APP_ID_FOR_FIRESTORE, userId, route.sessionId)
+      .then(session => {
+        if (session) {
+          openSession(session, { sessionId: session.id, replace: true });
+        } else {
+          // A stale or foreign link isn't an app failure: land on History and say so there
+          setHistoryNotice(t('errors.sessionNotFound'));
+          navigate('history', { replace: true });
+        }
+      })
+      .catch(sessionError => {
+        console.error("Error loading session:", sessionError);
+        setError(t('errors.history', { message: sessionError.message }));
+        navigate('history', { replace: true });
+      });
+  }, [stage, route.sessionId, resultsSessionId, db, userId, navigate, openSession, t]);
+
+  // Stages that need a test in progress (or an account) can't be restored from the URL alone,
+  // e.g. after a reload: go to the start instead, where an autosaved draft is offered
+  useEffect(() => {
+    const unavailable = (stage === 'questionnaire' && questions.length === 0)
+      || (stage === 'results' && !route.sessionId && !analysisResult)
+      || (stage === 'crisis' && !selectedTopic)
+      || (stage === 'workspace' && account?.isAnonymous)
+      || (stage === 'admin' && isAdmin === false);
+    if (unavailable) {
+      navigate('welcome', { replace: true });
+    }
+  }, [stage, route.sessionId, questions.length, analysisResult, selectedTopic, account, isAdmin, navigate]);
+
+  // Admin-curated topics and prompt templates apply from the first read; until then, and if
+  // they can't be read, the built-in ones do
+  useEffect(() => {
+    if (!db || !userId) {
+      return;
+    }
+    loadTopics(db, APP_ID_FOR_FIRESTORE).then(setTopics).catch(topicsError => {
+      console.warn("Could not load topics; using the built-in ones:", topicsError);
     });
+    reloadPromptTemplates();
+  }, [db, userId, reloadPromptTemplates]);
+
+  // Write what was queued offline once Firestore is reachable again
+  useEffect(() => {
+    if (!db || !userId) {
+      return;
+    }
+    setPendingSyncCount(getPendingWrites(APP_ID_FOR_FIRESTORE, userId).length);
+    if (!online) {
+      return;
+    }
+    flushSyncQueue(db, APP_ID_FOR_FIRESTORE, userId).then(synced => {
+      if (synced > 0) {
+        console.log(`Synced ${synced} offline change(s) to Firestore.`);
+      }
+      setPendingSyncCount(getPendingWrites(APP_ID_FOR_FIRESTORE, userId).length);
+    });
+  }, [db, userId, online]);
+
+  // Clear the finished test and go back to the welcome stage
+  const returnToStart = () => {
+    navigate('welcome');
+    setSelectedTopic('');
+    setQuestions([]);
+    setUserAnswers({});
+    setAnalysisResult(null);
+    setStabilityLevels(null);
+    setNumQuestions(5); // Reset to default
+    setSelectedInstrumentId(null);
+    setAdaptiveBank(null);
+    setAdaptiveAsked([]);
+    setTestScore(null);
+    setCustomTopic('');
+    setActiveAssignment(null);
+  };
 
+  // Initialize Firebase
+  useEffect(() => {
     // Firebase initialization
     try {
       // Check if firebaseConfig has an apiKey before initializing
@@ -562,6 +929,10 @@ function App() {
       const app = initializeApp(firebaseConfig);
       const authInstance = getAuth(app);
       const dbInstance = getFirestore(app);
+      if (USE_FIREBASE_EMULATORS) {
+        connectAuthEmulator(authInstance, 'http://127.0.0.1:9099', { disableWarnings: true });
+        connectFirestoreEmulator(dbInstance, '127.0.0.1', 8080);
+      }
 
       setFirebaseApp(app);
       setAuth(authInstance);
@@ -573,6 +944,8 @@ function App() {
           // User is signed in
           console.log("User signed in:", user.uid);
           setUserId(user.uid);
+          setAccount({ isAnonymous: user.isAnonymous, email: user.email, displayName: user.displayName });
+          checkAdmin(user);
         } else {
           // User is signed out, attempt anonymous sign-in if no custom token
           console.log("No user signed in. Attempting anonymous sign-in or custom token sign-in.");
@@ -610,40 +983,25 @@ function App() {
             <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
             <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
           </svg>
-          <p className="text-lg font-semibold">Initializing application...</p>
+          <p className="text-lg font-semibold">{t('app.initializing')}</p>
         </div>
       </div>
     );
   }
 
-  // Display a loading message for PDF libraries if they are not ready and not in a Firebase loading/error state
-  if (!pdfLibsLoaded && !loading && !error) {
-    return (
-      <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-100 to-indigo-200 text-gray-800">
-        <div className="text-center p-6 bg-white bg-opacity-80 rounded-xl shadow-lg animate-pulse">
-          <svg className="animate-spin h-8 w-8 text-blue-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-          </svg>
-          <p className="text-lg font-semibold">Loading PDF capabilities...</p>
-        </div>
-      </div>
-    );
-  }
-
-  // This block handles general application errors (e.g., Firebase init, PDF lib loading failure)
+  // This block handles general application errors (e.g., Firebase init)
   // It should NOT handle questionnaire validation errors.
   if (error && !aiLoading && stage !== 'questionnaire') {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-red-200 to-rose-300 text-red-800 p-4">
         <div className="text-center p-6 bg-white bg-opacity-80 rounded-xl shadow-lg">
-          <h2 className="text-2xl font-bold mb-4">Error</h2>
+          <h2 className="text-2xl font-bold mb-4">{t('app.errorTitle')}</h2>
           <p className="mb-6">{error}</p>
           <button
             onClick={() => window.location.reload()}
             className="px-6 py-3 bg-red-600 text-white font-semibold rounded-lg shadow-md hover:bg-red-700 transition duration-300 ease-in-out"
           >
-            Reload Application
+            {t('app.reload')}
           </button>
         </div>
       </div>
@@ -653,24 +1011,72 @@ function App() {
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-100 to-indigo-200 flex flex-col items-center justify-center p-4 font-sans text-gray-800">
       <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-3xl mx-auto my-8 flex flex-col items-center relative" ref={mainContentRef}>
+        <div className="w-full flex flex-wrap items-center justify-between gap-2 mb-2">
+          <div className="flex flex-wrap gap-2 text-sm" role="status">
+            {!online && (
+              <span className="px-3 py-1 bg-amber-100 text-amber-800 font-semibold rounded-full">{t('offline.badge')}</span>
+            )}
+            {pendingSyncCount > 0 && (
+              <span className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full">{t('offline.pendingSync', { count: pendingSyncCount })}</span>
+            )}
+          </div>
+          <LanguageSwitcher />
+        </div>
         <h1 className="text-4xl font-extrabold text-center text-blue-800 mb-6">
-          PsychoAI Test
+          {t('app.title')}
         </h1>
 
-        {userId && (
-          <p className="text-sm text-gray-500 mb-4">
-            Your User ID: <span className="font-mono text-blue-600 break-all">{userId}</span>
-          </p>
+        {userId && account && (
+          <div className="text-sm text-gray-500 mb-4 flex flex-wrap items-center justify-center gap-2">
+            {account.isAnonymous ? (
+              <span>{t('app.guestSession')} <span className="font-mono text-blue-600 break-all">{userId}</span></span>
+            ) : (
+              <span>{t('app.signedInAs')} <span className="font-semibold text-blue-600">{account.displayName || account.email}</span></span>
+            )}
+            {(stage === 'welcome' || stage === 'topicSelection' || stage === 'history') && (
+              <button onClick={() => navigate('profile')} className="text-blue-600 font-semibold hover:underline">
+                {account.isAnonymous ? t('app.signInOrCreate') : t('app.profile')}
+              </button>
+            )}
+            {!account.isAnonymous && (stage === 'welcome' || stage === 'topicSelection' || stage === 'history') && (
+              <button onClick={() => navigate('workspace')} className="text-blue-600 font-semibold hover:underline">
+                {t('app.workspace')}
+              </button>
+            )}
+            {isAdmin && (stage === 'welcome' || stage === 'topicSelection' || stage === 'history') && (
+              <button onClick={() => navigate('admin')} className="text-blue-600 font-semibold hover:underline">
+                {t('app.admin')}
+              </button>
+            )}
+          </div>
         )}
 
         {aiLoading && (
           <div className="absolute inset-0 bg-white bg-opacity-80 flex items-center justify-center rounded-xl z-10 transition-opacity duration-300">
-            <div className="text-center" ref={aiLoadingRef}>
+            <div className="text-center max-h-full overflow-y-auto p-6" ref={aiLoadingRef}>
               <svg className="animate-spin h-10 w-10 text-blue-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-          </svg>
-          <p className="text-lg font-semibold text-blue-700">AI is thinking...</p>
+              </svg>
+              <p className="text-lg font-semibold text-blue-700">{t('app.aiThinking')}</p>
+              {streamedAnalysis?.analysis && (
+                <div className="max-w-xl mt-4 text-start text-gray-700 whitespace-pre-line" aria-live="polite">
+                  <h3 className="font-semibold text-blue-800">{t('results.analysis')}</h3>
+                  <p>{streamedAnalysis.analysis}</p>
+                  {streamedAnalysis.advice && (
+                    <>
+                      <h3 className="font-semibold text-blue-800 mt-3">{t('results.advice')}</h3>
+                      <p>{streamedAnalysis.advice}</p>
+                    </>
+                  )}
+                </div>
+              )}
+              <button
+                onClick={cancelAiRequest}
+                className="mt-6 px-6 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+              >
+                {t('app.cancel')}
+              </button>
             </div>
           </div>
         )}
@@ -678,98 +1084,270 @@ function App() {
         {showExitConfirmation && (
           <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-50 transition-opacity duration-300">
             <div className="bg-white p-8 rounded-lg shadow-xl text-center max-w-sm mx-auto animate-fade-in">
-              <h3 className="text-xl font-bold text-gray-800 mb-4">Confirm Exit</h3>
-              <p className="text-gray-700 mb-6">
-                Are you sure you want to exit the test? Your current progress will not be saved,
-                and new questions will be generated if you start a new test.
-              </p>
+              <h3 className="text-xl font-bold text-gray-800 mb-4">{t('exit.title')}</h3>
+              <p className="text-gray-700 mb-6">{t('exit.body')}</p>
               <div className="flex justify-center gap-4">
                 <button
                   onClick={() => setShowExitConfirmation(false)}
                   className="px-6 py-3 bg-gray-300 text-gray-800 font-semibold rounded-lg shadow-md hover:bg-gray-400 transition duration-300 ease-in-out"
                 >
-                  Cancel
+                  {t('exit.cancel')}
                 </button>
                 <button
                   onClick={confirmExitTest}
                   className="px-6 py-3 bg-red-500 text-white font-semibold rounded-lg shadow-md hover:bg-red-600 transition duration-300 ease-in-out"
                 >
-                  Exit Test
+                  {t('exit.confirm')}
                 </button>
               </div>
             </div>
           </div>
         )}
 
+        {pendingDraft && (stage === 'welcome' || stage === 'topicSelection') && (
+          <div className="w-full bg-amber-50 border border-amber-300 rounded-lg p-4 mb-6 flex flex-col sm:flex-row items-center justify-between gap-4 animate-fade-in">
+            <p className="text-gray-800">
+              <span className="font-semibold">{t('draft.prompt')}</span>{' '}
+              {t('draft.progress', { topic: pendingDraft.topic, answered: countDraftAnswers(pendingDraft), total: pendingDraft.questions.length })}
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={resumeDraft}
+                className="px-4 py-2 bg-amber-500 text-white font-semibold rounded-lg shadow-md hover:bg-amber-600 transition duration-300 ease-in-out"
+              >
+                {t('draft.resume')}
+              </button>
+              <button
+                onClick={discardDraft}
+                className="px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+              >
+                {t('draft.discard')}
+              </button>
+            </div>
+          </div>
+        )}
+
         {stage === 'welcome' && (
           <div className="text-center transition-opacity duration-500 ease-in-out">
-            <p className="text-lg text-gray-700 mb-8">
-              Welcome to PsychoAI Test, your personal psychological assessment tool.
-              Select a topic to begin your AI-powered questionnaire.
-            </p>
-            <button
-              onClick={() => setStage('topicSelection')}
-              className="px-8 py-4 bg-blue-600 text-white font-bold rounded-lg shadow-lg hover:bg-blue-700 transform hover:scale-105 transition duration-300 ease-in-out"
-            >
-              Start New Test
-            </button>
+            <p className="text-lg text-gray-700 mb-8">{t('welcome.intro')}</p>
+            {(openingLink || route.assignmentId) && <p className="text-gray-600 mb-8">{t('assignments.opening')}</p>}
+            {linkError && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-8 text-start" role="alert">{describeWorkspaceError(linkError, t)}</div>
+            )}
+            {openAssignments.length > 0 && (
+              <div className="mb-8 text-start">
+                <h3 className="text-xl font-bold text-gray-700 mb-4">{t('assignments.title')}</h3>
+                <ul className="space-y-3">
+                  {openAssignments.map(assignment => (
+                    <li key={assignment.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 bg-indigo-50 border border-indigo-200 rounded-lg">
+                      <span>
+                        <span className="block font-medium text-indigo-800">{assignment.topic}</span>
+                        <span className="block text-sm text-gray-600">{t('assignments.from', { name: assignment.createdByName })}</span>
+                        {assignment.message && <span className="block text-sm text-gray-700 mt-1 whitespace-pre-wrap">{assignment.message}</span>}
+                      </span>
+                      <button
+                        onClick={() => startAssignment(assignment)}
+                        className="px-6 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-300 ease-in-out"
+                      >
+                        {t('assignments.start')}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div className="flex flex-col sm:flex-row justify-center gap-4">
+              <button
+                onClick={() => navigate('topicSelection')}
+                className="px-8 py-4 bg-blue-600 text-white font-bold rounded-lg shadow-lg hover:bg-blue-700 transform hover:scale-105 transition duration-300 ease-in-out"
+              >
+                {t('welcome.start')}
+              </button>
+              <button
+                onClick={openHistory}
+                className="px-8 py-4 bg-indigo-100 text-indigo-800 font-bold rounded-lg shadow-lg hover:bg-indigo-200 transform hover:scale-105 transition duration-300 ease-in-out"
+              >
+                {t('welcome.history')}
+              </button>
+            </div>
           </div>
         )}
 
+        {stage === 'profile' && (
+          <ProfileView
+            auth={auth}
+            db={db}
+            appId={APP_ID_FOR_FIRESTORE}
+            onAccountChange={refreshAccount}
+            onBack={() => navigate('welcome')}
+          />
+        )}
+
+        {stage === 'workspace' && auth?.currentUser && (
+          <WorkspaceView
+            db={db}
+            appId={APP_ID_FOR_FIRESTORE}
+            user={auth.currentUser}
+            onBack={() => navigate('welcome')}
+          />
+        )}
+
+        {stage === 'admin' && isAdmin && (
+          <AdminView
+            db={db}
+            appId={APP_ID_FOR_FIRESTORE}
+            user={auth.currentUser}
+            topics={topics}
+            onTopicsChange={setTopics}
+            onPromptTemplatesChange={reloadPromptTemplates}
+            onBack={() => navigate('welcome')}
+          />
+        )}
+
+        {stage === 'crisis' && (
+          <CrisisScreen onDone={returnToStart} />
+        )}
+
+        {stage === 'history' && (
+          <HistoryView
+            sessions={historySessions}
+            loading={historyLoading}
+            onOpenSession={(session) => openSession(session, { sessionId: session.pending ? null : session.id })}
+            onImportFile={handleImportFile}
+            importError={importError}
+            notice={historyNotice}
+            onBack={() => navigate('welcome')}
+          />
+        )}
+
         {stage === 'topicSelection' && (
           <div className="w-full transition-opacity duration-500 ease-in-out">
             <h2 className="text-2xl font-bold text-center text-blue-700 mb-6">
-              Choose a Test Topic
+              {t('topics.title')}
             </h2>
 
             <div className="mb-6">
               <h3 className="text-xl font-bold text-center text-gray-700 mb-4">
-                Number of Questions:
+                {t('topics.numQuestions')}
               </h3>
-              <div className="flex justify-center gap-4">
-                <label className="inline-flex items-center cursor-pointer">
-                  <input
-                    type="radio"
-                    name="numQuestions"
-                    value="5"
-                    checked={numQuestions === 5}
-                    onChange={() => setNumQuestions(5)}
-                    className="form-radio h-5 w-5 text-blue-600 focus:ring-blue-500"
-                  />
-                  <span className="ml-2 text-gray-700">5 Questions (Normal Analysis)</span>
-                </label>
-                <label className="inline-flex items-center cursor-pointer">
-                  <input
-                    type="radio"
-                    name="numQuestions"
-                    value="15"
-                    checked={numQuestions === 15}
-                    onChange={() => setNumQuestions(15)}
-                    className="form-radio h-5 w-5 text-blue-600 focus:ring-blue-500"
-                  />
-                  <span className="ml-2 text-gray-700">15 Questions (Deep Analysis)</span>
-                </label>
+              <div className="flex items-center justify-center gap-4">
+                <input
+                  type="range"
+                  name="numQuestions"
+                  min={QUESTION_COUNT_RANGE.min}
+                  max={QUESTION_COUNT_RANGE.max}
+                  value={numQuestions}
+                  onChange={(e) => setNumQuestions(Number(e.target.value))}
+                  aria-label={t('topics.numQuestions')}
+                  className="w-64 accent-blue-600"
+                />
+                <span className="w-32 font-semibold text-gray-700">{t('topics.lengthValue', { count: numQuestions })}</span>
               </div>
+              <p className="text-sm text-gray-500 text-center mt-1">{t('topics.lengthHint')}</p>
+              <div className="flex flex-wrap items-center justify-center gap-2 mt-4">
+                <label htmlFor="answer-format" className="font-semibold text-gray-700">{t('topics.answerFormat')}</label>
+                <select
+                  id="answer-format"
+                  value={answerFormat}
+                  onChange={(e) => setAnswerFormat(e.target.value)}
+                  className="p-2 border border-gray-300 rounded-lg bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                >
+                  {Object.keys(ANSWER_FORMATS).map((format) => (
+                    <option key={format} value={format}>{t(`formats.${format}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-start justify-center gap-2 mt-4 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={adaptiveMode}
+                  onChange={(e) => setAdaptiveMode(e.target.checked)}
+                  className="form-checkbox h-5 w-5 mt-0.5 text-blue-600 focus:ring-blue-500"
+                />
+                <span className="text-gray-700">
+                  <span className="font-medium">{t('topics.adaptive')}</span>
+                  <span className="block text-sm text-gray-500">{t('topics.adaptiveDescription')}</span>
+                </span>
+              </label>
             </div>
 
+            {!online && (
+              <p className="bg-amber-50 border border-amber-300 text-amber-800 rounded-lg p-3 mb-4 text-center">{t('offline.topicsNote')}</p>
+            )}
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-              {psychologicalTopics.map((topic, index) => (
-                <button
-                  key={index}
-                  onClick={() => {
-                    setSelectedTopic(topic);
-                    generateQuestions(topic);
-                  }}
-                  className="p-4 bg-blue-50 border border-blue-200 rounded-lg text-lg font-medium text-blue-800 hover:bg-blue-100 hover:shadow-md transition duration-200 ease-in-out transform hover:scale-105"
-                >
-                  {topic}
-                </button>
-              ))}
+              {topics.map((topicEntry) => {
+                const topic = topicLabel(topicEntry, t);
+                return (
+                  <button
+                    key={topicEntry.id}
+                    onClick={() => {
+                      setSelectedTopic(topic);
+                      generateQuestions(topic, { topicId: topicEntry.id });
+                    }}
+                    disabled={!online}
+                    className={`p-4 bg-blue-50 border border-blue-200 rounded-lg text-lg font-medium text-blue-800 hover:bg-blue-100 hover:shadow-md transition duration-200 ease-in-out transform hover:scale-105
+                      ${online ? '' : 'opacity-50 cursor-not-allowed'}`}
+                  >
+                    {topic}
+                    {topicEntry.description && (
+                      <span className="block text-sm font-normal text-gray-600 mt-1">{topicEntry.description}</span>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+
+            <div className="mb-6">
+              <h3 className="text-xl font-bold text-center text-gray-700 mb-2">
+                {t('topics.validatedTitle')}
+              </h3>
+              <p className="text-sm text-gray-500 text-center mb-4">
+                {t('topics.validatedDescription')}
+                {language !== 'en' && <span className="block mt-1">{t('topics.englishOnly')}</span>}
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {instruments.map((instrument) => (
+                  <button
+                    key={instrument.id}
+                    onClick={() => startInstrument(instrument)}
+                    lang="en"
+                    className="p-4 bg-indigo-50 border border-indigo-200 rounded-lg text-start hover:bg-indigo-100 hover:shadow-md transition duration-200 ease-in-out transform hover:scale-105"
+                  >
+                    <span className="block text-lg font-medium text-indigo-800">{instrument.name}</span>
+                    <span className="block text-sm text-gray-600">{instrument.description}</span>
+                  </button>
+                ))}
+              </div>
             </div>
 
+            {savedQuestionSets.length > 0 && (
+              <div className="mb-6">
+                <h3 className="text-xl font-bold text-center text-gray-700 mb-2">
+                  {t('offline.savedSetsTitle')}
+                </h3>
+                <p className="text-sm text-gray-500 text-center mb-4">{t('offline.savedSetsDescription')}</p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {savedQuestionSets.map((questionSet) => (
+                    <button
+                      key={`${questionSet.topic}-${questionSet.format}-${questionSet.language}`}
+                      onClick={() => startQuestionSet(questionSet)}
+                      lang={questionSet.language}
+                      className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-start hover:bg-gray-100 hover:shadow-md transition duration-200 ease-in-out transform hover:scale-105"
+                    >
+                      <span className="block text-lg font-medium text-gray-800">{questionSet.topic}</span>
+                      <span className="block text-sm text-gray-600">
+                        {t('topics.lengthValue', { count: questionSet.questions.length })} · {t(`formats.${questionSet.format}`)}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="mt-8 pt-6 border-t border-gray-200">
               <h3 className="text-xl font-bold text-center text-gray-700 mb-4">
-                Or Enter Your Own Topic
+                {t('topics.customTitle')}
               </h3>
               <input
                 type="text"
@@ -778,7 +1356,8 @@ function App() {
                   setCustomTopic(e.target.value);
                   setShowTopicWarning(false); // Hide warning when user types
                 }}
-                placeholder="e.g., 'Work-Life Balance', 'Social Anxiety'"
+                placeholder={t('topics.customPlaceholder')}
+                maxLength={MAX_TOPIC_LENGTH}
                 className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 mb-4 text-gray-800"
               />
               {showTopicWarning && (
@@ -788,19 +1367,19 @@ function App() {
               )}
               <button
                 onClick={validateCustomTopic}
-                disabled={aiLoading}
+                disabled={aiLoading || !online}
                 className={`w-full px-6 py-3 bg-teal-600 text-white font-bold rounded-lg shadow-md hover:bg-teal-700 transform hover:scale-105 transition duration-300 ease-in-out
-                  ${aiLoading ? 'opacity-50 cursor-not-allowed' : ''}`}
+                  ${aiLoading || !online ? 'opacity-50 cursor-not-allowed' : ''}`}
               >
-                {aiLoading ? 'Validating Topic...' : 'Generate Custom Test'}
+                {aiLoading ? t('topics.validating') : t('topics.generateCustom')}
               </button>
             </div>
 
             <button
-              onClick={() => setStage('welcome')}
+              onClick={() => navigate('welcome')}
               className="mt-8 px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
             >
-              Back
+              {t('app.back')}
             </button>
           </div>
         )}
@@ -811,16 +1390,23 @@ function App() {
               {selectedTopic}
             </h2>
             <p className="text-md text-gray-600 text-center mb-6">
-              Please answer the following questions honestly.
+              {selectedInstrumentId
+                ? getInstrument(selectedInstrumentId).instructions
+                : t('questionnaire.instructions')}
             </p>
+            {adaptiveBank && (
+              <p className="text-sm text-gray-500 text-center mb-4">
+                {t('questionnaire.adaptiveProgress', { current: questions.length, max: adaptiveBank.length })}
+              </p>
+            )}
             {questionnaireError && ( // Display questionnaire specific error here
               <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">
-                <strong className="font-bold">Warning!</strong>
+                <strong className="font-bold">{t('questionnaire.warning')}</strong>
                 <span className="block sm:inline"> {questionnaireError}</span>
               </div>
             )}
-            <div className="space-y-8">
-              {questions.map((q, qIndex) => (
+            <div className="space-y-8" lang={selectedInstrumentId ? 'en' : undefined}>
+              {questions.map((q, qIndex) => (adaptiveBank && qIndex !== questions.length - 1 ? null : (
                 <div
                   key={qIndex}
                   className={`p-6 rounded-lg shadow-md border animate-fade-in-up
@@ -832,120 +1418,159 @@ function App() {
                   <p className="text-lg font-semibold text-gray-800 mb-4">
                     {qIndex + 1}. {q.question}
                   </p>
-                  <div className="flex flex-col space-y-3">
-                    {q.options.map((option, oIndex) => (
-                      <label key={oIndex} className="inline-flex items-center cursor-pointer">
-                        <input
-                          type="radio"
-                          name={`question-${qIndex}`}
-                          value={option}
-                          checked={userAnswers[qIndex] === option}
-                          onChange={() => handleAnswerChange(qIndex, option)}
-                          className="form-radio h-5 w-5 text-blue-600 border-gray-300 focus:ring-blue-500 rounded-full"
-                        />
-                        <span className="ml-3 text-gray-700 text-base">{option}</span>
-                      </label>
-                    ))}
-                  </div>
+                  <AnswerInput
+                    question={q}
+                    questionIndex={qIndex}
+                    answer={userAnswers[qIndex]}
+                    onChange={(answer) => handleAnswerChange(qIndex, answer)}
+                  />
                 </div>
-              ))}
+              )))}
             </div>
             <div className="flex justify-between mt-8">
               <button
                 onClick={() => setShowExitConfirmation(true)}
                 className="px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
               >
-                Back to Topics
+                {t('questionnaire.backToTopics')}
               </button>
               <button
-                onClick={analyzeResults}
+                onClick={adaptiveBank ? advanceAdaptive : analyzeResults}
                 disabled={aiLoading} // Disable only when AI is loading
                 className={`px-8 py-4 bg-green-600 text-white font-bold rounded-lg shadow-lg hover:bg-green-700 transform hover:scale-105 transition duration-300 ease-in-out
                   ${aiLoading ? 'opacity-50 cursor-not-allowed' : ''}`}
               >
-                {aiLoading ? 'Analyzing...' : 'Get Results'}
+                {aiLoading
+                  ? t('questionnaire.analyzing')
+                  : (adaptiveBank && !adaptiveFinished ? t('questionnaire.next') : t('questionnaire.getResults'))}
               </button>
             </div>
           </div>
         )}
 
         {stage === 'results' && analysisResult && (
-          <div className="w-full transition-opacity duration-500 ease-in-out" ref={contentRef}>
+          <div className="w-full transition-opacity duration-500 ease-in-out">
             <h2 className="text-3xl font-bold text-center text-blue-700 mb-6">
-              Your Test Results for: <br /> "{selectedTopic}"
+              {t('results.title')} <br /> "{selectedTopic}"
             </h2>
 
             <div className="bg-blue-50 p-6 rounded-lg shadow-md border border-blue-200 mb-8 animate-fade-in-up">
-              <h3 className="text-xl font-semibold text-blue-800 mb-4">Your Answers:</h3>
+              <h3 className="text-xl font-semibold text-blue-800 mb-4">{t('results.answers')}</h3>
               <ul className="list-disc list-inside space-y-2 text-gray-700">
                 {questions.map((q, qIndex) => (
                   <li key={qIndex}>
-                    <span className="font-medium">{q.question}</span>: {userAnswers[qIndex]}
+                    <span className="font-medium">{q.question}</span>: {userAnswers[qIndex]}{q.type === 'slider' && ` / ${SLIDER_RANGE.max}`}
                   </li>
                 ))}
               </ul>
             </div>
 
+            {testScore && (
+              <div className="bg-indigo-50 p-6 rounded-lg shadow-md border border-indigo-200 mb-8 animate-fade-in-up">
+                <h3 className="text-xl font-semibold text-indigo-800 mb-4">{t('results.score')}</h3>
+                {/* Trait inventories report their subscales only */}
+                {hasCompositeScore(testScore) && (
+                  <>
+                    <p className="text-3xl font-bold text-indigo-700 text-center">
+                      {testScore.total} <span className="text-lg font-medium text-gray-500">/ {testScore.max}</span>
+                    </p>
+                    <p className="text-center text-sm text-gray-500">{t('results.normalized', { value: testScore.normalized })}</p>
+                  </>
+                )}
+                {testScore.band && (
+                  <p className="text-center text-gray-700 mt-2">{translateBand(testScore.band)}</p>
+                )}
+                {testScore.subscales.length > 0 && (
+                  <ul className="mt-4 space-y-1 text-gray-700">
+                    {testScore.subscales.map((subscale) => (
+                      <li key={subscale.id} className="flex justify-between">
+                        <span>{subscale.label}</span>
+                        <span className="font-medium">{subscale.total} / {subscale.max}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {testScore.adaptive && (
+                  <p className="text-sm text-gray-500 mt-4">
+                    {t('results.adaptiveNote', { asked: testScore.adaptive.itemsAsked, total: testScore.adaptive.bankSize })}
+                  </p>
+                )}
+                {testScore.instrumentId && (
+                  <p className="text-xs text-gray-500 mt-4">{getInstrument(testScore.instrumentId).citation}</p>
+                )}
+              </div>
+            )}
+
             {stabilityLevels && (
               <div className="bg-yellow-50 p-6 rounded-lg shadow-md border border-yellow-200 mb-8 animate-fade-in-up delay-100">
-                <h3 className="text-xl font-semibold text-yellow-800 mb-4">Stability Check:</h3>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
-                  {Object.entries(stabilityLevels).map(([key, value]) => (
-                    <div key={key} className="p-3 bg-yellow-100 rounded-lg">
-                      <p className="text-4xl mb-2">{value.emoji}</p>
-                      <p className="font-semibold text-gray-800">{key.charAt(0).toUpperCase() + key.slice(1)}</p>
-                      <p className="text-sm text-gray-600">{value.level}</p>
-                    </div>
-                  ))}
-                </div>
+                <h3 className="text-xl font-semibold text-yellow-800 mb-4">{t('results.stability')}</h3>
+                <StabilityBreakdown
+                  stabilityLevels={stabilityLevels}
+                  questions={questions}
+                  answers={questions.map((_, index) => userAnswers[index])}
+                  translateLevel={translateStabilityLevel}
+                />
               </div>
             )}
 
-            <div className="bg-green-50 p-6 rounded-lg shadow-md border border-green-200 mb-8 animate-fade-in-up delay-200">
-              <h3 className="text-xl font-semibold text-green-800 mb-4">AI Analysis:</h3>
-              <p className="text-gray-800 leading-relaxed whitespace-pre-wrap">{analysisResult.analysis}</p>
-            </div>
+            {analysisResult.analysis ? (
+              <>
+                <div className="bg-green-50 p-6 rounded-lg shadow-md border border-green-200 mb-8 animate-fade-in-up delay-200">
+                  <h3 className="text-xl font-semibold text-green-800 mb-4">{t('results.analysis')}</h3>
+                  <p className="text-gray-800 leading-relaxed whitespace-pre-wrap">{analysisResult.analysis}</p>
+                </div>
 
-            <div className="bg-teal-50 p-6 rounded-lg shadow-md border border-teal-200 mb-8 animate-fade-in-up delay-300">
-              <h3 className="text-xl font-semibold text-teal-800 mb-4">Actionable Advice:</h3>
-              <p className="text-gray-800 leading-relaxed whitespace-pre-wrap">{analysisResult.advice}</p>
-            </div>
+                <div className="bg-teal-50 p-6 rounded-lg shadow-md border border-teal-200 mb-8 animate-fade-in-up delay-300">
+                  <h3 className="text-xl font-semibold text-teal-800 mb-4">{t('results.advice')}</h3>
+                  <p className="text-gray-800 leading-relaxed whitespace-pre-wrap">{analysisResult.advice}</p>
+                </div>
+              </>
+            ) : (
+              // Tests finished offline are scored locally but have no AI analysis
+              <p className="bg-amber-50 border border-amber-300 text-amber-800 rounded-lg p-4 mb-8 text-center">{t('offline.noAnalysis')}</p>
+            )}
 
             <p className="text-sm text-gray-500 text-center mt-8 mb-4">
-              <span className="font-bold">Disclaimer:</span> This AI analysis is for informational purposes only and should not be considered a substitute for professional psychological evaluation or advice. If you have concerns about your mental health, please consult a qualified healthcare professional.
+              <span className="font-bold">{t('results.disclaimerLabel')}</span> {t('results.disclaimer')}
             </p>
 
             <div className="flex flex-col sm:flex-row justify-center gap-4 mt-8">
               <button
                 onClick={handleDownloadPdf}
-                disabled={!pdfLibsLoaded}
-                className={`px-8 py-4 bg-red-500 text-white font-bold rounded-lg shadow-lg hover:bg-red-600 transform hover:scale-105 transition duration-300 ease-in-out
-                  ${!pdfLibsLoaded ? 'opacity-50 cursor-not-allowed' : ''}`}
+                className="px-8 py-4 bg-red-500 text-white font-bold rounded-lg shadow-lg hover:bg-red-600 transform hover:scale-105 transition duration-300 ease-in-out"
               >
-                {pdfLibsLoaded ? 'Download Results (PDF)' : 'Loading PDF...'}
+                {t('results.downloadPdf')}
               </button>
               <button
-                onClick={() => {
-                  setStage('welcome');
-                  setSelectedTopic('');
-                  setQuestions([]);
-                  setUserAnswers({});
-                  setAnalysisResult(null);
-                  setStabilityLevels(null);
-                  setNumQuestions(5); // Reset to default
-                }}
+                onClick={returnToStart}
                 className="px-8 py-4 bg-blue-600 text-white font-bold rounded-lg shadow-lg hover:bg-blue-700 transform hover:scale-105 transition duration-300 ease-in-out"
               >
-                Start New Test
+                {t('welcome.start')}
+              </button>
+              <button
+                onClick={openHistory}
+                className="px-8 py-4 bg-indigo-100 text-indigo-800 font-bold rounded-lg shadow-lg hover:bg-indigo-200 transform hover:scale-105 transition duration-300 ease-in-out"
+              >
+                {t('welcome.history')}
               </button>
             </div>
 
+            <div className="flex flex-wrap justify-center items-center gap-2 mt-4 text-sm">
+              <span className="text-gray-600">{t('results.exportData')}</span>
+              {Object.entries(EXPORT_FORMATS).map(([formatId, format]) => (
+                <button
+                  key={formatId}
+                  onClick={() => handleExport(formatId)}
+                  className="px-3 py-1 bg-gray-100 text-gray-700 font-semibold rounded-md border border-gray-300 hover:bg-gray-200 transition duration-200 ease-in-out"
+                >
+                  {format.label}
+                </button>
+              ))}
+            </div>
+
             <div className="mt-10 pt-6 border-t border-gray-200 text-sm text-gray-600 text-center">
-              <h3 className="text-lg font-semibold text-gray-700 mb-2">References:</h3>
-              <p className="text-gray-500">
-                Note: The AI generates content based on its extensive training data and cannot provide specific, real-time citations from external websites for the generated questions or analysis.
-                For a comprehensive psychological test requiring verifiable sources, a curated list of trusted, peer-reviewed research and psychological organizations would need to be managed and linked directly by the application's developers.
-              </p>
+              <h3 className="text-lg font-semibold text-gray-700 mb-2">{t('results.referencesTitle')}</h3>
+              <p className="text-gray-500">{t('results.referencesNote')}</p>
               {/* You can add static links to general reputable psychology resources here if desired */}
               {/* <ul className="mt-4 list-disc list-inside text-left mx-auto max-w-md">
                 <li><a href="https://www.apa.org/" target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">American Psychological Association (APA)</a></li>
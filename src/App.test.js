@@ -1,8 +1,47 @@
 import { render, screen } from '@testing-library/react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { getDoc, getDocs, getFirestore } from 'firebase/firestore';
 import App from './App';
+import { I18nProvider } from './i18n/I18nContext';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('firebase/app');
+jest.mock('firebase/auth');
+jest.mock('firebase/firestore');
+
+const guest = { uid: 'guest-uid', isAnonymous: true, getIdTokenResult: async () => ({ claims: {} }) };
+
+beforeEach(() => {
+  onAuthStateChanged.mockImplementation((auth, callback) => {
+    callback(guest);
+    return () => {};
+  });
+});
+
+test('signs in and opens on the welcome screen', async () => {
+  render(
+    <I18nProvider>
+      <App />
+    </I18nProvider>
+  );
+
+  expect(await screen.findByRole('button', { name: 'Start New Test' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'View History' })).toBeInTheDocument();
+});
+
+test('a results link to a missing session opens History with a notice', async () => {
+  window.history.pushState({}, '', '/results/missing');
+  getFirestore.mockReturnValue({});
+  getDoc.mockResolvedValue({ exists: () => false });
+  getDocs.mockResolvedValue({ docs: [] });
+  render(
+    <I18nProvider>
+      <App />
+    </I18nProvider>
+  );
+
+  expect(await screen.findByText(/That result couldn't be found/)).toHaveAttribute('role', 'status');
+  expect(screen.getByRole('heading', { name: 'Your Test History' })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Reload Application' })).not.toBeInTheDocument();
+  expect(window.location.pathname).toBe('/history');
+  window.history.pushState({}, '', '/');
 });
@@ -0,0 +1,86 @@
+import { nextAdaptiveQuestion, estimateScore, scoreAdaptive, ADAPTIVE_SETTINGS } from './index';
+import { getInstrument, instrumentToQuestions } from '../instruments';
+
+const LIKERT = ['Strongly Disagree', 'Disagree', 'Agree', 'Strongly Agree'];
+
+const bank = [
+  { question: 'I feel tense.', options: LIKERT, subscale: 'Body' },
+  { question: 'My shoulders ache.', options: LIKERT, subscale: 'Body' },
+  { question: 'I sleep well.', options: LIKERT, reverse: true, subscale: 'Body' },
+  { question: 'I worry a lot.', options: LIKERT, subscale: 'Mind' },
+  { question: 'I stay calm.', options: LIKERT, reverse: true, subscale: 'Mind' },
+  { question: 'My thoughts race.', options: LIKERT, subscale: 'Mind' },
+  { question: 'I feel on edge.', options: LIKERT, subscale: 'Mind' },
+  { question: 'I relax easily.', options: LIKERT, reverse: true, subscale: 'Body' }
+];
+
+// Runs a whole test, answering every question through `answerFor(question)`
+const runTest = (questions, answerFor) => {
+  const asked = [];
+  const answers = {};
+  let next = nextAdaptiveQuestion(questions, asked, answers);
+  while (next !== null) {
+    answers[asked.length] = answerFor(questions[next]);
+    asked.push(next);
+    next = nextAdaptiveQuestion(questions, asked, answers);
+  }
+  return { asked, answers };
+};
+
+test('covers each subscale and alternates keying before repeating one', () => {
+  expect(nextAdaptiveQuestion(bank, [], {})).toBe(0);
+  expect(nextAdaptiveQuestion(bank, [0], { 0: 'Agree' })).toBe(3);
+  // Back in Body after a forward keyed item, a reverse keyed one comes next
+  expect(nextAdaptiveQuestion(bank, [0, 3], { 0: 'Agree', 1: 'Strongly Agree' })).toBe(2);
+});
+
+test('stops early when answers agree and asks more when they do not', () => {
+  const consistent = runTest(bank, question => (question.reverse ? 'Strongly Disagree' : 'Strongly Agree'));
+  const mixed = runTest(bank, question => (question.question.length % 2 ? 'Strongly Agree' : 'Strongly Disagree'));
+
+  expect(consistent.asked).toHaveLength(4);
+  expect(mixed.asked.length).toBeGreaterThan(consistent.asked.length);
+  expect(estimateScore(bank, consistent.asked, consistent.answers).mean).toBe(1);
+});
+
+test('asks risk items before stopping', () => {
+  const phq9 = instrumentToQuestions(getInstrument('phq-9'));
+  const { asked } = runTest(phq9, () => 'Not at all');
+
+  expect(asked.length).toBeLessThan(phq9.length);
+  expect(asked[asked.length - 1]).toBe(8);
+});
+
+test('projects instrument scores onto the full-length total', () => {
+  const instrument = getInstrument('gad-7');
+  const questions = instrumentToQuestions(instrument);
+  const score = scoreAdaptive(questions, [0, 1, 2, 3], { 0: 'Several days', 1: 'Several days', 2: 'Several days', 3: 'Several days' }, {
+    bands: instrument.scoring.bands
+  });
+
+  expect(score).toMatchObject({ total: 7, min: 0, max: 21, normalized: 33, adaptive: { itemsAsked: 4, bankSize: 7 } });
+  expect(score.band).toBe(instrument.scoring.bands.find(band => band.max >= 7).label);
+  expect(scoreAdaptive(questions, [0, 1], { 0: 'Several days' })).toBeNull();
+});
+
+test('trait inventories stop only once every subscale is stable, and get no overall score', () => {
+  const instrument = getInstrument('mini-ipip');
+  const questions = instrumentToQuestions(instrument);
+  const settings = { ...ADAPTIVE_SETTINGS, perSubscale: true };
+  const asked = [];
+  const answers = {};
+  let next = nextAdaptiveQuestion(questions, asked, answers, settings);
+  while (next !== null) {
+    answers[asked.length] = questions[next].reverse ? 'Very Inaccurate' : 'Very Accurate';
+    asked.push(next);
+    next = nextAdaptiveQuestion(questions, asked, answers, settings);
+  }
+
+  instrument.subscales.forEach(subscale => {
+    expect(asked.filter(index => questions[index].subscale === subscale.id).length).toBeGreaterThanOrEqual(2);
+  });
+  const score = scoreAdaptive(questions, asked, answers, { subscales: instrument.subscales, composite: false });
+  expect(score).toMatchObject({ composite: false, band: null, adaptive: { itemsAsked: asked.length } });
+  expect(score).not.toHaveProperty('total');
+  expect(score.subscales).toHaveLength(5);
+});
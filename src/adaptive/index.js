@@ -0,0 +1,168 @@
+import { scoreItem, scoreAnswers, findBand, getValueRange, isScored } from '../scoring';
+
+// Adaptive questionnaires: questions are asked one at a time from a bank (a validated
+// instrument's items, or a larger batch generated by the model), and each next item is
+// picked from the answers so far. The test stops as soon as the score estimate is stable.
+//
+// The bank is an array of questions in the shape src/scoring understands. A test in progress
+// is `asked` (bank indices in the order they were shown) plus `answers`
+// ({ [position in asked]: optionLabel }, as kept in userAnswers).
+
+export const ADAPTIVE_SETTINGS = {
+  minItems: 4, // never stop before this many answers
+  targetStandardError: 0.08, // on the 0-1 item scale, i.e. about 8 points of the normalized score
+  // Trait inventories have no overall score (scoring.composite: false), so there every
+  // subscale's estimate has to be stable instead, each after at least minItemsPerSubscale answers
+  perSubscale: false,
+  minItemsPerSubscale: 2
+};
+
+// Size of the bank requested from the model for AI topics
+export const ADAPTIVE_BANK_SIZE = 15;
+
+// Prior variance of item scores on the 0-1 scale, worth PRIOR_WEIGHT answers. It keeps a few
+// identical answers from looking perfectly precise.
+const PRIOR_VARIANCE = 0.0625;
+const PRIOR_WEIGHT = 2;
+
+// Answered item on a 0-1 scale after reverse keying, or null (also for unscored text answers)
+const itemFraction = (question, answer) => {
+  const value = scoreItem(question, answer);
+  if (value === null) {
+    return null;
+  }
+  const { min, max } = getValueRange(question);
+  return max === min ? 0 : (value - min) / (max - min);
+};
+
+const shrunkVariance = (fractions) => {
+  const n = fractions.length;
+  if (n < 2) {
+    return PRIOR_VARIANCE;
+  }
+  const mean = fractions.reduce((sum, x) => sum + x, 0) / n;
+  const sumOfSquares = fractions.reduce((sum, x) => sum + (x - mean) ** 2, 0);
+  return (sumOfSquares + PRIOR_WEIGHT * PRIOR_VARIANCE) / (n - 1 + PRIOR_WEIGHT);
+};
+
+const isRiskItem = (question) => question.riskMinValue !== undefined && question.riskMinValue !== null;
+
+// Current estimate of the mean item score (0-1) and its standard error. The finite population
+// correction brings the error to 0 once the whole bank has been answered.
+export const estimateScore = (bank, asked, answers) => {
+  const fractions = asked
+    .map((bankIndex, position) => itemFraction(bank[bankIndex], answers[position]))
+    .filter(fraction => fraction !== null);
+  const count = fractions.length;
+  if (count === 0) {
+    return { mean: null, standardError: null, count };
+  }
+  const correction = bank.length > 1 ? (bank.length - count) / (bank.length - 1) : 0;
+  return {
+    mean: fractions.reduce((sum, x) => sum + x, 0) / count,
+    standardError: Math.sqrt((shrunkVariance(fractions) / count) * correction),
+    count
+  };
+};
+
+// estimateScore for each subscale of the bank on its own, as [{ size, mean, standardError, count }]
+export const estimateSubscales = (bank, asked, answers) => {
+  const subscales = Array.from(new Set(bank.map(question => question.subscale || null)));
+  return subscales.map(subscale => {
+    const members = bank.map((_, index) => index).filter(index => (bank[index].subscale || null) === subscale);
+    const positions = asked.map((_, position) => position).filter(position => members.includes(asked[position]));
+    return {
+      size: members.length,
+      ...estimateScore(
+        members.map(index => bank[index]),
+        positions.map(position => members.indexOf(asked[position])),
+        Object.fromEntries(positions.map((position, subPosition) => [subPosition, answers[position]]))
+      )
+    };
+  });
+};
+
+export const isEstimateStable = (bank, asked, answers, settings = ADAPTIVE_SETTINGS) => {
+  if (settings.perSubscale) {
+    return estimateSubscales(bank, asked, answers).every(({ size, standardError, count }) => (
+      count >= Math.min(settings.minItemsPerSubscale, size) && standardError <= settings.targetStandardError
+    ));
+  }
+  const { standardError, count } = estimateScore(bank, asked, answers);
+  return count >= Math.min(settings.minItems, bank.length) && standardError <= settings.targetStandardError;
+};
+
+// Picks the next bank index to ask, or null when the test should stop.
+//  - Items with a `riskMinValue` (e.g. PHQ-9 item 9) are always asked before stopping, so
+//    the safety screen sees them, but only once the rest of the estimate is stable.
+//  - Otherwise the next item comes from the subscale whose answers are least certain so far
+//    (fewest answers, most disagreement), so content stays balanced where it matters.
+//  - Within a subscale, forward and reverse keyed items alternate to limit acquiescence.
+export const nextAdaptiveQuestion = (bank, asked, answers, settings = ADAPTIVE_SETTINGS) => {
+  const remaining = bank.map((_, index) => index).filter(index => !asked.includes(index));
+  if (remaining.length === 0) {
+    return null;
+  }
+  const riskItems = remaining.filter(index => isRiskItem(bank[index]));
+  const candidates = remaining.filter(index => !isRiskItem(bank[index]));
+  if (candidates.length === 0 || isEstimateStable(bank, asked, answers, settings)) {
+    return riskItems.length > 0 ? riskItems[0] : null;
+  }
+
+  const answeredIn = (subscale) => asked
+    .map((bankIndex, position) => ({ question: bank[bankIndex], answer: answers[position] }))
+    .filter(({ question }) => (question.subscale || null) === subscale);
+  const uncertainty = (subscale) => {
+    const answered = answeredIn(subscale);
+    const fractions = answered.map(({ question, answer }) => itemFraction(question, answer)).filter(x => x !== null);
+    return fractions.length === 0 ? Infinity : shrunkVariance(fractions) / fractions.length;
+  };
+
+  const subscales = Array.from(new Set(candidates.map(index => bank[index].subscale || null)));
+  const subscale = subscales.reduce((best, current) => (uncertainty(current) > uncertainty(best) ? current : best));
+  const inSubscale = candidates.filter(index => (bank[index].subscale || null) === subscale);
+
+  const answered = answeredIn(subscale);
+  const reverseCount = answered.filter(({ question }) => question.reverse).length;
+  const preferReverse = reverseCount < answered.length - reverseCount;
+  return inSubscale.find(index => Boolean(bank[index].reverse) === preferReverse) ?? inSubscale[0];
+};
+
+// Scores an adaptive test like scoreAnswers does, plus `adaptive: { itemsAsked, bankSize,
+// standardError }`. Raw `bands` (official instrument keys) refer to the full-length total, so
+// with them the total and range are projected onto the whole bank before banding; subscales
+// always cover the asked items only. Without a composite score the standard error is that of
+// the least certain subscale. Returns null if any asked question is unanswered.
+export const scoreAdaptive = (bank, asked, answers, { bands, normalizedBands, subscales, composite = true } = {}) => {
+  const questions = asked.map(index => bank[index]);
+  const score = scoreAnswers(questions, answers, { normalizedBands, subscales, composite });
+  if (!score) {
+    return null;
+  }
+  const standardError = composite
+    ? estimateScore(bank, asked, answers).standardError
+    : Math.max(...estimateSubscales(bank, asked, answers).map(estimate => estimate.standardError ?? 0));
+  const adaptive = {
+    itemsAsked: asked.length,
+    bankSize: bank.length,
+    standardError: Math.round(standardError * 1000) / 1000
+  };
+  if (!composite || !bands || bands.length === 0) {
+    return { ...score, adaptive };
+  }
+
+  const scoredBank = bank.filter(isScored);
+  const min = scoredBank.reduce((sum, question) => sum + getValueRange(question).min, 0);
+  const max = scoredBank.reduce((sum, question) => sum + getValueRange(question).max, 0);
+  const fraction = score.max === score.min ? 0 : (score.total - score.min) / (score.max - score.min);
+  const total = Math.round(min + fraction * (max - min));
+  return {
+    ...score,
+    total,
+    min,
+    max,
+    normalized: max === min ? 0 : Math.round(((total - min) / (max - min)) * 100),
+    band: findBand(bands, total),
+    adaptive
+  };
+};
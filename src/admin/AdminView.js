@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import TopicEditor from './TopicEditor';
+import PromptTemplateEditor from './PromptTemplateEditor';
+import QuestionReview from './QuestionReview';
+import { useI18n } from '../i18n/I18nContext';
+
+const TABS = ['topics', 'prompts', 'questions'];
+
+// "Admin" stage, shown only to users with the admin claim (see src/admin/index.js).
+// Saved topics and templates take effect for everyone on their next visit; here, at once.
+function AdminView({ db, appId, user, topics, onTopicsChange, onPromptTemplatesChange, onBack }) {
+  const { t } = useI18n();
+  const [tab, setTab] = useState(TABS[0]);
+
+  return (
+    <div className="w-full transition-opacity duration-500 ease-in-out">
+      <h2 className="text-2xl font-bold text-center text-blue-700 mb-6">{t('admin.title')}</h2>
+
+      <div className="flex flex-wrap justify-center gap-2 mb-6" role="tablist">
+        {TABS.map(tabId => (
+          <button
+            key={tabId}
+            role="tab"
+            aria-selected={tab === tabId}
+            onClick={() => setTab(tabId)}
+            className={`px-4 py-2 font-semibold rounded-lg transition duration-200 ease-in-out ${tab === tabId ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {t(`admin.tabs.${tabId}`)}
+          </button>
+        ))}
+      </div>
+
+      <div role="tabpanel" className="mb-8">
+        {tab === 'topics' && (
+          <TopicEditor db={db} appId={appId} user={user} topics={topics} onTopicsChange={onTopicsChange} />
+        )}
+        {tab === 'prompts' && (
+          <PromptTemplateEditor db={db} appId={appId} user={user} onTemplatesChange={onPromptTemplatesChange} />
+        )}
+        {tab === 'questions' && (
+          <QuestionReview db={db} appId={appId} user={user} />
+        )}
+      </div>
+
+      <div className="flex justify-center">
+        <button
+          onClick={onBack}
+          className="px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+        >
+          {t('app.back')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AdminView;
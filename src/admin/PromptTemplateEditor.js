@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { listPromptTemplates, listPromptVersions, savePromptTemplate, describeAdminError } from './index';
+import { PROMPT_TEMPLATES, MAX_PROMPT_TEMPLATE_LENGTH, findPromptTemplateProblems } from '../ai';
+import { useI18n } from '../i18n/I18nContext';
+
+const TEMPLATE_IDS = Object.keys(PROMPT_TEMPLATES);
+
+// Edits one prompt template at a time. Saving makes a new version and puts it in use right
+// away; any version (or the built-in text) can be loaded back into the editor and saved again.
+function PromptTemplateEditor({ db, appId, user, onTemplatesChange }) {
+  const { t } = useI18n();
+  const [templateId, setTemplateId] = useState(TEMPLATE_IDS[0]);
+  const [savedTemplates, setSavedTemplates] = useState(null); // null while loading
+  const [versions, setVersions] = useState([]);
+  const [text, setText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [adminError, setAdminError] = useState(null); // The failure itself, described at render time
+
+  const current = savedTemplates?.[templateId];
+  const builtInText = PROMPT_TEMPLATES[templateId].text;
+  const problems = findPromptTemplateProblems(templateId, text);
+
+  useEffect(() => {
+    listPromptTemplates(db, appId).then(setSavedTemplates).catch(loadError => {
+      console.error("Error loading prompt templates:", loadError);
+      setAdminError(loadError);
+      setSavedTemplates({});
+    });
+  }, [db, appId]);
+
+  // Show the text in use whenever another template is picked (or the saved ones arrive)
+  useEffect(() => {
+    if (!savedTemplates) {
+      return;
+    }
+    setText(savedTemplates[templateId]?.text ?? PROMPT_TEMPLATES[templateId].text);
+    listPromptVersions(db, appId, templateId).then(setVersions).catch(loadError => {
+      console.error("Error loading prompt versions:", loadError);
+      setAdminError(loadError);
+    });
+  }, [db, appId, templateId, savedTemplates]);
+
+  const save = async (newText) => {
+    setBusy(true);
+    setAdminError(null);
+    try {
+      const saved = await savePromptTemplate(db, appId, user.uid, templateId, newText);
+      setSavedTemplates(prev => ({ ...prev, [templateId]: saved }));
+      onTemplatesChange();
+    } catch (saveError) {
+      console.error("Saving the prompt template failed:", saveError);
+      setAdminError(saveError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">{t('admin.promptsDescription')}</p>
+
+      {adminError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{describeAdminError(adminError, t)}</div>
+      )}
+
+      <label htmlFor="admin-template" className="block text-sm font-semibold text-gray-700 mb-1">{t('admin.template')}</label>
+      <select
+        id="admin-template"
+        value={templateId}
+        onChange={(e) => setTemplateId(e.target.value)}
+        className="w-full p-3 border border-gray-300 rounded-lg bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400 mb-2"
+      >
+        {TEMPLATE_IDS.map(id => (
+          <option key={id} value={id}>{t(`admin.templateNames.${id}`)}</option>
+        ))}
+      </select>
+
+      {savedTemplates === null ? (
+        <p className="text-gray-600 mb-4">{t('admin.loading')}</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-2">
+            {current && current.text !== null
+              ? t('admin.versionInUse', { version: current.version, date: current.updatedAt.toLocaleString() })
+              : t('admin.builtInInUse')}
+          </p>
+          <p className="text-sm text-gray-600 mb-2">
+            {t('admin.placeholders')}{' '}
+            {PROMPT_TEMPLATES[templateId].placeholders.map(name => (
+              <code key={name} className="inline-block me-2 px-1 bg-gray-100 rounded">
+                {`{{${name}}}`}{PROMPT_TEMPLATES[templateId].required.includes(name) ? '*' : ''}
+              </code>
+            ))}
+            <span className="block text-xs text-gray-500">{t('admin.requiredNote')}</span>
+          </p>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            maxLength={MAX_PROMPT_TEMPLATE_LENGTH}
+            rows={10}
+            dir="ltr"
+            aria-label={t('admin.template')}
+            className="w-full p-3 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800 mb-2"
+          />
+          {problems.length > 0 && (
+            <div className="bg-amber-50 border border-amber-300 text-amber-800 rounded-lg p-3 mb-2 text-sm">
+              <p className="font-semibold">{t('admin.templateProblems')}</p>
+              <ul className="list-disc ps-5" dir="ltr">
+                {problems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            </div>
+          )}
+          <div className="flex flex-col sm:flex-row gap-4 mb-6">
+            <button
+              onClick={() => save(text)}
+              disabled={busy || problems.length > 0}
+              className={`px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 transition duration-300 ease-in-out ${busy || problems.length > 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {t('admin.saveTemplate')}
+            </button>
+            <button
+              onClick={() => setText(builtInText)}
+              className="px-6 py-2 bg-gray-100 text-gray-700 font-semibold rounded-lg border border-gray-300 hover:bg-gray-200 transition duration-300 ease-in-out"
+            >
+              {t('admin.loadBuiltIn')}
+            </button>
+            {current && current.text !== null && (
+              <button
+                onClick={() => save(null)}
+                disabled={busy}
+                className="px-6 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+              >
+                {t('admin.resetTemplate')}
+              </button>
+            )}
+          </div>
+
+          <h4 className="font-semibold text-gray-700 mb-2">{t('admin.versionsTitle')}</h4>
+          {versions.length === 0 && <p className="text-sm text-gray-600">{t('admin.noVersions')}</p>}
+          <ul className="space-y-2">
+            {versions.map(version => (
+              <li key={version.version} className="flex items-center justify-between gap-4 p-2 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                <span>
+                  {t('admin.versionLabel', { version: version.version, date: version.createdAt.toLocaleString() })}
+                  {version.text === null && ` · ${t('admin.builtInVersion')}`}
+                </span>
+                <button
+                  onClick={() => setText(version.text ?? builtInText)}
+                  className="px-3 py-1 bg-white text-gray-700 font-semibold rounded-md border border-gray-300 hover:bg-gray-100 transition duration-200 ease-in-out"
+                >
+                  {t('admin.loadVersion')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PromptTemplateEditor;
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { listQuestionBanks, reviewBankItem, getBankItemStatus, describeAdminError } from './index';
+import { useI18n } from '../i18n/I18nContext';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const STATUS_CLASSES = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+// Review queue for the generated question banks: one bank at a time, filtered by status.
+// Only approved items are used in tests; rejected ones are kept so they aren't generated again.
+function QuestionReview({ db, appId, user }) {
+  const { t } = useI18n();
+  const [banks, setBanks] = useState(null); // null while loading
+  const [bankId, setBankId] = useState('');
+  const [status, setStatus] = useState('pending');
+  const [busyItemId, setBusyItemId] = useState(null);
+  const [adminError, setAdminError] = useState(null); // The failure itself, described at render time
+
+  useEffect(() => {
+    listQuestionBanks(db, appId).then(found => {
+      setBanks(found);
+      setBankId(found[0]?.id || '');
+    }).catch(loadError => {
+      console.error("Error loading question banks:", loadError);
+      setAdminError(loadError);
+      setBanks([]);
+    });
+  }, [db, appId]);
+
+  const bank = banks?.find(candidate => candidate.id === bankId);
+  const items = bank ? bank.items.filter(item => getBankItemStatus(item) === status) : [];
+  const countWithStatus = (itemStatus) => bank.items.filter(item => getBankItemStatus(item) === itemStatus).length;
+
+  const review = async (itemId, approved) => {
+    setBusyItemId(itemId);
+    setAdminError(null);
+    try {
+      const updatedItems = await reviewBankItem(db, appId, user.uid, bankId, itemId, approved);
+      setBanks(prev => prev.map(candidate => (candidate.id === bankId ? { ...candidate, items: updatedItems } : candidate)));
+    } catch (reviewError) {
+      console.error("Reviewing the question failed:", reviewError);
+      setAdminError(reviewError);
+    } finally {
+      setBusyItemId(null);
+    }
+  };
+
+  if (banks === null) {
+    return <p className="text-gray-600">{t('admin.loading')}</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">{t('admin.questionsDescription')}</p>
+
+      {adminError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{describeAdminError(adminError, t)}</div>
+      )}
+
+      {banks.length === 0 ? (
+        <p className="text-gray-600">{t('admin.noBanks')}</p>
+      ) : (
+        <>
+          <div className="flex flex-col sm:flex-row gap-4 mb-4">
+            <select
+              value={bankId}
+              onChange={(e) => setBankId(e.target.value)}
+              aria-label={t('admin.bank')}
+              className="flex-1 p-3 border border-gray-300 rounded-lg bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400"
+            >
+              {banks.map(candidate => (
+                <option key={candidate.id} value={candidate.id}>
+                  {`${candidate.topicId} · ${t(`formats.${candidate.format}`)} · ${candidate.language}`}
+                </option>
+              ))}
+            </select>
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              aria-label={t('admin.statusFilter')}
+              className="p-3 border border-gray-300 rounded-lg bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400"
+            >
+              {STATUSES.map(itemStatus => (
+                <option key={itemStatus} value={itemStatus}>{`${t(`admin.statuses.${itemStatus}`)} (${countWithStatus(itemStatus)})`}</option>
+              ))}
+            </select>
+          </div>
+
+          {items.length === 0 && <p className="text-gray-600">{t('admin.noItems')}</p>}
+          <ul className="space-y-3">
+            {items.map(item => {
+              const itemStatus = getBankItemStatus(item);
+              return (
+                <li key={item.id} className="p-3 bg-white border border-gray-200 rounded-lg">
+                  <p className="font-medium text-gray-800">{item.question}</p>
+                  {item.options.length > 0 && <p className="text-sm text-gray-600">{item.options.join(' / ')}</p>}
+                  <p className="text-xs text-gray-500 mt-1">
+                    <span className={`inline-block px-2 py-0.5 rounded-full me-2 ${STATUS_CLASSES[itemStatus]}`}>{t(`admin.statuses.${itemStatus}`)}</span>
+                    {item.subscale && t('admin.subscale', { name: item.subscale })}
+                    {item.reverse && ` · ${t('admin.reversed')}`}
+                  </p>
+                  <div className="flex gap-2 mt-2">
+                    {itemStatus !== 'approved' && (
+                      <button
+                        onClick={() => review(item.id, true)}
+                        disabled={busyItemId !== null}
+                        className="px-3 py-1 bg-green-600 text-white font-semibold rounded-md hover:bg-green-700 transition duration-200 ease-in-out disabled:opacity-50"
+                      >
+                        {t('admin.approve')}
+                      </button>
+                    )}
+                    {itemStatus !== 'rejected' && (
+                      <button
+                        onClick={() => review(item.id, false)}
+                        disabled={busyItemId !== null}
+                        className="px-3 py-1 bg-gray-100 text-red-700 font-semibold rounded-md border border-gray-300 hover:bg-gray-200 transition duration-200 ease-in-out disabled:opacity-50"
+                      >
+                        {t('admin.reject')}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default QuestionReview;
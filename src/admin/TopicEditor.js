@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { saveTopics, resetTopics, createTopicId, describeAdminError } from './index';
+import { DEFAULT_TOPICS, topicLabel, MAX_TOPICS, MAX_TOPIC_NAME_LENGTH, MAX_TOPIC_DESCRIPTION_LENGTH } from '../content';
+import { useI18n } from '../i18n/I18nContext';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800';
+const smallButtonClass = 'px-3 py-1 bg-gray-100 text-gray-700 font-semibold rounded-md border border-gray-300 hover:bg-gray-200 transition duration-200 ease-in-out disabled:opacity-50';
+
+// The topic screen's topics: edited as a draft, then saved as a whole. Removing a topic
+// keeps its question bank, so adding it back later (same id) picks it up again.
+function TopicEditor({ db, appId, user, topics, onTopicsChange }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(topics);
+  const [newName, setNewName] = useState('');
+  const [newDescription, setNewDescription] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [adminError, setAdminError] = useState(null); // The failure itself, described at render time
+
+  const run = async (action) => {
+    setBusy(true);
+    setSaved(false);
+    setAdminError(null);
+    try {
+      await action();
+      setSaved(true);
+    } catch (actionError) {
+      console.error("Saving topics failed:", actionError);
+      setAdminError(actionError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateTopic = (index, changes) => {
+    setSaved(false);
+    setDraft(prev => prev.map((topic, i) => (i === index ? { ...topic, ...changes } : topic)));
+  };
+
+  const moveTopic = (index, offset) => {
+    setSaved(false);
+    setDraft(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    setSaved(false);
+    setDraft(prev => [...prev, {
+      id: createTopicId(newName, prev.map(topic => topic.id)),
+      name: newName.trim(),
+      description: newDescription.trim()
+    }]);
+    setNewName('');
+    setNewDescription('');
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">{t('admin.topicsDescription')}</p>
+
+      {adminError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{describeAdminError(adminError, t)}</div>
+      )}
+
+      <ol className="space-y-3 mb-6">
+        {draft.map((topic, index) => (
+          <li key={topic.id} className="p-3 bg-blue-50 border border-blue-200 rounded-lg space-y-2">
+            <div className="flex items-center justify-between gap-2">
+              <span className="font-mono text-xs text-gray-500">{topic.id}</span>
+              <span className="flex gap-2">
+                <button onClick={() => moveTopic(index, -1)} disabled={index === 0} aria-label={t('admin.moveUp')} className={smallButtonClass}>↑</button>
+                <button onClick={() => moveTopic(index, 1)} disabled={index === draft.length - 1} aria-label={t('admin.moveDown')} className={smallButtonClass}>↓</button>
+                <button
+                  onClick={() => {
+                    setSaved(false);
+                    setDraft(prev => prev.filter(existing => existing.id !== topic.id));
+                  }}
+                  className={smallButtonClass}
+                >
+                  {t('admin.removeTopic')}
+                </button>
+              </span>
+            </div>
+            <input
+              type="text"
+              value={topic.name}
+              onChange={(e) => updateTopic(index, { name: e.target.value })}
+              placeholder={topicLabel({ ...topic, name: '' }, t)}
+              maxLength={MAX_TOPIC_NAME_LENGTH}
+              aria-label={t('admin.topicName')}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={topic.description}
+              onChange={(e) => updateTopic(index, { description: e.target.value })}
+              placeholder={t('admin.topicDescription')}
+              maxLength={MAX_TOPIC_DESCRIPTION_LENGTH}
+              aria-label={t('admin.topicDescription')}
+              className={inputClass}
+            />
+          </li>
+        ))}
+      </ol>
+
+      {draft.length < MAX_TOPICS && (
+        <form onSubmit={handleAdd} className="space-y-2 mb-6">
+          <h4 className="font-semibold text-gray-700">{t('admin.newTopicTitle')}</h4>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={t('admin.topicName')}
+            aria-label={t('admin.topicName')}
+            maxLength={MAX_TOPIC_NAME_LENGTH}
+            required
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={newDescription}
+            onChange={(e) => setNewDescription(e.target.value)}
+            placeholder={t('admin.topicDescription')}
+            aria-label={t('admin.topicDescription')}
+            maxLength={MAX_TOPIC_DESCRIPTION_LENGTH}
+            className={inputClass}
+          />
+          <button type="submit" className="px-4 py-2 bg-blue-100 text-blue-800 font-semibold rounded-lg hover:bg-blue-200 transition duration-200 ease-in-out">
+            {t('admin.addTopic')}
+          </button>
+        </form>
+      )}
+
+      <div className="flex flex-col sm:flex-row items-center gap-4">
+        <button
+          onClick={() => run(async () => {
+            const savedTopics = await saveTopics(db, appId, user.uid, draft);
+            setDraft(savedTopics);
+            onTopicsChange(savedTopics);
+          })}
+          disabled={busy}
+          className={`px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 transition duration-300 ease-in-out ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+        >
+          {t('admin.saveTopics')}
+        </button>
+        <button
+          onClick={() => run(async () => {
+            await resetTopics(db, appId);
+            setDraft(DEFAULT_TOPICS);
+            onTopicsChange(DEFAULT_TOPICS);
+          })}
+          disabled={busy}
+          className="px-6 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+        >
+          {t('admin.resetTopics')}
+        </button>
+        {saved && <span className="text-green-700 font-semibold" role="status">{t('admin.saved')}</span>}
+      </div>
+    </div>
+  );
+}
+
+export default TopicEditor;
@@ -0,0 +1,67 @@
+import { setDoc, runTransaction } from 'firebase/firestore';
+import { mockFirestorePaths } from '../testing/firestoreMocks';
+import { createTopicId, saveTopics, savePromptTemplate, reviewBankItem, getBankItemStatus } from '.';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDocs: jest.fn(),
+  setDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  query: jest.fn(),
+  orderBy: jest.fn(),
+  runTransaction: jest.fn(),
+  serverTimestamp: jest.fn()
+}));
+
+// A transaction over one document snapshot, recording what it writes
+const fakeTransaction = (snap) => ({ get: jest.fn().mockResolvedValue(snap), set: jest.fn(), update: jest.fn() });
+
+beforeEach(mockFirestorePaths);
+
+test('new topics get readable ids that stay unique', () => {
+  expect(createTopicId('Work-Life Balance!', ['stress'])).toBe('work-life-balance');
+  expect(createTopicId('Estrés', ['estres'])).toBe('estres-2');
+  expect(createTopicId('القلق', ['topic', 'topic-2'])).toBe('topic-3');
+});
+
+test('topics are saved in order, and new topics need a name', async () => {
+  const topics = [
+    { id: 'sleep', name: ' Sleep ', description: 'How well you rest ' },
+    { id: 'stress', name: '', description: '' }
+  ];
+
+  await expect(saveTopics({}, 'app', 'root', topics)).resolves.toEqual([
+    { id: 'sleep', name: 'Sleep', description: 'How well you rest' },
+    { id: 'stress', name: '', description: '' }
+  ]);
+  expect(setDoc.mock.calls[0][1]).toMatchObject({ updatedAt: 'server-time', updatedBy: 'root' });
+
+  await expect(saveTopics({}, 'app', 'root', [{ id: 'sleep', name: '', description: '' }])).rejects.toMatchObject({ code: 'invalidTopics' });
+  await expect(saveTopics({}, 'app', 'root', [topics[1], topics[1]])).rejects.toMatchObject({ code: 'invalidTopics' });
+});
+
+test('each template save becomes the next version, and broken templates are refused', async () => {
+  const transaction = fakeTransaction({ exists: () => true, data: () => ({ version: 3 }) });
+  runTransaction.mockImplementation((db, update) => update(transaction));
+  const text = 'Is "{{topic}}" about the mind?{{languageInstructions}}';
+
+  await expect(savePromptTemplate({}, 'app', 'root', 'topicValidation', text)).resolves.toMatchObject({ text, version: 4 });
+  expect(transaction.set).toHaveBeenCalledWith({ path: 'artifacts/app/promptTemplates/topicValidation' }, { text, version: 4, updatedAt: 'server-time', updatedBy: 'root' });
+  expect(transaction.set).toHaveBeenCalledWith({ path: 'artifacts/app/promptTemplates/topicValidation/versions/4' }, { text, version: 4, createdAt: 'server-time', createdBy: 'root' });
+
+  await expect(savePromptTemplate({}, 'app', 'root', 'topicValidation', 'Is {{topic}} ok?')).rejects.toMatchObject({ code: 'invalidTemplate' });
+  expect(runTransaction).toHaveBeenCalledTimes(1);
+});
+
+test('reviewing marks one item approved or rejected and keeps the rest', async () => {
+  const items = [{ id: 'a', question: 'q1', approved: false }, { id: 'b', question: 'q2', approved: false }];
+  const transaction = fakeTransaction({ exists: () => true, data: () => ({ items }) });
+  runTransaction.mockImplementation((db, update) => update(transaction));
+
+  const reviewed = await reviewBankItem({}, 'app', 'root', 'stress__likert4__en', 'b', false);
+
+  expect(reviewed.map(getBankItemStatus)).toEqual(['pending', 'rejected']);
+  expect(reviewed[1]).toMatchObject({ reviewedBy: 'root' });
+  expect(transaction.update).toHaveBeenCalledWith({ path: 'artifacts/app/questionBank/stress__likert4__en' }, { items: reviewed, updatedAt: 'server-time' });
+});
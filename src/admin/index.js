@@ -0,0 +1,147 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  query,
+  orderBy,
+  runTransaction,
+  serverTimestamp
+} from 'firebase/firestore';
+import { BUILT_IN_TOPICS, findPromptTemplateProblems } from '../ai';
+import {
+  topicsRef,
+  promptTemplatesCollection,
+  MAX_TOPICS,
+  MAX_TOPIC_NAME_LENGTH,
+  MAX_TOPIC_DESCRIPTION_LENGTH,
+  TOPIC_ID_PATTERN
+} from '../content';
+import { DEFAULT_LANGUAGE, hasMessage, translate } from '../i18n';
+
+// Admin console: curates the topics and prompt templates everyone loads at runtime (see
+// src/content for their documents) and reviews generated question bank items (src/questionBank).
+// Admins are users with the `admin: true` custom claim, set server-side with
+// functions/scripts/set-admin.js; firestore.rules only accepts these writes from them.
+
+// Failures carry a `code` the UI translates (admin.errors in the locale files).
+const adminError = (code, message) => Object.assign(new Error(message), { code });
+
+export const describeAdminError = (adminFailure, t = (key, params) => translate(DEFAULT_LANGUAGE, key, params)) => {
+  const key = `admin.errors.${adminFailure.code}`;
+  return adminFailure.code && hasMessage(key) ? t(key) : t('admin.errors.generic', { message: adminFailure.message });
+};
+
+export const isAdminUser = async (user) => (await user.getIdTokenResult()).claims.admin === true;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value || Date.now()));
+
+// Topics
+
+// An id for a new topic from its name: "Work-Life Balance" -> "work-life-balance", made unique
+// among `existingIds`. Names without Latin letters or digits get "topic".
+export const createTopicId = (name, existingIds) => {
+  const slug = name
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32) || 'topic';
+  let id = slug;
+  for (let suffix = 2; existingIds.includes(id); suffix++) {
+    id = `${slug}-${suffix}`;
+  }
+  return id;
+};
+
+// Saves the whole topic list, in display order. Topics that aren't built in need a name.
+export const saveTopics = async (db, appId, uid, topics) => {
+  const ids = topics.map(topic => topic.id);
+  const invalid = topics.length > MAX_TOPICS
+    || new Set(ids).size !== ids.length
+    || topics.some(topic => !TOPIC_ID_PATTERN.test(topic.id)
+      || (!topic.name.trim() && !BUILT_IN_TOPICS[topic.id])
+      || topic.name.length > MAX_TOPIC_NAME_LENGTH
+      || topic.description.length > MAX_TOPIC_DESCRIPTION_LENGTH);
+  if (invalid) {
+    throw adminError('invalidTopics', 'Topic list is not valid');
+  }
+  const cleaned = topics.map(({ id, name, description }) => ({ id, name: name.trim(), description: description.trim() }));
+  await setDoc(topicsRef(db, appId), { topics: cleaned, updatedAt: serverTimestamp(), updatedBy: uid });
+  return cleaned;
+};
+
+// Back to the built-in topics (DEFAULT_TOPICS)
+export const resetTopics = (db, appId) => deleteDoc(topicsRef(db, appId));
+
+// Prompt templates
+
+// Every template doc, including reset and unusable ones: { [templateId]: { text, version, updatedAt } }
+export const listPromptTemplates = async (db, appId) => {
+  const snap = await getDocs(promptTemplatesCollection(db, appId));
+  return Object.fromEntries(snap.docs.map(templateDoc => {
+    const data = templateDoc.data();
+    return [templateDoc.id, { ...data, updatedAt: toDate(data.updatedAt) }];
+  }));
+};
+
+export const listPromptVersions = async (db, appId, templateId) => {
+  const snap = await getDocs(query(collection(db, `artifacts/${appId}/promptTemplates/${templateId}/versions`), orderBy('version', 'desc')));
+  return snap.docs.map(versionDoc => {
+    const data = versionDoc.data();
+    return { ...data, createdAt: toDate(data.createdAt) };
+  });
+};
+
+// Saves `text` as the template's next version and makes it the one in use; null goes back to
+// the built-in template (also as a new version, so the history shows it). Restoring an old
+// version is saving its text again.
+export const savePromptTemplate = async (db, appId, uid, templateId, text) => {
+  if (text !== null && findPromptTemplateProblems(templateId, text).length > 0) {
+    throw adminError('invalidTemplate', `Template "${templateId}" is not valid`);
+  }
+  const templateRef = doc(promptTemplatesCollection(db, appId), templateId);
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(templateRef);
+    const version = (current.exists() ? current.data().version : 0) + 1;
+    transaction.set(templateRef, { text, version, updatedAt: serverTimestamp(), updatedBy: uid });
+    transaction.set(doc(templateRef, 'versions', String(version)), { text, version, createdAt: serverTimestamp(), createdBy: uid });
+    return { text, version, updatedAt: new Date() };
+  });
+};
+
+// Question bank review
+
+// 'pending' until someone approves or rejects an item
+export const getBankItemStatus = (item) => {
+  if (item.approved) {
+    return 'approved';
+  }
+  return item.reviewedAt ? 'rejected' : 'pending';
+};
+
+export const listQuestionBanks = async (db, appId) => {
+  const snap = await getDocs(collection(db, `artifacts/${appId}/questionBank`));
+  return snap.docs
+    .map(bankDoc => ({ ...bankDoc.data(), id: bankDoc.id }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+};
+
+// Approves or rejects one item; rejected items stay in the bank so they aren't generated
+// again. Resolves to the bank's updated items.
+export const reviewBankItem = async (db, appId, uid, bankId, itemId, approved) => {
+  const bankRef = doc(db, `artifacts/${appId}/questionBank`, bankId);
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(bankRef);
+    if (!snap.exists()) {
+      throw adminError('bankNotFound', `Question bank ${bankId} not found`);
+    }
+    const items = snap.data().items.map(item => (item.id === itemId
+      ? { ...item, approved, reviewedAt: Date.now(), reviewedBy: uid }
+      : item));
+    transaction.update(bankRef, { items, updatedAt: serverTimestamp() });
+    return items;
+  });
+};
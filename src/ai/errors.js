@@ -0,0 +1,29 @@
+// Raised when the model keeps returning a response that fails validation,
+// even after the corrective retries in generateJson. `message` is safe to show to users.
+export class AiResponseError extends Error {
+  constructor(task, problems) {
+    super('The AI returned an incomplete or malformed response. Please try again.');
+    this.name = 'AiResponseError';
+    this.task = task;
+    this.problems = problems;
+  }
+}
+
+// Raised when the user cancels an AI request (see the `signal` option of generateJson).
+// The UI treats it as a normal way out, not as a failure.
+export class AiCancelledError extends Error {
+  constructor() {
+    super('The AI request was cancelled.');
+    this.name = 'AiCancelledError';
+  }
+}
+
+// Raised when the AI service doesn't answer (or stops streaming) within the client timeout,
+// after the retries in src/ai/http.js.
+export class AiTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`The AI service did not respond within ${Math.round(timeoutMs / 1000)} seconds.`);
+    this.name = 'AiTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
@@ -0,0 +1,147 @@
+import { AiCancelledError, AiTimeoutError } from './errors';
+
+// HTTP plumbing shared by the network providers: a client-side timeout, retries with
+// exponential backoff on 429/5xx and network failures, cancellation through an AbortSignal,
+// and a reader for streamed (text/event-stream) responses.
+
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 2, // extra attempts after the first one
+  timeoutMs: 60000, // per attempt; while streaming, the longest gap between two chunks
+  baseDelayMs: 1000,
+  maxDelayMs: 10000
+};
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Resolves after `ms`, or rejects with AiCancelledError as soon as `signal` aborts.
+export const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new AiCancelledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new AiCancelledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Backoff before retry number `attempt` (0-based): the server's Retry-After when it gives one,
+// otherwise exponential with jitter. Returns null when the server asks for a longer wait than
+// maxDelayMs (e.g. the proxy's hourly rate limit), since retrying sooner is pointless.
+export const retryDelay = (attempt, retryAfter, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_OPTIONS) => {
+  const seconds = Number(retryAfter);
+  if (retryAfter !== null && retryAfter !== undefined && retryAfter !== '' && Number.isFinite(seconds)) {
+    return seconds * 1000 <= maxDelayMs ? seconds * 1000 : null;
+  }
+  const exponential = baseDelayMs * 2 ** attempt;
+  return Math.min(maxDelayMs, exponential / 2 + Math.random() * (exponential / 2));
+};
+
+// An AbortController that fires when `signal` aborts or when `timeoutMs` passes without
+// restart() being called.
+const createDeadline = (signal, timeoutMs) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const restart = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  restart();
+  return {
+    signal: controller.signal,
+    restart,
+    timedOut: () => timedOut,
+    dispose: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+};
+
+// Fetches `url` and hands the response to `readBody(response, keepAlive)`, whose result is
+// returned. Call keepAlive() while reading a stream to push the timeout back.
+// Retryable statuses are retried before readBody sees them; after the last attempt readBody
+// gets the failed response so it can surface the server's error message.
+// Options: `signal` to cancel, `wait` to replace delay() (tests), plus DEFAULT_RETRY_OPTIONS.
+export const fetchWithRetry = async (fetchImpl, url, init, { signal, readBody, wait = delay, ...overrides } = {}) => {
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...overrides };
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) {
+      throw new AiCancelledError();
+    }
+    const deadline = createDeadline(signal, options.timeoutMs);
+    let backoff = null;
+    try {
+      const response = await fetchImpl(url, { ...init, signal: deadline.signal });
+      backoff = attempt < options.retries && isRetryableStatus(response.status)
+        ? retryDelay(attempt, response.headers?.get('Retry-After'), options)
+        : null;
+      if (backoff === null) {
+        return await readBody(response, deadline.restart);
+      }
+      console.warn(`AI request failed with status ${response.status}; retrying in ${Math.round(backoff)} ms.`);
+    } catch (requestError) {
+      if (signal?.aborted) {
+        throw new AiCancelledError();
+      }
+      // fetch rejects with a TypeError when the network fails
+      const retryable = deadline.timedOut() || requestError instanceof TypeError;
+      if (!retryable) {
+        throw requestError;
+      }
+      if (attempt >= options.retries) {
+        throw deadline.timedOut() ? new AiTimeoutError(options.timeoutMs) : requestError;
+      }
+      backoff = retryDelay(attempt, null, options);
+      console.warn(`AI request failed (${deadline.timedOut() ? 'timeout' : requestError.message}); retrying in ${Math.round(backoff)} ms.`);
+    } finally {
+      deadline.dispose();
+    }
+    await wait(backoff, signal);
+  }
+};
+
+// Calls onEvent(data) with the `data:` payload of each event in a text/event-stream body,
+// and onChunk() whenever bytes arrive.
+export const readServerSentEvents = async (response, { onEvent, onChunk = () => {} }) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const dispatch = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) {
+      onEvent(data);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    onChunk();
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+};
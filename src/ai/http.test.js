@@ -0,0 +1,88 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { fetchWithRetry, retryDelay } from './http';
+import { createGeminiProvider } from './providers';
+import { readPartialJsonStrings } from './partialJson';
+import { AiCancelledError, AiTimeoutError } from './errors';
+import { analysisSchema } from './schemas';
+
+// jsdom has no TextDecoder, which browsers (and readServerSentEvents) rely on
+global.TextDecoder = TextDecoder;
+
+const response = (status, body = {}, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: () => Promise.resolve(body)
+});
+
+// A text/event-stream response delivering `events` one chunk at a time
+const eventStream = (events) => {
+  const chunks = events.map(event => new TextEncoder().encode(`data: ${JSON.stringify(event)}\n\n`));
+  return {
+    ...response(200, {}, { 'Content-Type': 'text/event-stream' }),
+    body: { getReader: () => ({ read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true }) }) }
+  };
+};
+
+const readJson = async (res) => res.json();
+const noWait = jest.fn(() => Promise.resolve());
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test('retries 429 and 5xx responses with backoff, honouring short Retry-After values', async () => {
+  const fetchImpl = jest.fn()
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(429, {}, { 'Retry-After': '2' }))
+    .mockResolvedValueOnce(response(200, { ok: true }));
+
+  await expect(fetchWithRetry(fetchImpl, '/x', {}, { readBody: readJson, wait: noWait })).resolves.toEqual({ ok: true });
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+  expect(noWait.mock.calls[1][0]).toBe(2000);
+  expect(retryDelay(0, '3600')).toBeNull();
+  expect(retryDelay(3, null)).toBeLessThanOrEqual(8000);
+});
+
+test('gives up with a timeout error when the service never answers', async () => {
+  const hang = (url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+
+  await expect(fetchWithRetry(hang, '/x', {}, { readBody: readJson, wait: noWait, timeoutMs: 10, retries: 1 }))
+    .rejects.toBeInstanceOf(AiTimeoutError);
+});
+
+test('cancelling stops the request without retrying', async () => {
+  const controller = new AbortController();
+  const fetchImpl = jest.fn((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    controller.abort();
+  }));
+
+  await expect(fetchWithRetry(fetchImpl, '/x', {}, { readBody: readJson, signal: controller.signal }))
+    .rejects.toBeInstanceOf(AiCancelledError);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('gemini provider streams candidate chunks through onText', async () => {
+  const chunks = ['{"analysis": "Calm', ' and steady.", "advice": "Keep going."}'];
+  const fetchImpl = jest.fn(() => Promise.resolve(eventStream(chunks.map(text => ({ candidates: [{ content: { parts: [{ text }] } }] })))));
+  const onText = jest.fn();
+
+  const text = await createGeminiProvider({ apiKey: 'k', fetchImpl }).generate({ prompt: 'p', schema: analysisSchema, onText });
+
+  expect(fetchImpl.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse&key=k');
+  expect(onText).toHaveBeenCalledTimes(2);
+  expect(JSON.parse(text)).toEqual({ analysis: 'Calm and steady.', advice: 'Keep going.' });
+  expect(readPartialJsonStrings(onText.mock.calls[0][0], ['analysis', 'advice'])).toEqual({ analysis: 'Calm', advice: '' });
+});
+
+test('partial JSON strings decode escapes and stop at a cut-off escape', () => {
+  expect(readPartialJsonStrings('{"analysis": "Line 1\\nSays \\"hi\\" \\u00e9', ['analysis'])).toEqual({ analysis: 'Line 1\nSays "hi" é' });
+  expect(readPartialJsonStrings('{"analysis": "cut \\', ['analysis'])).toEqual({ analysis: 'cut ' });
+});
@@ -0,0 +1,76 @@
+import { createProviderFromEnv } from './providers';
+import { questionsSchema, analysisSchema, stabilitySchema, topicValidationSchema } from './schemas';
+import { buildQuestionsPrompt, buildAnalysisPrompt, buildStabilityPrompt, buildTopicValidationPrompt, buildRepairPrompt } from './prompts';
+import { parseAndValidate } from './validation';
+import { AiResponseError, AiCancelledError } from './errors';
+
+export { questionsSchema, analysisSchema, stabilitySchema, topicValidationSchema } from './schemas';
+export { createGeminiProvider, createOpenAIProvider, createProxyProvider, createProviderFromEnv } from './providers';
+export { createMockProvider } from './mockProvider';
+export { AiResponseError, AiCancelledError, AiTimeoutError } from './errors';
+export { readPartialJsonStrings } from './partialJson';
+export { ANSWER_FORMATS, DEFAULT_ANSWER_FORMAT, QUESTION_COUNT_RANGE } from './validation';
+export { BUILT_IN_TOPICS } from './topics';
+export { PROMPT_TEMPLATES, MAX_PROMPT_TEMPLATE_LENGTH, findPromptTemplateProblems } from './prompts';
+export { MAX_TOPIC_LENGTH, sanitizeUserText, findInjectionAttempts, precheckTopic } from './inputSafety';
+
+// Every AI flow the app knows about, with the prompt builder and response schema it uses.
+export const AI_TASKS = {
+  questions: { buildPrompt: buildQuestionsPrompt, schema: questionsSchema },
+  analysis: { buildPrompt: buildAnalysisPrompt, schema: analysisSchema },
+  stability: { buildPrompt: buildStabilityPrompt, schema: stabilitySchema },
+  topicValidation: { buildPrompt: buildTopicValidationPrompt, schema: topicValidationSchema }
+};
+
+let activeProvider = null;
+
+// Lazily resolved so tests can swap the provider before the first call.
+export const getAiProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProviderFromEnv();
+  }
+  return activeProvider;
+};
+
+export const setAiProvider = (provider) => {
+  activeProvider = provider;
+};
+
+let promptTemplates = {};
+
+// Admin-edited prompt templates ({ [templateId]: text }, see PROMPT_TEMPLATES) to build prompts
+// from instead of the built-in ones. Only matters for providers that build prompts in the
+// browser; the proxy loads the same templates server-side.
+export const setPromptTemplates = (templates) => {
+  promptTemplates = templates;
+};
+
+// How many corrective retries to make after the first response fails validation.
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+// Runs one AI task through the configured provider and returns the validated JSON.
+// `context` holds the task inputs (topic, count, answers...) used to build the prompt.
+// Invalid responses are retried with a corrective prompt listing the problems; if the
+// model still can't comply, an AiResponseError is thrown for the UI to display.
+// Options: `signal` (AbortSignal) cancels with an AiCancelledError, and `onText` streams the
+// response, receiving the raw text so far (it starts over on a corrective retry).
+export const generateJson = async (task, context, { signal, onText } = {}) => {
+  const { buildPrompt, schema } = AI_TASKS[task];
+  const basePrompt = buildPrompt(context, promptTemplates);
+  let repair = null;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    if (signal?.aborted) {
+      throw new AiCancelledError();
+    }
+    const prompt = repair ? buildRepairPrompt({ prompt: basePrompt, problems: repair.problems }) : basePrompt;
+    const text = await getAiProvider().generate({ task, prompt, schema, context, repair, signal, onText });
+    const { data, problems } = parseAndValidate(task, text, context);
+    if (problems.length === 0) {
+      return data;
+    }
+    console.warn(`AI response for "${task}" failed validation (attempt ${attempt + 1}):`, problems);
+    repair = { problems };
+  }
+  throw new AiResponseError(task, repair.problems);
+};
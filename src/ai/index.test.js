@@ -0,0 +1,46 @@
+import { generateJson, setAiProvider, AiResponseError, MAX_REPAIR_ATTEMPTS } from './index';
+
+const sequenceProvider = (responses) => {
+  const generate = jest.fn();
+  responses.forEach(response => generate.mockResolvedValueOnce(response));
+  return { name: 'sequence', generate };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+  setAiProvider(null);
+});
+
+test('retries with a corrective prompt after an invalid response', async () => {
+  const provider = sequenceProvider(['{"analysis":"x"}', '{"analysis":"x","advice":"y"}']);
+  setAiProvider(provider);
+
+  const result = await generateJson('analysis', { topic: 'Anxiety Check', answers: [], count: 5 });
+
+  expect(result).toEqual({ analysis: 'x', advice: 'y' });
+  const retry = provider.generate.mock.calls[1][0];
+  expect(retry.repair).toEqual({ problems: ['"advice" must be a non-empty string.'] });
+  expect(retry.prompt).toContain('- "advice" must be a non-empty string.');
+});
+
+test('throws an AiResponseError once the retries are used up', async () => {
+  const provider = sequenceProvider(Array(MAX_REPAIR_ATTEMPTS + 1).fill('not json'));
+  setAiProvider(provider);
+
+  await expect(generateJson('topicValidation', { topic: 'Sleep' })).rejects.toBeInstanceOf(AiResponseError);
+  expect(provider.generate).toHaveBeenCalledTimes(MAX_REPAIR_ATTEMPTS + 1);
+});
+
+test('grounds the analysis prompt in the local score', async () => {
+  const provider = sequenceProvider(['{"analysis":"x","advice":"y"}']);
+  setAiProvider(provider);
+  const score = { total: 14, min: 0, max: 21, normalized: 67, band: 'Moderate anxiety', subscales: [] };
+
+  await generateJson('analysis', { topic: 'GAD-7', answers: [], count: 5, score });
+
+  expect(provider.generate.mock.calls[0][0].prompt).toContain('total 14 (range 0-21, normalized 67/100, band "Moderate anxiety")');
+});
@@ -0,0 +1,113 @@
+// Checks for text users type that ends up in AI prompts: custom topics and free-text answers.
+// The prompts themselves keep such text apart from their instructions (userInput in
+// prompts.js); this cleans it up first, and rejects obviously unusable custom topics locally,
+// without an AI call. The patterns are heuristics: anything they let through still goes to
+// the AI topic validation.
+// Like prompts.js, this file must stay free of imports: `npm run sync-shared` copies it into
+// the Cloud Functions package, where the proxy runs the same checks.
+
+// Custom topics are short labels such as "Work-Life Balance"
+export const MAX_TOPIC_LENGTH = 100;
+
+// Control and format characters other than tab and newlines: zero-width characters and
+// bidirectional overrides can hide text from the person reading it, but not from the model
+const INVISIBLE_CHARACTERS = /(?![\t\n\r])[\p{Cc}\p{Cf}]/gu;
+
+// NFKC-normalized (so look-alike letters compare equal), without invisible characters or
+// runs of spaces, trimmed and cut to `maxLength`. `singleLine` also folds newlines into spaces.
+export const sanitizeUserText = (text, { maxLength = Infinity, singleLine = false } = {}) => text
+  .normalize('NFKC')
+  .replace(INVISIBLE_CHARACTERS, '')
+  .replace(singleLine ? /\s+/g : /[^\S\n]+/g, ' ')
+  .trim()
+  .slice(0, maxLength);
+
+// Attempts to talk to the model rather than about oneself: overriding its instructions,
+// giving it a new role, or faking the prompt's or the response's structure
+const INJECTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override|bypass|skip)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|your\s+|my\s+|these\s+|those\s+)?(?:previous|prior|above|earlier|preceding|original|system|initial)\s+(?:instructions?|prompts?|rules|messages?|directions|context)\b/i,
+  /\b(?:ignore|disregard|forget)\s+(?:all\s+)?(?:your|these|those)\s+(?:instructions|rules|guidelines)\b/i,
+  /\b(?:new|updated|real)\s+instructions?\s*:/i,
+  /\byou\s+are\s+(?:now|no\s+longer)\b/i,
+  /\bpretend\s+(?:to\s+be|you\s+are)\b/i,
+  /\b(?:system|developer)\s+(?:prompt|message|mode)\b/i,
+  /\b(?:reveal|show|print|repeat|output)\s+(?:me\s+)?(?:your|the)\s+(?:instructions|prompt|system\s+prompt)\b/i,
+  /\bjailbreak\w*/i,
+  /<\/?\s*(?:system|user|assistant|user_input|instructions?)\s*>/i,
+  /\[\/?INST\]|<\|[a-z_]+\|>|#{2,}\s*(?:instructions?|system)\b/i,
+  /```/,
+  /"?\b(?:isPsychological|analysis|advice|reason)"?\s*:\s*(?:true|false|")/i,
+  // Spanish and Arabic, the app's other UI languages
+  /\b(?:ignora|olvida|omite)\w*\s+(?:todas\s+)?(?:las\s+)?instrucciones\b/i,
+  /\bahora\s+eres\b/i,
+  /(?:تجاهل|انس|أهمل)\s+(?:كل\s+|جميع\s+)?(?:التعليمات|الأوامر)/
+];
+
+export const findInjectionAttempts = (text) => INJECTION_PATTERNS
+  .map(pattern => text.match(pattern))
+  .filter(Boolean)
+  .map(match => match[0]);
+
+// Links, e-mail addresses, code and keyboard mashing rather than a topic
+const NOT_A_TOPIC_PATTERNS = [
+  /https?:\/\/|\bwww\.\S/i,
+  /\S+@\S+\.\S+/,
+  /[{}[\]<>;=$\\|]{2,}/,
+  /(.)\1{5,}/u
+];
+
+// Profanity and insults, matched as whole words (Arabic words by surrounding spaces)
+const ABUSIVE_PATTERNS = [
+  /\b(?:fuck\w*|motherfuck\w*|shit\w*|bitch\w*|cunt\w*|asshole\w*|dickhead\w*|bastard\w*|whore\w*|slut\w*)\b/i,
+  /\b(?:put[ao]s?|mierda\w*|gilipollas|pendej\w*|cabr[oó]n\w*|hijo\s+de\s+puta|co[ñn]o|zorra\w*)\b/i,
+  /(?:^|\s)(?:شرموط\S*|منيوك\S*|قحب\S*|كس\s+(?:أمك|امك|أختك|اختك))(?=\s|$)/
+];
+
+// Subjects that are clearly not psychological, unless the topic also names something that is
+// (so "Anxiety before football matches" passes, "Football match results" doesn't)
+const OFF_TOPIC_PATTERNS = [
+  /\b(?:recipes?|cooking|baking|receta\w*)\b/i,
+  /\b(?:javascript|python|java|html|css|sql|programming|programaci[oó]n|source\s+code)\b/i,
+  /\b(?:bitcoin|crypto\w*|stock\s+prices?|forex|exchange\s+rates?)\b/i,
+  /\b(?:weather|forecast|tiempo\s+de\s+mañana)\b/i,
+  /\b(?:football|soccer|basketball|f[uú]tbol)\s+(?:scores?|results?|matches|resultados)\b/i,
+  /\b(?:translate|write\s+(?:an?\s+)?(?:essay|poem|story|code)|solve)\b/i,
+  /\d+\s*[-+*/^×÷]\s*\d+/,
+  /وصف(?:ة|ات)\s+طبخ|برمجة|بيتكوين|الطقس|نتائج\s+(?:مباريات|المباريات)/
+];
+
+const PSYCHOLOGY_PATTERNS = [
+  /\b(?:stress\w*|anxi\w*|worr\w*|fear\w*|mood\w*|emotion\w*|feel\w*|mental\w*|psych\w*|personalit\w*|self\w*|confiden\w*|motivat\w*|habit\w*|relationship\w*|sleep\w*|burnout|well-?being|happi\w*|anger|lonel\w*|grief|trauma\w*|coping|mindful\w*|depress\w*|attachment|procrastinat\w*)\b/i,
+  /estr[eé]s|ansiedad|miedo|[aá]nimo|emoci[oó]n|sentimiento|psicol[oó]g|personalidad|autoestima|confianza|motivaci[oó]n|h[aá]bito|relaci[oó]n|sueño|felicidad|soledad|duelo/i,
+  /قلق|توتر|خوف|مزاج|مشاعر|عاطف|نفسي|شخصية|ثقة|دافع|عادات|علاقات|نوم|سعادة|وحدة|حزن|اكتئاب/
+];
+
+// Local check of a custom topic before any AI call. Returns the cleaned-up topic and, if
+// it can't be used, a `problem` code the UI translates (errors.topicPrecheck in the locales):
+// 'empty', 'tooLong', 'noLetters', 'notATopic', 'injection', 'abusive' or 'offTopic'.
+export const precheckTopic = (input) => {
+  const topic = sanitizeUserText(input, { singleLine: true });
+  const check = (problem) => ({ topic, problem });
+  if (!topic) {
+    return check('empty');
+  }
+  if (topic.length > MAX_TOPIC_LENGTH) {
+    return check('tooLong');
+  }
+  if (!/\p{L}/u.test(topic)) {
+    return check('noLetters');
+  }
+  if (findInjectionAttempts(topic).length > 0) {
+    return check('injection');
+  }
+  if (NOT_A_TOPIC_PATTERNS.some(pattern => pattern.test(topic))) {
+    return check('notATopic');
+  }
+  if (ABUSIVE_PATTERNS.some(pattern => pattern.test(topic))) {
+    return check('abusive');
+  }
+  if (OFF_TOPIC_PATTERNS.some(pattern => pattern.test(topic)) && !PSYCHOLOGY_PATTERNS.some(pattern => pattern.test(topic))) {
+    return check('offTopic');
+  }
+  return check(null);
+};
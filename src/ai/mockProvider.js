@@ -0,0 +1,103 @@
+// Deterministic offline provider used for local development (REACT_APP_AI_PROVIDER=mock) and tests.
+// It never looks at the prompt text; responses are built from the task name and `context`.
+import { delay } from './http';
+import { AiCancelledError } from './errors';
+
+const STREAMED_CHUNKS = 5;
+
+// Option labels for each answer format (see ANSWER_FORMATS in validation.js)
+const FORMAT_OPTIONS = {
+  likert4: ["Strongly Disagree", "Disagree", "Agree", "Strongly Agree"],
+  likert5: ["Strongly Disagree", "Disagree", "Neither Agree nor Disagree", "Agree", "Strongly Agree"],
+  likert7: ["Strongly Disagree", "Disagree", "Somewhat Disagree", "Neither Agree nor Disagree", "Somewhat Agree", "Agree", "Strongly Agree"],
+  yesNo: ["No", "Yes"],
+  frequency: ["Never", "Rarely", "Sometimes", "Often", "Always"],
+  slider: ["Not at all", "Completely"],
+  text: []
+};
+
+// Each stem carries the reverse-keying and subscale tags the real prompt asks the model for.
+const QUESTION_STEMS = [
+  { text: "I often feel overwhelmed by {topic}-related situations.", reverse: false, subscale: "Emotional Response" },
+  { text: "I can usually calm myself down when {topic} comes up.", reverse: true, subscale: "Coping" },
+  { text: "Thinking about {topic} affects my sleep.", reverse: false, subscale: "Physical Symptoms" },
+  { text: "I talk to someone I trust when {topic} becomes difficult.", reverse: true, subscale: "Coping" },
+  { text: "I notice physical tension when dealing with {topic}.", reverse: false, subscale: "Physical Symptoms" },
+  { text: "I feel confident in how I handle {topic}.", reverse: true, subscale: "Coping" },
+  { text: "{topic} makes it hard for me to concentrate.", reverse: false, subscale: "Emotional Response" },
+  { text: "I have healthy routines that help me with {topic}.", reverse: true, subscale: "Coping" },
+  { text: "I avoid situations because of {topic}.", reverse: false, subscale: "Emotional Response" },
+  { text: "I understand what triggers my feelings about {topic}.", reverse: true, subscale: "Coping" },
+  { text: "I feel in control of my reactions related to {topic}.", reverse: true, subscale: "Emotional Response" },
+  { text: "Other people have commented on how {topic} affects me.", reverse: false, subscale: "Emotional Response" },
+  { text: "I take time to reflect on my experiences with {topic}.", reverse: true, subscale: "Coping" },
+  { text: "I feel hopeful about improving in the area of {topic}.", reverse: true, subscale: "Coping" },
+  { text: "I use specific strategies to deal with {topic}.", reverse: true, subscale: "Coping" }
+];
+
+// Tiny string hash so the same topic always yields the same question order.
+const hashString = (value) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
+export const buildMockQuestions = (topic = 'this topic', count = 5, format = 'likert4') => {
+  const offset = hashString(topic) % QUESTION_STEMS.length;
+  return Array.from({ length: count }, (_, index) => {
+    const stem = QUESTION_STEMS[(offset + index) % QUESTION_STEMS.length];
+    // Past one full cycle, suffix the round so generated texts stay unique.
+    const round = Math.floor(index / QUESTION_STEMS.length);
+    return {
+      question: stem.text.replace('{topic}', topic) + (round > 0 ? ` (${round + 1})` : ''),
+      options: [...(FORMAT_OPTIONS[format] || FORMAT_OPTIONS.likert4)],
+      reverse: stem.reverse,
+      subscale: stem.subscale
+    };
+  });
+};
+
+const buildResponse = (task, context = {}) => {
+  switch (task) {
+    case 'questions':
+      return buildMockQuestions(context.topic, context.count, context.format);
+    case 'analysis':
+      return {
+        analysis: `This is a mock analysis for "${context.topic || 'your topic'}". Your answers suggest a balanced pattern with a few areas worth reflecting on.`,
+        advice: "Try a short daily check-in with yourself, keep regular sleep hours, and reach out to someone you trust when things feel heavy."
+      };
+    case 'stability': {
+      // Cites the first (and, if there is one, second) answer
+      const evidence = (context.answers || []).length > 1 ? [1, 2] : [1];
+      return {
+        emotional: { level: "Moderate", score: 55, emoji: "😐", confidence: "medium", rationale: "Your answers show some ups and downs in how you feel.", evidence },
+        mental: { level: "Good", score: 70, emoji: "😄", confidence: "medium", rationale: "Your answers suggest you mostly think clearly and cope well.", evidence },
+        physical: { level: "Good", score: 65, emoji: "😄", confidence: "low", rationale: "Few of your answers are about your body, so this is a rough estimate.", evidence: [1] }
+      };
+    }
+    case 'topicValidation':
+      return { isPsychological: true, reason: "Mock provider accepts every topic." };
+    default:
+      throw new Error(`Mock provider has no fixture for task "${task}"`);
+  }
+};
+
+// With onText the response is "streamed" in a few chunks spread over `delayMs`.
+export const createMockProvider = ({ delayMs = 0 } = {}) => ({
+  name: 'mock',
+  generate: async ({ task, context, signal, onText }) => {
+    const text = JSON.stringify(buildResponse(task, context));
+    const chunkCount = onText ? STREAMED_CHUNKS : 1;
+    for (let chunk = 1; chunk <= chunkCount; chunk++) {
+      if (delayMs > 0) {
+        await delay(delayMs / chunkCount, signal);
+      } else if (signal?.aborted) {
+        throw new AiCancelledError();
+      }
+      onText?.(text.slice(0, Math.ceil((text.length * chunk) / chunkCount)));
+    }
+    return text;
+  }
+});
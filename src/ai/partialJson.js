@@ -0,0 +1,39 @@
+// Reads string fields out of JSON that is still streaming in, so text can be shown before the
+// response is complete: '{"analysis": "You seem to' -> { analysis: 'You seem to', advice: '' }.
+// Fields that haven't started yet are ''. Only meant for display; the finished response is
+// still parsed and validated by generateJson.
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+const readPartialString = (text, start) => {
+  let value = '';
+  let i = start;
+  while (i < text.length && text[i] !== '"') {
+    if (text[i] !== '\\') {
+      value += text[i];
+      i += 1;
+    } else {
+      const escaped = text[i + 1];
+      if (escaped === undefined) {
+        break;
+      }
+      if (escaped === 'u') {
+        const hex = text.slice(i + 2, i + 6);
+        if (hex.length < 4) {
+          break;
+        }
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+      } else {
+        value += ESCAPES[escaped] ?? escaped;
+        i += 2;
+      }
+    }
+  }
+  return value;
+};
+
+export const readPartialJsonStrings = (text, fields) => Object.fromEntries(fields.map(field => {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(text);
+  return [field, match ? readPartialString(text, match.index + match[0].length) : ''];
+}));
@@ -0,0 +1,237 @@
+import { getAuth } from 'firebase/auth';
+import { createMockProvider } from './mockProvider';
+import { fetchWithRetry, readServerSentEvents } from './http';
+
+// Every provider exposes the same interface:
+//   generate({ task, prompt, schema, context, repair, signal, onText }) => Promise<string>
+// `task` names the flow ('questions', 'analysis', 'stability', 'topicValidation'),
+// `schema` is the expected response shape (see schemas.js) and `context` carries
+// structured parameters such as { topic, count } that some providers (the mock) use
+// instead of parsing the prompt. `repair` is set on corrective retries ({ problems }) and
+// `prompt` then already includes the correction. The resolved value is the raw JSON text.
+// `signal` (an AbortSignal) cancels the request. When `onText` is given the response is
+// streamed, and onText is called with the text received so far after every chunk.
+// Network providers take `retryOptions` (see DEFAULT_RETRY_OPTIONS in http.js).
+
+// Error for a failed response, with the message `describe` finds in its JSON body
+const readErrorResponse = async (response, describe) => new Error(describe(await response.json().catch(() => ({}))));
+
+// Google Gemini via the generateContent REST endpoint.
+// With onText it uses streamGenerateContent, whose server-sent events each carry a chunk.
+export const createGeminiProvider = ({ apiKey, model = 'gemini-2.0-flash', fetchImpl = fetch, retryOptions } = {}) => ({
+  name: 'gemini',
+  generate: async ({ prompt, schema, signal, onText }) => {
+    const payload = {
+      contents: [{ role: "user", parts: [{ text: prompt }] }],
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: schema
+      }
+    };
+
+    const method = onText ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}key=${apiKey}`;
+    return fetchWithRetry(fetchImpl, apiUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    }, {
+      ...retryOptions,
+      signal,
+      readBody: async (response, keepAlive) => {
+        if (!response.ok) {
+          throw await readErrorResponse(response, (result) => result.error?.message || `Gemini request failed with status ${response.status}`);
+        }
+        if (onText) {
+          let text = '';
+          await readServerSentEvents(response, {
+            onChunk: keepAlive,
+            onEvent: (data) => {
+              text += JSON.parse(data).candidates?.[0]?.content?.parts?.[0]?.text || '';
+              onText(text);
+            }
+          });
+          return text;
+        }
+        const result = await response.json();
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (typeof text !== 'string') {
+          console.error("Gemini API response structure unexpected:", result);
+          throw new Error("Unexpected response structure from Gemini");
+        }
+        return text;
+      }
+    });
+  }
+});
+
+// Converts a Gemini-dialect schema into standard JSON Schema for OpenAI structured outputs.
+export const toJsonSchema = (schema) => {
+  const type = schema.type.toLowerCase();
+  if (type === 'array') {
+    return { type, items: toJsonSchema(schema.items) };
+  }
+  if (type === 'object') {
+    const properties = {};
+    Object.entries(schema.properties || {}).forEach(([key, value]) => {
+      properties[key] = toJsonSchema(value);
+    });
+    return { type, properties, required: Object.keys(properties), additionalProperties: false };
+  }
+  return schema.enum ? { type, enum: schema.enum } : { type };
+};
+
+// Any OpenAI-compatible chat completions endpoint (OpenAI, Azure, Ollama, LM Studio, vLLM...).
+// Structured outputs require an object at the top level, so array responses are wrapped
+// in { result: [...] } on the way out and unwrapped on the way back.
+// With onText the completion is streamed as `data:` chunks ending in `data: [DONE]`.
+export const createOpenAIProvider = ({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini', fetchImpl = fetch, retryOptions } = {}) => ({
+  name: 'openai',
+  generate: async ({ task, prompt, schema, signal, onText }) => {
+    const isWrapped = schema.type !== 'OBJECT';
+    const jsonSchema = isWrapped
+      ? { type: 'object', properties: { result: toJsonSchema(schema) }, required: ['result'], additionalProperties: false }
+      : toJsonSchema(schema);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const text = await fetchWithRetry(fetchImpl, `${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        response_format: { type: 'json_schema', json_schema: { name: task, strict: true, schema: jsonSchema } },
+        ...(onText && { stream: true })
+      })
+    }, {
+      ...retryOptions,
+      signal,
+      readBody: async (response, keepAlive) => {
+        if (!response.ok) {
+          throw await readErrorResponse(response, (result) => result.error?.message || `OpenAI-compatible request failed with status ${response.status}`);
+        }
+        if (onText) {
+          let streamed = '';
+          await readServerSentEvents(response, {
+            onChunk: keepAlive,
+            onEvent: (data) => {
+              if (data === '[DONE]') {
+                return;
+              }
+              streamed += JSON.parse(data).choices?.[0]?.delta?.content || '';
+              onText(streamed);
+            }
+          });
+          return streamed;
+        }
+        const result = await response.json();
+        const content = result.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+          console.error("OpenAI-compatible API response structure unexpected:", result);
+          throw new Error("Unexpected response structure from OpenAI-compatible endpoint");
+        }
+        return content;
+      }
+    });
+    return isWrapped ? JSON.stringify(JSON.parse(text).result) : text;
+  }
+});
+
+// The app's own backend (functions/), which holds the Gemini key server-side.
+// Only structured task inputs are sent; the server rebuilds the prompt itself, so the proxy
+// can't be used as an open relay. Requests carry the Firebase ID token for rate limiting.
+// Streamed requests send `stream: true` and get events of { text } chunks, then { done: true }
+// or { error }.
+const PROXY_ROUTES = {
+  questions: (context) => ['/generate-questions', { topic: context.topic, count: context.count, language: context.language, format: context.format, exclude: context.exclude }],
+  analysis: (context) => ['/analyze', { kind: 'analysis', topic: context.topic, answers: context.answers, count: context.count, score: context.score, language: context.language }],
+  stability: (context) => ['/analyze', { kind: 'stability', topic: context.topic, answers: context.answers, score: context.score, language: context.language }],
+  topicValidation: (context) => ['/validate-topic', { topic: context.topic, language: context.language }]
+};
+
+export const createProxyProvider = ({ baseUrl = '/api', getIdToken = async () => null, fetchImpl = fetch, retryOptions } = {}) => ({
+  name: 'proxy',
+  generate: async ({ task, context = {}, repair, signal, onText }) => {
+    if (!PROXY_ROUTES[task]) {
+      throw new Error(`AI proxy has no route for task "${task}"`);
+    }
+    const [route, routeBody] = PROXY_ROUTES[task](context);
+    const body = { ...routeBody, ...(repair && { repair }), ...(onText && { stream: true }) };
+
+    const headers = { 'Content-Type': 'application/json' };
+    const idToken = await getIdToken();
+    if (idToken) {
+      headers.Authorization = `Bearer ${idToken}`;
+    }
+
+    return fetchWithRetry(fetchImpl, `${baseUrl.replace(/\/+$/, '')}${route}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    }, {
+      ...retryOptions,
+      signal,
+      readBody: async (response, keepAlive) => {
+        if (!response.ok) {
+          throw await readErrorResponse(response, (result) => result.error || `AI proxy request failed with status ${response.status}`);
+        }
+        // Errors before the stream starts (bad input, rate limits) still come back as JSON
+        if (onText && (response.headers?.get('Content-Type') || '').includes('text/event-stream')) {
+          let text = '';
+          await readServerSentEvents(response, {
+            onChunk: keepAlive,
+            onEvent: (data) => {
+              const event = JSON.parse(data);
+              if (event.error) {
+                throw new Error(event.error);
+              }
+              if (typeof event.text === 'string') {
+                text += event.text;
+                onText(text);
+              }
+            }
+          });
+          return text;
+        }
+        return JSON.stringify(await response.json());
+      }
+    });
+  }
+});
+
+// Picks a provider from REACT_APP_AI_PROVIDER ('proxy', 'gemini', 'openai' or 'mock').
+// The proxy is the default so no model API key ends up in the browser bundle;
+// tests default to the mock so they never touch the network.
+export const createProviderFromEnv = (env = process.env) => {
+  const name = env.REACT_APP_AI_PROVIDER || (env.NODE_ENV === 'test' ? 'mock' : 'proxy');
+  const retryOptions = Number(env.REACT_APP_AI_TIMEOUT_MS) > 0 ? { timeoutMs: Number(env.REACT_APP_AI_TIMEOUT_MS) } : undefined;
+  switch (name) {
+    case 'proxy':
+      return createProxyProvider({
+        baseUrl: env.REACT_APP_AI_PROXY_URL || undefined,
+        getIdToken: async () => getAuth().currentUser?.getIdToken() ?? null,
+        retryOptions
+      });
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: env.REACT_APP_GEMINI_API_KEY,
+        model: env.REACT_APP_GEMINI_MODEL || undefined,
+        retryOptions
+      });
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: env.REACT_APP_OPENAI_API_KEY,
+        baseUrl: env.REACT_APP_OPENAI_BASE_URL || undefined,
+        model: env.REACT_APP_OPENAI_MODEL || undefined,
+        retryOptions
+      });
+    case 'mock':
+      return createMockProvider({ delayMs: Number(env.REACT_APP_AI_MOCK_DELAY_MS) || 0 });
+    default:
+      throw new Error(`Unknown AI provider "${name}". Use 'proxy', 'gemini', 'openai' or 'mock'.`);
+  }
+};
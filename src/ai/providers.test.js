@@ -0,0 +1,93 @@
+import { createGeminiProvider, createOpenAIProvider, createProxyProvider, createProviderFromEnv, toJsonSchema } from './providers';
+import { createMockProvider } from './mockProvider';
+import { questionsSchema, analysisSchema } from './schemas';
+import { ANSWER_FORMATS, parseAndValidate } from './validation';
+
+const jsonResponse = (body, ok = true, status = 200, headers = {}) => Promise.resolve({
+  ok, status, headers: { get: (name) => headers[name] ?? null }, json: () => Promise.resolve(body)
+});
+
+test('gemini provider extracts the candidate text', async () => {
+  const fetchImpl = jest.fn(() => jsonResponse({ candidates: [{ content: { parts: [{ text: '{"analysis":"a","advice":"b"}' }] } }] }));
+  const provider = createGeminiProvider({ apiKey: 'k', model: 'test-model', fetchImpl });
+
+  const text = await provider.generate({ task: 'analysis', prompt: 'p', schema: analysisSchema });
+
+  expect(text).toBe('{"analysis":"a","advice":"b"}');
+  expect(fetchImpl.mock.calls[0][0]).toContain('/models/test-model:generateContent?key=k');
+  expect(JSON.parse(fetchImpl.mock.calls[0][1].body).generationConfig.responseSchema).toEqual(analysisSchema);
+});
+
+test('gemini provider rejects an unexpected response structure', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const provider = createGeminiProvider({ fetchImpl: () => jsonResponse({ candidates: [] }) });
+  await expect(provider.generate({ prompt: 'p', schema: analysisSchema })).rejects.toThrow(/Unexpected response structure/);
+  console.error.mockRestore();
+});
+
+test('openai provider wraps and unwraps array responses', async () => {
+  const fetchImpl = jest.fn(() => jsonResponse({ choices: [{ message: { content: '{"result":[{"question":"q","options":["a"]}]}' } }] }));
+  const provider = createOpenAIProvider({ apiKey: 'k', baseUrl: 'http://localhost:11434/v1/', fetchImpl });
+
+  const text = await provider.generate({ task: 'questions', prompt: 'p', schema: questionsSchema });
+
+  expect(JSON.parse(text)).toEqual([{ question: 'q', options: ['a'] }]);
+  expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+  const body = JSON.parse(fetchImpl.mock.calls[0][1].body);
+  expect(body.response_format.json_schema.schema.properties.result.type).toBe('array');
+});
+
+test('proxy provider sends structured task inputs with the ID token', async () => {
+  const fetchImpl = jest.fn(() => jsonResponse({ emotional: { level: 'Good', emoji: '😄' } }));
+  const provider = createProxyProvider({ baseUrl: '/api', getIdToken: async () => 'token-123', fetchImpl });
+
+  const text = await provider.generate({ task: 'stability', prompt: 'ignored', context: { topic: 'Anxiety Check', answers: [] } });
+
+  expect(JSON.parse(text)).toEqual({ emotional: { level: 'Good', emoji: '😄' } });
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe('/api/analyze');
+  expect(init.headers.Authorization).toBe('Bearer token-123');
+  expect(JSON.parse(init.body)).toEqual({ kind: 'stability', topic: 'Anxiety Check', answers: [] });
+});
+
+test('proxy provider surfaces the server error message', async () => {
+  // The hourly rate limit asks for a long wait, so it isn't retried
+  const fetchImpl = jest.fn(() => jsonResponse({ error: 'Too many AI requests.' }, false, 429, { 'Retry-After': '3600' }));
+  const provider = createProxyProvider({ fetchImpl });
+  await expect(provider.generate({ task: 'topicValidation', context: { topic: 'x' } })).rejects.toThrow('Too many AI requests.');
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('toJsonSchema marks every object property as required', () => {
+  expect(toJsonSchema(analysisSchema)).toEqual({
+    type: 'object',
+    properties: { analysis: { type: 'string' }, advice: { type: 'string' } },
+    required: ['analysis', 'advice'],
+    additionalProperties: false
+  });
+});
+
+test('mock provider is deterministic and honours the requested count', async () => {
+  const provider = createMockProvider();
+  const first = JSON.parse(await provider.generate({ task: 'questions', context: { topic: 'Anxiety Check', count: 15 } }));
+  const second = JSON.parse(await provider.generate({ task: 'questions', context: { topic: 'Anxiety Check', count: 15 } }));
+
+  expect(first).toHaveLength(15);
+  expect(first).toEqual(second);
+  expect(new Set(first.map(q => q.question)).size).toBe(15);
+});
+
+test('mock questions are valid in every answer format', async () => {
+  const provider = createMockProvider();
+  for (const format of Object.keys(ANSWER_FORMATS)) {
+    const text = await provider.generate({ task: 'questions', context: { topic: 'Stress', count: 3, format } });
+    expect(parseAndValidate('questions', text, { format }).problems).toEqual([]);
+  }
+});
+
+test('provider selection defaults to the proxy, or the mock under test, and rejects unknown names', () => {
+  expect(createProviderFromEnv({ NODE_ENV: 'production' }).name).toBe('proxy');
+  expect(createProviderFromEnv({ NODE_ENV: 'test' }).name).toBe('mock');
+  expect(createProviderFromEnv({ REACT_APP_AI_PROVIDER: 'openai' }).name).toBe('openai');
+  expect(() => createProviderFromEnv({ REACT_APP_AI_PROVIDER: 'nope' })).toThrow(/Unknown AI provider/);
+});
@@ -0,0 +1,63 @@
+// Response schemas for each AI task, written in the Gemini `responseSchema` dialect.
+// Providers that speak a different dialect (e.g. OpenAI JSON Schema) convert from these.
+// Keep this file free of imports; it is shared with the Cloud Functions proxy (see prompts.js).
+
+export const questionsSchema = {
+  type: "ARRAY",
+  items: {
+    type: "OBJECT",
+    properties: {
+      "question": { "type": "STRING" },
+      "options": {
+        "type": "ARRAY",
+        "items": { "type": "STRING" }
+      },
+      "reverse": { "type": "BOOLEAN" },
+      "subscale": { "type": "STRING" }
+    },
+    "propertyOrdering": ["question", "options", "reverse", "subscale"]
+  }
+};
+
+export const analysisSchema = {
+  type: "OBJECT",
+  properties: {
+    "analysis": { "type": "STRING" },
+    "advice": { "type": "STRING" }
+  },
+  "propertyOrdering": ["analysis", "advice"]
+};
+
+// "level" and "confidence" use the fixed lists STABILITY_LEVELS and STABILITY_CONFIDENCE
+// from validation.js; "evidence" holds answer numbers, counting from 1.
+const stabilityLevelSchema = {
+  type: "OBJECT",
+  properties: {
+    "level": { "type": "STRING", "enum": ["Critical", "Low", "Moderate", "Good", "Excellent"] },
+    "score": { "type": "INTEGER" },
+    "emoji": { "type": "STRING" },
+    "confidence": { "type": "STRING", "enum": ["low", "medium", "high"] },
+    "rationale": { "type": "STRING" },
+    "evidence": { "type": "ARRAY", "items": { "type": "INTEGER" } }
+  },
+  propertyOrdering: ["level", "score", "emoji", "confidence", "rationale", "evidence"]
+};
+
+export const stabilitySchema = {
+  type: "OBJECT",
+  properties: {
+    "emotional": stabilityLevelSchema,
+    "mental": stabilityLevelSchema,
+    "physical": stabilityLevelSchema
+  },
+  propertyOrdering: ["emotional", "mental", "physical"]
+};
+
+export const topicValidationSchema = {
+  type: "OBJECT",
+  properties: {
+    "isPsychological": { "type": "BOOLEAN" },
+    "reason": { "type": "STRING" }
+  },
+  "propertyOrdering": ["isPsychological", "reason"]
+};
@@ -0,0 +1,14 @@
+// Built-in topics offered on the topic screen, by id. The UI shows them translated
+// (topics.list.* in the locale files); the English names here are what the server-side
+// question bank generator puts in its prompts (functions/questionBank.js).
+// Like prompts.js, this file must stay free of imports: `npm run sync-shared` copies it
+// into the Cloud Functions package.
+export const BUILT_IN_TOPICS = {
+  stress: 'Stress Level Assessment',
+  personality: 'Personality Traits',
+  anxiety: 'Anxiety Check',
+  emotionalIntelligence: 'Emotional Intelligence',
+  selfEsteem: 'Self-Esteem Evaluation',
+  coping: 'Coping Mechanisms',
+  mindfulness: 'Mindfulness & Well-being'
+};
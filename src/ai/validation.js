@@ -0,0 +1,148 @@
+// Shape checks for each AI task's parsed response.
+// Each validator returns a list of human-readable problems; an empty list means valid.
+// Responses relayed by the Cloud Functions proxy are checked here too: the proxy passes the
+// model output through, and corrective retries are driven from the browser. The proxy does
+// share this file's limits (`npm run sync-shared` copies it), so it must stay free of imports.
+
+// Answer formats the model can be asked for, with the number of strings each question's
+// "options" must hold. Sliders carry their two end labels; free-text questions have none.
+// The scoring engine (src/scoring) reads the format from each question's `type`.
+export const ANSWER_FORMATS = {
+  likert4: { optionCount: 4 },
+  likert5: { optionCount: 5 },
+  likert7: { optionCount: 7 },
+  yesNo: { optionCount: 2 },
+  frequency: { optionCount: 5 },
+  slider: { optionCount: 2 },
+  text: { optionCount: 0 }
+};
+export const DEFAULT_ANSWER_FORMAT = 'likert4';
+// Test lengths offered for AI-generated questions
+export const QUESTION_COUNT_RANGE = { min: 3, max: 30 };
+export const STABILITY_CATEGORIES = ['emotional', 'mental', 'physical'];
+// The fixed ordinal scale for stability ratings, lowest first; each level covers 20 points of
+// the 0-100 score, Excellent 80-100. The levels stay in English whatever the UI language, and
+// prompts.js and schemas.js spell out the same lists.
+export const STABILITY_LEVELS = ['Critical', 'Low', 'Moderate', 'Good', 'Excellent'];
+export const STABILITY_CONFIDENCE = ['low', 'medium', 'high'];
+
+export const stabilityLevelForScore = (score) => STABILITY_LEVELS[Math.min(Math.floor(score / 20), STABILITY_LEVELS.length - 1)];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// `format` is the answer format the questions were requested in (see ANSWER_FORMATS).
+const validateQuestions = (data, { format = DEFAULT_ANSWER_FORMAT } = {}) => {
+  const { optionCount } = ANSWER_FORMATS[format] || ANSWER_FORMATS[DEFAULT_ANSWER_FORMAT];
+  if (!Array.isArray(data)) {
+    return ['The response must be a JSON array of questions.'];
+  }
+  if (data.length === 0) {
+    return ['The response must contain at least one question.'];
+  }
+  const problems = [];
+  data.forEach((item, index) => {
+    if (!isPlainObject(item)) {
+      problems.push(`Item ${index} must be an object with "question" and "options".`);
+      return;
+    }
+    if (!isNonEmptyString(item.question)) {
+      problems.push(`Item ${index} is missing a non-empty "question" string.`);
+    }
+    if (!Array.isArray(item.options) || item.options.length !== optionCount || !item.options.every(isNonEmptyString)) {
+      problems.push(optionCount === 0
+        ? `Item ${index} must have an empty "options" array.`
+        : `Item ${index} must have exactly ${optionCount} non-empty strings in "options".`);
+    }
+    if (item.reverse !== undefined && typeof item.reverse !== 'boolean') {
+      problems.push(`Item ${index} has a non-boolean "reverse".`);
+    }
+    if (item.subscale !== undefined && typeof item.subscale !== 'string') {
+      problems.push(`Item ${index} has a non-string "subscale".`);
+    }
+  });
+  return problems;
+};
+
+const validateAnalysis = (data) => {
+  if (!isPlainObject(data)) {
+    return ['The response must be a JSON object with "analysis" and "advice".'];
+  }
+  return ['analysis', 'advice']
+    .filter(field => !isNonEmptyString(data[field]))
+    .map(field => `"${field}" must be a non-empty string.`);
+};
+
+// `answers` are the answers the ratings were asked about; "evidence" cites them by number,
+// counting from 1.
+const validateStability = (data, { answers } = {}) => {
+  if (!isPlainObject(data)) {
+    return [`The response must be a JSON object with ${STABILITY_CATEGORIES.join(', ')} entries.`];
+  }
+  const problems = [];
+  STABILITY_CATEGORIES.forEach(category => {
+    const entry = data[category];
+    if (!isPlainObject(entry)) {
+      problems.push(`"${category}" must be an object with "level", "score", "emoji", "confidence", "rationale" and "evidence".`);
+      return;
+    }
+    if (!STABILITY_LEVELS.includes(entry.level)) {
+      problems.push(`"${category}.level" must be one of ${STABILITY_LEVELS.join(', ')}.`);
+    }
+    if (!Number.isInteger(entry.score) || entry.score < 0 || entry.score > 100) {
+      problems.push(`"${category}.score" must be a whole number from 0 to 100.`);
+    } else if (STABILITY_LEVELS.includes(entry.level) && stabilityLevelForScore(entry.score) !== entry.level) {
+      problems.push(`"${category}.score" ${entry.score} is outside the range of the level "${entry.level}".`);
+    }
+    if (!isNonEmptyString(entry.emoji)) {
+      problems.push(`"${category}.emoji" must be a non-empty string.`);
+    }
+    if (!STABILITY_CONFIDENCE.includes(entry.confidence)) {
+      problems.push(`"${category}.confidence" must be one of ${STABILITY_CONFIDENCE.join(', ')}.`);
+    }
+    if (!isNonEmptyString(entry.rationale)) {
+      problems.push(`"${category}.rationale" must be a non-empty string.`);
+    }
+    const answerCount = Array.isArray(answers) ? answers.length : Infinity;
+    if (!Array.isArray(entry.evidence) || entry.evidence.length === 0 ||
+        !entry.evidence.every(number => Number.isInteger(number) && number >= 1 && number <= answerCount)) {
+      problems.push(Number.isFinite(answerCount)
+        ? `"${category}.evidence" must list the numbers (1-${answerCount}) of the answers behind the rating.`
+        : `"${category}.evidence" must list the numbers of the answers behind the rating.`);
+    }
+  });
+  return problems;
+};
+
+const validateTopicValidation = (data) => {
+  if (!isPlainObject(data)) {
+    return ['The response must be a JSON object with "isPsychological" and "reason".'];
+  }
+  const problems = [];
+  if (typeof data.isPsychological !== 'boolean') {
+    problems.push('"isPsychological" must be true or false.');
+  }
+  if (typeof data.reason !== 'string') {
+    problems.push('"reason" must be a string.');
+  }
+  return problems;
+};
+
+export const validators = {
+  questions: validateQuestions,
+  analysis: validateAnalysis,
+  stability: validateStability,
+  topicValidation: validateTopicValidation
+};
+
+// Parses raw model text and validates it for `task`, given the task's `context`.
+// Returns { data, problems }; `data` is undefined when the text isn't valid JSON.
+export const parseAndValidate = (task, text, context = {}) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    return { data: undefined, problems: [`The response is not valid JSON (${parseError.message}).`] };
+  }
+  return { data, problems: validators[task](data, context) };
+};
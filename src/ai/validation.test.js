@@ -0,0 +1,55 @@
+import { parseAndValidate } from './validation';
+
+const question = (text, options = ['a', 'b', 'c', 'd']) => ({ question: text, options });
+
+test('accepts well-formed responses for every task', () => {
+  expect(parseAndValidate('questions', JSON.stringify([question('q1')])).problems).toEqual([]);
+  expect(parseAndValidate('analysis', '{"analysis":"x","advice":"y"}').problems).toEqual([]);
+  expect(parseAndValidate('topicValidation', '{"isPsychological":false,"reason":""}').problems).toEqual([]);
+  const rating = (level, score) => ({ level, score, emoji: '😄', confidence: 'medium', rationale: 'Because of answer 1.', evidence: [1] });
+  const stability = { emotional: rating('Good', 60), mental: rating('Excellent', 100), physical: rating('Critical', 0) };
+  expect(parseAndValidate('stability', JSON.stringify(stability), { answers: [{}] }).problems).toEqual([]);
+});
+
+test('reports invalid JSON without throwing', () => {
+  const { data, problems } = parseAndValidate('analysis', '{"analysis": ');
+  expect(data).toBeUndefined();
+  expect(problems[0]).toMatch(/not valid JSON/);
+});
+
+test('flags questions with the wrong number of options', () => {
+  const { problems } = parseAndValidate('questions', JSON.stringify([question('q1'), question('q2', ['a', 'b', 'c'])]));
+  expect(problems).toEqual(['Item 1 must have exactly 4 non-empty strings in "options".']);
+});
+
+test('checks the option count of the requested answer format', () => {
+  const slider = [question('q1', ['Not at all', 'Completely'])];
+  expect(parseAndValidate('questions', JSON.stringify(slider), { format: 'slider' }).problems).toEqual([]);
+  expect(parseAndValidate('questions', JSON.stringify([question('q1', [])]), { format: 'text' }).problems).toEqual([]);
+  expect(parseAndValidate('questions', JSON.stringify(slider), { format: 'likert7' }).problems)
+    .toEqual(['Item 0 must have exactly 7 non-empty strings in "options".']);
+  expect(parseAndValidate('questions', JSON.stringify(slider), { format: 'text' }).problems)
+    .toEqual(['Item 0 must have an empty "options" array.']);
+});
+
+test('flags missing advice and malformed stability entries', () => {
+  expect(parseAndValidate('analysis', '{"analysis":"x"}').problems).toEqual(['"advice" must be a non-empty string.']);
+  const { problems } = parseAndValidate('stability', JSON.stringify({ emotional: 'Good', mental: { level: 'Good', score: 45, emoji: '😄', confidence: 'medium', rationale: 'ok', evidence: [1] } }));
+  expect(problems).toEqual([
+    '"emotional" must be an object with "level", "score", "emoji", "confidence", "rationale" and "evidence".',
+    '"mental.score" 45 is outside the range of the level "Good".',
+    '"physical" must be an object with "level", "score", "emoji", "confidence", "rationale" and "evidence".'
+  ]);
+});
+
+test('holds stability ratings to the fixed scale and to the answers they cite', () => {
+  const rating = { level: 'Needs Attention', score: 30.5, emoji: '😟', confidence: 'certain', rationale: ' ', evidence: [0, 3] };
+  const { problems } = parseAndValidate('stability', JSON.stringify({ emotional: rating }), { answers: [{}, {}] });
+  expect(problems.slice(0, 5)).toEqual([
+    '"emotional.level" must be one of Critical, Low, Moderate, Good, Excellent.',
+    '"emotional.score" must be a whole number from 0 to 100.',
+    '"emotional.confidence" must be one of low, medium, high.',
+    '"emotional.rationale" must be a non-empty string.',
+    '"emotional.evidence" must list the numbers (1-2) of the answers behind the rating.'
+  ]);
+});
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { signUpWithEmail, signInWithEmail, signInWithGoogle, signOutUser, saveProfile, describeAuthError } from './accounts';
+import SharingSettings from '../workspace/SharingSettings';
+import { useI18n } from '../i18n/I18nContext';
+
+// "Profile" stage. Guests can create an account (keeping their current data) or sign in;
+// signed-in users can edit their display name and sign out. Everyone can share their results
+// with a practitioner (src/workspace).
+// `onAccountChange` lets App re-read auth.currentUser, since linking an anonymous user
+// to a credential doesn't fire onAuthStateChanged.
+function ProfileView({ auth, db, appId, onAccountChange, onBack }) {
+  const { t } = useI18n();
+  const user = auth?.currentUser;
+  const context = { auth, db, appId };
+  const [mode, setMode] = useState('signUp'); // 'signUp' | 'signIn'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState(user?.displayName || '');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [formError, setFormError] = useState(null);
+
+  // Runs one account action with shared busy/error handling.
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setFormError(null);
+    setMessage(null);
+    try {
+      await action();
+      setPassword('');
+      setMessage(successMessage);
+      onAccountChange();
+    } catch (authError) {
+      console.error("Account action failed:", authError);
+      setFormError(describeAuthError(authError, t));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEmailSubmit = (e) => {
+    e.preventDefault();
+    if (mode === 'signUp') {
+      run(() => signUpWithEmail(context, email, password), t('profile.accountCreated'));
+    } else {
+      run(() => signInWithEmail(context, email, password), t('profile.signedIn'));
+    }
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <div className="w-full transition-opacity duration-500 ease-in-out">
+      <h2 className="text-2xl font-bold text-center text-blue-700 mb-6">
+        {user.isAnonymous ? t('profile.guestTitle') : t('profile.title')}
+      </h2>
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4" role="status">{message}</div>
+      )}
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{formError}</div>
+      )}
+
+      {user.isAnonymous ? (
+        <>
+          <p className="text-gray-700 text-center mb-6">{t('profile.guestIntro')}</p>
+
+          <div className="flex justify-center gap-2 mb-4">
+            {['signUp', 'signIn'].map(option => (
+              <button
+                key={option}
+                onClick={() => setMode(option)}
+                className={`px-4 py-2 rounded-lg font-semibold transition duration-300 ease-in-out ${mode === option ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+              >
+                {option === 'signUp' ? t('profile.createAccount') : t('profile.signIn')}
+              </button>
+            ))}
+          </div>
+
+          <form onSubmit={handleEmailSubmit} className="space-y-4 mb-6">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder={t('profile.email')}
+              autoComplete="email"
+              required
+              className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+            />
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={t('profile.password')}
+              autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'}
+              required
+              className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className={`w-full px-6 py-3 bg-blue-600 text-white font-bold rounded-lg shadow-md hover:bg-blue-700 transition duration-300 ease-in-out ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {mode === 'signUp' ? t('profile.createAccount') : t('profile.signIn')}
+            </button>
+          </form>
+
+          <button
+            onClick={() => run(() => signInWithGoogle(context), t('profile.signedInGoogle'))}
+            disabled={busy}
+            className={`w-full px-6 py-3 bg-white border border-gray-300 text-gray-800 font-semibold rounded-lg shadow-md hover:bg-gray-50 transition duration-300 ease-in-out ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {t('profile.google')}
+          </button>
+        </>
+      ) : (
+        <>
+          <dl className="bg-blue-50 p-6 rounded-lg border border-blue-200 mb-6 space-y-2 text-gray-700">
+            <div className="flex justify-between gap-4"><dt className="font-semibold">{t('profile.email')}</dt><dd>{user.email || '—'}</dd></div>
+            <div className="flex justify-between gap-4"><dt className="font-semibold">{t('profile.signedInWith')}</dt><dd>{user.providerData.map(p => p.providerId).join(', ')}</dd></div>
+            <div className="flex justify-between gap-4"><dt className="font-semibold">{t('profile.userId')}</dt><dd className="font-mono text-sm break-all">{user.uid}</dd></div>
+          </dl>
+
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              run(() => saveProfile(context, { displayName: displayName.trim() }), t('profile.saved'));
+            }}
+            className="space-y-4 mb-6"
+          >
+            <label htmlFor="profile-display-name" className="block text-sm font-semibold text-gray-700">{t('profile.displayName')}</label>
+            <input
+              id="profile-display-name"
+              type="text"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              maxLength={80}
+              className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className={`w-full px-6 py-3 bg-blue-600 text-white font-bold rounded-lg shadow-md hover:bg-blue-700 transition duration-300 ease-in-out ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {t('profile.save')}
+            </button>
+          </form>
+
+          <button
+            onClick={() => run(() => signOutUser(context), t('profile.signedOut'))}
+            disabled={busy}
+            className="w-full px-6 py-3 bg-red-500 text-white font-semibold rounded-lg shadow-md hover:bg-red-600 transition duration-300 ease-in-out"
+          >
+            {t('profile.signOut')}
+          </button>
+        </>
+      )}
+
+      <SharingSettings db={db} appId={appId} user={user} />
+
+      <div className="text-center">
+        <button
+          onClick={onBack}
+          className="mt-8 px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+        >
+          {t('app.back')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ProfileView;
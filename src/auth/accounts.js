@@ -0,0 +1,124 @@
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  createUserWithEmailAndPassword,
+  linkWithCredential,
+  linkWithPopup,
+  signInWithCredential,
+  signInWithEmailAndPassword,
+  signInWithPopup,
+  signOut,
+  updateProfile
+} from 'firebase/auth';
+import { collection, doc, getDoc, getDocs, setDoc, serverTimestamp } from 'firebase/firestore';
+import { DEFAULT_LANGUAGE, hasMessage, translate } from '../i18n';
+import { mergeAnsweredQuestions } from '../history/answeredQuestions';
+
+// Account flows on top of the anonymous session the app starts with.
+// New accounts are created by linking a credential to the anonymous user, so the uid (and
+// every answeredQuestions/sessions/drafts document under it) carries over unchanged.
+// Signing in to an account that already exists switches uid; the guest's data is read
+// before the switch and merged into the account afterwards.
+
+const USER_SUBCOLLECTIONS = ['answeredQuestions', 'sessions', 'drafts'];
+
+const userPath = (appId, uid) => `artifacts/${appId}/users/${uid}`;
+
+// Everything the app stores for one user, keyed by subcollection then doc id.
+const readUserData = async (db, appId, uid) => {
+  const data = {};
+  for (const name of USER_SUBCOLLECTIONS) {
+    const snapshot = await getDocs(collection(db, `${userPath(appId, uid)}/${name}`));
+    data[name] = snapshot.docs.map(snap => ({ id: snap.id, data: snap.data() }));
+  }
+  return data;
+};
+
+// answeredQuestions lists are merged (the guest's questions count as the most recent); sessions are copied as-is (their ids are unique);
+// a draft only replaces the account's own draft if the account has none.
+const mergeUserData = async (db, appId, uid, data) => {
+  for (const { id, data: answered } of data.answeredQuestions) {
+    const ref = doc(db, `${userPath(appId, uid)}/answeredQuestions`, id);
+    const existing = await getDoc(ref);
+    const questions = mergeAnsweredQuestions(existing.exists() ? existing.data().questions || [] : [], answered.questions || []);
+    await setDoc(ref, { questions }, { merge: true });
+  }
+  for (const { id, data: session } of data.sessions) {
+    await setDoc(doc(db, `${userPath(appId, uid)}/sessions`, id), session);
+  }
+  for (const { id, data: draft } of data.drafts) {
+    const ref = doc(db, `${userPath(appId, uid)}/drafts`, id);
+    if (!(await getDoc(ref)).exists()) {
+      await setDoc(ref, { ...draft, uid });
+    }
+  }
+};
+
+const hasUserData = (data) => USER_SUBCOLLECTIONS.some(name => data[name].length > 0);
+
+// Signs in with `signIn`, carrying an anonymous user's data over to the account.
+const signInKeepingGuestData = async ({ auth, db, appId }, signIn) => {
+  const guest = auth.currentUser?.isAnonymous ? auth.currentUser : null;
+  const guestData = guest && db ? await readUserData(db, appId, guest.uid) : null;
+
+  const credential = await signIn();
+
+  if (guestData && hasUserData(guestData) && credential.user.uid !== guest.uid) {
+    await mergeUserData(db, appId, credential.user.uid, guestData);
+  }
+  return credential.user;
+};
+
+export const signUpWithEmail = async ({ auth }, email, password) => {
+  if (auth.currentUser?.isAnonymous) {
+    const credential = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+    return credential.user;
+  }
+  const credential = await createUserWithEmailAndPassword(auth, email, password);
+  return credential.user;
+};
+
+export const signInWithEmail = (context, email, password) =>
+  signInKeepingGuestData(context, () => signInWithEmailAndPassword(context.auth, email, password));
+
+// Links Google to the anonymous user when possible; if that Google account is already a
+// PsychoAI account, signs in to it instead and merges the guest data.
+export const signInWithGoogle = async (context) => {
+  const { auth } = context;
+  const provider = new GoogleAuthProvider();
+  if (!auth.currentUser?.isAnonymous) {
+    return (await signInWithPopup(auth, provider)).user;
+  }
+  try {
+    return (await linkWithPopup(auth.currentUser, provider)).user;
+  } catch (linkError) {
+    const existingCredential = GoogleAuthProvider.credentialFromError(linkError);
+    if (linkError.code !== 'auth/credential-already-in-use' || !existingCredential) {
+      throw linkError;
+    }
+    return signInKeepingGuestData(context, () => signInWithCredential(auth, existingCredential));
+  }
+};
+
+// Signing out drops back to a fresh anonymous session (see the auth listener in App.js).
+export const signOutUser = ({ auth }) => signOut(auth);
+
+// Display name lives on the Auth user and in artifacts/{appId}/users/{uid}/profile/info.
+export const saveProfile = async ({ auth, db, appId }, { displayName }) => {
+  const user = auth.currentUser;
+  await updateProfile(user, { displayName });
+  if (db) {
+    await setDoc(doc(db, `${userPath(appId, user.uid)}/profile`, 'info'), {
+      displayName,
+      email: user.email || null,
+      updatedAt: serverTimestamp()
+    }, { merge: true });
+  }
+};
+
+// User-facing message for a Firebase Auth error, in the UI language when `t` is given.
+// Known codes have their own wording (profile.errors in the locale files).
+export const describeAuthError = (authError, t = (key, params) => translate(DEFAULT_LANGUAGE, key, params)) => {
+  const key = `profile.errors.${String(authError.code).replace(/^auth\//, '')}`;
+  return hasMessage(key) ? t(key) : t('errors.auth', { message: authError.message });
+};
@@ -0,0 +1,64 @@
+import { EmailAuthProvider, linkWithCredential, linkWithPopup, signInWithCredential, createUserWithEmailAndPassword, GoogleAuthProvider } from 'firebase/auth';
+import { getDocs, getDoc, setDoc } from 'firebase/firestore';
+import { mockFirestorePaths } from '../testing/firestoreMocks';
+import { signUpWithEmail, signInWithGoogle, describeAuthError } from './accounts';
+
+jest.mock('firebase/auth', () => ({
+  EmailAuthProvider: { credential: jest.fn() },
+  GoogleAuthProvider: Object.assign(jest.fn(), { credentialFromError: jest.fn() }),
+  createUserWithEmailAndPassword: jest.fn(),
+  linkWithCredential: jest.fn(),
+  linkWithPopup: jest.fn(),
+  signInWithCredential: jest.fn(),
+  signInWithEmailAndPassword: jest.fn(),
+  signInWithPopup: jest.fn(),
+  signOut: jest.fn(),
+  updateProfile: jest.fn()
+}));
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDocs: jest.fn(),
+  getDoc: jest.fn(),
+  setDoc: jest.fn(),
+  serverTimestamp: jest.fn()
+}));
+
+const guest = { uid: 'guest-uid', isAnonymous: true };
+
+beforeEach(() => {
+  mockFirestorePaths();
+  EmailAuthProvider.credential.mockImplementation((email, password) => ({ email, password }));
+});
+
+test('creating an account links the email credential to the guest user', async () => {
+  linkWithCredential.mockResolvedValue({ user: { ...guest, isAnonymous: false } });
+
+  const user = await signUpWithEmail({ auth: { currentUser: guest } }, 'a@b.co', 'secret1');
+
+  expect(linkWithCredential).toHaveBeenCalledWith(guest, { email: 'a@b.co', password: 'secret1' });
+  expect(createUserWithEmailAndPassword).not.toHaveBeenCalled();
+  expect(user.uid).toBe('guest-uid');
+});
+
+test('an already-registered Google account signs in and receives the guest data', async () => {
+  const linkError = Object.assign(new Error('in use'), { code: 'auth/credential-already-in-use' });
+  linkWithPopup.mockRejectedValue(linkError);
+  GoogleAuthProvider.credentialFromError.mockReturnValue({ provider: 'google' });
+  signInWithCredential.mockResolvedValue({ user: { uid: 'account-uid', isAnonymous: false } });
+  getDocs.mockImplementation(async ({ path }) => ({
+    docs: path.endsWith('/sessions') ? [{ id: 's1', data: () => ({ topic: 'Anxiety Check' }) }] : []
+  }));
+  getDoc.mockResolvedValue({ exists: () => false });
+
+  const user = await signInWithGoogle({ auth: { currentUser: guest }, db: {}, appId: 'app' });
+
+  expect(user.uid).toBe('account-uid');
+  expect(setDoc).toHaveBeenCalledWith({ path: 'artifacts/app/users/account-uid/sessions/s1' }, { topic: 'Anxiety Check' });
+});
+
+test('auth errors get friendly messages', () => {
+  expect(describeAuthError({ code: 'auth/weak-password' })).toMatch(/at least 6 characters/);
+  expect(describeAuthError({ code: 'auth/other', message: 'boom' })).toBe('Authentication failed: boom');
+});
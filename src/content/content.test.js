@@ -0,0 +1,38 @@
+import { getDocs } from 'firebase/firestore';
+import { loadPromptTemplates, topicLabel } from '.';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  doc: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn()
+}));
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test("topics show the admin's name, or the built-in topic's translated name", () => {
+  const t = (key) => `translated ${key}`;
+  expect(topicLabel({ id: 'stress', name: '' }, t)).toBe('translated topics.list.stress');
+  expect(topicLabel({ id: 'stress', name: 'Burnout' }, t)).toBe('Burnout');
+  expect(topicLabel({ id: 'sleep-2', name: '' }, t)).toBe('sleep-2');
+});
+
+test('only usable admin templates replace the built-in ones', async () => {
+  const templateDoc = (id, text) => ({ id, data: () => ({ text, version: 1 }) });
+  getDocs.mockResolvedValue({
+    docs: [
+      templateDoc('topicValidation', 'Is "{{topic}}" ok?{{languageInstructions}}'),
+      templateDoc('stability', null),
+      templateDoc('questions', 'Ask about {{topic}}.')
+    ]
+  });
+
+  await expect(loadPromptTemplates({}, 'app')).resolves.toEqual({ topicValidation: 'Is "{{topic}}" ok?{{languageInstructions}}' });
+  expect(console.warn).toHaveBeenCalledTimes(1);
+});
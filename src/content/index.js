@@ -0,0 +1,61 @@
+import { collection, doc, getDoc, getDocs } from 'firebase/firestore';
+import { BUILT_IN_TOPICS, findPromptTemplateProblems } from '../ai';
+import { hasMessage } from '../i18n';
+
+// Topics and prompt templates curated in the admin console (src/admin), read at runtime by
+// everyone so changing them needs no redeploy:
+//   artifacts/{appId}/config/topics                  - { topics: [{ id, name, description }], updatedAt, updatedBy },
+//                                                      in display order
+//   artifacts/{appId}/promptTemplates/{templateId}   - { text, version, updatedAt, updatedBy }; text null means
+//                                                      the built-in template (PROMPT_TEMPLATES in src/ai/prompts.js)
+//   artifacts/{appId}/promptTemplates/{templateId}/versions/{version}
+//                                                    - { text, version, createdAt, createdBy }; every saved version
+// Until an admin saves them (or while they can't be read) the built-in topics and prompts apply.
+
+export const MAX_TOPICS = 50;
+export const MAX_TOPIC_NAME_LENGTH = 200;
+export const MAX_TOPIC_DESCRIPTION_LENGTH = 500;
+
+// Topic ids name question bank documents ({topicId}__{format}__{language}), hence no underscores
+export const TOPIC_ID_PATTERN = /^[A-Za-z0-9-]{1,40}$/;
+
+// Built-in topics have no name of their own, so they show their translated name
+export const DEFAULT_TOPICS = Object.keys(BUILT_IN_TOPICS).map(id => ({ id, name: '', description: '' }));
+
+export const topicsRef = (db, appId) => doc(db, `artifacts/${appId}/config`, 'topics');
+export const promptTemplatesCollection = (db, appId) => collection(db, `artifacts/${appId}/promptTemplates`);
+
+// What the topic screen shows and the AI is asked about: the admin's name if there is one,
+// otherwise the built-in topic's name in the UI language
+export const topicLabel = (topic, t) => {
+  if (topic.name) {
+    return topic.name;
+  }
+  const key = `topics.list.${topic.id}`;
+  return hasMessage(key) ? t(key) : topic.id;
+};
+
+export const loadTopics = async (db, appId) => {
+  const snap = await getDoc(topicsRef(db, appId));
+  return snap.exists() ? snap.data().topics : DEFAULT_TOPICS;
+};
+
+// The admin templates in use, as { [templateId]: text } for setPromptTemplates. Templates reset
+// to the built-in one are left out, and so are any the prompt builders couldn't fill.
+export const loadPromptTemplates = async (db, appId) => {
+  const snap = await getDocs(promptTemplatesCollection(db, appId));
+  const templates = {};
+  snap.docs.forEach(templateDoc => {
+    const { text } = templateDoc.data();
+    if (text === null) {
+      return;
+    }
+    const problems = findPromptTemplateProblems(templateDoc.id, text);
+    if (problems.length > 0) {
+      console.warn(`Ignoring prompt template "${templateDoc.id}":`, problems);
+      return;
+    }
+    templates[templateDoc.id] = text;
+  });
+  return templates;
+};
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import TrendChart from './TrendChart';
+import { buildTopicTrends, getSessionTopics, STABILITY_SCALE_MAX } from './trends';
+import { hasCompositeScore } from '../instruments';
+import { useI18n } from '../i18n/I18nContext';
+
+const STABILITY_COLORS = { emotional: '#db2777', mental: '#2563eb', physical: '#059669' };
+const SCORE_TICKS = [0, 25, 50, 75, 100].map(value => ({ value, label: String(value) }));
+
+// "History" stage: past sessions for the current user, with per-topic trend charts.
+function HistoryView({ sessions, loading, onOpenSession, onImportFile, importError, notice, onBack }) {
+  const { t } = useI18n();
+  const topics = getSessionTopics(sessions);
+  const [topicFilter, setTopicFilter] = useState('');
+  const activeTopic = topicFilter || topics[0] || '';
+  const trends = activeTopic ? buildTopicTrends(sessions, activeTopic) : null;
+  const visibleSessions = sessions.filter(session => session.topic === activeTopic);
+  const stabilityTicks = Array.from({ length: STABILITY_SCALE_MAX + 1 }, (_, value) => ({ value, label: t(`stabilityLevels.${value}`) }));
+
+  return (
+    <div className="w-full transition-opacity duration-500 ease-in-out">
+      <h2 className="text-2xl font-bold text-center text-blue-700 mb-6">
+        {t('history.title')}
+      </h2>
+
+      {notice && (
+        <p className="bg-amber-50 border border-amber-300 text-amber-800 rounded-lg p-3 mb-6 text-center" role="status">{notice}</p>
+      )}
+
+      {loading && (
+        <p className="text-center text-gray-600 mb-6">{t('history.loading')}</p>
+      )}
+
+      {!loading && sessions.length === 0 && (
+        <p className="text-center text-gray-600 mb-6">{t('history.empty')}</p>
+      )}
+
+      {!loading && sessions.length > 0 && (
+        <>
+          <div className="mb-6">
+            <label htmlFor="history-topic" className="block text-sm font-semibold text-gray-700 mb-2">{t('history.topic')}</label>
+            <select
+              id="history-topic"
+              value={activeTopic}
+              onChange={(e) => setTopicFilter(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+            >
+              {topics.map(topic => (
+                <option key={topic} value={topic}>{topic}</option>
+              ))}
+            </select>
+          </div>
+
+          <TrendChart
+            title={t('history.scoreChart')}
+            series={[{ label: t('history.scoreSeries'), color: '#4f46e5', points: trends.score }]}
+            yMax={100}
+            yTicks={SCORE_TICKS}
+          />
+          <TrendChart
+            title={t('history.stabilityChart')}
+            series={trends.stability.map(({ category, points }) => ({
+              label: t(`categories.${category}`),
+              color: STABILITY_COLORS[category],
+              points
+            }))}
+            yMax={STABILITY_SCALE_MAX}
+            yTicks={stabilityTicks}
+          />
+
+          <ul className="space-y-3">
+            {visibleSessions.map(session => (
+              <li key={session.id}>
+                <button
+                  onClick={() => onOpenSession(session)}
+                  className="w-full p-4 bg-blue-50 border border-blue-200 rounded-lg text-start hover:bg-blue-100 hover:shadow-md transition duration-200 ease-in-out"
+                >
+                  <span className="block font-medium text-blue-800">{session.createdAt.toLocaleString()}</span>
+                  <span className="block text-sm text-gray-600">
+                    {t('history.questionCount', { count: session.questions.length })}
+                    {hasCompositeScore(session.score) && ` · ${t('history.scoreSummary', { total: session.score.total, max: session.score.max })}`}
+                    {session.score?.band && ` · ${session.score.band}`}
+                    {session.pending && ` · ${t('history.pending')}`}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="mt-8 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+        <label htmlFor="history-import" className="block text-sm font-semibold text-gray-700 mb-2">
+          {t('history.importLabel')}
+        </label>
+        <input
+          id="history-import"
+          type="file"
+          accept="application/json,.json"
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow picking the same file again after an error
+            if (file) onImportFile(file);
+          }}
+          className="block w-full text-sm text-gray-700"
+        />
+        {importError && <p className="text-red-600 text-sm mt-2">{importError}</p>}
+      </div>
+
+      <div className="text-center">
+        <button
+          onClick={onBack}
+          className="mt-8 px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+        >
+          {t('app.back')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default HistoryView;
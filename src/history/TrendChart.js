@@ -0,0 +1,67 @@
+import React from 'react';
+
+// Minimal SVG line chart. `series` is [{ label, color, points: [{ x: Date, y: number }] }];
+// all series share the time axis and the 0..yMax value axis.
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 40 };
+
+function TrendChart({ title, series, yMax, yTicks }) {
+  const allPoints = series.flatMap(s => s.points);
+  if (allPoints.length === 0) {
+    return null;
+  }
+
+  const times = allPoints.map(point => point.x.getTime());
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  // A single session has no time span; center it instead of dividing by zero.
+  const xFor = (date) => PADDING.left + (maxTime === minTime ? plotWidth / 2 : ((date.getTime() - minTime) / (maxTime - minTime)) * plotWidth);
+  const yFor = (value) => PADDING.top + plotHeight - (value / yMax) * plotHeight;
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-md font-semibold text-gray-700 mb-2">{title}</h4>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto bg-white rounded-lg border border-gray-200" role="img" aria-label={title}>
+        {yTicks.map(tick => (
+          <g key={tick.value}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yFor(tick.value)} y2={yFor(tick.value)} stroke="#e5e7eb" />
+            <text x={PADDING.left - 6} y={yFor(tick.value) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{tick.label}</text>
+          </g>
+        ))}
+        <text x={PADDING.left} y={HEIGHT - 8} fontSize="10" fill="#6b7280">{new Date(minTime).toLocaleDateString()}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" fontSize="10" fill="#6b7280">{new Date(maxTime).toLocaleDateString()}</text>
+        {series.map(s => (
+          <g key={s.label}>
+            <polyline
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              points={s.points.map(point => `${xFor(point.x)},${yFor(point.y)}`).join(' ')}
+            />
+            {s.points.map(point => (
+              <circle key={`${s.label}-${point.x.getTime()}`} cx={xFor(point.x)} cy={yFor(point.y)} r="3" fill={s.color}>
+                <title>{`${s.label}: ${point.y} (${point.x.toLocaleString()})`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      {series.length > 1 && (
+        <div className="flex justify-center gap-4 mt-2 text-sm text-gray-600">
+          {series.map(s => (
+            <span key={s.label} className="inline-flex items-center">
+              <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: s.color }}></span>
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrendChart;
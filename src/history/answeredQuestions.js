@@ -0,0 +1,37 @@
+import { doc, getDoc, runTransaction } from 'firebase/firestore';
+
+// Texts of the AI questions a user has already answered, one document per topic under
+// artifacts/{appId}/users/{uid}/answeredQuestions: { questions: [questionText, ...] }.
+// generateQuestions filters new batches against it (src/history/questionDedup.js) so tests
+// don't repeat themselves. Only the most recent MAX_ANSWERED_QUESTIONS are kept, which also
+// keeps the document within the size firestore.rules allows.
+
+export const MAX_ANSWERED_QUESTIONS = 1000;
+
+// `added` appended to `existing` without duplicates (a repeated question moves to the end),
+// trimmed to the most recent MAX_ANSWERED_QUESTIONS
+export const mergeAnsweredQuestions = (existing, added) => {
+  const addedSet = new Set(added);
+  return [...existing.filter(question => !addedSet.has(question)), ...addedSet].slice(-MAX_ANSWERED_QUESTIONS);
+};
+
+// Topic -> URL-friendly document id
+export const getTopicDocId = (topic) => topic.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+
+const getAnsweredQuestionsDocRef = (db, appId, uid, topic) => doc(db, `artifacts/${appId}/users/${uid}/answeredQuestions`, getTopicDocId(topic));
+
+export const loadAnsweredQuestions = async (db, appId, uid, topic) => {
+  const snap = await getDoc(getAnsweredQuestionsDocRef(db, appId, uid, topic));
+  return snap.exists() ? snap.data().questions || [] : [];
+};
+
+// A transaction, so queued offline updates (src/offline/syncQueue.js) replayed later can't
+// overwrite questions recorded from another device in the meantime.
+export const addAnsweredQuestions = (db, appId, uid, topic, questionTexts) => {
+  const ref = getAnsweredQuestionsDocRef(db, appId, uid, topic);
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(ref);
+    const existing = snap.exists() ? snap.data().questions || [] : [];
+    transaction.set(ref, { questions: mergeAnsweredQuestions(existing, questionTexts) });
+  });
+};
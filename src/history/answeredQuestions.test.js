@@ -0,0 +1,11 @@
+import { mergeAnsweredQuestions, MAX_ANSWERED_QUESTIONS } from './answeredQuestions';
+
+test('keeps answered questions unique, newest last, within the limit', () => {
+  expect(mergeAnsweredQuestions(['a', 'b', 'c'], ['b', 'd', 'd'])).toEqual(['a', 'c', 'b', 'd']);
+
+  const full = Array.from({ length: MAX_ANSWERED_QUESTIONS }, (_, index) => `q${index}`);
+  const merged = mergeAnsweredQuestions(full, ['new']);
+  expect(merged).toHaveLength(MAX_ANSWERED_QUESTIONS);
+  expect(merged[0]).toBe('q1');
+  expect(merged[merged.length - 1]).toBe('new');
+});
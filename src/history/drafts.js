@@ -0,0 +1,86 @@
+import { doc, getDoc, setDoc, deleteDoc } from 'firebase/firestore';
+
+// An in-progress questionnaire, autosaved so it survives a reload or an exit:
+//   { uid, topic, instrumentId, numQuestions, questions, answers, adaptive, updatedAt }
+// `answers` is an array aligned with `questions` (null = unanswered) and `updatedAt` is a
+// client timestamp in ms, used to pick the newer of the local and Firestore copies.
+// `adaptive` is { bank, asked } for adaptive tests (src/adaptive), where `questions` are the
+// bank items asked so far, and null otherwise.
+// Each user has a single draft: localStorage plus artifacts/{appId}/users/{uid}/drafts/current.
+
+const getLocalKey = (appId) => `psychoai-draft:${appId}`;
+
+const getDraftDocRef = (db, appId, uid) => doc(db, `artifacts/${appId}/users/${uid}/drafts`, 'current');
+
+export const buildDraft = ({ uid, topic, instrumentId, numQuestions, questions, userAnswers, adaptive }) => ({
+  uid,
+  topic,
+  instrumentId: instrumentId || null,
+  numQuestions,
+  // Firestore rejects undefined values, so round-trip through JSON like saveSession does.
+  questions: JSON.parse(JSON.stringify(questions)),
+  answers: questions.map((_, index) => userAnswers[index] ?? null),
+  adaptive: adaptive ? JSON.parse(JSON.stringify(adaptive)) : null,
+  updatedAt: Date.now()
+});
+
+// Back to the { [questionIndex]: answer } shape the questionnaire keeps in state.
+export const draftAnswersToUserAnswers = (draft) => Object.fromEntries(
+  draft.answers
+    .map((answer, index) => [index, answer])
+    .filter(([, answer]) => answer !== null)
+);
+
+export const countDraftAnswers = (draft) => draft.answers.filter(answer => answer !== null).length;
+
+export const saveLocalDraft = (appId, draft) => {
+  try {
+    localStorage.setItem(getLocalKey(appId), JSON.stringify(draft));
+  } catch (storageError) {
+    // Private browsing or a full quota shouldn't break the questionnaire.
+    console.warn("Could not save draft locally:", storageError);
+  }
+};
+
+export const loadLocalDraft = (appId, uid) => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(getLocalKey(appId)));
+    return draft && draft.uid === uid ? draft : null;
+  } catch (storageError) {
+    console.warn("Could not read local draft:", storageError);
+    return null;
+  }
+};
+
+export const saveRemoteDraft = (db, appId, uid, draft) => setDoc(getDraftDocRef(db, appId, uid), draft);
+
+export const loadRemoteDraft = async (db, appId, uid) => {
+  const snap = await getDoc(getDraftDocRef(db, appId, uid));
+  return snap.exists() ? snap.data() : null;
+};
+
+// Loads both copies and resolves to the most recently updated one (or null).
+export const loadLatestDraft = async (db, appId, uid) => {
+  const localDraft = loadLocalDraft(appId, uid);
+  let remoteDraft = null;
+  try {
+    remoteDraft = db ? await loadRemoteDraft(db, appId, uid) : null;
+  } catch (firestoreError) {
+    console.warn("Could not load draft from Firestore:", firestoreError);
+  }
+  const drafts = [localDraft, remoteDraft].filter(draft => draft && draft.questions?.length > 0);
+  return drafts.sort((a, b) => b.updatedAt - a.updatedAt)[0] || null;
+};
+
+export const deleteRemoteDraft = (db, appId, uid) => deleteDoc(getDraftDocRef(db, appId, uid));
+
+export const clearDraft = async (db, appId, uid) => {
+  try {
+    localStorage.removeItem(getLocalKey(appId));
+  } catch (storageError) {
+    console.warn("Could not clear local draft:", storageError);
+  }
+  if (db && uid) {
+    await deleteRemoteDraft(db, appId, uid);
+  }
+};
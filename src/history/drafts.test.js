@@ -0,0 +1,42 @@
+import { buildDraft, draftAnswersToUserAnswers, countDraftAnswers, saveLocalDraft, loadLocalDraft, loadLatestDraft } from './drafts';
+
+const questions = [
+  { question: 'q1', options: ['a', 'b'], subscale: undefined },
+  { question: 'q2', options: ['a', 'b'] },
+  { question: 'q3', options: ['a', 'b'] }
+];
+
+afterEach(() => localStorage.clear());
+
+test('round-trips partial answers through the draft shape', () => {
+  const draft = buildDraft({ uid: 'u1', topic: 'Anxiety Check', numQuestions: 5, questions, userAnswers: { 0: 'a', 2: 'b' } });
+
+  expect(draft.answers).toEqual(['a', null, 'b']);
+  expect(draft.questions[0]).not.toHaveProperty('subscale');
+  expect(countDraftAnswers(draft)).toBe(2);
+  expect(draftAnswersToUserAnswers(draft)).toEqual({ 0: 'a', 2: 'b' });
+});
+
+test('keeps the bank and asked items of an adaptive test', () => {
+  const adaptive = { bank: questions, asked: [2, 0] };
+  const draft = buildDraft({ uid: 'u1', topic: 't', numQuestions: 3, questions: [questions[2], questions[0]], userAnswers: { 0: 'a' }, adaptive });
+
+  expect(draft.adaptive.asked).toEqual([2, 0]);
+  expect(draft.adaptive.bank).toHaveLength(3);
+  expect(buildDraft({ uid: 'u1', topic: 't', numQuestions: 3, questions, userAnswers: {} }).adaptive).toBeNull();
+});
+
+test('local drafts belong to the user who saved them', () => {
+  const draft = buildDraft({ uid: 'u1', topic: 't', numQuestions: 5, questions, userAnswers: {} });
+  saveLocalDraft('app', draft);
+
+  expect(loadLocalDraft('app', 'u1')).toEqual(draft);
+  expect(loadLocalDraft('app', 'someone-else')).toBeNull();
+});
+
+test('loadLatestDraft falls back to the local copy without Firestore', async () => {
+  const draft = buildDraft({ uid: 'u1', topic: 't', numQuestions: 5, questions, userAnswers: { 1: 'a' } });
+  saveLocalDraft('app', draft);
+
+  await expect(loadLatestDraft(null, 'app', 'u1')).resolves.toEqual(draft);
+});
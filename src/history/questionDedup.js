@@ -0,0 +1,113 @@
+// Near-duplicate detection for AI questions, so a reworded version of a question the user
+// already answered ("I often feel tense" / "I frequently feel tense.") doesn't count as new.
+// Purely lexical and language-agnostic: the model is also given the answered questions to
+// avoid (buildQuestionsPrompt's `exclude`), which catches rewordings this can't see.
+// Must stay free of imports: `npm run sync-shared` copies it into the Cloud Functions package,
+// where the question bank generator uses it too.
+
+// Two questions at least this similar (0-1) are treated as the same question
+export const SIMILARITY_THRESHOLD = 0.7;
+
+// Extra AI calls generateQuestions may make to replace questions that turned out to be repeats
+export const MAX_TOP_UP_ROUNDS = 2;
+
+// How many answered questions are sent to the model as exclusions (the most recent ones)
+export const MAX_EXCLUDED_QUESTIONS = 50;
+
+// Lowercase, no accents, punctuation or extra spaces: "  Do you   feel TENSE?" -> "do you feel tense"
+export const normalizeQuestion = (text) => text
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Negation and frequency words change what a question asks ("I feel calm" / "I do not feel
+// calm", "I often feel happy" / "I rarely feel happy"), and reverse-keyed items depend on that
+// difference. Each maps to one marker; synonyms share theirs ("often" / "frequently").
+// English, Spanish and Arabic, like the UI.
+const MEANING_MARKERS = {
+  not: ['not', 'no', 'cannot', 'never', 'nor', 'nunca', 'jamás', 'tampoco', 'ni', 'لا', 'لم', 'لن', 'ليس', 'أبدا'],
+  often: ['often', 'frequently', 'usually', 'always', 'regularly', 'constantly', 'menudo', 'frecuentemente', 'siempre', 'normalmente', 'غالبا', 'دائما', 'كثيرا'],
+  sometimes: ['sometimes', 'occasionally', 'veces', 'ocasionalmente', 'أحيانا'],
+  rarely: ['rarely', 'seldom', 'hardly', 'barely', 'raramente', 'rara', 'نادرا']
+};
+
+const MARKER_OF_WORD = new Map(Object.entries(MEANING_MARKERS)
+  .flatMap(([marker, words]) => words.map(word => [normalizeQuestion(word), marker])));
+
+// The normalized text with marker words replaced by their marker, and the markers it holds
+// "don't" becomes "do not", so both spellings match.
+const canonicalWords = (text) => normalizeQuestion(text.replace(/n['’]t\b/gi, ' not')).split(' ').map(word => MARKER_OF_WORD.get(word) || word);
+
+const markersOf = (words) => words.filter(word => MEANING_MARKERS[word]).sort().join(' ');
+
+const trigrams = (text) => {
+  const padded = ` ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+const countShared = (a, b) => [...a].filter(item => b.has(item)).length;
+
+// Two measures on the canonical texts, and both have to agree, so the lower one counts:
+// character trigram overlap (Dice), which tolerates small wording and inflection changes, and
+// word overlap (Jaccard), which tolerates reordering ("after work I find it hard to relax").
+// Questions with different negation or frequency markers are never the same question.
+export const questionSimilarity = (a, b) => {
+  const wordsA = canonicalWords(a);
+  const wordsB = canonicalWords(b);
+  if (markersOf(wordsA) !== markersOf(wordsB)) {
+    return 0;
+  }
+  const textA = wordsA.join(' ');
+  const textB = wordsB.join(' ');
+  if (textA === textB) {
+    return 1;
+  }
+  const gramsA = trigrams(textA);
+  const gramsB = trigrams(textB);
+  const dice = (2 * countShared(gramsA, gramsB)) / (gramsA.size + gramsB.size);
+  const setA = new Set(wordsA);
+  const setB = new Set(wordsB);
+  const sharedWords = countShared(setA, setB);
+  const jaccard = sharedWords / (setA.size + setB.size - sharedWords);
+  return Math.min(dice, jaccard);
+};
+
+export const isNearDuplicate = (text, otherTexts) => otherTexts.some(other => questionSimilarity(text, other) >= SIMILARITY_THRESHOLD);
+
+// Splits generated questions into ones unlike `seenTexts` (and unlike each other) and repeats.
+export const partitionNewQuestions = (candidates, seenTexts) => {
+  const fresh = [];
+  const repeats = [];
+  candidates.forEach(candidate => {
+    if (isNearDuplicate(candidate.question, [...seenTexts, ...fresh.map(q => q.question)])) {
+      repeats.push(candidate);
+    } else {
+      fresh.push(candidate);
+    }
+  });
+  return { fresh, repeats };
+};
+
+// Gathers `count` questions the user hasn't answered yet. `generate(needed, exclude)` makes one
+// AI call; each further round asks only for what is still missing, excluding everything seen
+// so far. If the model keeps repeating itself, the rest of the test is filled with questions the
+// user answered before (never twice in one test); the answered history itself is left alone.
+export const collectNewQuestions = async ({ generate, count, answeredTexts, maxRounds = 1 + MAX_TOP_UP_ROUNDS }) => {
+  const collected = [];
+  const repeats = [];
+  for (let round = 0; round < maxRounds && collected.length < count; round++) {
+    const seen = [...answeredTexts, ...collected.map(q => q.question)];
+    const batch = await generate(count - collected.length, seen.slice(-MAX_EXCLUDED_QUESTIONS));
+    const { fresh, repeats: batchRepeats } = partitionNewQuestions(batch, seen);
+    collected.push(...fresh.slice(0, count - collected.length));
+    repeats.unshift(...batchRepeats);
+  }
+  const uniqueRepeats = partitionNewQuestions(repeats, collected.map(q => q.question)).fresh;
+  return [...collected, ...uniqueRepeats.slice(0, count - collected.length)];
+};
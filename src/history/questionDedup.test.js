@@ -0,0 +1,52 @@
+import { normalizeQuestion, questionSimilarity, partitionNewQuestions, collectNewQuestions, SIMILARITY_THRESHOLD } from './questionDedup';
+
+const q = (question) => ({ question, options: [] });
+
+test('rewordings count as the same question, different questions do not', () => {
+  expect(normalizeQuestion('  Do you   feel TENSE?')).toBe('do you feel tense');
+  expect(normalizeQuestion('¿Te sientes ansiosa?')).toBe('te sientes ansiosa');
+  expect(questionSimilarity('I often feel tense.', 'I often feel tense!')).toBe(1);
+  expect(questionSimilarity('I often feel tense.', 'I frequently feel tense.')).toBeGreaterThanOrEqual(SIMILARITY_THRESHOLD);
+  expect(questionSimilarity('I find it hard to relax after work.', 'After work, I find it difficult to relax.')).toBeGreaterThanOrEqual(SIMILARITY_THRESHOLD);
+  expect(questionSimilarity('I worry about many things.', 'I worry about the future.')).toBeLessThan(SIMILARITY_THRESHOLD);
+  expect(questionSimilarity('I feel nervous in social situations.', 'I enjoy spending time with friends.')).toBeLessThan(SIMILARITY_THRESHOLD);
+});
+
+test('negation, frequency and a changed subject make a different question', () => {
+  expect(questionSimilarity('I feel calm most days', 'I do not feel calm most days')).toBeLessThan(SIMILARITY_THRESHOLD);
+  expect(questionSimilarity('I feel anxious at work', 'I feel anxious at home')).toBeLessThan(SIMILARITY_THRESHOLD);
+  expect(questionSimilarity('I often feel happy', 'I rarely feel happy')).toBeLessThan(SIMILARITY_THRESHOLD);
+  expect(questionSimilarity('I sleep well.', 'I never sleep well.')).toBeLessThan(SIMILARITY_THRESHOLD);
+  expect(questionSimilarity('Me siento tranquilo.', 'Nunca me siento tranquilo.')).toBeLessThan(SIMILARITY_THRESHOLD);
+  expect(questionSimilarity("I don't sleep well.", 'I do not sleep well.')).toBe(1);
+});
+
+test('repeats within a batch are caught too', () => {
+  const { fresh, repeats } = partitionNewQuestions(
+    [q('I often feel tense.'), q('I sleep well.'), q('I sleep well!'), q('I enjoy my work.')],
+    ['I frequently feel tense.']
+  );
+  expect(fresh.map(item => item.question)).toEqual(['I sleep well.', 'I enjoy my work.']);
+  expect(repeats).toHaveLength(2);
+});
+
+test('missing questions are topped up with further rounds that exclude everything seen', async () => {
+  const generate = jest.fn()
+    .mockResolvedValueOnce([q('I often feel tense.'), q('I sleep well.'), q('I enjoy my work.')])
+    .mockResolvedValueOnce([q('I can say no to others.')]);
+
+  const questions = await collectNewQuestions({ generate, count: 3, answeredTexts: ['I frequently feel tense.'] });
+
+  expect(questions.map(item => item.question)).toEqual(['I sleep well.', 'I enjoy my work.', 'I can say no to others.']);
+  expect(generate).toHaveBeenNthCalledWith(1, 3, ['I frequently feel tense.']);
+  expect(generate).toHaveBeenNthCalledWith(2, 1, ['I frequently feel tense.', 'I sleep well.', 'I enjoy my work.']);
+});
+
+test('when the model only repeats itself, earlier questions fill the test once each', async () => {
+  const generate = jest.fn().mockResolvedValue([q('I often feel tense.'), q('I often feel tense!')]);
+
+  const questions = await collectNewQuestions({ generate, count: 2, answeredTexts: ['I often feel tense.'], maxRounds: 2 });
+
+  expect(generate).toHaveBeenCalledTimes(2);
+  expect(questions.map(item => item.question)).toEqual(['I often feel tense.']);
+});
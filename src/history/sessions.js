@@ -0,0 +1,44 @@
+import { collection, doc, addDoc, getDoc, getDocs, query, orderBy, limit, serverTimestamp, Timestamp } from 'firebase/firestore';
+
+// Completed tests are stored one document per session under
+// artifacts/{appId}/users/{uid}/sessions, next to the answeredQuestions docs.
+
+const MAX_SESSIONS_LISTED = 200;
+
+const getSessionsCollection = (db, appId, uid) => collection(db, `artifacts/${appId}/users/${uid}/sessions`);
+
+// Firestore rejects `undefined` field values (e.g. an instrument item without a subscale),
+// so drop them before writing.
+const withoutUndefined = (value) => JSON.parse(JSON.stringify(value));
+
+// Saves a completed test and resolves to the new session id. `completedAt` (ms) is set on
+// sessions that were queued offline, so they keep the time they were taken rather than the
+// time they synced.
+export const saveSession = async (db, appId, uid, { completedAt, ...session }) => {
+  const docRef = await addDoc(getSessionsCollection(db, appId, uid), {
+    ...withoutUndefined(session),
+    createdAt: completedAt ? Timestamp.fromMillis(completedAt) : serverTimestamp()
+  });
+  return docRef.id;
+};
+
+const fromSnapshot = (snap) => {
+  const data = snap.data();
+  return {
+    ...data,
+    id: snap.id,
+    // Pending server timestamps read back as null; fall back to "now" until they resolve.
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : new Date()
+  };
+};
+
+// Newest first.
+export const listSessions = async (db, appId, uid) => {
+  const snapshot = await getDocs(query(getSessionsCollection(db, appId, uid), orderBy('createdAt', 'desc'), limit(MAX_SESSIONS_LISTED)));
+  return snapshot.docs.map(fromSnapshot);
+};
+
+export const getSession = async (db, appId, uid, sessionId) => {
+  const snap = await getDoc(doc(getSessionsCollection(db, appId, uid), sessionId));
+  return snap.exists() ? fromSnapshot(snap) : null;
+};
@@ -0,0 +1,51 @@
+import { STABILITY_CATEGORIES, STABILITY_LEVELS } from '../ai/validation';
+import { hasCompositeScore } from '../instruments';
+
+// Stability levels are charted on a 0-4 ordinal scale: their position in STABILITY_LEVELS.
+// Sessions saved before the scale was fixed have free-text levels ("Needs Attention"...),
+// matched against these patterns in order; unknown wording is skipped.
+const STABILITY_LEVEL_PATTERNS = [
+  { pattern: /excellent|very good|thriving|very stable/i, value: 4 },
+  { pattern: /critical|severe|very low|crisis|poor/i, value: 0 },
+  { pattern: /needs attention|low|concern|unstable|struggling/i, value: 1 },
+  { pattern: /moderate|fair|average|okay|ok\b|mixed/i, value: 2 },
+  { pattern: /good|stable|high|healthy|strong/i, value: 3 }
+];
+
+export const STABILITY_SCALE_MAX = STABILITY_LEVELS.length - 1;
+
+export const stabilityLevelToValue = (level) => {
+  if (typeof level !== 'string') {
+    return null;
+  }
+  if (STABILITY_LEVELS.includes(level)) {
+    return STABILITY_LEVELS.indexOf(level);
+  }
+  const match = STABILITY_LEVEL_PATTERNS.find(({ pattern }) => pattern.test(level));
+  return match ? match.value : null;
+};
+
+// Distinct topics across sessions, most recently taken first.
+export const getSessionTopics = (sessions) => Array.from(new Set(sessions.map(session => session.topic)));
+
+// Chart series for one topic, oldest session first:
+//   score      normalized 0-100 scores (trait inventories have none)
+//   stability  one series per category on the 0-4 ordinal scale
+export const buildTopicTrends = (sessions, topic) => {
+  const ordered = sessions
+    .filter(session => session.topic === topic)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  const score = ordered
+    .filter(session => hasCompositeScore(session.score) && Number.isFinite(session.score.normalized))
+    .map(session => ({ x: session.createdAt, y: session.score.normalized, sessionId: session.id }));
+
+  const stability = STABILITY_CATEGORIES.map(category => ({
+    category,
+    points: ordered
+      .map(session => ({ x: session.createdAt, y: stabilityLevelToValue(session.stabilityLevels?.[category]?.level), sessionId: session.id }))
+      .filter(point => point.y !== null)
+  }));
+
+  return { score, stability };
+};
@@ -0,0 +1,30 @@
+import { stabilityLevelToValue, buildTopicTrends, getSessionTopics } from './trends';
+
+test('maps free-text stability levels onto the ordinal scale', () => {
+  expect(stabilityLevelToValue('Good')).toBe(3);
+  expect(stabilityLevelToValue('Critical')).toBe(0);
+  expect(stabilityLevelToValue('Excellent')).toBe(4);
+  expect(stabilityLevelToValue('Needs Attention')).toBe(1);
+  expect(stabilityLevelToValue('Moderate')).toBe(2);
+  expect(stabilityLevelToValue('Unstable')).toBe(1);
+  expect(stabilityLevelToValue('Very good')).toBe(4);
+  expect(stabilityLevelToValue('Sparkly')).toBeNull();
+  expect(stabilityLevelToValue(undefined)).toBeNull();
+});
+
+test('builds oldest-first score and stability series for one topic', () => {
+  const sessions = [
+    { id: 'b', topic: 'Anxiety Check', createdAt: new Date('2026-02-01'), score: { normalized: 40 }, stabilityLevels: { emotional: { level: 'Good' } } },
+    { id: 'x', topic: 'GAD-7', createdAt: new Date('2026-01-15'), score: { normalized: 10 } },
+    { id: 'c', topic: 'Anxiety Check', createdAt: new Date('2026-01-20'), score: { composite: false, subscales: [] } },
+    { id: 'a', topic: 'Anxiety Check', createdAt: new Date('2026-01-01'), score: { normalized: 70 }, stabilityLevels: { emotional: { level: 'Low' }, mental: { level: '???' } } }
+  ];
+
+  expect(getSessionTopics(sessions)).toEqual(['Anxiety Check', 'GAD-7']);
+
+  const trends = buildTopicTrends(sessions, 'Anxiety Check');
+  expect(trends.score.map(point => [point.sessionId, point.y])).toEqual([['a', 70], ['b', 40]]);
+  const emotional = trends.stability.find(series => series.category === 'emotional');
+  expect(emotional.points.map(point => point.y)).toEqual([1, 3]);
+  expect(trends.stability.find(series => series.category === 'mental').points).toEqual([]);
+});
@@ -0,0 +1,32 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LANGUAGE, getDirection, loadLanguagePreference, saveLanguagePreference, translate } from './index';
+
+const createValue = (language, setLanguage) => ({
+  language,
+  dir: getDirection(language),
+  t: (key, params) => translate(language, key, params),
+  setLanguage
+});
+
+// Without a provider (e.g. in component tests) everything renders in English.
+const I18nContext = createContext(createValue(DEFAULT_LANGUAGE, () => {}));
+
+// Holds the UI language, remembers the choice and keeps <html lang/dir> in sync so
+// right-to-left languages lay out correctly.
+export function I18nProvider({ children, initialLanguage }) {
+  const [language, setLanguageState] = useState(() => initialLanguage || loadLanguagePreference());
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = getDirection(language);
+  }, [language]);
+
+  const value = useMemo(() => createValue(language, (nextLanguage) => {
+    saveLanguagePreference(nextLanguage);
+    setLanguageState(nextLanguage);
+  }), [language]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => useContext(I18nContext);
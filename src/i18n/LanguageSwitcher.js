@@ -0,0 +1,24 @@
+import React from 'react';
+import { LANGUAGES } from './index';
+import { useI18n } from './I18nContext';
+
+function LanguageSwitcher() {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-gray-600">
+      <span>{t('app.language')}</span>
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        className="p-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+      >
+        {Object.entries(LANGUAGES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguageSwitcher;
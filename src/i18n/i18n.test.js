@@ -0,0 +1,32 @@
+import { LANGUAGES, translate, resolveLanguage, getDirection, hasMessage } from './index';
+import en from './locales/en';
+
+// Every key in a nested messages object, as dotted paths
+const keysOf = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => (
+  value !== null && typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+test('translate fills placeholders and falls back to English, then to the key', () => {
+  expect(translate('es', 'draft.progress', { topic: 'Estrés', answered: 2, total: 5 })).toBe('"Estrés" con 2 de 5 preguntas respondidas.');
+  expect(translate('es', 'errors.aiResponse', { action: 'A', message: 'B' })).toBe('A: B');
+  expect(translate('xx', 'welcome.start')).toBe('Start New Test');
+  expect(translate('en', 'no.such.key')).toBe('no.such.key');
+  expect(translate('ar', 'stabilityLevels.3')).toBe('جيد');
+});
+
+test('locales only use keys that exist in English', () => {
+  const englishKeys = new Set(keysOf(en));
+  Object.entries(LANGUAGES).forEach(([code, { messages }]) => {
+    const unknown = keysOf(messages).filter(key => !englishKeys.has(key));
+    expect({ code, unknown }).toEqual({ code, unknown: [] });
+  });
+});
+
+test('resolveLanguage matches browser preferences by base language', () => {
+  expect(resolveLanguage(['es-MX', 'en-US'])).toBe('es');
+  expect(resolveLanguage(['fr-FR', 'ar-EG'])).toBe('ar');
+  expect(resolveLanguage(['fr-FR'])).toBe('en');
+  expect(getDirection('ar')).toBe('rtl');
+  expect(getDirection('es')).toBe('ltr');
+  expect(hasMessage('profile.errors.weak-password')).toBe(true);
+});
@@ -0,0 +1,69 @@
+import en from './locales/en';
+import es from './locales/es';
+import ar from './locales/ar';
+
+// Supported UI languages. `name` is shown in the language switcher in the language itself;
+// `dir` drives the page direction for right-to-left scripts.
+// To add a language, create locales/<code>.js (missing keys fall back to English) and list it here.
+export const LANGUAGES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  es: { name: 'Español', dir: 'ltr', messages: es },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const STORAGE_KEY = 'psychoai-language';
+
+const lookup = (messages, key) => key.split('.').reduce(
+  (node, part) => (node !== null && typeof node === 'object' ? node[part] : undefined),
+  messages
+);
+
+const findMessage = (language, key) => {
+  const message = lookup((LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).messages, key);
+  return typeof message === 'string' ? message : lookup(en, key);
+};
+
+export const hasMessage = (key) => typeof lookup(en, key) === 'string';
+
+// Looks up a dotted key ("results.title") in the language, then in English, and fills in
+// {placeholders} from params. Unknown keys come back as the key itself, so gaps are visible.
+export const translate = (language, key, params = {}) => {
+  const message = findMessage(language, key);
+  if (typeof message !== 'string') {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+};
+
+export const getDirection = (language) => (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).dir;
+
+// First supported language among the browser's preferences ("es-MX" matches "es").
+export const resolveLanguage = (candidates = []) => {
+  const match = candidates
+    .filter(Boolean)
+    .map(candidate => candidate.toLowerCase().split('-')[0])
+    .find(code => LANGUAGES[code]);
+  return match || DEFAULT_LANGUAGE;
+};
+
+export const loadLanguagePreference = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (LANGUAGES[stored]) {
+      return stored;
+    }
+  } catch (storageError) {
+    console.warn("Could not read language preference:", storageError);
+  }
+  return typeof navigator !== 'undefined' ? resolveLanguage(navigator.languages || [navigator.language]) : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguagePreference = (language) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, language);
+  } catch (storageError) {
+    console.warn("Could not save language preference:", storageError);
+  }
+};
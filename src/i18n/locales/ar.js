@@ -0,0 +1,376 @@
+// Arabic UI strings (right-to-left). Missing keys fall back to English (en.js).
+const ar = {
+  app: {
+    title: 'PsychoAI Test',
+    initializing: 'جارٍ تشغيل التطبيق...',
+    errorTitle: 'خطأ',
+    reload: 'إعادة تحميل التطبيق',
+    aiThinking: 'الذكاء الاصطناعي يفكّر...',
+    cancel: 'إلغاء',
+    guestSession: 'جلسة ضيف · معرّف المستخدم:',
+    signedInAs: 'تم تسجيل الدخول باسم',
+    signInOrCreate: 'تسجيل الدخول / إنشاء حساب',
+    profile: 'الملف الشخصي',
+    language: 'اللغة',
+    workspace: 'مساحة المختص',
+    admin: 'الإدارة',
+    back: 'رجوع'
+  },
+  exit: {
+    title: 'تأكيد الخروج',
+    body: 'هل أنت متأكد أنك تريد الخروج من الاختبار؟ إجاباتك حتى الآن محفوظة، ويمكنك المتابعة من حيث توقفت من شاشة البداية.',
+    cancel: 'إلغاء',
+    confirm: 'الخروج من الاختبار'
+  },
+  draft: {
+    prompt: 'هل تريد المتابعة من حيث توقفت؟',
+    progress: '"{topic}" مع الإجابة عن {answered} من {total} أسئلة.',
+    resume: 'متابعة',
+    discard: 'تجاهل'
+  },
+  welcome: {
+    intro: 'مرحبًا بك في PsychoAI Test، أداتك الشخصية للتقييم النفسي. اختر موضوعًا لبدء استبيانك المدعوم بالذكاء الاصطناعي.',
+    start: 'بدء اختبار جديد',
+    history: 'عرض السجل'
+  },
+  topics: {
+    title: 'اختر موضوع الاختبار',
+    numQuestions: 'عدد الأسئلة:',
+    lengthValue: '{count} أسئلة',
+    lengthHint: 'تحصل الاختبارات التي تضم 10 أسئلة أو أكثر على تحليل مفصّل. ينطبق الطول وصيغة الإجابة على الاختبارات التي يولّدها الذكاء الاصطناعي؛ أما الاستبيانات المعتمدة فتحتفظ بأسئلتها.',
+    answerFormat: 'صيغة الإجابة:',
+    validatedTitle: 'استبيانات معتمدة',
+    validatedDescription: 'أدوات قياسية بأسئلة ثابتة وتصحيح رسمي، بحيث يمكن مقارنة النتائج مع مرور الوقت.',
+    englishOnly: 'هذه الاستبيانات متاحة باللغة الإنجليزية فقط، لأن صياغتها جزء من الأداة المعتمدة.',
+    adaptive: 'الوضع التكيّفي',
+    adaptiveDescription: 'تظهر الأسئلة واحدًا تلو الآخر، ويُختار كل سؤال بناءً على إجاباتك السابقة، وينتهي الاختبار بمجرد أن تستقر درجتك. عادةً ما يكون أقصر وبدقة مماثلة.',
+    customTitle: 'أو اكتب موضوعك الخاص',
+    customPlaceholder: "مثلًا: 'التوازن بين العمل والحياة'، 'القلق الاجتماعي'",
+    validating: 'جارٍ التحقق من الموضوع...',
+    generateCustom: 'إنشاء اختبار مخصص',
+    list: {
+      stress: 'تقييم مستوى التوتر',
+      personality: 'سمات الشخصية',
+      anxiety: 'فحص القلق',
+      emotionalIntelligence: 'الذكاء العاطفي',
+      selfEsteem: 'تقييم تقدير الذات',
+      coping: 'آليات التكيّف',
+      mindfulness: 'اليقظة الذهنية والرفاهية'
+    }
+  },
+  questionnaire: {
+    instructions: 'يرجى الإجابة عن الأسئلة التالية بصدق.',
+    warning: 'تنبيه!',
+    unanswered: 'يرجى الإجابة عن جميع الأسئلة قبل المتابعة. الأسئلة غير المجاب عنها مميزة باللون الأحمر.',
+    backToTopics: 'العودة إلى المواضيع',
+    analyzing: 'جارٍ التحليل...',
+    getResults: 'عرض النتائج',
+    sliderUnset: 'حرّك المؤشر للإجابة',
+    textPlaceholder: 'اكتب إجابتك...',
+    next: 'السؤال التالي',
+    answerToContinue: 'يرجى الإجابة عن هذا السؤال للمتابعة.',
+    adaptiveProgress: 'السؤال {current} · اختبار تكيّفي من {max} أسئلة كحد أقصى'
+  },
+  formats: {
+    likert4: 'مقياس موافقة من 4 درجات',
+    likert5: 'مقياس موافقة من 5 درجات',
+    likert7: 'مقياس موافقة من 7 درجات',
+    yesNo: 'نعم / لا',
+    frequency: 'التكرار (من أبدًا إلى دائمًا)',
+    slider: 'شريط تمرير (0-100)',
+    text: 'إجابات نصية قصيرة'
+  },
+  results: {
+    title: 'نتائج اختبارك في:',
+    answers: 'إجاباتك:',
+    score: 'الدرجة:',
+    normalized: 'الدرجة المعيارية: {value} / 100',
+    stability: 'فحص الاستقرار:',
+    stabilityScore: '{score} / 100',
+    stabilityConfidence: {
+      low: 'ثقة منخفضة',
+      medium: 'ثقة متوسطة',
+      high: 'ثقة عالية'
+    },
+    stabilityDetails: 'لماذا هذا التقييم؟',
+    stabilityEvidence: 'يستند أساسًا إلى هذه الإجابات:',
+    analysis: 'تحليل الذكاء الاصطناعي:',
+    advice: 'نصائح عملية:',
+    disclaimerLabel: 'تنبيه:',
+    disclaimer: 'هذا التحليل للأغراض المعلوماتية فقط ولا يُعد بديلًا عن التقييم أو الاستشارة النفسية المتخصصة. إذا كانت لديك مخاوف بشأن صحتك النفسية، فيرجى استشارة مختص رعاية صحية مؤهل.',
+    downloadPdf: 'تنزيل النتائج (PDF)',
+    exportData: 'تصدير البيانات:',
+    adaptiveNote: 'اختبار تكيّفي: لزم {asked} من أصل {total} أسئلة. الدرجة تقدير للاستبيان الكامل.',
+    referencesTitle: 'المراجع:',
+    referencesNote: 'ملاحظة: يولّد الذكاء الاصطناعي المحتوى بناءً على بيانات تدريبه، ولا يمكنه تقديم استشهادات محددة ومحدّثة من مواقع خارجية للأسئلة أو التحليل. يتطلب الاختبار النفسي الشامل ذو المصادر القابلة للتحقق أن يدير مطورو التطبيق قائمة منتقاة من الأبحاث المحكّمة والمنظمات النفسية الموثوقة ويربطوها مباشرة.'
+  },
+  report: {
+    title: 'نتائج الاختبار: {topic}',
+    subtitle: 'تقرير PsychoAI Test، {date}',
+    runningHeader: 'PsychoAI Test: {topic}',
+    page: 'صفحة {page} من {count}',
+    score: 'الدرجة',
+    measure: 'المقياس',
+    range: 'النطاق',
+    total: 'المجموع',
+    normalized: 'الدرجة المعيارية',
+    band: 'الفئة',
+    stability: 'فحص الاستقرار',
+    area: 'المجال',
+    level: 'المستوى',
+    confidence: 'الثقة',
+    citedAnswers: '(الإجابات {numbers})',
+    analysis: 'التحليل',
+    advice: 'نصائح عملية',
+    answers: 'إجاباتك',
+    question: 'السؤال',
+    answer: 'الإجابة',
+    disclaimer: 'إخلاء المسؤولية'
+  },
+  categories: {
+    emotional: 'عاطفي',
+    mental: 'ذهني',
+    physical: 'جسدي'
+  },
+  stabilityLevels: ['حرج', 'منخفض', 'متوسط', 'جيد', 'ممتاز'],
+  bands: {
+    Low: 'منخفض',
+    Moderate: 'متوسط',
+    High: 'مرتفع'
+  },
+  errors: {
+    enterTopic: 'يرجى كتابة موضوع.',
+    topicNotPsychological: 'لا يبدو أن الموضوع "{topic}" مرتبط بعلم النفس أو الصحة النفسية. هذا النظام مصمم للتقييمات النفسية، لذا يرجى اختيار موضوع مناسب. السبب: {reason}',
+    topicPrecheck: {
+      tooLong: 'يرجى ألا يتجاوز الموضوع {max} حرفًا.',
+      noLetters: 'يرجى وصف الموضوع بالكلمات.',
+      notATopic: 'يبدو هذا رابطًا أو عنوانًا أو شيفرة وليس موضوعًا. يرجى وصف موضوع نفسي في بضع كلمات.',
+      injection: 'يرجى كتابة الموضوع الذي تريد استكشافه فقط، دون تعليمات للذكاء الاصطناعي.',
+      abusive: 'يرجى وصف الموضوع دون ألفاظ مسيئة.',
+      offTopic: 'لا يبدو أن هذا الموضوع مرتبط بعلم النفس أو الصحة النفسية. يرجى اختيار موضوع مثل التوتر أو عادات النوم أو تقدير الذات.'
+    },
+    aiNetwork: '{action}: {message}. يرجى التحقق من اتصالك بالإنترنت أو المحاولة مرة أخرى.',
+    aiTimeout: '{action}: استغرقت خدمة الذكاء الاصطناعي وقتًا طويلًا للرد. يرجى المحاولة مرة أخرى.',
+    generatingQuestions: 'خطأ في إنشاء الأسئلة',
+    analyzing: 'خطأ في تحليل النتائج',
+    validatingTopic: 'خطأ في التحقق من الموضوع',
+    sessionNotFound: 'تعذّر العثور على هذه النتيجة. ربما حُذفت أو أنها تخص حسابًا آخر.',
+    history: 'خطأ في تحميل سجلك: {message}',
+    pdf: 'تعذّر إنشاء ملف PDF. يرجى المحاولة مرة أخرى.',
+    export: 'تعذّر تصدير النتائج بصيغة {format}. يرجى المحاولة مرة أخرى.',
+    auth: 'فشل التحقق من الهوية: {message}'
+  },
+  assignments: {
+    title: 'اختبارات مُسندة إليك',
+    from: 'من {name}',
+    start: 'ابدأ',
+    opening: 'جارٍ فتح اختبارك...'
+  },
+  sharing: {
+    title: 'المشاركة مع مختص',
+    description: 'هل تعمل مع مدرب أو معالج؟ أدخل رمز الدعوة الذي أعطاك إياه ليتمكن من رؤية اختباراتك المكتملة ونتائجك. ويمكنه أيضًا إسناد اختبارات إليك. يمكنك إيقاف المشاركة في أي وقت.',
+    code: 'رمز الدعوة',
+    clientName: 'الاسم الذي سيراه المختص',
+    share: 'شارك نتائجي',
+    shared: 'نتائجك الآن مُشاركة مع {name}.',
+    revoked: 'أوقفت المشاركة مع {name}.',
+    sharedSince: 'مُشاركة منذ {date}',
+    revoke: 'إيقاف المشاركة'
+  },
+  workspace: {
+    title: 'مساحة المختص',
+    loading: 'جارٍ التحميل...',
+    intro: 'تتيح مساحة المختص للمدربين والأخصائيين مراجعة نتائج العملاء الذين يشاركونها. يشارك العملاء بإدخال رمز دعوة منك، ثم يمكنك رؤية جلساتهم وتدوين ملاحظات خاصة وإسناد اختبارات إليهم.',
+    displayName: 'الاسم الذي يراه عملاؤك',
+    enable: 'إعداد المساحة',
+    invitesTitle: 'رموز الدعوة',
+    invitesDescription: 'أعطِ رمزًا لعميل؛ يدخله في الملف الشخصي ← المشاركة مع مختص. يمكن لعدة عملاء استخدام الرمز نفسه، وتنتهي صلاحيته بعد {days} يومًا.',
+    createInvite: 'إنشاء رمز دعوة',
+    deleteInvite: 'حذف',
+    expires: 'ينتهي في {date}',
+    clientsTitle: 'العملاء',
+    noClients: 'لا يوجد عملاء بعد. يظهر العملاء هنا بعد استخدامهم أحد رموز دعوتك.',
+    sharedSince: 'مُشاركة منذ {date}',
+    sessionsTitle: 'الجلسات',
+    noSessions: 'لم يُكمل هذا العميل أي اختبار بعد.',
+    safetyFlagged: 'مؤشرات خطر: عُرضت موارد الأزمات بدلًا من تحليل الذكاء الاصطناعي.',
+    notesTitle: 'ملاحظات خاصة',
+    notesDescription: 'أنت وحدك من يرى هذه الملاحظات.',
+    addNote: 'إضافة ملاحظة',
+    deleteNote: 'حذف',
+    assignTitle: 'إسناد اختبار',
+    assignTest: 'الاختبار',
+    assignAiTopic: 'أسئلة مولّدة بالذكاء الاصطناعي حول موضوع',
+    assignTopic: 'الموضوع',
+    assignMessage: 'رسالة إلى عميلك (اختياري)',
+    assign: 'إسناد',
+    assignmentOpen: 'أُسند في {date} · لم يُجرَ بعد',
+    assignmentCompleted: 'اكتمل في {date}',
+    cancelAssignment: 'إلغاء',
+    removeClient: 'إزالة العميل',
+    assignLanguage: 'اللغة',
+    anyLanguage: 'لغة من يجري الاختبار',
+    linksTitle: 'روابط الاختبارات',
+    linksDescription: 'يفتح الرابط الاختبار مباشرة بالموضوع والطول واللغة التي اخترتها. أرسله إلى أي شخص؛ سترى هنا متى أُجري، ويظهر لك أيضًا في مساحتك نتائج العملاء الذين يشاركونك.',
+    linkExpiry: 'صلاحية الرابط',
+    linkNeverExpires: 'لا تنتهي صلاحيته',
+    linkExpiresAfter: 'ينتهي بعد {days} يومًا',
+    linkSingleUse: 'استخدام واحد',
+    createLink: 'إنشاء رابط',
+    linkUrl: 'رابط الاختبار',
+    copyLink: 'نسخ الرابط',
+    linkCopied: 'تم النسخ',
+    deleteLink: 'حذف',
+    linkExpired: 'انتهت صلاحيته في {date}',
+    linkUsed: 'استُخدم في {date}',
+    linkCompletions: 'عدد مرات الإجراء: {count}',
+    errors: {
+      invalidInvite: 'رمز الدعوة هذا غير موجود. يرجى التحقق منه والمحاولة مرة أخرى.',
+      expiredInvite: 'انتهت صلاحية رمز الدعوة هذا. يرجى طلب رمز جديد من المختص.',
+      ownInvite: 'لا يمكنك استخدام رمز دعوتك الخاص.',
+      'permission-denied': 'ليس لديك صلاحية الوصول إلى هذا. ربما أوقف العميل المشاركة.',
+      assignmentNotFound: 'رابط الاختبار هذا غير موجود أو ليس موجّهًا إليك.',
+      assignmentUsed: 'تم استخدام رابط الاختبار هذا بالفعل.',
+      assignmentExpired: 'انتهت صلاحية رابط الاختبار هذا. يرجى طلب رابط جديد.',
+      generic: 'حدث خطأ ما: {message}'
+    }
+  },
+  admin: {
+    title: 'لوحة الإدارة',
+    loading: 'جارٍ التحميل...',
+    tabs: {
+      topics: 'المواضيع',
+      prompts: 'التعليمات',
+      questions: 'بنك الأسئلة'
+    },
+    topicsDescription: 'المواضيع المعروضة في شاشة اختيار الموضوع، بهذا الترتيب. تُعرض المواضيع المدمجة التي ليس لها اسم خاص باسمها المترجم. تُعرض أسماء المواضيع وأوصافها كما كُتبت، أيًا كانت اللغة.',
+    topicName: 'الاسم',
+    topicDescription: 'الوصف (اختياري)',
+    moveUp: 'نقل للأعلى',
+    moveDown: 'نقل للأسفل',
+    removeTopic: 'إزالة',
+    newTopicTitle: 'إضافة موضوع',
+    addTopic: 'إضافة',
+    saveTopics: 'حفظ المواضيع',
+    resetTopics: 'استعادة المواضيع المدمجة',
+    saved: 'تم الحفظ.',
+    promptsDescription: 'القوالب التي تُبنى منها تعليمات الذكاء الاصطناعي. تُملأ العناصر بين الأقواس المزدوجة في كل طلب. يُحفظ كل تعديل كإصدار ويُستخدم فورًا.',
+    template: 'القالب',
+    templateNames: {
+      questions: 'توليد الأسئلة',
+      analysis: 'التحليل (10 أسئلة أو أكثر)',
+      briefAnalysis: 'التحليل (الاختبارات الأقصر)',
+      stability: 'تقييم الاستقرار',
+      topicValidation: 'التحقق من الموضوع'
+    },
+    builtInInUse: 'القالب المدمج قيد الاستخدام.',
+    versionInUse: 'الإصدار {version} قيد الاستخدام، حُفظ في {date}.',
+    placeholders: 'العناصر القابلة للملء:',
+    requiredNote: 'العناصر المعلّمة بـ * مطلوبة.',
+    templateProblems: 'لا يمكن حفظ هذا القالب بعد:',
+    saveTemplate: 'حفظ كإصدار جديد',
+    loadBuiltIn: 'تحميل النص المدمج',
+    resetTemplate: 'استخدام القالب المدمج',
+    versionsTitle: 'سجل الإصدارات',
+    noVersions: 'لا توجد إصدارات محفوظة بعد.',
+    versionLabel: 'الإصدار {version} · {date}',
+    builtInVersion: 'القالب المدمج',
+    loadVersion: 'تحميل في المحرر',
+    questionsDescription: 'أسئلة ولّدتها المهمة اليومية لكل موضوع وصيغة إجابة ولغة. لا تُستخدم في الاختبارات إلا الأسئلة المعتمدة؛ وتُحفظ المرفوضة حتى لا تُولَّد مرة أخرى.',
+    bank: 'بنك الأسئلة',
+    noBanks: 'لا توجد بنوك أسئلة بعد. تنشئها المهمة اليومية.',
+    statusFilter: 'عرض',
+    statuses: {
+      pending: 'بانتظار المراجعة',
+      approved: 'معتمدة',
+      rejected: 'مرفوضة'
+    },
+    noItems: 'لا يوجد ما يُعرض.',
+    subscale: 'المقياس الفرعي: {name}',
+    reversed: 'عكسي التصحيح',
+    approve: 'اعتماد',
+    reject: 'رفض',
+    errors: {
+      invalidTopics: 'يحتاج كل موضوع جديد إلى اسم. يرجى مراجعة القائمة والمحاولة مرة أخرى.',
+      invalidTemplate: 'يرجى إصلاح المشكلات المذكورة قبل الحفظ.',
+      bankNotFound: 'لم يعد بنك الأسئلة هذا موجودًا.',
+      'permission-denied': 'ليست لديك صلاحية الإدارة. إذا مُنحت لك مؤخرًا، فسجّل الخروج ثم سجّل الدخول مجددًا.',
+      generic: 'حدث خطأ ما: {message}'
+    }
+  },
+  offline: {
+    badge: 'غير متصل',
+    pendingSync: 'بانتظار المزامنة: {count}',
+    topicsNote: 'أنت غير متصل بالإنترنت. تحتاج الاختبارات المولّدة بالذكاء الاصطناعي إلى اتصال، لكن الاستبيانات المعتمدة ومجموعات أسئلتك الأخيرة تعمل دون اتصال. تُحفظ النتائج على هذا الجهاز وتُزامَن عند عودة الاتصال.',
+    savedSetsTitle: 'مجموعات أسئلتك الأخيرة',
+    savedSetsDescription: 'أعد إجراء مجموعة أسئلة ولّدتها من قبل. تعمل دون اتصال.',
+    noAnalysis: 'أُجري هذا الاختبار دون اتصال، لذا له نتيجة دون تحليل بالذكاء الاصطناعي.'
+  },
+  history: {
+    title: 'سجل اختباراتك',
+    loading: 'جارٍ تحميل جلساتك السابقة...',
+    empty: 'لم تُكمل أي اختبار بعد. ستظهر الاختبارات المكتملة هنا.',
+    topic: 'الموضوع',
+    scoreChart: 'الدرجة مع مرور الوقت (معيارية، 0-100)',
+    stabilityChart: 'الاستقرار مع مرور الوقت',
+    scoreSeries: 'الدرجة',
+    questionCount: '{count} أسئلة',
+    scoreSummary: 'الدرجة {total} / {max}',
+    pending: 'بانتظار المزامنة',
+    importLabel: 'فتح نتائج مُصدَّرة (.json)',
+    importErrors: {
+      invalidJson: 'الملف ليس بصيغة JSON صالحة.',
+      notExport: 'الملف ليس تصديرًا لنتائج PsychoAI.',
+      newerVersion: 'تم تصدير الملف بإصدار أحدث من PsychoAI.',
+      noTopic: 'الجلسة المُصدَّرة بلا موضوع.',
+      noQuestions: 'الجلسة المُصدَّرة لا تحتوي على أسئلة مقروءة.',
+      answersMismatch: 'الإجابات المُصدَّرة لا تطابق الأسئلة.',
+      invalidAnswers: 'تعذّرت قراءة الإجابات المُصدَّرة.',
+      invalidScore: 'تعذّرت قراءة النتيجة المُصدَّرة.',
+      unknownInstrument: 'تستخدم الجلسة المُصدَّرة استبيانًا غير متوفر في هذا الإصدار من PsychoAI.'
+    }
+  },
+  crisis: {
+    title: 'لست مضطرًا لمواجهة هذا وحدك',
+    intro: 'تشير بعض إجاباتك إلى أنك قد تمر بوقت صعب جدًا. التحدث إلى شخص ما قد يساعد. الخدمات التالية مجانية وسرية.',
+    emergency: 'إذا كنت في خطر مباشر، اتصل بالرقم {number} الآن.',
+    region: 'أين أنت؟',
+    otherRegion: 'أخرى / غير مدرجة',
+    note: 'لا يستطيع هذا التطبيق تقديم دعم في حالات الأزمات، لذلك لم نعرض نصائح تلقائية لهذا الاختبار. يرجى التفكير في التواصل مع طبيب أو مختص في الصحة النفسية أو شخص تثق به.',
+    back: 'العودة إلى البداية'
+  },
+  profile: {
+    guestTitle: 'سجّل الدخول أو أنشئ حسابًا',
+    title: 'ملفك الشخصي',
+    guestIntro: 'أنت تستخدم جلسة ضيف. أنشئ حسابًا للاحتفاظ بسجلك على جميع أجهزتك؛ وستُنقل الاختبارات التي أجريتها إلى حسابك.',
+    createAccount: 'إنشاء حساب',
+    signIn: 'تسجيل الدخول',
+    email: 'البريد الإلكتروني',
+    password: 'كلمة المرور',
+    google: 'المتابعة باستخدام Google',
+    signedInWith: 'تم تسجيل الدخول عبر',
+    userId: 'معرّف المستخدم',
+    displayName: 'الاسم المعروض',
+    save: 'حفظ الملف الشخصي',
+    signOut: 'تسجيل الخروج',
+    accountCreated: 'تم إنشاء الحساب. تم الاحتفاظ بنتائجك السابقة.',
+    signedIn: 'تم تسجيل الدخول.',
+    signedInGoogle: 'تم تسجيل الدخول باستخدام Google.',
+    saved: 'تم حفظ الملف الشخصي.',
+    signedOut: 'تم تسجيل الخروج.',
+    errors: {
+      'email-already-in-use': 'يوجد حساب بهذا البريد الإلكتروني بالفعل. سجّل الدخول بدلًا من ذلك.',
+      'credential-already-in-use': 'طريقة تسجيل الدخول هذه مرتبطة بحساب آخر.',
+      'invalid-email': 'يرجى إدخال بريد إلكتروني صالح.',
+      'weak-password': 'يرجى اختيار كلمة مرور من 6 أحرف على الأقل.',
+      'invalid-credential': 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+      'wrong-password': 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+      'user-not-found': 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+      'too-many-requests': 'محاولات كثيرة جدًا. يرجى الانتظار قليلًا ثم المحاولة مرة أخرى.',
+      'popup-closed-by-user': 'أُغلقت نافذة تسجيل الدخول قبل الانتهاء.',
+      'network-request-failed': 'خطأ في الشبكة. يرجى التحقق من اتصالك والمحاولة مرة أخرى.'
+    }
+  }
+};
+
+export default ar;
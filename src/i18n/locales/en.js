@@ -0,0 +1,381 @@
+// English UI strings. This is the fallback locale: every key used by the app must exist here.
+// Placeholders like {topic} are filled in by translate().
+const en = {
+  app: {
+    title: 'PsychoAI Test',
+    initializing: 'Initializing application...',
+    errorTitle: 'Error',
+    reload: 'Reload Application',
+    aiThinking: 'AI is thinking...',
+    cancel: 'Cancel',
+    guestSession: 'Guest session · Your User ID:',
+    signedInAs: 'Signed in as',
+    signInOrCreate: 'Sign in / Create account',
+    profile: 'Profile',
+    language: 'Language',
+    workspace: 'Practitioner workspace',
+    admin: 'Admin',
+    back: 'Back'
+  },
+  exit: {
+    title: 'Confirm Exit',
+    body: 'Are you sure you want to exit the test? Your answers so far are saved, and you can continue where you left off from the start screen.',
+    cancel: 'Cancel',
+    confirm: 'Exit Test'
+  },
+  draft: {
+    prompt: 'Continue where you left off?',
+    progress: '"{topic}" with {answered} of {total} questions answered.',
+    resume: 'Continue',
+    discard: 'Discard'
+  },
+  welcome: {
+    intro: 'Welcome to PsychoAI Test, your personal psychological assessment tool. Select a topic to begin your AI-powered questionnaire.',
+    start: 'Start New Test',
+    history: 'View History'
+  },
+  topics: {
+    title: 'Choose a Test Topic',
+    numQuestions: 'Number of Questions:',
+    lengthValue: '{count} questions',
+    lengthHint: 'Tests with 10 or more questions get a detailed analysis. Length and answer format apply to AI-generated tests; validated questionnaires keep their own items.',
+    answerFormat: 'Answer format:',
+    validatedTitle: 'Validated Questionnaires',
+    validatedDescription: 'Standard instruments with fixed questions and official scoring, so results can be compared over time.',
+    englishOnly: 'These questionnaires are only available in English, because their wording is part of the validated instrument.',
+    adaptive: 'Adaptive mode',
+    adaptiveDescription: 'Questions come one at a time, each chosen from your previous answers, and the test stops as soon as your score is stable. Usually shorter, with similar precision.',
+    customTitle: 'Or Enter Your Own Topic',
+    customPlaceholder: "e.g., 'Work-Life Balance', 'Social Anxiety'",
+    validating: 'Validating Topic...',
+    generateCustom: 'Generate Custom Test',
+    list: {
+      stress: 'Stress Level Assessment',
+      personality: 'Personality Traits',
+      anxiety: 'Anxiety Check',
+      emotionalIntelligence: 'Emotional Intelligence',
+      selfEsteem: 'Self-Esteem Evaluation',
+      coping: 'Coping Mechanisms',
+      mindfulness: 'Mindfulness & Well-being'
+    }
+  },
+  questionnaire: {
+    instructions: 'Please answer the following questions honestly.',
+    warning: 'Warning!',
+    unanswered: 'Please answer all questions before proceeding. Unanswered questions are highlighted in red.',
+    backToTopics: 'Back to Topics',
+    analyzing: 'Analyzing...',
+    getResults: 'Get Results',
+    sliderUnset: 'Move the slider to answer',
+    textPlaceholder: 'Type your answer...',
+    next: 'Next Question',
+    answerToContinue: 'Please answer this question to continue.',
+    adaptiveProgress: 'Question {current} · adaptive test of at most {max} questions'
+  },
+  formats: {
+    likert4: '4-point agreement scale',
+    likert5: '5-point agreement scale',
+    likert7: '7-point agreement scale',
+    yesNo: 'Yes / No',
+    frequency: 'Frequency (Never to Always)',
+    slider: 'Slider (0-100)',
+    text: 'Short free-text answers'
+  },
+  results: {
+    title: 'Your Test Results for:',
+    answers: 'Your Answers:',
+    score: 'Score:',
+    normalized: 'Normalized: {value} / 100',
+    stability: 'Stability Check:',
+    stabilityScore: '{score} / 100',
+    stabilityConfidence: {
+      low: 'Low confidence',
+      medium: 'Medium confidence',
+      high: 'High confidence'
+    },
+    stabilityDetails: 'Why this rating?',
+    stabilityEvidence: 'Based mainly on these answers:',
+    analysis: 'AI Analysis:',
+    advice: 'Actionable Advice:',
+    disclaimerLabel: 'Disclaimer:',
+    disclaimer: 'This AI analysis is for informational purposes only and should not be considered a substitute for professional psychological evaluation or advice. If you have concerns about your mental health, please consult a qualified healthcare professional.',
+    downloadPdf: 'Download Results (PDF)',
+    exportData: 'Export data:',
+    adaptiveNote: 'Adaptive test: {asked} of {total} questions were needed. The score is an estimate for the full questionnaire.',
+    referencesTitle: 'References:',
+    referencesNote: "Note: The AI generates content based on its extensive training data and cannot provide specific, real-time citations from external websites for the generated questions or analysis. For a comprehensive psychological test requiring verifiable sources, a curated list of trusted, peer-reviewed research and psychological organizations would need to be managed and linked directly by the application's developers."
+  },
+  // Labels in the PDF report
+  report: {
+    title: 'Test Results: {topic}',
+    subtitle: 'PsychoAI Test report, {date}',
+    runningHeader: 'PsychoAI Test: {topic}',
+    page: 'Page {page} of {count}',
+    score: 'Score',
+    measure: 'Measure',
+    range: 'Range',
+    total: 'Total',
+    normalized: 'Normalized',
+    band: 'Band',
+    stability: 'Stability Check',
+    area: 'Area',
+    level: 'Level',
+    confidence: 'Confidence',
+    citedAnswers: '(answers {numbers})',
+    analysis: 'Analysis',
+    advice: 'Actionable Advice',
+    answers: 'Your Answers',
+    question: 'Question',
+    answer: 'Answer',
+    disclaimer: 'Disclaimer'
+  },
+  categories: {
+    emotional: 'Emotional',
+    mental: 'Mental',
+    physical: 'Physical'
+  },
+  // Shown for stability levels in other languages, keyed by their 0-4 chart value
+  stabilityLevels: ['Critical', 'Low', 'Moderate', 'Good', 'Excellent'],
+  bands: {
+    Low: 'Low',
+    Moderate: 'Moderate',
+    High: 'High'
+  },
+  errors: {
+    enterTopic: 'Please enter a topic.',
+    topicNotPsychological: 'The topic "{topic}" does not seem to be related to psychology or mental health. This system is designed for psychological assessments. Please choose a relevant topic. Reason: {reason}',
+    topicPrecheck: {
+      tooLong: 'Please keep the topic to {max} characters or fewer.',
+      noLetters: 'Please describe the topic in words.',
+      notATopic: 'That looks like a link, an address or code rather than a topic. Please describe a psychological topic in a few words.',
+      injection: 'Please enter just the topic you want to explore, without instructions for the AI.',
+      abusive: 'Please describe the topic without offensive language.',
+      offTopic: 'That topic does not seem to be about psychology or mental health. Please choose a topic such as stress, sleep habits or self-esteem.'
+    },
+    aiNetwork: '{action}: {message}. Please check your network connection or try again.',
+    aiTimeout: '{action}: the AI service took too long to respond. Please try again.',
+    aiResponse: '{action}: {message}',
+    generatingQuestions: 'Error generating questions',
+    analyzing: 'Error analyzing results',
+    validatingTopic: 'Error validating topic',
+    sessionNotFound: "That result couldn't be found. It may have been deleted, or it belongs to another account.",
+    history: 'Error loading your history: {message}',
+    pdf: 'Failed to generate PDF. Please try again.',
+    export: 'Failed to export results as {format}. Please try again.',
+    auth: 'Authentication failed: {message}'
+  },
+  assignments: {
+    title: 'Assigned to You',
+    from: 'From {name}',
+    start: 'Start',
+    opening: 'Opening your test...'
+  },
+  sharing: {
+    title: 'Share With a Practitioner',
+    description: 'Working with a coach or therapist? Enter the invite code they gave you to let them see your completed tests and scores. They can also assign tests to you. You can stop sharing at any time.',
+    code: 'Invite code',
+    clientName: 'Name your practitioner will see',
+    share: 'Share My Results',
+    shared: 'Your results are now shared with {name}.',
+    revoked: 'You stopped sharing with {name}.',
+    sharedSince: 'Sharing since {date}',
+    revoke: 'Stop Sharing'
+  },
+  workspace: {
+    title: 'Practitioner Workspace',
+    loading: 'Loading...',
+    intro: 'The workspace lets coaches and clinicians review the results of clients who share them. Clients share by entering an invite code from you; you can then see their sessions, keep private notes and assign tests.',
+    displayName: 'Name shown to your clients',
+    enable: 'Set Up Workspace',
+    invitesTitle: 'Invite Codes',
+    invitesDescription: 'Give a code to a client; they enter it under Profile → Share With a Practitioner. Codes can be used by several clients and expire after {days} days.',
+    createInvite: 'Create Invite Code',
+    deleteInvite: 'Delete',
+    expires: 'Expires {date}',
+    clientsTitle: 'Clients',
+    noClients: 'No clients yet. Clients appear here once they redeem one of your invite codes.',
+    sharedSince: 'Sharing since {date}',
+    sessionsTitle: 'Sessions',
+    noSessions: "This client hasn't completed any tests yet.",
+    safetyFlagged: 'Risk indicators: crisis resources were shown instead of an AI analysis.',
+    notesTitle: 'Private Notes',
+    notesDescription: 'Only you can see these notes.',
+    addNote: 'Add Note',
+    deleteNote: 'Delete',
+    assignTitle: 'Assign a Test',
+    assignTest: 'Test',
+    assignAiTopic: 'AI-generated questions on a topic',
+    assignTopic: 'Topic',
+    assignMessage: 'Message to your client (optional)',
+    assign: 'Assign',
+    assignmentOpen: 'Assigned {date} · not taken yet',
+    assignmentCompleted: 'Completed {date}',
+    cancelAssignment: 'Cancel',
+    removeClient: 'Remove Client',
+    assignLanguage: 'Language',
+    anyLanguage: "The taker's own language",
+    linksTitle: 'Test Links',
+    linksDescription: 'A link opens the test straight away, with the topic, length and language you chose. Send it to anyone; you see here when it has been taken, and results of clients who share with you appear under their name.',
+    linkExpiry: 'Link expiry',
+    linkNeverExpires: 'Never expires',
+    linkExpiresAfter: 'Expires after {days} days',
+    linkSingleUse: 'Single use',
+    createLink: 'Create Link',
+    linkUrl: 'Test link',
+    copyLink: 'Copy Link',
+    linkCopied: 'Copied',
+    deleteLink: 'Delete',
+    linkExpired: 'Expired {date}',
+    linkUsed: 'Used {date}',
+    linkCompletions: 'Times taken: {count}',
+    errors: {
+      invalidInvite: "That invite code doesn't exist. Please check it and try again.",
+      expiredInvite: 'That invite code has expired. Please ask your practitioner for a new one.',
+      ownInvite: "You can't redeem your own invite code.",
+      'permission-denied': "You don't have access to this. The client may have stopped sharing.",
+      assignmentNotFound: "This test link doesn't exist or isn't meant for you.",
+      assignmentUsed: 'This test link has already been used.',
+      assignmentExpired: 'This test link has expired. Please ask for a new one.',
+      generic: 'Something went wrong: {message}'
+    }
+  },
+  admin: {
+    title: 'Admin Console',
+    loading: 'Loading...',
+    tabs: {
+      topics: 'Topics',
+      prompts: 'Prompts',
+      questions: 'Question Bank'
+    },
+    topicsDescription: 'The topics on the topic screen, in this order. Built-in topics left without a name show their translated name. Topic names and descriptions are shown as written, whatever the language.',
+    topicName: 'Name',
+    topicDescription: 'Description (optional)',
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    removeTopic: 'Remove',
+    newTopicTitle: 'Add a Topic',
+    addTopic: 'Add',
+    saveTopics: 'Save Topics',
+    resetTopics: 'Restore Built-in Topics',
+    saved: 'Saved.',
+    promptsDescription: 'The templates the AI prompts are built from. Placeholders in double braces are filled in for each request. Every save is kept as a version and used straight away.',
+    template: 'Template',
+    templateNames: {
+      questions: 'Question generation',
+      analysis: 'Analysis (10 or more questions)',
+      briefAnalysis: 'Analysis (shorter tests)',
+      stability: 'Stability assessment',
+      topicValidation: 'Topic validation'
+    },
+    builtInInUse: 'The built-in template is in use.',
+    versionInUse: 'Version {version} is in use, saved {date}.',
+    placeholders: 'Placeholders:',
+    requiredNote: 'Placeholders marked * are required.',
+    templateProblems: "This template can't be saved yet:",
+    saveTemplate: 'Save as New Version',
+    loadBuiltIn: 'Load Built-in Text',
+    resetTemplate: 'Use Built-in Template',
+    versionsTitle: 'Version History',
+    noVersions: 'No saved versions yet.',
+    versionLabel: 'Version {version} · {date}',
+    builtInVersion: 'built-in template',
+    loadVersion: 'Load into Editor',
+    questionsDescription: 'Questions the daily job generated for each topic, answer format and language. Only approved questions are used in tests; rejected ones are kept so they are not generated again.',
+    bank: 'Question bank',
+    noBanks: 'No question banks yet. The daily job creates them.',
+    statusFilter: 'Show',
+    statuses: {
+      pending: 'Awaiting review',
+      approved: 'Approved',
+      rejected: 'Rejected'
+    },
+    noItems: 'Nothing to show.',
+    subscale: 'Subscale: {name}',
+    reversed: 'reverse-keyed',
+    approve: 'Approve',
+    reject: 'Reject',
+    errors: {
+      invalidTopics: 'Every new topic needs a name. Please check the list and try again.',
+      invalidTemplate: 'Please fix the problems listed before saving.',
+      bankNotFound: 'That question bank no longer exists.',
+      'permission-denied': "You don't have admin access. If it was granted recently, sign out and back in.",
+      generic: 'Something went wrong: {message}'
+    }
+  },
+  offline: {
+    badge: 'Offline',
+    pendingSync: 'Waiting to sync: {count}',
+    topicsNote: "You're offline. AI-generated tests need a connection, but validated questionnaires and your recent question sets work offline. Results are saved on this device and synced when you're back online.",
+    savedSetsTitle: 'Your Recent Question Sets',
+    savedSetsDescription: 'Take a set you generated before again. These work offline.',
+    noAnalysis: 'This test was taken offline, so it has a score but no AI analysis.'
+  },
+  history: {
+    title: 'Your Test History',
+    loading: 'Loading your past sessions...',
+    empty: "You haven't completed any tests yet. Finished tests will show up here.",
+    topic: 'Topic',
+    scoreChart: 'Score over time (normalized, 0-100)',
+    stabilityChart: 'Stability over time',
+    scoreSeries: 'Score',
+    questionCount: '{count} questions',
+    scoreSummary: 'Score {total} / {max}',
+    pending: 'Waiting to sync',
+    importLabel: 'Open exported results (.json)',
+    importErrors: {
+      invalidJson: 'The file is not valid JSON.',
+      notExport: 'The file is not a PsychoAI results export.',
+      newerVersion: 'The file was exported by a newer version of PsychoAI.',
+      noTopic: 'The exported session has no topic.',
+      noQuestions: 'The exported session has no readable questions.',
+      answersMismatch: 'The exported answers do not match the questions.',
+      invalidAnswers: 'The exported answers are not readable.',
+      invalidScore: 'The exported score is not readable.',
+      unknownInstrument: 'The exported session uses a questionnaire this version of PsychoAI does not have.'
+    }
+  },
+  crisis: {
+    title: "You don't have to go through this alone",
+    intro: 'Some of your responses suggest you may be going through a very difficult time. Talking to someone can help. The services below are free and confidential.',
+    emergency: 'If you are in immediate danger, call {number} now.',
+    region: 'Where are you?',
+    otherRegion: 'Other / not listed',
+    note: "This app can't provide crisis support, so we haven't shown automated advice for this test. Please consider reaching out to a doctor, a mental health professional, or someone you trust.",
+    back: 'Back to Start'
+  },
+  profile: {
+    guestTitle: 'Sign In or Create an Account',
+    title: 'Your Profile',
+    guestIntro: "You're using a guest session. Create an account to keep your history across devices; the tests you've already taken will move to your account.",
+    createAccount: 'Create Account',
+    signIn: 'Sign In',
+    email: 'Email',
+    password: 'Password',
+    google: 'Continue with Google',
+    signedInWith: 'Signed in with',
+    userId: 'User ID',
+    displayName: 'Display name',
+    save: 'Save Profile',
+    signOut: 'Sign Out',
+    accountCreated: 'Account created. Your previous results are kept.',
+    signedIn: 'Signed in.',
+    signedInGoogle: 'Signed in with Google.',
+    saved: 'Profile saved.',
+    signedOut: 'Signed out.',
+    // Keyed by Firebase Auth error code, without the "auth/" prefix
+    errors: {
+      'email-already-in-use': 'An account with this email already exists. Sign in instead.',
+      'credential-already-in-use': 'This sign-in method is already linked to another account.',
+      'invalid-email': 'Please enter a valid email address.',
+      'weak-password': 'Please choose a password with at least 6 characters.',
+      'invalid-credential': 'Incorrect email or password.',
+      'wrong-password': 'Incorrect email or password.',
+      'user-not-found': 'Incorrect email or password.',
+      'too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+      'popup-closed-by-user': 'The sign-in window was closed before finishing.',
+      'network-request-failed': 'Network error. Please check your connection and try again.'
+    }
+  }
+};
+
+export default en;
@@ -0,0 +1,376 @@
+// Spanish UI strings. Missing keys fall back to English (en.js).
+const es = {
+  app: {
+    title: 'PsychoAI Test',
+    initializing: 'Iniciando la aplicación...',
+    errorTitle: 'Error',
+    reload: 'Recargar la aplicación',
+    aiThinking: 'La IA está pensando...',
+    cancel: 'Cancelar',
+    guestSession: 'Sesión de invitado · Tu ID de usuario:',
+    signedInAs: 'Sesión iniciada como',
+    signInOrCreate: 'Iniciar sesión / Crear cuenta',
+    profile: 'Perfil',
+    language: 'Idioma',
+    workspace: 'Espacio profesional',
+    admin: 'Administración',
+    back: 'Volver'
+  },
+  exit: {
+    title: 'Confirmar salida',
+    body: '¿Seguro que quieres salir del test? Tus respuestas hasta ahora están guardadas y podrás continuar donde lo dejaste desde la pantalla de inicio.',
+    cancel: 'Cancelar',
+    confirm: 'Salir del test'
+  },
+  draft: {
+    prompt: '¿Continuar donde lo dejaste?',
+    progress: '"{topic}" con {answered} de {total} preguntas respondidas.',
+    resume: 'Continuar',
+    discard: 'Descartar'
+  },
+  welcome: {
+    intro: 'Bienvenido a PsychoAI Test, tu herramienta personal de evaluación psicológica. Elige un tema para comenzar tu cuestionario con IA.',
+    start: 'Empezar un test nuevo',
+    history: 'Ver historial'
+  },
+  topics: {
+    title: 'Elige un tema para el test',
+    numQuestions: 'Número de preguntas:',
+    lengthValue: '{count} preguntas',
+    lengthHint: 'Los tests de 10 preguntas o más reciben un análisis detallado. La longitud y el formato de respuesta se aplican a los tests generados por IA; los cuestionarios validados mantienen sus propias preguntas.',
+    answerFormat: 'Formato de respuesta:',
+    validatedTitle: 'Cuestionarios validados',
+    validatedDescription: 'Instrumentos estándar con preguntas fijas y puntuación oficial, para poder comparar los resultados a lo largo del tiempo.',
+    englishOnly: 'Estos cuestionarios solo están disponibles en inglés, porque su redacción forma parte del instrumento validado.',
+    adaptive: 'Modo adaptativo',
+    adaptiveDescription: 'Las preguntas llegan de una en una, elegidas según tus respuestas anteriores, y el test termina en cuanto tu puntuación es estable. Suele ser más corto y con una precisión similar.',
+    customTitle: 'O escribe tu propio tema',
+    customPlaceholder: "p. ej., 'Equilibrio entre trabajo y vida', 'Ansiedad social'",
+    validating: 'Validando el tema...',
+    generateCustom: 'Generar test personalizado',
+    list: {
+      stress: 'Evaluación del nivel de estrés',
+      personality: 'Rasgos de personalidad',
+      anxiety: 'Control de ansiedad',
+      emotionalIntelligence: 'Inteligencia emocional',
+      selfEsteem: 'Evaluación de la autoestima',
+      coping: 'Mecanismos de afrontamiento',
+      mindfulness: 'Atención plena y bienestar'
+    }
+  },
+  questionnaire: {
+    instructions: 'Por favor, responde a las siguientes preguntas con sinceridad.',
+    warning: '¡Atención!',
+    unanswered: 'Responde a todas las preguntas antes de continuar. Las preguntas sin responder están marcadas en rojo.',
+    backToTopics: 'Volver a los temas',
+    analyzing: 'Analizando...',
+    getResults: 'Ver resultados',
+    sliderUnset: 'Mueve el control deslizante para responder',
+    textPlaceholder: 'Escribe tu respuesta...',
+    next: 'Siguiente pregunta',
+    answerToContinue: 'Responde a esta pregunta para continuar.',
+    adaptiveProgress: 'Pregunta {current} · test adaptativo de {max} preguntas como máximo'
+  },
+  formats: {
+    likert4: 'Escala de acuerdo de 4 puntos',
+    likert5: 'Escala de acuerdo de 5 puntos',
+    likert7: 'Escala de acuerdo de 7 puntos',
+    yesNo: 'Sí / No',
+    frequency: 'Frecuencia (de Nunca a Siempre)',
+    slider: 'Control deslizante (0-100)',
+    text: 'Respuestas breves de texto libre'
+  },
+  results: {
+    title: 'Tus resultados del test:',
+    answers: 'Tus respuestas:',
+    score: 'Puntuación:',
+    normalized: 'Normalizada: {value} / 100',
+    stability: 'Estabilidad:',
+    stabilityScore: '{score} / 100',
+    stabilityConfidence: {
+      low: 'Confianza baja',
+      medium: 'Confianza media',
+      high: 'Confianza alta'
+    },
+    stabilityDetails: '¿Por qué esta valoración?',
+    stabilityEvidence: 'Basada sobre todo en estas respuestas:',
+    analysis: 'Análisis de la IA:',
+    advice: 'Consejos prácticos:',
+    disclaimerLabel: 'Aviso:',
+    disclaimer: 'Este análisis de IA es solo informativo y no sustituye una evaluación ni un consejo psicológico profesional. Si te preocupa tu salud mental, consulta con un profesional sanitario cualificado.',
+    downloadPdf: 'Descargar resultados (PDF)',
+    exportData: 'Exportar datos:',
+    adaptiveNote: 'Test adaptativo: hicieron falta {asked} de {total} preguntas. La puntuación es una estimación para el cuestionario completo.',
+    referencesTitle: 'Referencias:',
+    referencesNote: 'Nota: la IA genera contenido a partir de sus datos de entrenamiento y no puede citar fuentes externas concretas y actualizadas para las preguntas o el análisis generados. Un test psicológico completo con fuentes verificables requeriría que los desarrolladores de la aplicación mantuvieran y enlazaran una lista seleccionada de investigaciones revisadas por pares y organizaciones psicológicas de confianza.'
+  },
+  report: {
+    title: 'Resultados del test: {topic}',
+    subtitle: 'Informe de PsychoAI Test, {date}',
+    runningHeader: 'PsychoAI Test: {topic}',
+    page: 'Página {page} de {count}',
+    score: 'Puntuación',
+    measure: 'Medida',
+    range: 'Rango',
+    total: 'Total',
+    normalized: 'Normalizada',
+    band: 'Nivel',
+    stability: 'Control de estabilidad',
+    area: 'Área',
+    level: 'Nivel',
+    confidence: 'Confianza',
+    citedAnswers: '(respuestas {numbers})',
+    analysis: 'Análisis',
+    advice: 'Consejos prácticos',
+    answers: 'Tus respuestas',
+    question: 'Pregunta',
+    answer: 'Respuesta',
+    disclaimer: 'Aviso'
+  },
+  categories: {
+    emotional: 'Emocional',
+    mental: 'Mental',
+    physical: 'Física'
+  },
+  stabilityLevels: ['Crítica', 'Baja', 'Moderada', 'Buena', 'Excelente'],
+  bands: {
+    Low: 'Bajo',
+    Moderate: 'Moderado',
+    High: 'Alto'
+  },
+  errors: {
+    enterTopic: 'Escribe un tema.',
+    topicNotPsychological: 'El tema "{topic}" no parece estar relacionado con la psicología o la salud mental. Este sistema está pensado para evaluaciones psicológicas. Elige un tema relacionado. Motivo: {reason}',
+    topicPrecheck: {
+      tooLong: 'El tema debe tener como máximo {max} caracteres.',
+      noLetters: 'Describe el tema con palabras.',
+      notATopic: 'Eso parece un enlace, una dirección o código, no un tema. Describe un tema psicológico en pocas palabras.',
+      injection: 'Escribe solo el tema que quieres explorar, sin instrucciones para la IA.',
+      abusive: 'Describe el tema sin lenguaje ofensivo.',
+      offTopic: 'Ese tema no parece estar relacionado con la psicología o la salud mental. Elige un tema como el estrés, los hábitos de sueño o la autoestima.'
+    },
+    aiNetwork: '{action}: {message}. Comprueba tu conexión a internet o vuelve a intentarlo.',
+    aiTimeout: '{action}: el servicio de IA tardó demasiado en responder. Vuelve a intentarlo.',
+    generatingQuestions: 'Error al generar las preguntas',
+    analyzing: 'Error al analizar los resultados',
+    validatingTopic: 'Error al validar el tema',
+    sessionNotFound: 'No se ha encontrado ese resultado. Puede que se haya eliminado o que pertenezca a otra cuenta.',
+    history: 'Error al cargar tu historial: {message}',
+    pdf: 'No se pudo generar el PDF. Vuelve a intentarlo.',
+    export: 'No se pudieron exportar los resultados como {format}. Vuelve a intentarlo.',
+    auth: 'Error de autenticación: {message}'
+  },
+  assignments: {
+    title: 'Asignados para ti',
+    from: 'De {name}',
+    start: 'Empezar',
+    opening: 'Abriendo tu test...'
+  },
+  sharing: {
+    title: 'Compartir con un profesional',
+    description: '¿Trabajas con un coach o terapeuta? Introduce el código de invitación que te dio para que pueda ver tus tests completados y tus puntuaciones. También podrá asignarte tests. Puedes dejar de compartir en cualquier momento.',
+    code: 'Código de invitación',
+    clientName: 'Nombre que verá tu profesional',
+    share: 'Compartir mis resultados',
+    shared: 'Tus resultados ahora se comparten con {name}.',
+    revoked: 'Has dejado de compartir con {name}.',
+    sharedSince: 'Compartiendo desde el {date}',
+    revoke: 'Dejar de compartir'
+  },
+  workspace: {
+    title: 'Espacio profesional',
+    loading: 'Cargando...',
+    intro: 'El espacio profesional permite a coaches y clínicos revisar los resultados de los clientes que los comparten. Los clientes comparten introduciendo un código de invitación tuyo; después puedes ver sus sesiones, tomar notas privadas y asignarles tests.',
+    displayName: 'Nombre que verán tus clientes',
+    enable: 'Configurar espacio',
+    invitesTitle: 'Códigos de invitación',
+    invitesDescription: 'Da un código a un cliente; lo introduce en Perfil → Compartir con un profesional. Varios clientes pueden usar el mismo código, que caduca a los {days} días.',
+    createInvite: 'Crear código de invitación',
+    deleteInvite: 'Eliminar',
+    expires: 'Caduca el {date}',
+    clientsTitle: 'Clientes',
+    noClients: 'Todavía no hay clientes. Aparecerán aquí cuando usen uno de tus códigos de invitación.',
+    sharedSince: 'Compartiendo desde el {date}',
+    sessionsTitle: 'Sesiones',
+    noSessions: 'Este cliente todavía no ha completado ningún test.',
+    safetyFlagged: 'Indicadores de riesgo: se mostraron recursos de crisis en lugar de un análisis de IA.',
+    notesTitle: 'Notas privadas',
+    notesDescription: 'Solo tú puedes ver estas notas.',
+    addNote: 'Añadir nota',
+    deleteNote: 'Eliminar',
+    assignTitle: 'Asignar un test',
+    assignTest: 'Test',
+    assignAiTopic: 'Preguntas generadas por IA sobre un tema',
+    assignTopic: 'Tema',
+    assignMessage: 'Mensaje para tu cliente (opcional)',
+    assign: 'Asignar',
+    assignmentOpen: 'Asignado el {date} · pendiente',
+    assignmentCompleted: 'Completado el {date}',
+    cancelAssignment: 'Cancelar',
+    removeClient: 'Quitar cliente',
+    assignLanguage: 'Idioma',
+    anyLanguage: 'El idioma de quien lo haga',
+    linksTitle: 'Enlaces a tests',
+    linksDescription: 'Un enlace abre el test directamente, con el tema, la longitud y el idioma que elegiste. Envíalo a quien quieras; aquí verás cuándo se ha hecho, y los clientes que comparten contigo también verán sus resultados en tu espacio.',
+    linkExpiry: 'Caducidad del enlace',
+    linkNeverExpires: 'No caduca',
+    linkExpiresAfter: 'Caduca a los {days} días',
+    linkSingleUse: 'Un solo uso',
+    createLink: 'Crear enlace',
+    linkUrl: 'Enlace al test',
+    copyLink: 'Copiar enlace',
+    linkCopied: 'Copiado',
+    deleteLink: 'Eliminar',
+    linkExpired: 'Caducó el {date}',
+    linkUsed: 'Usado el {date}',
+    linkCompletions: 'Veces realizado: {count}',
+    errors: {
+      invalidInvite: 'Ese código de invitación no existe. Revísalo y vuelve a intentarlo.',
+      expiredInvite: 'Ese código de invitación ha caducado. Pide uno nuevo a tu profesional.',
+      ownInvite: 'No puedes usar tu propio código de invitación.',
+      'permission-denied': 'No tienes acceso a esto. Puede que el cliente haya dejado de compartir.',
+      assignmentNotFound: 'Este enlace de test no existe o no es para ti.',
+      assignmentUsed: 'Este enlace de test ya se ha usado.',
+      assignmentExpired: 'Este enlace de test ha caducado. Pide uno nuevo.',
+      generic: 'Algo salió mal: {message}'
+    }
+  },
+  admin: {
+    title: 'Consola de administración',
+    loading: 'Cargando...',
+    tabs: {
+      topics: 'Temas',
+      prompts: 'Prompts',
+      questions: 'Banco de preguntas'
+    },
+    topicsDescription: 'Los temas de la pantalla de temas, en este orden. Los temas integrados sin nombre propio muestran su nombre traducido. Los nombres y descripciones se muestran tal como se escriben, sea cual sea el idioma.',
+    topicName: 'Nombre',
+    topicDescription: 'Descripción (opcional)',
+    moveUp: 'Subir',
+    moveDown: 'Bajar',
+    removeTopic: 'Quitar',
+    newTopicTitle: 'Añadir un tema',
+    addTopic: 'Añadir',
+    saveTopics: 'Guardar temas',
+    resetTopics: 'Restaurar temas integrados',
+    saved: 'Guardado.',
+    promptsDescription: 'Las plantillas con las que se construyen los prompts de la IA. Los marcadores entre llaves dobles se rellenan en cada solicitud. Cada guardado se conserva como versión y se usa de inmediato.',
+    template: 'Plantilla',
+    templateNames: {
+      questions: 'Generación de preguntas',
+      analysis: 'Análisis (10 preguntas o más)',
+      briefAnalysis: 'Análisis (tests más cortos)',
+      stability: 'Evaluación de estabilidad',
+      topicValidation: 'Validación del tema'
+    },
+    builtInInUse: 'Se usa la plantilla integrada.',
+    versionInUse: 'Se usa la versión {version}, guardada el {date}.',
+    placeholders: 'Marcadores:',
+    requiredNote: 'Los marcadores con * son obligatorios.',
+    templateProblems: 'Esta plantilla aún no se puede guardar:',
+    saveTemplate: 'Guardar como nueva versión',
+    loadBuiltIn: 'Cargar texto integrado',
+    resetTemplate: 'Usar plantilla integrada',
+    versionsTitle: 'Historial de versiones',
+    noVersions: 'Aún no hay versiones guardadas.',
+    versionLabel: 'Versión {version} · {date}',
+    builtInVersion: 'plantilla integrada',
+    loadVersion: 'Cargar en el editor',
+    questionsDescription: 'Preguntas que el proceso diario generó para cada tema, formato de respuesta e idioma. Solo las preguntas aprobadas se usan en los tests; las rechazadas se conservan para que no se vuelvan a generar.',
+    bank: 'Banco de preguntas',
+    noBanks: 'Aún no hay bancos de preguntas. El proceso diario los crea.',
+    statusFilter: 'Mostrar',
+    statuses: {
+      pending: 'Pendientes de revisión',
+      approved: 'Aprobadas',
+      rejected: 'Rechazadas'
+    },
+    noItems: 'No hay nada que mostrar.',
+    subscale: 'Subescala: {name}',
+    reversed: 'puntuación inversa',
+    approve: 'Aprobar',
+    reject: 'Rechazar',
+    errors: {
+      invalidTopics: 'Cada tema nuevo necesita un nombre. Revisa la lista e inténtalo de nuevo.',
+      invalidTemplate: 'Corrige los problemas indicados antes de guardar.',
+      bankNotFound: 'Ese banco de preguntas ya no existe.',
+      'permission-denied': 'No tienes acceso de administración. Si se te concedió hace poco, cierra sesión y vuelve a entrar.',
+      generic: 'Algo salió mal: {message}'
+    }
+  },
+  offline: {
+    badge: 'Sin conexión',
+    pendingSync: 'Pendientes de sincronizar: {count}',
+    topicsNote: 'No tienes conexión. Los tests generados por IA necesitan conexión, pero los cuestionarios validados y tus conjuntos de preguntas recientes funcionan sin ella. Los resultados se guardan en este dispositivo y se sincronizan cuando vuelvas a estar en línea.',
+    savedSetsTitle: 'Tus conjuntos de preguntas recientes',
+    savedSetsDescription: 'Vuelve a responder un conjunto que generaste antes. Funcionan sin conexión.',
+    noAnalysis: 'Este test se hizo sin conexión, así que tiene puntuación pero no análisis de IA.'
+  },
+  history: {
+    title: 'Tu historial de tests',
+    loading: 'Cargando tus sesiones anteriores...',
+    empty: 'Todavía no has completado ningún test. Los tests terminados aparecerán aquí.',
+    topic: 'Tema',
+    scoreChart: 'Puntuación a lo largo del tiempo (normalizada, 0-100)',
+    stabilityChart: 'Estabilidad a lo largo del tiempo',
+    scoreSeries: 'Puntuación',
+    questionCount: '{count} preguntas',
+    scoreSummary: 'Puntuación {total} / {max}',
+    pending: 'Pendiente de sincronizar',
+    importLabel: 'Abrir resultados exportados (.json)',
+    importErrors: {
+      invalidJson: 'El archivo no es un JSON válido.',
+      notExport: 'El archivo no es una exportación de resultados de PsychoAI.',
+      newerVersion: 'El archivo se exportó con una versión más reciente de PsychoAI.',
+      noTopic: 'La sesión exportada no tiene tema.',
+      noQuestions: 'La sesión exportada no tiene preguntas legibles.',
+      answersMismatch: 'Las respuestas exportadas no coinciden con las preguntas.',
+      invalidAnswers: 'No se pueden leer las respuestas exportadas.',
+      invalidScore: 'No se puede leer la puntuación exportada.',
+      unknownInstrument: 'La sesión exportada usa un cuestionario que esta versión de PsychoAI no tiene.'
+    }
+  },
+  crisis: {
+    title: 'No tienes que pasar por esto solo',
+    intro: 'Algunas de tus respuestas indican que podrías estar pasando por un momento muy difícil. Hablar con alguien puede ayudar. Los servicios siguientes son gratuitos y confidenciales.',
+    emergency: 'Si estás en peligro inmediato, llama ahora al {number}.',
+    region: '¿Dónde estás?',
+    otherRegion: 'Otro / no aparece',
+    note: 'Esta aplicación no puede ofrecer apoyo en situaciones de crisis, por eso no hemos mostrado consejos automáticos para este test. Considera hablar con un médico, un profesional de la salud mental o alguien de confianza.',
+    back: 'Volver al inicio'
+  },
+  profile: {
+    guestTitle: 'Inicia sesión o crea una cuenta',
+    title: 'Tu perfil',
+    guestIntro: 'Estás usando una sesión de invitado. Crea una cuenta para conservar tu historial en todos tus dispositivos; los tests que ya has hecho pasarán a tu cuenta.',
+    createAccount: 'Crear cuenta',
+    signIn: 'Iniciar sesión',
+    email: 'Correo electrónico',
+    password: 'Contraseña',
+    google: 'Continuar con Google',
+    signedInWith: 'Sesión iniciada con',
+    userId: 'ID de usuario',
+    displayName: 'Nombre visible',
+    save: 'Guardar perfil',
+    signOut: 'Cerrar sesión',
+    accountCreated: 'Cuenta creada. Tus resultados anteriores se conservan.',
+    signedIn: 'Sesión iniciada.',
+    signedInGoogle: 'Sesión iniciada con Google.',
+    saved: 'Perfil guardado.',
+    signedOut: 'Sesión cerrada.',
+    errors: {
+      'email-already-in-use': 'Ya existe una cuenta con este correo. Inicia sesión.',
+      'credential-already-in-use': 'Este método de inicio de sesión ya está vinculado a otra cuenta.',
+      'invalid-email': 'Escribe una dirección de correo válida.',
+      'weak-password': 'Elige una contraseña de al menos 6 caracteres.',
+      'invalid-credential': 'Correo o contraseña incorrectos.',
+      'wrong-password': 'Correo o contraseña incorrectos.',
+      'user-not-found': 'Correo o contraseña incorrectos.',
+      'too-many-requests': 'Demasiados intentos. Espera un momento y vuelve a intentarlo.',
+      'popup-closed-by-user': 'La ventana de inicio de sesión se cerró antes de terminar.',
+      'network-request-failed': 'Error de red. Comprueba tu conexión y vuelve a intentarlo.'
+    }
+  }
+};
+
+export default es;
@@ -0,0 +1,38 @@
+// Generalized Anxiety Disorder 7-item scale.
+// Spitzer RL, Kroenke K, Williams JBW, Löwe B. Arch Intern Med. 2006;166(10):1092-1097.
+// No permission is required to reproduce, translate, display or distribute.
+
+const gad7 = {
+  id: 'gad-7',
+  version: '1.0.0',
+  name: 'GAD-7',
+  title: 'Generalized Anxiety Disorder Scale (GAD-7)',
+  description: 'A 7-item screening measure for generalized anxiety symptoms over the last two weeks.',
+  citation: 'Spitzer RL, Kroenke K, Williams JBW, Löwe B. A brief measure for assessing generalized anxiety disorder: the GAD-7. Arch Intern Med. 2006;166(10):1092-1097.',
+  instructions: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+  options: [
+    { label: 'Not at all', value: 0 },
+    { label: 'Several days', value: 1 },
+    { label: 'More than half the days', value: 2 },
+    { label: 'Nearly every day', value: 3 }
+  ],
+  items: [
+    { id: 'gad7-1', text: 'Feeling nervous, anxious, or on edge' },
+    { id: 'gad7-2', text: 'Not being able to stop or control worrying' },
+    { id: 'gad7-3', text: 'Worrying too much about different things' },
+    { id: 'gad7-4', text: 'Trouble relaxing' },
+    { id: 'gad7-5', text: "Being so restless that it's hard to sit still" },
+    { id: 'gad7-6', text: 'Becoming easily annoyed or irritable' },
+    { id: 'gad7-7', text: 'Feeling afraid as if something awful might happen' }
+  ],
+  scoring: {
+    bands: [
+      { max: 4, label: 'Minimal anxiety' },
+      { max: 9, label: 'Mild anxiety' },
+      { max: 14, label: 'Moderate anxiety' },
+      { max: 21, label: 'Severe anxiety' }
+    ]
+  }
+};
+
+export default gad7;
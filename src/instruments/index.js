@@ -0,0 +1,48 @@
+import pss10 from './pss10';
+import gad7 from './gad7';
+import phq9 from './phq9';
+import rses from './rses';
+import miniIpip from './miniIpip';
+import { scoreAnswers } from '../scoring';
+
+// Bump when an instrument is added, removed or changed, so saved results can be traced
+// back to the exact item wording and scoring they were produced with.
+export const INSTRUMENT_LIBRARY_VERSION = '1.0.0';
+
+// Standard instruments with fixed items and official scoring.
+// Each item can be `reverse` keyed and tagged with a `subscale`; options carry numeric values.
+export const instruments = [pss10, gad7, phq9, rses, miniIpip];
+
+export const getInstrument = (id) => instruments.find(instrument => instrument.id === id) || null;
+
+// Whether a score from scoreAnswers/scoreInstrument has an overall figure. Trait inventories
+// (e.g. the Big Five) only have subscale scores: a total summed across different traits means
+// nothing. Scores saved before `composite` existed are recognised by their instrument.
+export const hasCompositeScore = (score) => Boolean(score)
+  && score.composite !== false
+  && getInstrument(score.instrumentId)?.scoring.composite !== false;
+
+// Turns an instrument into the question shape the questionnaire renders and the scoring
+// engine understands: option labels plus their official values, reverse keys and subscales.
+// `riskMinValue` marks items that trigger the safety screen.
+export const instrumentToQuestions = (instrument) => instrument.items.map(item => ({
+  question: item.text,
+  options: instrument.options.map(option => option.label),
+  optionValues: instrument.options.map(option => option.value),
+  reverse: Boolean(item.reverse),
+  subscale: item.subscale,
+  riskMinValue: item.riskMinValue,
+  itemId: item.id
+}));
+
+// Scores answers ({ [questionIndex]: optionLabel }, as kept in userAnswers) with the
+// instrument's official key and severity bands. `scoring.composite: false` marks trait
+// inventories, which have subscale scores only. Returns null if any item is unanswered.
+export const scoreInstrument = (instrument, answers) => {
+  const score = scoreAnswers(instrumentToQuestions(instrument), answers, {
+    bands: instrument.scoring.bands,
+    subscales: instrument.subscales,
+    composite: instrument.scoring.composite !== false
+  });
+  return score && { ...score, instrumentId: instrument.id, version: instrument.version };
+};
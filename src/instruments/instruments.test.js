@@ -0,0 +1,69 @@
+import { instruments, getInstrument, instrumentToQuestions, scoreInstrument, hasCompositeScore } from './index';
+
+// Builds a userAnswers map that picks the option with `value` for every item.
+const answerAll = (instrument, value) => {
+  const label = instrument.options.find(option => option.value === value).label;
+  return Object.fromEntries(instrument.items.map((_, index) => [index, label]));
+};
+
+test('every instrument has unique item ids and bands that cover its range', () => {
+  instruments.forEach(instrument => {
+    const ids = instrument.items.map(item => item.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+  instruments.filter(instrument => instrument.scoring.bands.length > 0).forEach(instrument => {
+    const { bands } = instrument.scoring;
+    const max = Math.max(...instrument.options.map(o => o.value)) * instrument.items.length;
+    expect(bands[bands.length - 1].max).toBe(max);
+  });
+});
+
+test('instrumentToQuestions renders option labels for each item', () => {
+  const questions = instrumentToQuestions(getInstrument('gad-7'));
+  expect(questions).toHaveLength(7);
+  expect(questions[0]).toEqual({
+    question: 'Feeling nervous, anxious, or on edge',
+    options: ['Not at all', 'Several days', 'More than half the days', 'Nearly every day'],
+    optionValues: [0, 1, 2, 3],
+    reverse: false,
+    subscale: undefined,
+    riskMinValue: undefined,
+    itemId: 'gad7-1'
+  });
+});
+
+test('GAD-7 sums items and assigns the official severity band', () => {
+  const gad7 = getInstrument('gad-7');
+  const score = scoreInstrument(gad7, answerAll(gad7, 2));
+  expect(score).toMatchObject({ total: 14, min: 0, max: 21, band: 'Moderate anxiety' });
+});
+
+test('PSS-10 mirrors its four reverse-keyed items', () => {
+  const pss10 = getInstrument('pss-10');
+  // "Very often" on every item: 6 items score 4, the 4 reversed items score 0.
+  expect(scoreInstrument(pss10, answerAll(pss10, 4)).total).toBe(24);
+});
+
+test('Mini-IPIP reports a total for each Big Five subscale and no overall score', () => {
+  const ipip = getInstrument('mini-ipip');
+  const score = scoreInstrument(ipip, answerAll(ipip, 5));
+  expect(score.band).toBeNull();
+  expect(score).not.toHaveProperty('total');
+  expect(score).not.toHaveProperty('normalized');
+  expect(hasCompositeScore(score)).toBe(false);
+  // Scores saved before the flag existed are recognised by their instrument
+  expect(hasCompositeScore({ total: 60, normalized: 50, instrumentId: 'mini-ipip' })).toBe(false);
+  expect(hasCompositeScore(scoreInstrument(getInstrument('gad-7'), answerAll(getInstrument('gad-7'), 1)))).toBe(true);
+  expect(score.subscales).toHaveLength(5);
+  // Intellect has three reverse-keyed items; the other traits have two forward and two reversed.
+  const totals = Object.fromEntries(score.subscales.map(subscale => [subscale.id, subscale.total]));
+  expect(totals).toEqual({ extraversion: 12, agreeableness: 12, conscientiousness: 12, neuroticism: 12, intellect: 8 });
+  expect(score.subscales[0]).toMatchObject({ min: 4, max: 20 });
+});
+
+test('returns null while any item is unanswered', () => {
+  const rses = getInstrument('rses');
+  const answers = answerAll(rses, 3);
+  delete answers[4];
+  expect(scoreInstrument(rses, answers)).toBeNull();
+});
@@ -0,0 +1,57 @@
+// Mini-IPIP: a 20-item short form of the IPIP Big Five factor markers.
+// Donnellan MB, Oswald FL, Baird BM, Lucas RE. Psychol Assess. 2006;18(2):192-203.
+// IPIP items are in the public domain.
+
+const miniIpip = {
+  id: 'mini-ipip',
+  version: '1.0.0',
+  name: 'Big Five (Mini-IPIP)',
+  title: 'Mini-IPIP Big Five Personality Inventory',
+  description: 'A 20-item short measure of the Big Five personality traits, four items per trait.',
+  citation: 'Donnellan MB, Oswald FL, Baird BM, Lucas RE. The Mini-IPIP scales: tiny-yet-effective measures of the Big Five factors of personality. Psychol Assess. 2006;18(2):192-203.',
+  instructions: 'Describe yourself as you generally are now, not as you wish to be in the future.',
+  options: [
+    { label: 'Very Inaccurate', value: 1 },
+    { label: 'Moderately Inaccurate', value: 2 },
+    { label: 'Neither Accurate Nor Inaccurate', value: 3 },
+    { label: 'Moderately Accurate', value: 4 },
+    { label: 'Very Accurate', value: 5 }
+  ],
+  subscales: [
+    { id: 'extraversion', label: 'Extraversion' },
+    { id: 'agreeableness', label: 'Agreeableness' },
+    { id: 'conscientiousness', label: 'Conscientiousness' },
+    { id: 'neuroticism', label: 'Neuroticism' },
+    { id: 'intellect', label: 'Intellect/Imagination' }
+  ],
+  items: [
+    { id: 'ipip-1', text: 'Am the life of the party.', subscale: 'extraversion' },
+    { id: 'ipip-2', text: "Sympathize with others' feelings.", subscale: 'agreeableness' },
+    { id: 'ipip-3', text: 'Get chores done right away.', subscale: 'conscientiousness' },
+    { id: 'ipip-4', text: 'Have frequent mood swings.', subscale: 'neuroticism' },
+    { id: 'ipip-5', text: 'Have a vivid imagination.', subscale: 'intellect' },
+    { id: 'ipip-6', text: "Don't talk a lot.", subscale: 'extraversion', reverse: true },
+    { id: 'ipip-7', text: "Am not interested in other people's problems.", subscale: 'agreeableness', reverse: true },
+    { id: 'ipip-8', text: 'Often forget to put things back in their proper place.', subscale: 'conscientiousness', reverse: true },
+    { id: 'ipip-9', text: 'Am relaxed most of the time.', subscale: 'neuroticism', reverse: true },
+    { id: 'ipip-10', text: 'Am not interested in abstract ideas.', subscale: 'intellect', reverse: true },
+    { id: 'ipip-11', text: 'Talk to a lot of different people at parties.', subscale: 'extraversion' },
+    { id: 'ipip-12', text: "Feel others' emotions.", subscale: 'agreeableness' },
+    { id: 'ipip-13', text: 'Like order.', subscale: 'conscientiousness' },
+    { id: 'ipip-14', text: 'Get upset easily.', subscale: 'neuroticism' },
+    { id: 'ipip-15', text: 'Have difficulty understanding abstract ideas.', subscale: 'intellect', reverse: true },
+    { id: 'ipip-16', text: 'Keep in the background.', subscale: 'extraversion', reverse: true },
+    { id: 'ipip-17', text: 'Am not really interested in others.', subscale: 'agreeableness', reverse: true },
+    { id: 'ipip-18', text: 'Make a mess of things.', subscale: 'conscientiousness', reverse: true },
+    { id: 'ipip-19', text: 'Seldom feel blue.', subscale: 'neuroticism', reverse: true },
+    { id: 'ipip-20', text: 'Do not have a good imagination.', subscale: 'intellect', reverse: true }
+  ],
+  // Trait inventory: only the subscale totals (4-20 each) are reported, without severity
+  // bands and without an overall score.
+  scoring: {
+    bands: [],
+    composite: false
+  }
+};
+
+export default miniIpip;
@@ -0,0 +1,42 @@
+// Patient Health Questionnaire-9.
+// Kroenke K, Spitzer RL, Williams JBW. J Gen Intern Med. 2001;16(9):606-613.
+// No permission is required to reproduce, translate, display or distribute.
+
+const phq9 = {
+  id: 'phq-9',
+  version: '1.0.0',
+  name: 'PHQ-9',
+  title: 'Patient Health Questionnaire (PHQ-9)',
+  description: 'A 9-item measure of depressive symptoms over the last two weeks.',
+  citation: 'Kroenke K, Spitzer RL, Williams JBW. The PHQ-9: validity of a brief depression severity measure. J Gen Intern Med. 2001;16(9):606-613.',
+  instructions: 'Over the last 2 weeks, how often have you been bothered by any of the following problems?',
+  options: [
+    { label: 'Not at all', value: 0 },
+    { label: 'Several days', value: 1 },
+    { label: 'More than half the days', value: 2 },
+    { label: 'Nearly every day', value: 3 }
+  ],
+  items: [
+    { id: 'phq9-1', text: 'Little interest or pleasure in doing things' },
+    { id: 'phq9-2', text: 'Feeling down, depressed, or hopeless' },
+    { id: 'phq9-3', text: 'Trouble falling or staying asleep, or sleeping too much' },
+    { id: 'phq9-4', text: 'Feeling tired or having little energy' },
+    { id: 'phq9-5', text: 'Poor appetite or overeating' },
+    { id: 'phq9-6', text: 'Feeling bad about yourself, or that you are a failure or have let yourself or your family down' },
+    { id: 'phq9-7', text: 'Trouble concentrating on things, such as reading the newspaper or watching television' },
+    { id: 'phq9-8', text: 'Moving or speaking so slowly that other people could have noticed, or the opposite: being so fidgety or restless that you have been moving around a lot more than usual' },
+    // Any answer above "Not at all" on item 9 triggers the safety screen (see src/safety).
+    { id: 'phq9-9', text: 'Thoughts that you would be better off dead, or of hurting yourself in some way', riskMinValue: 1 }
+  ],
+  scoring: {
+    bands: [
+      { max: 4, label: 'Minimal depression' },
+      { max: 9, label: 'Mild depression' },
+      { max: 14, label: 'Moderate depression' },
+      { max: 19, label: 'Moderately severe depression' },
+      { max: 27, label: 'Severe depression' }
+    ]
+  }
+};
+
+export default phq9;
@@ -0,0 +1,41 @@
+// Perceived Stress Scale, 10-item version.
+// Cohen S, Kamarck T, Mermelstein R. J Health Soc Behav. 1983;24(4):385-396.
+// Free to use for non-commercial academic and educational purposes.
+
+const pss10 = {
+  id: 'pss-10',
+  version: '1.0.0',
+  name: 'PSS-10',
+  title: 'Perceived Stress Scale (PSS-10)',
+  description: 'A 10-item measure of how unpredictable, uncontrollable and overloaded life has felt in the last month.',
+  citation: 'Cohen S, Kamarck T, Mermelstein R. A global measure of perceived stress. J Health Soc Behav. 1983;24(4):385-396.',
+  instructions: 'In the last month, how often have you...',
+  options: [
+    { label: 'Never', value: 0 },
+    { label: 'Almost never', value: 1 },
+    { label: 'Sometimes', value: 2 },
+    { label: 'Fairly often', value: 3 },
+    { label: 'Very often', value: 4 }
+  ],
+  items: [
+    { id: 'pss10-1', text: 'Been upset because of something that happened unexpectedly?' },
+    { id: 'pss10-2', text: 'Felt that you were unable to control the important things in your life?' },
+    { id: 'pss10-3', text: 'Felt nervous and "stressed"?' },
+    { id: 'pss10-4', text: 'Felt confident about your ability to handle your personal problems?', reverse: true },
+    { id: 'pss10-5', text: 'Felt that things were going your way?', reverse: true },
+    { id: 'pss10-6', text: 'Found that you could not cope with all the things that you had to do?' },
+    { id: 'pss10-7', text: 'Been able to control irritations in your life?', reverse: true },
+    { id: 'pss10-8', text: 'Felt that you were on top of things?', reverse: true },
+    { id: 'pss10-9', text: 'Been angered because of things that were outside of your control?' },
+    { id: 'pss10-10', text: 'Felt difficulties were piling up so high that you could not overcome them?' }
+  ],
+  scoring: {
+    bands: [
+      { max: 13, label: 'Low perceived stress' },
+      { max: 26, label: 'Moderate perceived stress' },
+      { max: 40, label: 'High perceived stress' }
+    ]
+  }
+};
+
+export default pss10;
@@ -0,0 +1,40 @@
+// Rosenberg Self-Esteem Scale.
+// Rosenberg M. Society and the Adolescent Self-Image. Princeton University Press; 1965.
+// Public domain; no permission is required for use.
+
+const rses = {
+  id: 'rses',
+  version: '1.0.0',
+  name: 'Rosenberg Self-Esteem',
+  title: 'Rosenberg Self-Esteem Scale (RSES)',
+  description: 'A 10-item measure of global self-worth.',
+  citation: 'Rosenberg M. Society and the Adolescent Self-Image. Princeton, NJ: Princeton University Press; 1965.',
+  instructions: 'Please indicate how strongly you agree or disagree with each statement about yourself.',
+  options: [
+    { label: 'Strongly Disagree', value: 0 },
+    { label: 'Disagree', value: 1 },
+    { label: 'Agree', value: 2 },
+    { label: 'Strongly Agree', value: 3 }
+  ],
+  items: [
+    { id: 'rses-1', text: 'On the whole, I am satisfied with myself.' },
+    { id: 'rses-2', text: 'At times I think I am no good at all.', reverse: true },
+    { id: 'rses-3', text: 'I feel that I have a number of good qualities.' },
+    { id: 'rses-4', text: 'I am able to do things as well as most other people.' },
+    { id: 'rses-5', text: 'I feel I do not have much to be proud of.', reverse: true },
+    { id: 'rses-6', text: 'I certainly feel useless at times.', reverse: true },
+    { id: 'rses-7', text: "I feel that I'm a person of worth, at least on an equal plane with others." },
+    { id: 'rses-8', text: 'I wish I could have more respect for myself.', reverse: true },
+    { id: 'rses-9', text: 'All in all, I am inclined to feel that I am a failure.', reverse: true },
+    { id: 'rses-10', text: 'I take a positive attitude toward myself.' }
+  ],
+  scoring: {
+    bands: [
+      { max: 14, label: 'Low self-esteem' },
+      { max: 25, label: 'Normal self-esteem' },
+      { max: 30, label: 'High self-esteem' }
+    ]
+  }
+};
+
+export default rses;
@@ -0,0 +1,106 @@
+import { saveSession } from '../history/sessions';
+import { addAnsweredQuestions } from '../history/answeredQuestions';
+import { loadRemoteDraft, deleteRemoteDraft } from '../history/drafts';
+import { completeAssignment } from '../workspace';
+import { enqueueWrite, getPendingWrites, getPendingSessions, flushSyncQueue } from './syncQueue';
+import { listQuestionSets, saveQuestionSet, MAX_SAVED_QUESTION_SETS } from './questionSets';
+
+jest.mock('../history/sessions', () => ({ saveSession: jest.fn() }));
+jest.mock('../history/answeredQuestions', () => ({ addAnsweredQuestions: jest.fn() }));
+jest.mock('../history/drafts', () => ({ loadRemoteDraft: jest.fn(), deleteRemoteDraft: jest.fn() }));
+jest.mock('../workspace', () => ({ completeAssignment: jest.fn() }));
+
+const db = {};
+
+beforeEach(() => {
+  saveSession.mockResolvedValue('s1');
+  addAnsweredQuestions.mockResolvedValue();
+  loadRemoteDraft.mockResolvedValue(null);
+  deleteRemoteDraft.mockResolvedValue();
+  completeAssignment.mockResolvedValue();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  localStorage.clear();
+  console.warn.mockRestore();
+});
+
+test('queued sessions are listed for History until they sync', () => {
+  enqueueWrite('app', 'u1', 'answeredQuestions', { topic: 'Stress', questions: ['q1'] });
+  enqueueWrite('app', 'u1', 'session', { topic: 'Stress', questions: [], answers: [], completedAt: 1700000000000 });
+  enqueueWrite('app', 'someone-else', 'session', { topic: 'Other', completedAt: 1 });
+
+  expect(getPendingWrites('app', 'u1')).toHaveLength(2);
+  const [session] = getPendingSessions('app', 'u1');
+  expect(session).toMatchObject({ topic: 'Stress', pending: true });
+  expect(session.createdAt).toEqual(new Date(1700000000000));
+  expect(session).not.toHaveProperty('completedAt');
+});
+
+test('flushing writes entries in order and keeps the rest after a failure', async () => {
+  enqueueWrite('app', 'u1', 'answeredQuestions', { topic: 'Stress', questions: ['q1'] });
+  enqueueWrite('app', 'u1', 'session', { topic: 'Stress', completedAt: 5 });
+  enqueueWrite('app', 'u1', 'draftCleared', { finishedAt: 5 });
+  saveSession.mockRejectedValueOnce(new Error('unavailable'));
+
+  await expect(flushSyncQueue(db, 'app', 'u1')).resolves.toBe(1);
+  expect(addAnsweredQuestions).toHaveBeenCalledWith(db, 'app', 'u1', 'Stress', ['q1']);
+  expect(getPendingWrites('app', 'u1').map(entry => entry.type)).toEqual(['session', 'draftCleared']);
+
+  loadRemoteDraft.mockResolvedValue({ updatedAt: 9 });
+  await expect(flushSyncQueue(db, 'app', 'u1')).resolves.toBe(2);
+  expect(saveSession).toHaveBeenLastCalledWith(db, 'app', 'u1', { topic: 'Stress', completedAt: 5 });
+  // The remote draft is newer than the queued test, so it belongs to another test
+  expect(deleteRemoteDraft).not.toHaveBeenCalled();
+  expect(getPendingWrites('app', 'u1')).toEqual([]);
+});
+
+test('a failed answered-questions write does not hold back the queued session', async () => {
+  enqueueWrite('app', 'u1', 'answeredQuestions', { topic: 'Stress', questions: ['q1'] });
+  enqueueWrite('app', 'u1', 'session', { topic: 'Stress', completedAt: 5 });
+  addAnsweredQuestions.mockRejectedValueOnce(new Error('permission-denied'));
+
+  await expect(flushSyncQueue(db, 'app', 'u1')).resolves.toBe(2);
+  expect(saveSession).toHaveBeenCalled();
+  expect(getPendingWrites('app', 'u1')).toEqual([]);
+});
+
+test('a synced session for an assignment marks it completed, even if that fails', async () => {
+  enqueueWrite('app', 'u1', 'session', { topic: 'GAD-7', assignmentId: 'a1', completedAt: 5 });
+  completeAssignment.mockRejectedValueOnce(new Error('permission-denied'));
+
+  await expect(flushSyncQueue(db, 'app', 'u1')).resolves.toBe(1);
+  expect(completeAssignment).toHaveBeenCalledWith(db, 'app', 'u1', 'a1', 's1');
+  expect(getPendingWrites('app', 'u1')).toEqual([]);
+});
+
+test("switching users during a flush doesn't hold back the new user's queue", async () => {
+  enqueueWrite('app', 'guest', 'session', { topic: 'Stress', completedAt: 5 });
+  enqueueWrite('app', 'u1', 'session', { topic: 'Sleep', completedAt: 6 });
+  let finishGuest;
+  saveSession.mockImplementationOnce(() => new Promise(resolve => { finishGuest = resolve; }));
+
+  const guestRun = flushSyncQueue(db, 'app', 'guest');
+  await expect(flushSyncQueue(db, 'app', 'u1')).resolves.toBe(1);
+  expect(getPendingWrites('app', 'u1')).toEqual([]);
+
+  finishGuest('s0');
+  await expect(guestRun).resolves.toBe(1);
+  expect(getPendingWrites('app', 'guest')).toEqual([]);
+});
+
+test('saved question sets keep the newest copy per topic, format and language', () => {
+  saveQuestionSet('app', { topic: 'Stress', format: 'likert4', language: 'en', questions: [{ question: 'old' }] });
+  saveQuestionSet('app', { topic: 'Stress', format: 'slider', language: 'en', questions: [] });
+  saveQuestionSet('app', { topic: 'Stress', format: 'likert4', language: 'en', questions: [{ question: 'new' }] });
+
+  const sets = listQuestionSets('app');
+  expect(sets.map(set => set.format)).toEqual(['likert4', 'slider']);
+  expect(sets[0].questions).toEqual([{ question: 'new' }]);
+
+  for (let i = 0; i < MAX_SAVED_QUESTION_SETS; i++) {
+    saveQuestionSet('app', { topic: `Topic ${i}`, format: 'likert4', language: 'en', questions: [] });
+  }
+  expect(listQuestionSets('app')).toHaveLength(MAX_SAVED_QUESTION_SETS);
+});
@@ -0,0 +1,32 @@
+// The most recent AI-generated question sets, kept in localStorage so they can be taken again
+// without a connection: { topic, format, language, questions, savedAt }. One set per topic,
+// format and language; a newer set replaces the older one.
+
+export const MAX_SAVED_QUESTION_SETS = 10;
+
+const getLocalKey = (appId) => `psychoai-question-sets:${appId}`;
+
+const isSameSet = (a, b) => a.topic === b.topic && a.format === b.format && a.language === b.language;
+
+// Newest first
+export const listQuestionSets = (appId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getLocalKey(appId))) || [];
+  } catch (storageError) {
+    console.warn("Could not read saved question sets:", storageError);
+    return [];
+  }
+};
+
+export const saveQuestionSet = (appId, { topic, format, language, questions }) => {
+  const questionSet = { topic, format, language, questions, savedAt: Date.now() };
+  const questionSets = [questionSet, ...listQuestionSets(appId).filter(saved => !isSameSet(saved, questionSet))]
+    .slice(0, MAX_SAVED_QUESTION_SETS);
+  try {
+    localStorage.setItem(getLocalKey(appId), JSON.stringify(questionSets));
+  } catch (storageError) {
+    // A full quota only costs the offline copy
+    console.warn("Could not save question set for offline use:", storageError);
+  }
+  return questionSets;
+};
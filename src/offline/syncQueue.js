@@ -0,0 +1,101 @@
+import { saveSession } from '../history/sessions';
+import { addAnsweredQuestions } from '../history/answeredQuestions';
+import { loadRemoteDraft, deleteRemoteDraft } from '../history/drafts';
+import { completeAssignment } from '../workspace';
+
+// Firestore writes made while offline wait here, in localStorage, until the app is back
+// online: Firestore's own write queue is lost on reload and its promises never settle while
+// offline. Entries are { id, uid, type, data, queuedAt } and are written in order:
+//   session           - data is a saveSession() payload with `completedAt`; a session for an
+//                       assignment (src/workspace) also marks the assignment completed
+//   answeredQuestions - data is { topic, questions: [questionText, ...] }
+//   draftCleared      - data is { finishedAt }; the remote draft is deleted unless it was
+//                       updated after the test finished (e.g. on another device)
+
+const getQueueKey = (appId) => `psychoai-sync-queue:${appId}`;
+
+const readQueue = (appId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getQueueKey(appId))) || [];
+  } catch (storageError) {
+    console.warn("Could not read the offline sync queue:", storageError);
+    return [];
+  }
+};
+
+const writeQueue = (appId, queue) => {
+  try {
+    localStorage.setItem(getQueueKey(appId), JSON.stringify(queue));
+  } catch (storageError) {
+    console.warn("Could not save the offline sync queue:", storageError);
+  }
+};
+
+export const enqueueWrite = (appId, uid, type, data) => {
+  const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, uid, type, data, queuedAt: Date.now() };
+  writeQueue(appId, [...readQueue(appId), entry]);
+  return entry;
+};
+
+export const getPendingWrites = (appId, uid) => readQueue(appId).filter(entry => entry.uid === uid);
+
+// Queued sessions in the shape listSessions returns, so History can show them before they sync
+export const getPendingSessions = (appId, uid) => getPendingWrites(appId, uid)
+  .filter(entry => entry.type === 'session')
+  .map(({ id, data: { completedAt, ...session } }) => ({ ...session, id, pending: true, createdAt: new Date(completedAt) }));
+
+const WRITERS = {
+  session: async (db, appId, uid, data) => {
+    const sessionId = await saveSession(db, appId, uid, data);
+    if (data.assignmentId) {
+      // Not rethrown: the session is saved, and retrying the entry would save it twice
+      await completeAssignment(db, appId, uid, data.assignmentId, sessionId).catch(assignmentError => {
+        console.warn("Could not mark the assignment as completed:", assignmentError);
+      });
+    }
+  },
+  // Not rethrown: these only steer question generation, and a failure would hold back the
+  // queued session behind them
+  answeredQuestions: (db, appId, uid, { topic, questions }) => addAnsweredQuestions(db, appId, uid, topic, questions).catch(answeredError => {
+    console.warn("Could not save the answered questions:", answeredError);
+  }),
+  draftCleared: async (db, appId, uid, { finishedAt }) => {
+    const draft = await loadRemoteDraft(db, appId, uid);
+    if (draft && draft.updatedAt <= finishedAt) {
+      await deleteRemoteDraft(db, appId, uid);
+    }
+  }
+};
+
+// Runs in progress, keyed by `${appId}/${uid}`: a sign-in during a flush switches the user,
+// and the new user's queue must not wait for the old one's run
+const flushing = new Map();
+
+// Writes the user's queued entries in order and resolves to the number written. Stops at the
+// first failure and keeps it and everything after it for the next attempt. Concurrent calls
+// for the same user share one run.
+export const flushSyncQueue = (db, appId, uid) => {
+  const key = `${appId}/${uid}`;
+  if (!flushing.has(key)) {
+    flushing.set(key, (async () => {
+      let synced = 0;
+      try {
+        for (const entry of getPendingWrites(appId, uid)) {
+          if (WRITERS[entry.type]) {
+            await WRITERS[entry.type](db, appId, uid, entry.data);
+          } else {
+            console.warn(`Dropping queued write of unknown type "${entry.type}".`);
+          }
+          writeQueue(appId, readQueue(appId).filter(queued => queued.id !== entry.id));
+          synced += 1;
+        }
+      } catch (syncError) {
+        console.warn("Could not sync offline changes yet:", syncError);
+      }
+      return synced;
+    })().finally(() => {
+      flushing.delete(key);
+    }));
+  }
+  return flushing.get(key);
+};
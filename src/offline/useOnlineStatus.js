@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+
+// Whether the browser reports a network connection, updated on the online/offline events.
+// navigator.onLine can be true on a network without internet access; AI and Firestore calls
+// still fail normally then.
+export const useOnlineStatus = () => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+};
@@ -0,0 +1,34 @@
+import { doc, getDoc } from 'firebase/firestore';
+import { partitionNewQuestions } from '../history/questionDedup';
+
+// Shared, pre-generated questions for the topic screen's topics, so most tests start without an AI
+// call. One document per topic, answer format and language:
+//   artifacts/{appId}/questionBank/{topicId}__{format}__{language}
+//     { topicId, format, language, items: [{ id, question, options, reverse, subscale, approved, createdAt }], updatedAt }
+// Tests of any length draw from the same bank. Banks are filled server-side (functions/questionBank.js)
+// with unapproved items; only items a reviewer approved are ever shown. Clients can only read.
+
+export const getQuestionBankId = (topicId, format, language) => `${topicId}__${format}__${language}`;
+
+// Approved items as questionnaire questions. `bankItemId` stays on each question (and so in
+// the saved session), so a result can be traced back to the reviewed item it used.
+export const loadBankQuestions = async (db, appId, { topicId, format, language }) => {
+  const snap = await getDoc(doc(db, `artifacts/${appId}/questionBank`, getQuestionBankId(topicId, format, language)));
+  if (!snap.exists()) {
+    return [];
+  }
+  return (snap.data().items || [])
+    .filter(item => item.approved === true)
+    .map(({ id, question, options, reverse, subscale }) => ({ question, options, reverse, subscale, type: format, bankItemId: id }));
+};
+
+// Up to `count` random bank questions the user hasn't answered yet (or anything close to them).
+// Fewer, possibly none, once the user has worked through the bank.
+export const drawBankQuestions = (bankQuestions, count, answeredTexts, random = Math.random) => {
+  const shuffled = [...bankQuestions];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return partitionNewQuestions(shuffled, answeredTexts).fresh.slice(0, count);
+};
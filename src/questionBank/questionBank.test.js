@@ -0,0 +1,28 @@
+import { getDoc } from 'firebase/firestore';
+import { loadBankQuestions, drawBankQuestions, getQuestionBankId } from '.';
+
+jest.mock('firebase/firestore', () => ({
+  doc: jest.fn(),
+  getDoc: jest.fn()
+}));
+
+const item = (id, question, approved = true) => ({ id, question, options: ['No', 'Yes'], reverse: false, subscale: 'Body', approved, createdAt: 1 });
+
+test('only approved items are served, tagged with their format and bank item', async () => {
+  getDoc.mockResolvedValue({ exists: () => true, data: () => ({ items: [item('a', 'I sleep well.'), item('b', 'I feel rested.', false)] }) });
+
+  const questions = await loadBankQuestions({}, 'app', { topicId: 'stress', format: 'yesNo', language: 'es' });
+
+  expect(getQuestionBankId('stress', 'yesNo', 'es')).toBe('stress__yesNo__es');
+  expect(questions).toEqual([{ question: 'I sleep well.', options: ['No', 'Yes'], reverse: false, subscale: 'Body', type: 'yesNo', bankItemId: 'a' }]);
+});
+
+test('draws skip answered questions and their rewordings', () => {
+  const bank = [item('a', 'I sleep well.'), item('b', 'I often feel tense.'), item('c', 'I enjoy my work.'), item('d', 'I can say no.')];
+
+  const drawn = drawBankQuestions(bank, 2, ['I frequently feel tense.', 'I can say no'], () => 0);
+
+  expect(drawn).toHaveLength(2);
+  expect(drawn.map(question => question.id).sort()).toEqual(['a', 'c']);
+  expect(drawBankQuestions(bank, 10, bank.map(question => question.question))).toEqual([]);
+});
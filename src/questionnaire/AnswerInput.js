@@ -0,0 +1,76 @@
+import React from 'react';
+import { SLIDER_RANGE } from '../scoring';
+import { useI18n } from '../i18n/I18nContext';
+
+export const MAX_TEXT_ANSWER_LENGTH = 500;
+
+// The answer control for one question, by its `type` (see src/scoring): a 0-100 slider,
+// a free-text box, or the radio list used for every scale with options.
+function AnswerInput({ question, questionIndex, answer, onChange }) {
+  const { t } = useI18n();
+  const name = `question-${questionIndex}`;
+
+  if (question.type === 'slider') {
+    const answered = Number.isFinite(answer);
+    const [lowLabel, highLabel] = question.options;
+    // A click on the untouched thumb doesn't fire onChange, so clicks also count as an answer
+    const setFromEvent = (e) => onChange(Number(e.target.value));
+    return (
+      <div>
+        <input
+          type="range"
+          name={name}
+          min={SLIDER_RANGE.min}
+          max={SLIDER_RANGE.max}
+          value={answered ? answer : (SLIDER_RANGE.min + SLIDER_RANGE.max) / 2}
+          onChange={setFromEvent}
+          onClick={setFromEvent}
+          aria-label={question.question}
+          className={`w-full accent-blue-600 ${answered ? '' : 'opacity-50'}`}
+        />
+        <div className="flex justify-between text-sm text-gray-600 mt-1">
+          <span>{SLIDER_RANGE.min} · {lowLabel}</span>
+          <span>{highLabel} · {SLIDER_RANGE.max}</span>
+        </div>
+        <p className="text-center font-semibold text-blue-700 mt-2">
+          {answered ? `${answer} / ${SLIDER_RANGE.max}` : t('questionnaire.sliderUnset')}
+        </p>
+      </div>
+    );
+  }
+
+  if (question.type === 'text') {
+    return (
+      <textarea
+        name={name}
+        value={answer || ''}
+        onChange={(e) => onChange(e.target.value)}
+        maxLength={MAX_TEXT_ANSWER_LENGTH}
+        rows={3}
+        placeholder={t('questionnaire.textPlaceholder')}
+        aria-label={question.question}
+        className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+      />
+    );
+  }
+
+  return (
+    <div className="flex flex-col space-y-3">
+      {question.options.map((option, oIndex) => (
+        <label key={oIndex} className="inline-flex items-center cursor-pointer">
+          <input
+            type="radio"
+            name={name}
+            value={option}
+            checked={answer === option}
+            onChange={() => onChange(option)}
+            className="form-radio h-5 w-5 text-blue-600 border-gray-300 focus:ring-blue-500 rounded-full"
+          />
+          <span className="ms-3 text-gray-700 text-base">{option}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default AnswerInput;
@@ -0,0 +1,275 @@
+import { jsPDF } from 'jspdf';
+import { DEFAULT_LANGUAGE, getDirection, translate } from '../i18n';
+import { hasCompositeScore } from '../instruments';
+
+// Builds the downloadable results report as a real (vector, selectable-text) PDF.
+// Layout is done by hand on A4 in millimetres: a cursor moves down the page and
+// every block asks for the room it needs, starting a new page when it doesn't fit.
+// Labels come from the locale files (the `report` section). With a Unicode `font` (see
+// reportFont.js) any script can be drawn, and right-to-left text is laid out from the right.
+
+const PAGE_MARGIN = 18;
+const HEADER_HEIGHT = 14; // Running header on every page after the first
+const FOOTER_HEIGHT = 12;
+const LINE_HEIGHT_FACTOR = 1.25;
+const PT_TO_MM = 0.3528;
+const CELL_PADDING = 2;
+
+const COLORS = {
+  heading: [30, 64, 175],
+  text: [31, 41, 55],
+  muted: [107, 114, 128],
+  rule: [209, 213, 219],
+  tableHeader: [239, 246, 255]
+};
+
+const UNICODE_FONT = 'DejaVuSans';
+
+// The standard PDF fonts only cover Latin-1, so drop anything they can't draw (emoji etc.)
+const toLatin1Text = (value) => String(value ?? '').replace(/[^\n\r\t\x20-\x7E\xA0-\xFF–—‘’“”•…]/g, '').trim();
+// The Unicode font covers the app's scripts, but not emoji
+const toUnicodeText = (value) => String(value ?? '').replace(/[\p{Extended_Pictographic}\uFE0F\u200D]/gu, '').trim();
+
+// Text whose first letter is Hebrew or Arabic is laid out right to left
+const isRtlText = (text) => /^[^\p{L}]*[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/u.test(text);
+
+// `unicode`: the Unicode font is registered; `rtl`: the report's language is right-to-left,
+// which mirrors the table columns
+const createLayout = (doc, { unicode, rtl }) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  const bottom = pageHeight - PAGE_MARGIN - FOOTER_HEIGHT;
+  let y = PAGE_MARGIN;
+
+  const lineHeight = (fontSize) => fontSize * LINE_HEIGHT_FACTOR * PT_TO_MM;
+  const toPdfText = unicode ? toUnicodeText : toLatin1Text;
+
+  // Draws `lines` (already wrapped) in the box from x to x + width. Text is passed in logical
+  // order; jsPDF shapes Arabic and reorders each line for display.
+  const drawText = (lines, x, width, top, { align = 'start', ...options } = {}) => {
+    const rtlText = isRtlText([].concat(lines).join(' '));
+    const alignRight = align === 'right' || (align === 'start' && rtlText);
+    doc.text(lines, alignRight ? x + width : x, top, {
+      baseline: 'top',
+      align: alignRight ? 'right' : 'left',
+      isInputVisual: false,
+      isInputRtl: rtlText,
+      isOutputVisual: true,
+      isOutputRtl: false,
+      ...options
+    });
+  };
+
+  const setFont = (fontSize, style = 'normal', color = COLORS.text) => {
+    doc.setFont(unicode ? UNICODE_FONT : 'helvetica', style);
+    doc.setFontSize(fontSize);
+    doc.setTextColor(...color);
+  };
+
+  const newPage = () => {
+    doc.addPage();
+    y = PAGE_MARGIN + HEADER_HEIGHT;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > bottom) {
+      newPage();
+    }
+  };
+
+  const gap = (height) => {
+    y += height;
+  };
+
+  // Wrapped text that flows line by line across page breaks
+  const paragraph = (text, { fontSize = 10.5, style = 'normal', color = COLORS.text } = {}) => {
+    setFont(fontSize, style, color);
+    const step = lineHeight(fontSize);
+    toPdfText(text).split(/\n+/).filter(Boolean).forEach((block, index) => {
+      if (index > 0) gap(step * 0.5);
+      doc.splitTextToSize(block, contentWidth).forEach((line) => {
+        ensureSpace(step);
+        drawText(line, PAGE_MARGIN, contentWidth, y);
+        y += step;
+      });
+    });
+  };
+
+  const heading = (text) => {
+    // Keep a heading together with at least a couple of lines of what follows it
+    ensureSpace(lineHeight(14) + lineHeight(10.5) * 3);
+    gap(3);
+    setFont(14, 'bold', COLORS.heading);
+    drawText(toPdfText(text), PAGE_MARGIN, contentWidth, y);
+    y += lineHeight(14);
+    doc.setDrawColor(...COLORS.rule);
+    doc.line(PAGE_MARGIN, y, PAGE_MARGIN + contentWidth, y);
+    gap(3);
+  };
+
+  // columns: [{ header, width (fraction of the content width), align? }]; rows: arrays of cell text
+  const table = (columns, rows, { fontSize = 9.5 } = {}) => {
+    const step = lineHeight(fontSize);
+    // Right-to-left reports read their columns from the right
+    const order = columns.map((_, index) => (rtl ? columns.length - 1 - index : index));
+    const widths = columns.map((column) => column.width * contentWidth);
+
+    const drawRow = (cells, { header = false } = {}) => {
+      setFont(fontSize, header ? 'bold' : 'normal');
+      const wrapped = cells.map((cell, index) => doc.splitTextToSize(toPdfText(cell), widths[index] - CELL_PADDING * 2));
+      const height = Math.max(...wrapped.map((lines) => lines.length)) * step + CELL_PADDING * 2;
+      ensureSpace(height);
+      if (header) {
+        doc.setFillColor(...COLORS.tableHeader);
+        doc.rect(PAGE_MARGIN, y, contentWidth, height, 'F');
+      }
+      let x = PAGE_MARGIN;
+      order.forEach((index) => {
+        drawText(wrapped[index], x + CELL_PADDING, widths[index] - CELL_PADDING * 2, y + CELL_PADDING, {
+          align: columns[index].align,
+          lineHeightFactor: LINE_HEIGHT_FACTOR
+        });
+        x += widths[index];
+      });
+      y += height;
+      doc.setDrawColor(...COLORS.rule);
+      doc.line(PAGE_MARGIN, y, PAGE_MARGIN + contentWidth, y);
+    };
+
+    drawRow(columns.map((column) => column.header), { header: true });
+    rows.forEach((row) => drawRow(row));
+    gap(4);
+  };
+
+  const title = (text, subtitle) => {
+    setFont(20, 'bold', COLORS.heading);
+    doc.splitTextToSize(toPdfText(text), contentWidth).forEach((line) => {
+      drawText(line, PAGE_MARGIN, contentWidth, y);
+      y += lineHeight(20);
+    });
+    setFont(10, 'normal', COLORS.muted);
+    drawText(toPdfText(subtitle), PAGE_MARGIN, contentWidth, y);
+    y += lineHeight(10);
+    gap(4);
+  };
+
+  // Running header and page numbers, drawn once every page exists.
+  // pageLabel(page, pageCount) gives the footer text.
+  const decoratePages = (header, pageLabel) => {
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page += 1) {
+      doc.setPage(page);
+      setFont(8.5, 'normal', COLORS.muted);
+      if (page > 1) {
+        drawText(toPdfText(header), PAGE_MARGIN, contentWidth, PAGE_MARGIN);
+      }
+      // The page number sits in the outer corner on the reading side's end
+      drawText(toPdfText(pageLabel(page, pageCount)), PAGE_MARGIN, contentWidth, pageHeight - PAGE_MARGIN - lineHeight(8.5), {
+        align: rtl ? 'left' : 'right'
+      });
+    }
+  };
+
+  return { paragraph, heading, table, title, gap, decoratePages };
+};
+
+// Trait inventories have no overall score, only subscale rows
+const scoreRows = (score, t, formatBand) => {
+  const rows = hasCompositeScore(score)
+    ? [
+      [t('report.total'), `${score.total}`, `${score.min}-${score.max}`],
+      [t('report.normalized'), `${score.normalized}`, '0-100']
+    ]
+    : [];
+  if (score.band) {
+    rows.push([t('report.band'), formatBand(score.band), '']);
+  }
+  (score.subscales || []).forEach((subscale) => {
+    rows.push([subscale.label, `${subscale.total}`, `${subscale.min}-${subscale.max}`]);
+  });
+  return rows;
+};
+
+// report: { topic, date, questions, answers (array, index-aligned with questions), score,
+// stabilityLevels, analysis, advice, citation }. Options:
+//   language     the labels' language (defaults to English), for dates and the page direction
+//   t            translates label keys as in useI18n; defaults to `language`
+//   formatLevel  and formatBand show stability levels and score bands (as on the results page)
+//   font         { normal, bold } base64 TrueType data from loadReportFont; without it the
+//                standard fonts are used, which only draw Latin script
+// Returns the jsPDF document.
+export const buildReportPdf = (report, {
+  language = DEFAULT_LANGUAGE,
+  t = (key, params) => translate(language, key, params),
+  formatLevel = (level) => level,
+  formatBand = (band) => band,
+  font = null
+} = {}) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  if (font) {
+    doc.addFileToVFS(`${UNICODE_FONT}.ttf`, font.normal);
+    doc.addFont(`${UNICODE_FONT}.ttf`, UNICODE_FONT, 'normal');
+    doc.addFileToVFS(`${UNICODE_FONT}-Bold.ttf`, font.bold);
+    doc.addFont(`${UNICODE_FONT}-Bold.ttf`, UNICODE_FONT, 'bold');
+  }
+  const topic = report.topic || 'Untitled';
+  const layout = createLayout(doc, { unicode: Boolean(font), rtl: getDirection(language) === 'rtl' });
+
+  // Document metadata is stored as Latin-1 whatever the font
+  doc.setProperties({ title: `PsychoAI Test Results: ${toLatin1Text(topic)}`, creator: 'PsychoAI Test' });
+  layout.title(t('report.title', { topic }), t('report.subtitle', { date: (report.date || new Date()).toLocaleString(language) }));
+
+  if (report.score) {
+    layout.heading(t('report.score'));
+    layout.table(
+      [{ header: t('report.measure'), width: 0.5 }, { header: t('report.score'), width: 0.25, align: 'right' }, { header: t('report.range'), width: 0.25, align: 'right' }],
+      scoreRows(report.score, t, formatBand)
+    );
+    if (report.citation) {
+      layout.paragraph(report.citation, { fontSize: 8.5, color: COLORS.muted });
+      layout.gap(2);
+    }
+  }
+
+  if (report.stabilityLevels && Object.keys(report.stabilityLevels).length > 0) {
+    layout.heading(t('report.stability'));
+    const ratings = Object.entries(report.stabilityLevels);
+    layout.table(
+      [{ header: t('report.area'), width: 0.4 }, { header: t('report.level'), width: 0.2 }, { header: t('report.score'), width: 0.2, align: 'right' }, { header: t('report.confidence'), width: 0.2 }],
+      ratings.map(([category, value]) => [
+        t(`categories.${category}`),
+        formatLevel(value.level),
+        Number.isFinite(value.score) ? `${value.score} / 100` : '',
+        value.confidence ? t(`results.stabilityConfidence.${value.confidence}`) : ''
+      ])
+    );
+    // Sessions saved before ratings had a rationale show the table only
+    ratings.filter(([, value]) => value.rationale).forEach(([category, value]) => {
+      const cited = (value.evidence || []).length > 0 ? ` ${t('report.citedAnswers', { numbers: value.evidence.join(', ') })}` : '';
+      layout.paragraph(`${t(`categories.${category}`)}: ${value.rationale}${cited}`, { fontSize: 9.5 });
+    });
+  }
+
+  if (report.analysis) {
+    layout.heading(t('report.analysis'));
+    layout.paragraph(report.analysis);
+  }
+
+  if (report.advice) {
+    layout.heading(t('report.advice'));
+    layout.paragraph(report.advice);
+  }
+
+  layout.heading(t('report.answers'));
+  layout.table(
+    [{ header: '#', width: 0.07 }, { header: t('report.question'), width: 0.63 }, { header: t('report.answer'), width: 0.3 }],
+    report.questions.map((question, index) => [`${index + 1}`, question.question, report.answers[index] ?? ''])
+  );
+
+  layout.heading(t('report.disclaimer'));
+  layout.paragraph(t('results.disclaimer'), { fontSize: 9, color: COLORS.muted });
+
+  layout.decoratePages(t('report.runningHeader', { topic }), (page, pageCount) => t('report.page', { page, count: pageCount }));
+  return doc;
+};
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import { buildReportPdf } from './pdfReport';
+import { translate } from '../i18n';
+
+// Every document records its text() calls, to check where text is drawn
+jest.mock('jspdf', () => {
+  const actual = jest.requireActual('jspdf');
+  return {
+    jsPDF: function jsPDF(...args) {
+      const doc = new actual.jsPDF(...args);
+      jest.spyOn(doc, 'text');
+      return doc;
+    }
+  };
+});
+
+const readFont = (file) => fs.readFileSync(require.resolve(`dejavu-fonts-ttf/ttf/${file}`)).toString('base64');
+
+const questions = Array.from({ length: 15 }, (_, index) => ({
+  question: `Question number ${index + 1}: how often do you feel that things are going your way?`,
+  options: ['Never', 'Sometimes', 'Often', 'Always']
+}));
+
+const report = {
+  topic: 'Stress Level Assessment',
+  date: new Date('2026-03-01T10:00:00Z'),
+  questions,
+  answers: questions.map(() => 'Often'),
+  score: { total: 30, min: 0, max: 45, normalized: 67, band: 'High', subscales: [{ id: 'a', label: 'Helplessness', total: 20, min: 0, max: 24 }] },
+  stabilityLevels: {
+    emotional: { level: 'Good', score: 64, emoji: '😄', confidence: 'medium', rationale: 'Things mostly go your way.', evidence: [1, 2] },
+    mental: { level: 'Fair', emoji: '🙂' }
+  },
+  analysis: Array.from({ length: 40 }, () => 'You describe a steady level of stress that rises around deadlines.').join(' '),
+  advice: 'Take short breaks.\nKeep a regular sleep schedule.'
+};
+
+// Text drawn with the standard fonts is written as literal strings in the page streams
+const pdfSource = (doc) => doc.output();
+
+describe('buildReportPdf', () => {
+  test('lays the report out as selectable text across numbered pages', () => {
+    const doc = buildReportPdf(report);
+    const source = pdfSource(doc);
+    const pageCount = doc.getNumberOfPages();
+
+    expect(pageCount).toBeGreaterThan(1);
+    expect(source).toContain('(Test Results: Stress Level Assessment)');
+    expect(source).toContain('(Helplessness)');
+    expect(source).toContain('(Emotional: Things mostly go your way. \\(answers 1, 2\\))');
+    expect(source).toContain('(Keep a regular sleep schedule.)');
+    expect(source).toContain(`(Page ${pageCount} of ${pageCount})`);
+    expect(source).not.toContain('/Subtype /Image');
+  });
+
+  test('skips sections that have no data', () => {
+    const source = pdfSource(buildReportPdf({ ...report, score: null, stabilityLevels: null, analysis: '', advice: '' }));
+    expect(source).not.toContain('(Stability Check)');
+    expect(source).not.toContain('(Score)');
+    expect(source).toContain('(Your Answers)');
+  });
+
+  describe('with the Unicode font', () => {
+    const font = { normal: readFont('DejaVuSans.ttf'), bold: readFont('DejaVuSans-Bold.ttf') };
+    const arabicReport = { ...report, topic: 'اختبار التوتر', analysis: 'تصف مستوى ثابتًا من التوتر.' };
+
+    test('embeds the font and keeps non-Latin text', () => {
+      const source = pdfSource(buildReportPdf(arabicReport, { language: 'ar', font }));
+      expect(source).toContain('/BaseFont /DejaVuSans');
+      expect(source).toContain('/FontFile2');
+      // Text in an embedded font is written as glyph ids rather than literal strings
+      expect(source).not.toContain('(Your Answers)');
+      expect(source).toMatch(/<[0-9A-F]{8,}> Tj/);
+    });
+
+    test('lays right-to-left text out from the right edge', () => {
+      const doc = buildReportPdf(arabicReport, { language: 'ar', font });
+      const calls = doc.text.mock.calls.map(([value, x, , options]) => ({ value, x, options }));
+      const heading = calls.find((call) => call.value === translate('ar', 'report.analysis'));
+      expect(heading.options).toMatchObject({ align: 'right', isInputRtl: true });
+      expect(heading.x).toBeGreaterThan(150);
+      const english = calls.find((call) => call.value === 'Keep a regular sleep schedule.');
+      expect(english.options).toMatchObject({ align: 'left', isInputRtl: false });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+// The Unicode font for the PDF report. The built-in PDF fonts only draw Latin-1, so the
+// report embeds DejaVu Sans, which also covers Arabic. The files are large, so they are
+// fetched on the first download and kept for the rest of the visit.
+import regularFontUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans.ttf';
+import boldFontUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf';
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // fromCharCode takes its arguments on the stack, so convert in chunks
+  for (let start = 0; start < bytes.length; start += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(start, start + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fetchFont = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load the report font (${response.status})`);
+  }
+  return toBase64(await response.arrayBuffer());
+};
+
+let fontPromise = null;
+
+// Resolves to { normal, bold } base64 TrueType data for buildReportPdf
+export const loadReportFont = () => {
+  if (!fontPromise) {
+    fontPromise = Promise.all([fetchFont(regularFontUrl), fetchFont(boldFontUrl)])
+      .then(([normal, bold]) => ({ normal, bold }))
+      .catch((error) => {
+        // Let the next download try again
+        fontPromise = null;
+        throw error;
+      });
+  }
+  return fontPromise;
+};
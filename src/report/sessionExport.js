@@ -0,0 +1,305 @@
+// Structured exports of a completed session (JSON, CSV, FHIR R4) and the matching JSON import.
+// A "session" here has the shape saveSession writes (src/history/sessions.js), with
+// createdAt as a Date.
+import { getInstrument, hasCompositeScore } from '../instruments';
+import { STABILITY_CONFIDENCE } from '../ai/validation';
+
+export const EXPORT_FORMAT = 'psychoai-session';
+export const EXPORT_FORMAT_VERSION = 1;
+
+// File name for a download of the session (the PDF report or one of the exports below)
+export const reportFileName = (topic, extension = 'pdf') => `${String(topic || 'PsychoAI').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_') || 'PsychoAI'}_Test_Results.${extension}`;
+
+const toIsoString = (date) => (date instanceof Date && !Number.isNaN(date.getTime()) ? date.toISOString() : null);
+
+const createId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r % 4) + 8).toString(16);
+  });
+};
+
+const sessionFields = (session) => ({
+  topic: session.topic,
+  instrumentId: session.instrumentId || null,
+  instrumentVersion: session.instrumentVersion || null,
+  numQuestions: session.numQuestions ?? session.questions.length,
+  questions: session.questions,
+  answers: session.answers,
+  score: session.score || null,
+  analysis: session.analysis || null,
+  advice: session.advice || null,
+  stabilityLevels: session.stabilityLevels || null,
+  safety: session.safety || null,
+  language: session.language || null,
+  createdAt: toIsoString(session.createdAt)
+});
+
+export const sessionToJson = (session, exportedAt = new Date()) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_FORMAT_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  session: sessionFields(session)
+}, null, 2);
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Long ("tidy") layout so every part of the session fits one table:
+// section, key, label, value, options
+export const sessionToCsv = (session) => {
+  const rows = [['section', 'key', 'label', 'value', 'options']];
+  const add = (section, key, label, value, options = '') => rows.push([section, key, label, value, options]);
+
+  add('session', 'topic', 'Topic', session.topic);
+  add('session', 'createdAt', 'Completed', toIsoString(session.createdAt));
+  if (session.language) {
+    add('session', 'language', 'Language', session.language);
+  }
+  if (session.instrumentId) {
+    add('session', 'instrument', 'Instrument', `${session.instrumentId}@${session.instrumentVersion || ''}`);
+  }
+
+  session.questions.forEach((question, index) => {
+    add('answer', index + 1, question.question, session.answers[index], question.options.join(' | '));
+  });
+
+  if (session.score) {
+    // Trait inventories have subscale scores only
+    if (hasCompositeScore(session.score)) {
+      add('score', 'total', 'Total', session.score.total, `${session.score.min}-${session.score.max}`);
+      add('score', 'normalized', 'Normalized', session.score.normalized, '0-100');
+    }
+    if (session.score.band) {
+      add('score', 'band', 'Band', session.score.band);
+    }
+    (session.score.subscales || []).forEach((subscale) => {
+      add('subscale', subscale.id, subscale.label, subscale.total, `${subscale.min}-${subscale.max}`);
+    });
+  }
+
+  Object.entries(session.stabilityLevels || {}).forEach(([category, value]) => {
+    const label = category.charAt(0).toUpperCase() + category.slice(1);
+    add('stability', category, label, value.level);
+    // Scores, confidence and evidence (answer numbers) are missing from older sessions
+    if (Number.isFinite(value.score)) add('stability', `${category}.score`, `${label} score`, value.score, '0-100');
+    if (value.confidence) add('stability', `${category}.confidence`, `${label} confidence`, value.confidence);
+    if (value.rationale) add('stability', `${category}.rationale`, `${label} rationale`, value.rationale);
+    if (value.evidence?.length > 0) add('stability', `${category}.evidence`, `${label} evidence`, value.evidence.join(' | '));
+  });
+
+  if (session.analysis) add('analysis', 'analysis', 'Analysis', session.analysis);
+  if (session.advice) add('advice', 'advice', 'Advice', session.advice);
+
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+};
+
+const optionCode = (question, optionIndex) => String(question.optionValues ? question.optionValues[optionIndex] : optionIndex);
+
+// A FHIR R4 collection Bundle holding a Questionnaire (the questions as asked) and the
+// QuestionnaireResponse (the answers, score and AI output as read-only display items).
+export const sessionToFhirBundle = (session, { questionnaireId = createId(), responseId = createId() } = {}) => {
+  const questionnaireUrl = `urn:uuid:${questionnaireId}`;
+  const authored = toIsoString(session.createdAt);
+
+  const questionItems = session.questions.map((question, index) => {
+    const item = { linkId: `q${index + 1}`, text: question.question, required: true };
+    if (question.type === 'slider') {
+      return { ...item, type: 'integer' };
+    }
+    if (question.type === 'text') {
+      return { ...item, type: 'text' };
+    }
+    return {
+      ...item,
+      type: 'choice',
+      answerOption: question.options.map((option, optionIndex) => ({
+        valueCoding: { code: optionCode(question, optionIndex), display: option }
+      }))
+    };
+  });
+
+  const answerValue = (question, answer) => {
+    if (question.type === 'slider') {
+      return { valueInteger: Math.round(answer) };
+    }
+    if (question.type === 'text') {
+      return { valueString: answer };
+    }
+    const optionIndex = question.options.indexOf(answer);
+    return {
+      valueCoding: optionIndex === -1 ? { display: answer } : { code: optionCode(question, optionIndex), display: answer }
+    };
+  };
+
+  const resultItems = [];
+  const resultAnswers = [];
+  if (hasCompositeScore(session.score)) {
+    resultItems.push({ linkId: 'score-total', text: 'Total score', type: 'decimal', readOnly: true });
+    resultAnswers.push({ linkId: 'score-total', text: 'Total score', answer: [{ valueDecimal: session.score.total }] });
+    resultItems.push({ linkId: 'score-normalized', text: 'Normalized score (0-100)', type: 'decimal', readOnly: true });
+    resultAnswers.push({ linkId: 'score-normalized', text: 'Normalized score (0-100)', answer: [{ valueDecimal: session.score.normalized }] });
+  }
+  [['analysis', 'Analysis'], ['advice', 'Advice']].forEach(([key, text]) => {
+    if (session[key]) {
+      resultItems.push({ linkId: key, text, type: 'text', readOnly: true });
+      resultAnswers.push({ linkId: key, text, answer: [{ valueString: session[key] }] });
+    }
+  });
+
+  const questionnaire = {
+    resourceType: 'Questionnaire',
+    id: questionnaireId,
+    url: questionnaireUrl,
+    status: 'active',
+    ...(session.language && { language: session.language }),
+    title: session.topic,
+    ...(session.instrumentId && { name: session.instrumentId, version: session.instrumentVersion || undefined }),
+    item: [...questionItems, ...resultItems]
+  };
+
+  const questionnaireResponse = {
+    resourceType: 'QuestionnaireResponse',
+    id: responseId,
+    ...(session.language && { language: session.language }),
+    questionnaire: questionnaireUrl,
+    status: 'completed',
+    ...(authored && { authored }),
+    item: [
+      ...session.questions.map((question, index) => ({
+        linkId: `q${index + 1}`,
+        text: question.question,
+        answer: [answerValue(question, session.answers[index])]
+      })),
+      ...resultAnswers
+    ]
+  };
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    ...(authored && { timestamp: authored }),
+    entry: [
+      { fullUrl: questionnaireUrl, resource: questionnaire },
+      { fullUrl: `urn:uuid:${responseId}`, resource: questionnaireResponse }
+    ]
+  };
+};
+
+export const sessionToFhirJson = (session) => JSON.stringify(sessionToFhirBundle(session), null, 2);
+
+const isQuestion = (question) => question
+  && typeof question.question === 'string'
+  && Array.isArray(question.options)
+  && question.options.every((option) => typeof option === 'string');
+
+// Import failures carry a `code` the UI translates (history.importErrors in the locale files).
+const importError = (code, message) => Object.assign(new Error(message), { code });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isRange = (value) => isPlainObject(value) && ['total', 'min', 'max', 'normalized'].every(key => Number.isFinite(value[key]));
+const stringOrNull = (value) => (typeof value === 'string' ? value : null);
+
+// Choice and text answers are strings, slider answers numbers; unanswered questions are null
+const isAnswerValue = (answer) => answer === null || typeof answer === 'string' || Number.isFinite(answer);
+
+// The score as the results view reads it. Older or hand-edited files may lack subscales or
+// the adaptive summary, which are optional; the totals are not, except for trait inventories
+// (`composite: false`), which only have subscales.
+const normalizeScore = (score) => {
+  if (score === null || score === undefined) {
+    return null;
+  }
+  const composite = !isPlainObject(score) || score.composite !== false;
+  if (composite && !isRange(score)) {
+    throw importError('invalidScore', 'The exported score is not readable.');
+  }
+  const subscales = Array.isArray(score.subscales) ? score.subscales : [];
+  if (!subscales.every(subscale => isPlainObject(subscale) && typeof subscale.label === 'string' &&
+      ['total', 'min', 'max'].every(key => Number.isFinite(subscale[key])))) {
+    throw importError('invalidScore', 'The exported score is not readable.');
+  }
+  const { adaptive, total, min, max, normalized, ...rest } = score;
+  const hasAdaptive = isPlainObject(adaptive) && Number.isFinite(adaptive.itemsAsked) && Number.isFinite(adaptive.bankSize);
+  return {
+    ...rest,
+    ...(composite && { total, min, max, normalized }),
+    band: stringOrNull(score.band),
+    subscales: subscales.map((subscale, index) => ({ ...subscale, id: subscale.id ?? `subscale-${index}` })),
+    ...(hasAdaptive && { adaptive })
+  };
+};
+
+// Stability ratings with a readable level are kept, with only the fields of the right type;
+// anything else is dropped rather than failing the import.
+const normalizeStabilityLevels = (stabilityLevels) => {
+  if (!isPlainObject(stabilityLevels)) {
+    return null;
+  }
+  const ratings = Object.entries(stabilityLevels)
+    .filter(([, rating]) => isPlainObject(rating) && typeof rating.level === 'string')
+    .map(([category, rating]) => [category, {
+      level: rating.level,
+      emoji: typeof rating.emoji === 'string' ? rating.emoji : '',
+      ...(Number.isFinite(rating.score) && { score: rating.score }),
+      ...(STABILITY_CONFIDENCE.includes(rating.confidence) && { confidence: rating.confidence }),
+      ...(typeof rating.rationale === 'string' && { rationale: rating.rationale }),
+      ...(Array.isArray(rating.evidence) && { evidence: rating.evidence.filter(Number.isInteger) })
+    }]);
+  return ratings.length > 0 ? Object.fromEntries(ratings) : null;
+};
+
+// Parses a file written by sessionToJson back into a session that openSession can show.
+// Throws an Error with a user-facing message and a code when the file isn't a PsychoAI export.
+export const parseSessionImport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw importError('invalidJson', 'The file is not valid JSON.');
+  }
+
+  if (!parsed || parsed.format !== EXPORT_FORMAT || !parsed.session) {
+    throw importError('notExport', 'The file is not a PsychoAI results export.');
+  }
+  if (parsed.version > EXPORT_FORMAT_VERSION) {
+    throw importError('newerVersion', 'The file was exported by a newer version of PsychoAI.');
+  }
+
+  const { session } = parsed;
+  if (typeof session.topic !== 'string' || !session.topic.trim()) {
+    throw importError('noTopic', 'The exported session has no topic.');
+  }
+  if (!Array.isArray(session.questions) || session.questions.length === 0 || !session.questions.every(isQuestion)) {
+    throw importError('noQuestions', 'The exported session has no readable questions.');
+  }
+  if (!Array.isArray(session.answers) || session.answers.length !== session.questions.length) {
+    throw importError('answersMismatch', 'The exported answers do not match the questions.');
+  }
+  if (!session.answers.every(isAnswerValue)) {
+    throw importError('invalidAnswers', 'The exported answers are not readable.');
+  }
+  const score = normalizeScore(session.score);
+  // The results view looks instruments up by id, so an unknown one can't be shown
+  if ([session.instrumentId, score?.instrumentId].some(id => id !== null && id !== undefined && !getInstrument(id))) {
+    throw importError('unknownInstrument', 'The exported session uses a questionnaire this version of PsychoAI does not have.');
+  }
+
+  const createdAt = session.createdAt ? new Date(session.createdAt) : null;
+  return {
+    ...session,
+    instrumentId: session.instrumentId ?? null,
+    numQuestions: Number.isInteger(session.numQuestions) ? session.numQuestions : session.questions.length,
+    score,
+    analysis: stringOrNull(session.analysis),
+    advice: stringOrNull(session.advice),
+    stabilityLevels: normalizeStabilityLevels(session.stabilityLevels),
+    language: stringOrNull(session.language),
+    createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : new Date()
+  };
+};
@@ -0,0 +1,138 @@
+import { sessionToJson, sessionToCsv, sessionToFhirBundle, parseSessionImport, reportFileName } from './sessionExport';
+
+const session = {
+  topic: 'Anxiety Check',
+  instrumentId: null,
+  instrumentVersion: null,
+  numQuestions: 2,
+  questions: [
+    { question: 'I feel "on edge", often.', options: ['Never', 'Sometimes', 'Often'] },
+    { question: 'I sleep well.', options: ['Never', 'Sometimes', 'Often'], optionValues: [2, 1, 0] }
+  ],
+  answers: ['Often', 'Sometimes'],
+  score: { total: 3, min: 0, max: 4, normalized: 75, band: 'High', subscales: [] },
+  analysis: 'Line one.\nLine two, with a comma.',
+  advice: 'Breathe.',
+  stabilityLevels: {
+    emotional: { level: 'Fair', emoji: '🙂' },
+    mental: { level: 'Good', score: 70, emoji: '😄', confidence: 'high', rationale: 'Sleeps well.', evidence: [2] }
+  },
+  safety: { flagged: false, reasons: [] },
+  language: 'es',
+  createdAt: new Date('2026-02-03T04:05:06Z')
+};
+
+describe('JSON export and import', () => {
+  test('round-trips a session', () => {
+    const imported = parseSessionImport(sessionToJson(session));
+    expect(imported).toEqual(session);
+  });
+
+  test('rejects files that are not session exports', () => {
+    expect(() => parseSessionImport('not json')).toThrow('not valid JSON');
+    expect(() => parseSessionImport('{"format":"other"}')).toThrow('not a PsychoAI results export');
+    const mismatched = JSON.parse(sessionToJson(session));
+    mismatched.session.answers = ['Often'];
+    expect(() => parseSessionImport(JSON.stringify(mismatched))).toThrow('do not match');
+  });
+
+  // A valid export with one field of the session replaced
+  const editedExport = (changes) => {
+    const parsed = JSON.parse(sessionToJson(session));
+    return JSON.stringify({ ...parsed, session: { ...parsed.session, ...changes } });
+  };
+  const importCode = (changes) => {
+    try {
+      parseSessionImport(editedExport(changes));
+      return null;
+    } catch (importFailure) {
+      return importFailure.code;
+    }
+  };
+
+  test('fills in optional score parts and rejects unreadable scores', () => {
+    const imported = parseSessionImport(editedExport({ score: { total: 3, min: 0, max: 4, normalized: 75 } }));
+    expect(imported.score).toEqual({ total: 3, min: 0, max: 4, normalized: 75, band: null, subscales: [] });
+    expect(importCode({ score: { total: 'three' } })).toBe('invalidScore');
+    expect(importCode({ score: { ...session.score, subscales: [{ label: 'A' }] } })).toBe('invalidScore');
+  });
+
+  test('rejects unknown questionnaires and unreadable answers', () => {
+    expect(importCode({ instrumentId: 'no-such-scale' })).toBe('unknownInstrument');
+    expect(importCode({ score: { ...session.score, instrumentId: 'no-such-scale' } })).toBe('unknownInstrument');
+    expect(importCode({ answers: [{ text: 'Often' }, 'Sometimes'] })).toBe('invalidAnswers');
+    expect(importCode({ answers: [null, 2] })).toBeNull();
+  });
+
+  test('drops unreadable stability ratings and AI text', () => {
+    const imported = parseSessionImport(editedExport({
+      stabilityLevels: { emotional: 'Good', mental: { level: 'Good', score: 'high', confidence: 'sure' } },
+      analysis: { text: 'x' }
+    }));
+    expect(imported.stabilityLevels).toEqual({ mental: { level: 'Good', emoji: '' } });
+    expect(imported.analysis).toBeNull();
+    expect(parseSessionImport(editedExport({ stabilityLevels: [] })).stabilityLevels).toBeNull();
+  });
+});
+
+test('CSV export quotes cells and lists every part of the session', () => {
+  const lines = sessionToCsv(session).split('\r\n');
+  expect(lines[0]).toBe('section,key,label,value,options');
+  expect(lines).toContain('answer,1,"I feel ""on edge"", often.",Often,Never | Sometimes | Often');
+  expect(lines).toContain('score,total,Total,3,0-4');
+  expect(lines).toContain('session,language,Language,es,');
+  expect(lines).toContain('stability,emotional,Emotional,Fair,');
+  expect(lines).toContain('stability,mental.score,Mental score,70,0-100');
+  expect(lines).toContain('stability,mental.evidence,Mental evidence,2,');
+  expect(lines).not.toContain('stability,emotional.score,Emotional score,,0-100');
+  expect(sessionToCsv(session)).toContain('analysis,analysis,Analysis,"Line one.\nLine two, with a comma.",');
+});
+
+test('trait inventory exports list their subscales only', () => {
+  const traits = { ...session, score: { composite: false, band: null, subscales: [{ id: 'extraversion', label: 'Extraversion', total: 12, min: 4, max: 20, normalized: 50 }] } };
+  const lines = sessionToCsv(traits).split('\r\n');
+  expect(lines).toContain('subscale,extraversion,Extraversion,12,4-20');
+  expect(lines.some(line => line.startsWith('score,'))).toBe(false);
+  const response = sessionToFhirBundle(traits).entry[1].resource;
+  expect(response.item.some(item => item.linkId === 'score-total')).toBe(false);
+  expect(parseSessionImport(sessionToJson(traits)).score).toEqual(traits.score);
+});
+
+test('FHIR export pairs a Questionnaire with its QuestionnaireResponse', () => {
+  const bundle = sessionToFhirBundle(session, { questionnaireId: 'q-id', responseId: 'r-id' });
+  const [questionnaire, response] = bundle.entry.map((entry) => entry.resource);
+
+  expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+  expect(questionnaire).toMatchObject({ resourceType: 'Questionnaire', url: 'urn:uuid:q-id', title: 'Anxiety Check' });
+  expect(questionnaire.item[1].answerOption[0]).toEqual({ valueCoding: { code: '2', display: 'Never' } });
+  expect(response).toMatchObject({ resourceType: 'QuestionnaireResponse', language: 'es', questionnaire: 'urn:uuid:q-id', status: 'completed', authored: '2026-02-03T04:05:06.000Z' });
+  expect(response.item[1].answer).toEqual([{ valueCoding: { code: '1', display: 'Sometimes' } }]);
+  expect(response.item.find((item) => item.linkId === 'score-total').answer).toEqual([{ valueDecimal: 3 }]);
+  // Every response item refers to an item of the questionnaire
+  const linkIds = questionnaire.item.map((item) => item.linkId);
+  response.item.forEach((item) => expect(linkIds).toContain(item.linkId));
+});
+
+test('FHIR export uses integer and text items for sliders and free text', () => {
+  const bundle = sessionToFhirBundle({
+    ...session,
+    questions: [
+      { question: 'How tense are you?', type: 'slider', options: ['Not at all', 'Extremely'] },
+      { question: 'What helps?', type: 'text', options: [] }
+    ],
+    answers: [72, 'Walking']
+  });
+  const [questionnaire, response] = bundle.entry.map((entry) => entry.resource);
+
+  expect(questionnaire.item.slice(0, 2).map((item) => item.type)).toEqual(['integer', 'text']);
+  expect(questionnaire.item[0]).not.toHaveProperty('answerOption');
+  expect(response.item[0].answer).toEqual([{ valueInteger: 72 }]);
+  expect(response.item[1].answer).toEqual([{ valueString: 'Walking' }]);
+});
+
+test('reportFileName makes a safe file name from the topic', () => {
+  expect(reportFileName('Anxiety Check')).toBe('Anxiety_Check_Test_Results.pdf');
+  expect(reportFileName('Mindfulness & Well-being')).toBe('Mindfulness_Well-being_Test_Results.pdf');
+  expect(reportFileName('')).toBe('PsychoAI_Test_Results.pdf');
+  expect(reportFileName('Anxiety Check', 'csv')).toBe('Anxiety_Check_Test_Results.csv');
+});
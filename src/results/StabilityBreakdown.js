@@ -0,0 +1,57 @@
+import React from 'react';
+import { SLIDER_RANGE } from '../scoring';
+import { useI18n } from '../i18n/I18nContext';
+
+const CONFIDENCE_CLASSES = {
+  low: 'bg-gray-200 text-gray-700',
+  medium: 'bg-yellow-200 text-yellow-900',
+  high: 'bg-green-100 text-green-800'
+};
+
+// The stability ratings on the results page: level and score per category, with the
+// model's rationale and the answers it cited behind an expandable "why" section.
+// Sessions saved before ratings had scores and evidence show just the level.
+function StabilityBreakdown({ stabilityLevels, questions, answers, translateLevel }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
+      {Object.entries(stabilityLevels).map(([category, rating]) => (
+        <div key={category} className="p-3 bg-yellow-100 rounded-lg">
+          <p className="text-4xl mb-2">{rating.emoji}</p>
+          <p className="font-semibold text-gray-800">{t(`categories.${category}`)}</p>
+          <p className="text-sm text-gray-600">
+            {translateLevel(rating.level)}
+            {Number.isFinite(rating.score) && ` · ${t('results.stabilityScore', { score: rating.score })}`}
+          </p>
+          {CONFIDENCE_CLASSES[rating.confidence] && (
+            <span className={`inline-block mt-2 px-2 py-0.5 rounded-full text-xs ${CONFIDENCE_CLASSES[rating.confidence]}`}>
+              {t(`results.stabilityConfidence.${rating.confidence}`)}
+            </span>
+          )}
+          {rating.rationale && (
+            <details className="mt-3 text-start">
+              <summary className="cursor-pointer text-sm font-semibold text-yellow-900">{t('results.stabilityDetails')}</summary>
+              <p className="mt-2 text-sm text-gray-700">{rating.rationale}</p>
+              {(rating.evidence || []).some(number => questions[number - 1]) && (
+                <>
+                  <p className="mt-2 text-xs font-semibold text-gray-600">{t('results.stabilityEvidence')}</p>
+                  <ul className="mt-1 space-y-1 text-xs text-gray-600">
+                    {rating.evidence.filter(number => questions[number - 1]).map(number => (
+                      <li key={number}>
+                        <span className="font-medium">{`${number}. ${questions[number - 1].question}`}</span>
+                        {': '}{answers[number - 1] ?? ''}{questions[number - 1].type === 'slider' && ` / ${SLIDER_RANGE.max}`}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </details>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default StabilityBreakdown;
@@ -0,0 +1,42 @@
+// URLs for the app's stages, so the browser's back button, reloads and bookmarks work.
+// Each stage has one path; results of a saved session also carry its Firestore id, and test
+// links (src/workspace) carry the assignment to open.
+const STAGE_PATHS = {
+  welcome: '/',
+  topicSelection: '/topics',
+  questionnaire: '/test',
+  results: '/results',
+  crisis: '/support',
+  history: '/history',
+  profile: '/profile',
+  workspace: '/workspace',
+  admin: '/admin'
+};
+
+const PATH_STAGES = Object.fromEntries(Object.entries(STAGE_PATHS).map(([stage, path]) => [path, stage]));
+
+const ID_PATTERN = '([A-Za-z0-9_-]+)';
+const SESSION_RESULTS_PATH = new RegExp(`^/results/${ID_PATTERN}$`);
+const TAKE_PATH = new RegExp(`^/take/${ID_PATTERN}$`);
+
+// Route for a location path: { stage, sessionId, assignmentId }. A /take/ link lands on the
+// welcome stage with the assignment to open; unknown paths fall back to the welcome stage.
+export const parsePath = (pathname) => {
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  const sessionMatch = path.match(SESSION_RESULTS_PATH);
+  if (sessionMatch) {
+    return { stage: 'results', sessionId: sessionMatch[1], assignmentId: null };
+  }
+  const takeMatch = path.match(TAKE_PATH);
+  if (takeMatch) {
+    return { stage: 'welcome', sessionId: null, assignmentId: takeMatch[1] };
+  }
+  return { stage: PATH_STAGES[path] || 'welcome', sessionId: null, assignmentId: null };
+};
+
+export const pathForRoute = ({ stage, sessionId = null }) => {
+  if (!STAGE_PATHS[stage]) {
+    throw new Error(`Unknown stage: ${stage}`);
+  }
+  return stage === 'results' && sessionId ? `${STAGE_PATHS.results}/${sessionId}` : STAGE_PATHS[stage];
+};
@@ -0,0 +1,45 @@
+import { act, renderHook } from '@testing-library/react';
+import { parsePath, pathForRoute } from './routes';
+import { useStageRoute } from './useStageRoute';
+
+test('every stage round-trips through its path', () => {
+  ['welcome', 'topicSelection', 'questionnaire', 'results', 'crisis', 'history', 'profile', 'workspace'].forEach(stage => {
+    expect(parsePath(pathForRoute({ stage })).stage).toBe(stage);
+  });
+  expect(pathForRoute({ stage: 'results', sessionId: 'abc123' })).toBe('/results/abc123');
+  expect(parsePath('/results/abc123/')).toEqual({ stage: 'results', sessionId: 'abc123', assignmentId: null });
+});
+
+test('/take/ links land on the welcome stage and unknown paths fall back to it', () => {
+  expect(parsePath('/take/a1B2')).toEqual({ stage: 'welcome', sessionId: null, assignmentId: 'a1B2' });
+  expect(parsePath('/nope').stage).toBe('welcome');
+  expect(parsePath('/results/../admin').stage).toBe('welcome');
+  expect(() => pathForRoute({ stage: 'settings' })).toThrow('Unknown stage');
+});
+
+test('navigation updates the address bar, and a refused Back stays put', () => {
+  let allowLeaving = true;
+  const { result } = renderHook(() => useStageRoute(() => allowLeaving));
+
+  act(() => result.current[1]('topicSelection'));
+  act(() => result.current[1]('questionnaire'));
+  expect(window.location.pathname).toBe('/test');
+
+  allowLeaving = false;
+  act(() => {
+    window.history.replaceState(null, '', '/topics'); // What the browser does on Back...
+    window.dispatchEvent(new PopStateEvent('popstate')); // ...before telling the app
+  });
+  expect(result.current[0].stage).toBe('questionnaire');
+  expect(window.location.pathname).toBe('/test');
+
+  allowLeaving = true;
+  act(() => {
+    window.history.replaceState(null, '', '/topics');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(result.current[0].stage).toBe('topicSelection');
+
+  act(() => result.current[1]('results', { sessionId: 's1', replace: true }));
+  expect(window.location.pathname).toBe('/results/s1');
+});
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { parsePath, pathForRoute } from './routes';
+
+// The current stage, kept in sync with the address bar through the History API.
+// `navigate(stage, { sessionId, replace })` pushes a new history entry (or replaces the current
+// one). Back/forward navigation goes through `canLeave(nextRoute)` first; when it returns
+// false the move is undone, e.g. so an unfinished questionnaire can ask before it is left.
+export const useStageRoute = (canLeave) => {
+  const [route, setRoute] = useState(() => parsePath(window.location.pathname));
+  const canLeaveRef = useRef(canLeave);
+  canLeaveRef.current = canLeave;
+  const pathRef = useRef(window.location.pathname); // Where we are, as the browser has already moved on popstate
+
+  const navigate = useCallback((stage, { sessionId = null, replace = false } = {}) => {
+    const path = pathForRoute({ stage, sessionId });
+    if (path !== window.location.pathname || replace) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    }
+    pathRef.current = path;
+    setRoute({ stage, sessionId, assignmentId: null });
+  }, []);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const nextRoute = parsePath(window.location.pathname);
+      if (canLeaveRef.current && !canLeaveRef.current(nextRoute)) {
+        // Put back the entry the browser just left
+        window.history.pushState(null, '', pathRef.current);
+        return;
+      }
+      pathRef.current = window.location.pathname;
+      setRoute(nextRoute);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return [route, navigate];
+};
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { CRISIS_RESOURCES, detectCrisisRegion } from './resources';
+import { useI18n } from '../i18n/I18nContext';
+
+// Country names in the UI language, falling back to the English labels in resources.js
+const regionLabel = (code, entry, language, t) => {
+  if (code === 'DEFAULT') {
+    return t('crisis.otherRegion');
+  }
+  try {
+    return new Intl.DisplayNames([language], { type: 'region' }).of(code) || entry.label;
+  } catch (err) {
+    return entry.label;
+  }
+};
+
+// Shown instead of the results (and instead of any AI advice) when the safety screen
+// flags a test. The region picker lets users find local help lines when travelling or
+// when the browser locale doesn't match where they are.
+function CrisisScreen({ onDone }) {
+  const { t, language } = useI18n();
+  const [region, setRegion] = useState(detectCrisisRegion);
+  const { emergency, resources } = CRISIS_RESOURCES[region];
+
+  return (
+    <div className="w-full transition-opacity duration-500 ease-in-out" role="alert">
+      <h2 className="text-2xl font-bold text-center text-rose-700 mb-4">
+        {t('crisis.title')}
+      </h2>
+      <p className="text-gray-700 text-center mb-6">{t('crisis.intro')}</p>
+
+      <div className="bg-rose-50 border border-rose-300 rounded-lg p-4 mb-6 text-center">
+        <p className="font-semibold text-rose-800">
+          {t('crisis.emergency', { number: emergency })}
+        </p>
+      </div>
+
+      <div className="mb-4">
+        <label htmlFor="crisis-region" className="block text-sm font-semibold text-gray-700 mb-2">{t('crisis.region')}</label>
+        <select
+          id="crisis-region"
+          value={region}
+          onChange={(e) => setRegion(e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-rose-400 text-gray-800"
+        >
+          {Object.entries(CRISIS_RESOURCES).map(([code, entry]) => (
+            <option key={code} value={code}>{regionLabel(code, entry, language, t)}</option>
+          ))}
+        </select>
+      </div>
+
+      <ul className="space-y-3 mb-8">
+        {resources.map(resource => (
+          <li key={resource.name} className="p-4 bg-white border border-rose-200 rounded-lg shadow-sm">
+            <p className="font-semibold text-gray-800">{resource.name}</p>
+            <a
+              href={resource.href}
+              target={resource.href.startsWith('http') ? '_blank' : undefined}
+              rel="noopener noreferrer"
+              className="text-rose-700 hover:underline"
+            >
+              {resource.contact}
+            </a>
+          </li>
+        ))}
+      </ul>
+
+      <p className="text-sm text-gray-500 text-center mb-6">{t('crisis.note')}</p>
+
+      <div className="text-center">
+        <button
+          onClick={onDone}
+          className="px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+        >
+          {t('crisis.back')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CrisisScreen;
@@ -0,0 +1,97 @@
+import { scoreItem, getValueRange } from '../scoring';
+
+// Screens a test for signs of self-harm or severe distress. When anything is flagged, the
+// app shows crisis resources instead of the normal results and suppresses generic advice.
+// Matching is deliberately conservative: a false positive shows help lines, a false
+// negative could hide them.
+
+const RISK_PATTERNS = [
+  /\bsuicid\w*/i,
+  /\bkill(?:ing)? (?:my|your) ?self\b/i,
+  /\bend(?:ing)? (?:my|your) (?:own )?life\b/i,
+  /\bend(?:ing)? it all\b/i,
+  /\btak(?:e|ing) (?:my|your) (?:own )?life\b/i,
+  /\bbetter off dead\b/i,
+  /\bwant(?:ed|ing)? to die\b/i,
+  /\bself[- ]?harm\w*/i,
+  /\b(?:hurt(?:ing)?|harm(?:ing)?|cut(?:ting)?|injur(?:e|ing)) (?:my|your) ?self\b/i,
+  /\boverdos\w*/i,
+  /\bno reason to (?:live|go on)\b/i,
+  /\b(?:don'?t|do not) want to (?:live|be alive|be here|wake up)\b/i,
+  // Spanish and Arabic, for answers and AI output in the other UI languages
+  // ("suicid..." above already covers Spanish "suicidio"/"suicidarme").
+  /\b(?:quitarme|quitarse) la vida\b/i,
+  /\bmatarme\b/i,
+  /\b(?:hacerme|hacerse) da[ñn]o\b/i,
+  /\bautolesi[oó]n\w*/i,
+  /\b(?:no quiero vivir|quiero morir(?:me)?)\b/i,
+  /\bmejor muert[oa]\b/i,
+  /\bsobredosis\b/i,
+  /انتحار|أنتحر|انتحر/,
+  /[أا]قتل نفسي/,
+  /[إا]يذاء (?:ال)?نفس|[أا]ؤذي نفسي/,
+  /لا [أا]ريد [أا]ن [أا]عيش|[أا]ريد [أا]ن [أا]موت/,
+  /جرعة زائدة/
+];
+
+export const findRiskLanguage = (text) => {
+  if (typeof text !== 'string' || !text) {
+    return [];
+  }
+  return RISK_PATTERNS
+    .map(pattern => text.match(pattern))
+    .filter(Boolean)
+    .map(match => match[0]);
+};
+
+// A Likert answer "endorses" a statement when it sits in the upper half of the scale.
+const endorses = (question, answer) => {
+  const value = scoreItem({ ...question, reverse: false }, answer);
+  if (value === null) {
+    return false;
+  }
+  const { min, max } = getValueRange(question);
+  return value > (min + max) / 2;
+};
+
+// Checks answered questions. Instrument items with `riskMinValue` (e.g. PHQ-9 item 9) flag
+// any answer at or above it; other questions flag when their text is risk language and the
+// answer endorses it, or when a free-text answer itself contains risk language.
+export const screenAnswers = (questions, answers) => {
+  const reasons = [];
+  questions.forEach((question, index) => {
+    const answer = answers[index];
+    if (answer === undefined || answer === null) {
+      return;
+    }
+    if (question.riskMinValue !== undefined) {
+      const values = question.optionValues || question.options.map((_, i) => i);
+      const optionIndex = question.options.indexOf(answer);
+      if (optionIndex !== -1 && values[optionIndex] >= question.riskMinValue) {
+        reasons.push({ source: 'answer', questionIndex: index, detail: question.question });
+      }
+      return;
+    }
+    if (findRiskLanguage(question.question).length > 0 && endorses(question, answer)) {
+      reasons.push({ source: 'answer', questionIndex: index, detail: question.question });
+    } else if (findRiskLanguage(String(answer)).length > 0) {
+      reasons.push({ source: 'answer', questionIndex: index, detail: String(answer) });
+    }
+  });
+  return reasons;
+};
+
+// Screens free text that isn't an answer: the custom topic or the model's analysis, advice
+// and stability rationales.
+export const screenText = (source, text) => findRiskLanguage(text).map(match => ({ source, detail: match }));
+
+// Combines the individual screens; returns { flagged, reasons }.
+export const screenSession = ({ topic, questions = [], answers = {}, analysis, stabilityLevels }) => {
+  const reasons = [
+    ...screenText('topic', topic),
+    ...screenAnswers(questions, answers),
+    ...(analysis ? [...screenText('analysis', analysis.analysis), ...screenText('analysis', analysis.advice)] : []),
+    ...Object.values(stabilityLevels || {}).flatMap(rating => screenText('stability', rating?.rationale))
+  ];
+  return { flagged: reasons.length > 0, reasons };
+};
@@ -0,0 +1,68 @@
+// Crisis lines by region (ISO 3166-1 alpha-2). Override the detected region with
+// REACT_APP_CRISIS_REGION; anything unknown falls back to DEFAULT.
+// Keep entries short and verify numbers when adding a region.
+export const CRISIS_RESOURCES = {
+  US: {
+    label: 'United States',
+    emergency: '911',
+    resources: [
+      { name: '988 Suicide & Crisis Lifeline', contact: 'Call or text 988', href: 'tel:988' },
+      { name: 'Crisis Text Line', contact: 'Text HOME to 741741', href: 'sms:741741' }
+    ]
+  },
+  CA: {
+    label: 'Canada',
+    emergency: '911',
+    resources: [
+      { name: '9-8-8 Suicide Crisis Helpline', contact: 'Call or text 988', href: 'tel:988' }
+    ]
+  },
+  GB: {
+    label: 'United Kingdom',
+    emergency: '999',
+    resources: [
+      { name: 'Samaritans', contact: 'Call 116 123', href: 'tel:116123' },
+      { name: 'Shout', contact: 'Text SHOUT to 85258', href: 'sms:85258' }
+    ]
+  },
+  IE: {
+    label: 'Ireland',
+    emergency: '112 or 999',
+    resources: [
+      { name: 'Samaritans', contact: 'Call 116 123', href: 'tel:116123' },
+      { name: 'Text About It', contact: 'Text HELLO to 50808', href: 'sms:50808' }
+    ]
+  },
+  AU: {
+    label: 'Australia',
+    emergency: '000',
+    resources: [
+      { name: 'Lifeline', contact: 'Call 13 11 14', href: 'tel:131114' },
+      { name: 'Beyond Blue', contact: 'Call 1300 22 4636', href: 'tel:1300224636' }
+    ]
+  },
+  IN: {
+    label: 'India',
+    emergency: '112',
+    resources: [
+      { name: 'Tele-MANAS', contact: 'Call 14416', href: 'tel:14416' }
+    ]
+  },
+  DEFAULT: {
+    label: 'Other country',
+    emergency: 'your local emergency number',
+    resources: [
+      { name: 'Find A Helpline', contact: 'Free, confidential support lines worldwide', href: 'https://findahelpline.com' }
+    ]
+  }
+};
+
+// Region from configuration, else from the browser locale (e.g. "en-GB" -> "GB").
+export const detectCrisisRegion = (env = process.env, language = typeof navigator !== 'undefined' ? navigator.language : '') => {
+  const configured = (env.REACT_APP_CRISIS_REGION || '').toUpperCase();
+  if (CRISIS_RESOURCES[configured]) {
+    return configured;
+  }
+  const localeRegion = (language || '').split('-')[1]?.toUpperCase();
+  return CRISIS_RESOURCES[localeRegion] ? localeRegion : 'DEFAULT';
+};
@@ -0,0 +1,53 @@
+import { findRiskLanguage, screenAnswers, screenSession } from './index';
+import { detectCrisisRegion } from './resources';
+import { getInstrument, instrumentToQuestions } from '../instruments';
+
+const LIKERT = ['Strongly Disagree', 'Disagree', 'Agree', 'Strongly Agree'];
+
+test('finds common self-harm phrasings and ignores ordinary text', () => {
+  expect(findRiskLanguage('Sometimes I think about ending my life')).toEqual(['ending my life']);
+  expect(findRiskLanguage('I have been cutting myself')).toEqual(['cutting myself']);
+  expect(findRiskLanguage('Suicidal thoughts')).toEqual(['Suicidal']);
+  expect(findRiskLanguage('I feel stressed at work and sleep badly')).toEqual([]);
+});
+
+test('finds self-harm phrasings in the other UI languages', () => {
+  expect(findRiskLanguage('A veces pienso en quitarme la vida')).toEqual(['quitarme la vida']);
+  expect(findRiskLanguage('Últimamente no quiero vivir')).toEqual(['no quiero vivir']);
+  expect(findRiskLanguage('أفكر في الانتحار')).toEqual(['انتحار']);
+  expect(findRiskLanguage('Me siento estresado en el trabajo')).toEqual([]);
+});
+
+test('PHQ-9 item 9 flags any answer above "Not at all"', () => {
+  const phq9 = getInstrument('phq-9');
+  const questions = instrumentToQuestions(phq9);
+  const answers = Object.fromEntries(questions.map((_, index) => [index, 'Not at all']));
+
+  expect(screenAnswers(questions, answers)).toEqual([]);
+  answers[8] = 'Several days';
+  expect(screenAnswers(questions, answers)).toEqual([{ source: 'answer', questionIndex: 8, detail: questions[8].question }]);
+});
+
+test('generated questions about self-harm flag only when the answer endorses them', () => {
+  const questions = [{ question: 'I have had thoughts of hurting myself.', options: LIKERT }];
+  expect(screenAnswers(questions, { 0: 'Disagree' })).toEqual([]);
+  expect(screenAnswers(questions, { 0: 'Agree' })).toHaveLength(1);
+});
+
+test('screens the custom topic and the model output', () => {
+  expect(screenSession({ topic: 'Wanting to die' }).flagged).toBe(true);
+  expect(screenSession({ topic: 'Work-Life Balance' }).flagged).toBe(false);
+  const analysis = { analysis: 'Your answers suggest suicidal ideation.', advice: 'Rest.' };
+  expect(screenSession({ analysis }).reasons).toEqual([{ source: 'analysis', detail: 'suicidal' }]);
+  const stabilityLevels = {
+    emotional: { level: 'Low', rationale: 'You often want to die.' },
+    mental: { level: 'Good' }
+  };
+  expect(screenSession({ stabilityLevels }).reasons).toEqual([{ source: 'stability', detail: 'want to die' }]);
+});
+
+test('crisis region comes from configuration, then the browser locale', () => {
+  expect(detectCrisisRegion({ REACT_APP_CRISIS_REGION: 'au' }, 'en-US')).toBe('AU');
+  expect(detectCrisisRegion({}, 'en-GB')).toBe('GB');
+  expect(detectCrisisRegion({}, 'fr')).toBe('DEFAULT');
+});
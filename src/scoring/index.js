@@ -0,0 +1,108 @@
+// Deterministic, local scoring for any questionnaire.
+// A question is { question, type?, options, optionValues?, reverse?, subscale? }: each option
+// maps to a Likert value (optionValues, or its position when absent), reverse-keyed items are
+// mirrored within the value range, and items sharing a `subscale` tag are summed together.
+// Two types have no option to pick: 'slider' answers are numbers from 0 to 100 (its options
+// are the two end labels), and 'text' answers are free text, kept for the analysis but not scored.
+// Scores are computed before any AI call so results are reproducible and the AI narrative
+// can be grounded in them.
+
+// Fallback bands on the 0-100 normalized score, for AI-generated tests with no official key.
+export const DEFAULT_NORMALIZED_BANDS = [
+  { max: 33, label: 'Low' },
+  { max: 66, label: 'Moderate' },
+  { max: 100, label: 'High' }
+];
+
+export const SLIDER_RANGE = { min: 0, max: 100 };
+
+export const isScored = (question) => question.type !== 'text';
+
+const getOptionValues = (question) => question.optionValues || question.options.map((_, index) => index);
+
+// Lowest and highest value an answer to `question` can score
+export const getValueRange = (question) => {
+  if (question.type === 'slider') {
+    return SLIDER_RANGE;
+  }
+  const values = getOptionValues(question);
+  return { min: Math.min(...values), max: Math.max(...values) };
+};
+
+export const isAnswered = (question, answer) => {
+  if (question.type === 'text') {
+    return typeof answer === 'string' && answer.trim().length > 0;
+  }
+  if (question.type === 'slider') {
+    return Number.isFinite(answer);
+  }
+  return question.options.includes(answer);
+};
+
+const rawValue = (question, answer) => {
+  if (question.type === 'slider') {
+    return Number.isFinite(answer) ? Math.min(SLIDER_RANGE.max, Math.max(SLIDER_RANGE.min, answer)) : null;
+  }
+  const optionIndex = question.options.indexOf(answer);
+  return optionIndex === -1 ? null : getOptionValues(question)[optionIndex];
+};
+
+// Value for one answered question after reverse keying, or null if unanswered/unknown/unscored.
+export const scoreItem = (question, answer) => {
+  const value = isScored(question) ? rawValue(question, answer) : null;
+  if (value === null) {
+    return null;
+  }
+  const { min, max } = getValueRange(question);
+  return question.reverse ? min + max - value : value;
+};
+
+const normalize = (total, min, max) => (max === min ? 0 : Math.round(((total - min) / (max - min)) * 100));
+
+const summarize = (questions, itemScores, indices) => {
+  const total = indices.reduce((sum, index) => sum + itemScores[index], 0);
+  const min = indices.reduce((sum, index) => sum + getValueRange(questions[index]).min, 0);
+  const max = indices.reduce((sum, index) => sum + getValueRange(questions[index]).max, 0);
+  return { total, min, max, normalized: normalize(total, min, max) };
+};
+
+// Label of the first band whose `max` is at least `value`, or null.
+export const findBand = (bands, value) => {
+  const band = (bands || []).find(b => value <= b.max);
+  return band ? band.label : null;
+};
+
+// Scores `answers` ({ [questionIndex]: optionLabel }, as kept in userAnswers).
+// Options:
+//   bands            severity bands ({ max, label }) on the raw total (official instrument keys)
+//   normalizedBands  severity bands on the 0-100 normalized score; used when `bands` is absent
+//   subscales        [{ id, label }] to fix subscale order and labels; otherwise taken from the tags
+//   composite        false for trait inventories: the score is `{ composite: false, band: null,
+//                    subscales, itemScores }`, with no total, range or normalized value
+// Returns null if any question is unanswered or none of them is scored. `itemScores` stays
+// aligned with `questions`, with null for text answers.
+export const scoreAnswers = (questions, answers, { bands, normalizedBands, subscales, composite = true } = {}) => {
+  const scoredIndices = questions.map((_, index) => index).filter(index => isScored(questions[index]));
+  if (scoredIndices.length === 0 || questions.some((question, index) => !isAnswered(question, answers[index]))) {
+    return null;
+  }
+  const itemScores = questions.map((question, index) => scoreItem(question, answers[index]));
+
+  const subscaleDefs = subscales || Array.from(new Set(scoredIndices.map(index => questions[index].subscale).filter(Boolean)))
+    .map(id => ({ id, label: id }));
+  const subscaleScores = subscaleDefs
+    .map(subscale => {
+      const indices = scoredIndices.filter(index => questions[index].subscale === subscale.id);
+      return indices.length > 0 ? { id: subscale.id, label: subscale.label, ...summarize(questions, itemScores, indices) } : null;
+    })
+    .filter(Boolean);
+
+  if (!composite) {
+    return { composite: false, band: null, subscales: subscaleScores, itemScores };
+  }
+  const overall = summarize(questions, itemScores, scoredIndices);
+  const band = bands && bands.length > 0
+    ? findBand(bands, overall.total)
+    : findBand(normalizedBands, overall.normalized);
+  return { ...overall, band, subscales: subscaleScores, itemScores };
+};
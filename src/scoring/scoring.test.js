@@ -0,0 +1,59 @@
+import { scoreAnswers, scoreItem, isAnswered, DEFAULT_NORMALIZED_BANDS } from './index';
+
+const LIKERT = ['Strongly Disagree', 'Disagree', 'Agree', 'Strongly Agree'];
+
+const questions = [
+  { question: 'I feel tense.', options: LIKERT, subscale: 'Physical' },
+  { question: 'I sleep well.', options: LIKERT, reverse: true, subscale: 'Physical' },
+  { question: 'I worry a lot.', options: LIKERT, subscale: 'Emotional' }
+];
+
+test('option position is the Likert value and reverse keying mirrors it', () => {
+  expect(scoreItem(questions[0], 'Agree')).toBe(2);
+  expect(scoreItem(questions[1], 'Agree')).toBe(1);
+  expect(scoreItem(questions[0], 'Maybe')).toBeNull();
+});
+
+test('explicit optionValues take precedence over position', () => {
+  const question = { question: 'q', options: ['Low', 'High'], optionValues: [1, 5], reverse: true };
+  expect(scoreItem(question, 'Low')).toBe(5);
+});
+
+test('computes raw, normalized and subscale scores with normalized bands', () => {
+  const score = scoreAnswers(questions, { 0: 'Strongly Agree', 1: 'Strongly Disagree', 2: 'Agree' }, { normalizedBands: DEFAULT_NORMALIZED_BANDS });
+
+  expect(score).toMatchObject({ total: 8, min: 0, max: 9, normalized: 89, band: 'High', itemScores: [3, 3, 2] });
+  expect(score.subscales).toEqual([
+    { id: 'Physical', label: 'Physical', total: 6, min: 0, max: 6, normalized: 100 },
+    { id: 'Emotional', label: 'Emotional', total: 2, min: 0, max: 3, normalized: 67 }
+  ]);
+});
+
+test('raw-total bands win over normalized bands', () => {
+  const score = scoreAnswers(questions, { 0: 'Disagree', 1: 'Agree', 2: 'Disagree' }, {
+    bands: [{ max: 4, label: 'Minimal' }, { max: 9, label: 'Elevated' }],
+    normalizedBands: DEFAULT_NORMALIZED_BANDS
+  });
+  expect(score.total).toBe(3);
+  expect(score.band).toBe('Minimal');
+});
+
+test('returns null until every question is answered', () => {
+  expect(scoreAnswers(questions, { 0: 'Agree' })).toBeNull();
+  expect(scoreAnswers([], {})).toBeNull();
+});
+
+test('scores sliders on 0-100 and leaves free-text answers out of the totals', () => {
+  const mixed = [
+    { question: 'How tense are you?', type: 'slider', options: ['Not at all', 'Extremely'], subscale: 'Body' },
+    { question: 'How rested are you?', type: 'slider', options: ['Not at all', 'Fully'], reverse: true, subscale: 'Body' },
+    { question: 'What worries you most?', type: 'text', options: [], subscale: 'Open' }
+  ];
+
+  expect(isAnswered(mixed[2], '   ')).toBe(false);
+  expect(scoreAnswers(mixed, { 0: 70, 1: 40, 2: '  ' })).toBeNull();
+  const score = scoreAnswers(mixed, { 0: 70, 1: 40, 2: 'Deadlines' });
+  expect(score).toMatchObject({ total: 130, min: 0, max: 200, normalized: 65, itemScores: [70, 60, null] });
+  expect(score.subscales.map(subscale => subscale.id)).toEqual(['Body']);
+  expect(scoreAnswers([mixed[2]], { 0: 'Deadlines' })).toBeNull();
+});
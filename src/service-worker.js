@@ -0,0 +1,42 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (Workbox InjectManifest) into build/service-worker.js.
+// It precaches the app shell, so the app opens offline, and answers navigations with
+// index.html. The bundled instruments ship inside the JS bundle, so they work offline too;
+// Firestore and the AI proxy (/api) are never cached here.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// URLs of every file in the build, injected at build time
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get the app shell, except for /api and URLs of files (/foo.png)
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !url.pathname.startsWith('/api/')
+    && !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Images from /public (icons) that aren't part of the precache
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+// Lets a page activate a waiting new version with postMessage({ type: 'SKIP_WAITING' })
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,82 @@
+// Registers the service worker from src/service-worker.js in production builds, which makes
+// the app installable and lets it open offline. Development builds skip it, so edits show up
+// without a stale cache in the way.
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost'
+    || window.location.hostname === '[::1]'
+    || window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+const registerValidSW = (swUrl) => {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then(registration => {
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) {
+          return;
+        }
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') {
+            return;
+          }
+          // With a controller this is an update, used once every tab of the app is closed
+          console.log(navigator.serviceWorker.controller
+            ? "New version downloaded; it will be used after all tabs of the app are closed."
+            : "App cached for offline use.");
+        };
+      };
+    })
+    .catch(registrationError => {
+      console.error("Error during service worker registration:", registrationError);
+    });
+};
+
+// On localhost, make sure the URL really serves a service worker (another project may have
+// left one registered on the same port) before registering it.
+const checkValidServiceWorker = (swUrl) => {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then(response => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+        navigator.serviceWorker.ready
+          .then(registration => registration.unregister())
+          .then(() => window.location.reload());
+      } else {
+        registerValidSW(swUrl);
+      }
+    })
+    .catch(() => {
+      console.log("No internet connection found. App is running in offline mode.");
+    });
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  // The service worker can't work if PUBLIC_URL is on a different origin (e.g. a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl);
+    } else {
+      registerValidSW(swUrl);
+    }
+  });
+};
+
+export const unregister = () => {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch(unregisterError => {
+        console.error(unregisterError.message);
+      });
+  }
+};
@@ -0,0 +1,12 @@
+import { collection, doc, setDoc, serverTimestamp } from 'firebase/firestore';
+
+// Shared setup for tests that jest.mock('firebase/firestore'): references become { path } objects
+// so tests can assert which documents were read and written, writes resolve, and server
+// timestamps read 'server-time'. CRA's Jest config resets mock implementations before every
+// test, so call this from beforeEach.
+export const mockFirestorePaths = () => {
+  collection.mockImplementation((db, path) => ({ path }));
+  doc.mockImplementation((parent, ...segments) => ({ path: [parent?.path, ...segments].filter(Boolean).join('/') }));
+  setDoc.mockResolvedValue();
+  serverTimestamp.mockReturnValue('server-time');
+};
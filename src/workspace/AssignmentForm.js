@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { MAX_LINK_VALID_DAYS } from './index';
+import { instruments, getInstrument } from '../instruments';
+import { QUESTION_COUNT_RANGE } from '../ai';
+import { LANGUAGES } from '../i18n';
+import { useI18n } from '../i18n/I18nContext';
+
+const LINK_EXPIRY_DAYS = [7, 30, MAX_LINK_VALID_DAYS];
+
+// What to assign: a validated instrument, or AI questions on a topic with a length, plus an
+// optional language and message. Test links (`forLink`) can also expire or be single-use.
+// `onAssign` gets the createAssignment fields and resolves to whether it succeeded.
+function AssignmentForm({ forLink = false, busy, onAssign }) {
+  const { t } = useI18n();
+  const [instrumentId, setInstrumentId] = useState(''); // '' = AI questions on `topic`
+  const [topic, setTopic] = useState('');
+  const [length, setLength] = useState(10);
+  const [language, setLanguage] = useState(''); // '' = whatever language the taker uses
+  const [message, setMessage] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState(''); // '' = never
+  const [singleUse, setSingleUse] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const instrument = instrumentId ? getInstrument(instrumentId) : null;
+    const assigned = await onAssign({
+      topic: instrument ? instrument.title : topic.trim(),
+      instrumentId: instrument ? instrument.id : null,
+      numQuestions: instrument ? instrument.items.length : length,
+      language: language || null,
+      message: message.trim(),
+      ...(forLink && {
+        singleUse,
+        expiresAt: expiresInDays ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000) : null
+      })
+    });
+    if (assigned) {
+      setTopic('');
+      setMessage('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 mb-4">
+      <label htmlFor={`${forLink ? 'link' : 'assignment'}-test`} className="block text-sm font-semibold text-gray-700">{t('workspace.assignTest')}</label>
+      <select
+        id={`${forLink ? 'link' : 'assignment'}-test`}
+        value={instrumentId}
+        onChange={(e) => setInstrumentId(e.target.value)}
+        className="w-full p-3 border border-gray-300 rounded-lg bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400"
+      >
+        <option value="">{t('workspace.assignAiTopic')}</option>
+        {instruments.map(instrument => (
+          <option key={instrument.id} value={instrument.id}>{instrument.name}</option>
+        ))}
+      </select>
+      {!instrumentId && (
+        <>
+          <input
+            type="text"
+            value={topic}
+            onChange={(e) => setTopic(e.target.value)}
+            placeholder={t('topics.customPlaceholder')}
+            aria-label={t('workspace.assignTopic')}
+            maxLength={200}
+            required
+            className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+          />
+          <div className="flex items-center gap-4">
+            <input
+              type="range"
+              min={QUESTION_COUNT_RANGE.min}
+              max={QUESTION_COUNT_RANGE.max}
+              value={length}
+              onChange={(e) => setLength(Number(e.target.value))}
+              aria-label={t('topics.numQuestions')}
+              className="w-64 accent-blue-600"
+            />
+            <span className="font-semibold text-gray-700">{t('topics.lengthValue', { count: length })}</span>
+          </div>
+        </>
+      )}
+      <select
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        aria-label={t('workspace.assignLanguage')}
+        className="w-full p-3 border border-gray-300 rounded-lg bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400"
+      >
+        <option value="">{t('workspace.anyLanguage')}</option>
+        {Object.entries(LANGUAGES).map(([code, { name }]) => (
+          <option key={code} value={code}>{name}</option>
+        ))}
+      </select>
+      {forLink && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(e.target.value)}
+            aria-label={t('workspace.linkExpiry')}
+            className="p-3 border border-gray-300 rounded-lg bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-400"
+          >
+            <option value="">{t('workspace.linkNeverExpires')}</option>
+            {LINK_EXPIRY_DAYS.map(days => (
+              <option key={days} value={days}>{t('workspace.linkExpiresAfter', { days })}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={singleUse}
+              onChange={(e) => setSingleUse(e.target.checked)}
+              className="h-4 w-4 accent-blue-600"
+            />
+            {t('workspace.linkSingleUse')}
+          </label>
+        </div>
+      )}
+      <textarea
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+        maxLength={1000}
+        rows={2}
+        placeholder={t('workspace.assignMessage')}
+        aria-label={t('workspace.assignMessage')}
+        className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+      />
+      <button
+        type="submit"
+        disabled={busy}
+        className={`px-6 py-2 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-300 ease-in-out ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+      >
+        {forLink ? t('workspace.createLink') : t('workspace.assign')}
+      </button>
+    </form>
+  );
+}
+
+export default AssignmentForm;
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import {
+  listNotes,
+  addNote,
+  deleteNote,
+  listClientAssignments,
+  createAssignment,
+  deleteAssignment,
+  revokeGrant,
+  describeWorkspaceError,
+  MAX_NOTE_LENGTH
+} from './index';
+import AssignmentForm from './AssignmentForm';
+import { listSessions } from '../history/sessions';
+import { hasCompositeScore } from '../instruments';
+import { useI18n } from '../i18n/I18nContext';
+
+// One client in the practitioner workspace: the sessions they shared, private notes, and
+// tests assigned to them.
+function ClientDetail({ db, appId, practitioner, client, onClientRemoved, onBack }) {
+  const { t } = useI18n();
+  const [sessions, setSessions] = useState(null); // null while loading
+  const [notes, setNotes] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [noteText, setNoteText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [workspaceError, setWorkspaceError] = useState(null); // The failure itself, described at render time
+
+  useEffect(() => {
+    Promise.all([
+      listSessions(db, appId, client.uid),
+      listNotes(db, appId, practitioner.uid, client.uid),
+      listClientAssignments(db, appId, practitioner.uid, client.uid)
+    ]).then(([foundSessions, foundNotes, foundAssignments]) => {
+      setSessions(foundSessions);
+      setNotes(foundNotes);
+      setAssignments(foundAssignments);
+    }).catch(loadError => {
+      console.error("Error loading client data:", loadError);
+      setWorkspaceError(loadError);
+      setSessions([]);
+    });
+  }, [db, appId, practitioner.uid, client.uid]);
+
+  // Runs one workspace action with shared busy/error handling; resolves to whether it succeeded
+  const run = async (action) => {
+    setBusy(true);
+    setWorkspaceError(null);
+    try {
+      await action();
+      return true;
+    } catch (actionError) {
+      console.error("Workspace action failed:", actionError);
+      setWorkspaceError(actionError);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddNote = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const note = await addNote(db, appId, practitioner.uid, client.uid, noteText.trim());
+      setNotes(prev => [note, ...prev]);
+      setNoteText('');
+    });
+  };
+
+  const handleAssign = (fields) => run(async () => {
+    const assignment = await createAssignment(db, appId, practitioner, { ...fields, clientUid: client.uid });
+    setAssignments(prev => [assignment, ...prev]);
+  });
+
+  const handleRemoveClient = () => run(async () => {
+    await revokeGrant(db, appId, client.uid, practitioner.uid);
+    onClientRemoved();
+  });
+
+  return (
+    <div className="w-full transition-opacity duration-500 ease-in-out">
+      <h2 className="text-2xl font-bold text-center text-blue-700 mb-6">{client.name}</h2>
+
+      {workspaceError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{describeWorkspaceError(workspaceError, t)}</div>
+      )}
+
+      <h3 className="text-xl font-semibold text-gray-700 mb-4">{t('workspace.sessionsTitle')}</h3>
+      {sessions === null && <p className="text-gray-600 mb-6">{t('workspace.loading')}</p>}
+      {sessions !== null && sessions.length === 0 && <p className="text-gray-600 mb-6">{t('workspace.noSessions')}</p>}
+      {sessions !== null && sessions.length > 0 && (
+        <ul className="space-y-3 mb-8">
+          {sessions.map(session => (
+            <li key={session.id} className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <span className="block font-medium text-blue-800">{session.topic}</span>
+              <span className="block text-sm text-gray-600">
+                {session.createdAt.toLocaleString()}
+                {hasCompositeScore(session.score) && ` · ${t('history.scoreSummary', { total: session.score.total, max: session.score.max })}`}
+                {session.score?.band && ` · ${session.score.band}`}
+              </span>
+              {session.safety?.flagged && (
+                <span className="block text-sm font-semibold text-red-700 mt-1">{t('workspace.safetyFlagged')}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="bg-amber-50 p-6 rounded-lg border border-amber-200 mb-8">
+        <h3 className="text-xl font-semibold text-amber-800 mb-2">{t('workspace.notesTitle')}</h3>
+        <p className="text-sm text-gray-600 mb-4">{t('workspace.notesDescription')}</p>
+        <form onSubmit={handleAddNote} className="space-y-3 mb-4">
+          <textarea
+            value={noteText}
+            onChange={(e) => setNoteText(e.target.value)}
+            maxLength={MAX_NOTE_LENGTH}
+            rows={3}
+            required
+            aria-label={t('workspace.notesTitle')}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className={`px-6 py-2 bg-amber-500 text-white font-semibold rounded-lg shadow-md hover:bg-amber-600 transition duration-300 ease-in-out ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {t('workspace.addNote')}
+          </button>
+        </form>
+        <ul className="space-y-3">
+          {notes.map(note => (
+            <li key={note.id} className="p-3 bg-white border border-amber-200 rounded-lg">
+              <p className="text-gray-800 whitespace-pre-wrap">{note.text}</p>
+              <div className="flex justify-between items-center mt-2 text-sm text-gray-500">
+                <span>{note.createdAt.toLocaleString()}</span>
+                <button
+                  onClick={() => run(async () => {
+                    await deleteNote(db, appId, practitioner.uid, client.uid, note.id);
+                    setNotes(prev => prev.filter(existing => existing.id !== note.id));
+                  })}
+                  className="text-red-600 font-semibold hover:underline"
+                >
+                  {t('workspace.deleteNote')}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="bg-indigo-50 p-6 rounded-lg border border-indigo-200 mb-8">
+        <h3 className="text-xl font-semibold text-indigo-800 mb-4">{t('workspace.assignTitle')}</h3>
+        <AssignmentForm busy={busy} onAssign={handleAssign} />
+        <ul className="space-y-2">
+          {assignments.map(assignment => (
+            <li key={assignment.id} className="flex items-center justify-between gap-4 p-3 bg-white border border-indigo-200 rounded-lg">
+              <span>
+                <span className="block font-medium text-gray-800">{assignment.topic}</span>
+                <span className="block text-sm text-gray-500">
+                  {assignment.status === 'completed'
+                    ? t('workspace.assignmentCompleted', { date: assignment.completedAt.toLocaleDateString() })
+                    : t('workspace.assignmentOpen', { date: assignment.createdAt.toLocaleDateString() })}
+                </span>
+              </span>
+              {assignment.status === 'open' && (
+                <button
+                  onClick={() => run(async () => {
+                    await deleteAssignment(db, appId, assignment.id);
+                    setAssignments(prev => prev.filter(existing => existing.id !== assignment.id));
+                  })}
+                  className="px-3 py-1 bg-gray-100 text-gray-700 font-semibold rounded-md border border-gray-300 hover:bg-gray-200 transition duration-200 ease-in-out"
+                >
+                  {t('workspace.cancelAssignment')}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="flex flex-col sm:flex-row justify-center gap-4 mt-8">
+        <button
+          onClick={onBack}
+          className="px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+        >
+          {t('app.back')}
+        </button>
+        <button
+          onClick={handleRemoveClient}
+          disabled={busy}
+          className="px-6 py-3 bg-red-500 text-white font-semibold rounded-lg shadow-md hover:bg-red-600 transition duration-300 ease-in-out"
+        >
+          {t('workspace.removeClient')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ClientDetail;
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { redeemInvite, listGrants, revokeGrant, formatInviteCode, describeWorkspaceError } from './index';
+import { useI18n } from '../i18n/I18nContext';
+
+// Profile section where a client enters a practitioner's invite code to share their results,
+// and sees or ends the sharing they have granted.
+function SharingSettings({ db, appId, user }) {
+  const { t } = useI18n();
+  const [grants, setGrants] = useState([]);
+  const [code, setCode] = useState('');
+  const [clientName, setClientName] = useState(user.displayName || '');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [formError, setFormError] = useState(null);
+
+  useEffect(() => {
+    if (!db) {
+      return;
+    }
+    listGrants(db, appId, user.uid)
+      .then(setGrants)
+      .catch(grantsError => console.error("Error loading sharing settings:", grantsError));
+  }, [db, appId, user.uid]);
+
+  const handleRedeem = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setMessage(null);
+    setFormError(null);
+    try {
+      const grant = await redeemInvite(db, appId, user.uid, code, clientName.trim());
+      setGrants(prev => [...prev.filter(existing => existing.practitionerUid !== grant.practitionerUid), { ...grant, grantedAt: new Date() }]);
+      setCode('');
+      setMessage(t('sharing.shared', { name: grant.practitionerName }));
+    } catch (redeemError) {
+      console.error("Error redeeming invite code:", redeemError);
+      setFormError(describeWorkspaceError(redeemError, t));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (grant) => {
+    setMessage(null);
+    setFormError(null);
+    try {
+      await revokeGrant(db, appId, user.uid, grant.practitionerUid);
+      setGrants(prev => prev.filter(existing => existing.practitionerUid !== grant.practitionerUid));
+      setMessage(t('sharing.revoked', { name: grant.practitionerName }));
+    } catch (revokeError) {
+      console.error("Error revoking access:", revokeError);
+      setFormError(describeWorkspaceError(revokeError, t));
+    }
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200">
+      <h3 className="text-xl font-bold text-gray-700 mb-2">{t('sharing.title')}</h3>
+      <p className="text-sm text-gray-600 mb-4">{t('sharing.description')}</p>
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4" role="status">{message}</div>
+      )}
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{formError}</div>
+      )}
+
+      {grants.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {grants.map(grant => (
+            <li key={grant.practitionerUid} className="flex items-center justify-between gap-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+              <span className="text-gray-800">
+                <span className="font-semibold">{grant.practitionerName}</span>
+                <span className="block text-sm text-gray-500">{t('sharing.sharedSince', { date: grant.grantedAt.toLocaleDateString() })}</span>
+              </span>
+              <button
+                onClick={() => handleRevoke(grant)}
+                className="px-4 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+              >
+                {t('sharing.revoke')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleRedeem} className="space-y-3">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={formatInviteCode('ABCDEFGH')}
+          aria-label={t('sharing.code')}
+          autoComplete="off"
+          required
+          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800 font-mono uppercase"
+        />
+        <label htmlFor="sharing-client-name" className="block text-sm font-semibold text-gray-700">{t('sharing.clientName')}</label>
+        <input
+          id="sharing-client-name"
+          type="text"
+          value={clientName}
+          onChange={(e) => setClientName(e.target.value)}
+          maxLength={80}
+          required
+          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+        />
+        <button
+          type="submit"
+          disabled={busy || !db}
+          className={`w-full px-6 py-3 bg-teal-600 text-white font-bold rounded-lg shadow-md hover:bg-teal-700 transition duration-300 ease-in-out ${busy || !db ? 'opacity-50 cursor-not-allowed' : ''}`}
+        >
+          {t('sharing.share')}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SharingSettings;
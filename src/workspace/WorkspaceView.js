@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from 'react';
+import {
+  getPractitioner,
+  enableWorkspace,
+  createInvite,
+  listInvites,
+  deleteInvite,
+  listClients,
+  createAssignment,
+  listLinkAssignments,
+  deleteAssignment,
+  getAssignmentLink,
+  formatInviteCode,
+  describeWorkspaceError,
+  INVITE_VALID_DAYS
+} from './index';
+import ClientDetail from './ClientDetail';
+import AssignmentForm from './AssignmentForm';
+import { useI18n } from '../i18n/I18nContext';
+
+// "Workspace" stage for practitioners (coaches, clinicians). Signed-in users turn it on once;
+// then they hand out invite codes, and clients who redeem one show up in the client list.
+// Test links (/take/{assignmentId}) can be sent to anyone, client or not.
+function WorkspaceView({ db, appId, user, onBack }) {
+  const { t } = useI18n();
+  const [practitioner, setPractitioner] = useState(undefined); // undefined while loading, null if not enabled
+  const [displayName, setDisplayName] = useState(user.displayName || '');
+  const [invites, setInvites] = useState([]);
+  const [clients, setClients] = useState([]);
+  const [links, setLinks] = useState([]);
+  const [copiedLinkId, setCopiedLinkId] = useState(null);
+  const [selectedClient, setSelectedClient] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [workspaceError, setWorkspaceError] = useState(null); // The failure itself, described at render time
+
+  // Runs one workspace action with shared busy/error handling; resolves to whether it succeeded
+  const run = async (action) => {
+    setBusy(true);
+    setWorkspaceError(null);
+    try {
+      await action();
+      return true;
+    } catch (actionError) {
+      console.error("Workspace action failed:", actionError);
+      setWorkspaceError(actionError);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!db) {
+      return;
+    }
+    const load = async () => {
+      const found = await getPractitioner(db, appId, user.uid);
+      setPractitioner(found);
+      if (found) {
+        const [foundInvites, foundClients, foundLinks] = await Promise.all([
+          listInvites(db, appId, user.uid),
+          listClients(db, appId, user.uid),
+          listLinkAssignments(db, appId, user.uid)
+        ]);
+        setInvites(foundInvites);
+        setClients(foundClients);
+        setLinks(foundLinks);
+      }
+    };
+    load().catch(loadError => {
+      console.error("Error loading the workspace:", loadError);
+      setWorkspaceError(loadError);
+    });
+  }, [db, appId, user.uid]);
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(getAssignmentLink(link.id));
+      setCopiedLinkId(link.id);
+    } catch (clipboardError) {
+      // The link is also shown in a text field, so it can still be copied by hand
+      console.warn("Could not copy the test link:", clipboardError);
+    }
+  };
+
+  // Status line of a test link: expiry, and who has taken it
+  const describeLink = (link) => {
+    const parts = [];
+    if (link.status === 'completed') {
+      parts.push(t('workspace.linkUsed', { date: link.completedAt.toLocaleDateString() }));
+    } else if (link.expiresAt) {
+      parts.push(t(link.expiresAt > new Date() ? 'workspace.expires' : 'workspace.linkExpired', { date: link.expiresAt.toLocaleDateString() }));
+    }
+    if (link.status === 'open') {
+      parts.push(link.singleUse ? t('workspace.linkSingleUse') : t('workspace.linkCompletions', { count: link.completions.length }));
+    }
+    return parts.join(' · ');
+  };
+
+  if (selectedClient) {
+    return (
+      <ClientDetail
+        db={db}
+        appId={appId}
+        practitioner={practitioner}
+        client={selectedClient}
+        onClientRemoved={() => {
+          setClients(prev => prev.filter(client => client.uid !== selectedClient.uid));
+          setSelectedClient(null);
+        }}
+        onBack={() => setSelectedClient(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="w-full transition-opacity duration-500 ease-in-out">
+      <h2 className="text-2xl font-bold text-center text-blue-700 mb-6">{t('workspace.title')}</h2>
+
+      {workspaceError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4" role="alert">{describeWorkspaceError(workspaceError, t)}</div>
+      )}
+
+      {practitioner === undefined && !workspaceError && (
+        <p className="text-center text-gray-600 mb-6">{t('workspace.loading')}</p>
+      )}
+
+      {practitioner === null && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(async () => setPractitioner(await enableWorkspace(db, appId, user.uid, displayName.trim())));
+          }}
+          className="space-y-4 mb-6"
+        >
+          <p className="text-gray-700">{t('workspace.intro')}</p>
+          <label htmlFor="workspace-display-name" className="block text-sm font-semibold text-gray-700">{t('workspace.displayName')}</label>
+          <input
+            id="workspace-display-name"
+            type="text"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            maxLength={80}
+            required
+            className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className={`w-full px-6 py-3 bg-blue-600 text-white font-bold rounded-lg shadow-md hover:bg-blue-700 transition duration-300 ease-in-out ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {t('workspace.enable')}
+          </button>
+        </form>
+      )}
+
+      {practitioner && (
+        <>
+          <div className="bg-blue-50 p-6 rounded-lg border border-blue-200 mb-6">
+            <h3 className="text-xl font-semibold text-blue-800 mb-2">{t('workspace.invitesTitle')}</h3>
+            <p className="text-sm text-gray-600 mb-4">{t('workspace.invitesDescription', { days: INVITE_VALID_DAYS })}</p>
+            {invites.length > 0 && (
+              <ul className="space-y-2 mb-4">
+                {invites.map(invite => (
+                  <li key={invite.code} className="flex items-center justify-between gap-4">
+                    <span>
+                      <span className="font-mono text-lg font-semibold text-blue-700">{formatInviteCode(invite.code)}</span>
+                      <span className="block text-sm text-gray-500">{t('workspace.expires', { date: invite.expiresAt.toLocaleDateString() })}</span>
+                    </span>
+                    <button
+                      onClick={() => run(async () => {
+                        await deleteInvite(db, appId, invite.code);
+                        setInvites(prev => prev.filter(existing => existing.code !== invite.code));
+                      })}
+                      className="px-3 py-1 bg-gray-100 text-gray-700 font-semibold rounded-md border border-gray-300 hover:bg-gray-200 transition duration-200 ease-in-out"
+                    >
+                      {t('workspace.deleteInvite')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <button
+              onClick={() => run(async () => {
+                const invite = await createInvite(db, appId, practitioner);
+                setInvites(prev => [{ ...invite, createdAt: new Date() }, ...prev]);
+              })}
+              disabled={busy}
+              className={`px-6 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 transition duration-300 ease-in-out ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {t('workspace.createInvite')}
+            </button>
+          </div>
+
+          <div className="bg-indigo-50 p-6 rounded-lg border border-indigo-200 mb-6">
+            <h3 className="text-xl font-semibold text-indigo-800 mb-2">{t('workspace.linksTitle')}</h3>
+            <p className="text-sm text-gray-600 mb-4">{t('workspace.linksDescription')}</p>
+            <AssignmentForm
+              forLink
+              busy={busy}
+              onAssign={(fields) => run(async () => {
+                const link = await createAssignment(db, appId, practitioner, fields);
+                setLinks(prev => [{ ...link, completions: [] }, ...prev]);
+              })}
+            />
+            {links.length > 0 && (
+              <ul className="space-y-3">
+                {links.map(link => (
+                  <li key={link.id} className="p-3 bg-white border border-indigo-200 rounded-lg">
+                    <span className="block font-medium text-gray-800">{link.topic}</span>
+                    <span className="block text-sm text-gray-500 mb-2">{describeLink(link)}</span>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                      <input
+                        type="text"
+                        readOnly
+                        value={getAssignmentLink(link.id)}
+                        onFocus={(e) => e.target.select()}
+                        aria-label={t('workspace.linkUrl')}
+                        dir="ltr"
+                        className="flex-1 p-2 border border-gray-300 rounded-md text-sm text-gray-700 font-mono"
+                      />
+                      <button
+                        onClick={() => copyLink(link)}
+                        className="px-3 py-1 bg-indigo-600 text-white font-semibold rounded-md hover:bg-indigo-700 transition duration-200 ease-in-out"
+                      >
+                        {copiedLinkId === link.id ? t('workspace.linkCopied') : t('workspace.copyLink')}
+                      </button>
+                      <button
+                        onClick={() => run(async () => {
+                          await deleteAssignment(db, appId, link.id);
+                          setLinks(prev => prev.filter(existing => existing.id !== link.id));
+                        })}
+                        className="px-3 py-1 bg-gray-100 text-gray-700 font-semibold rounded-md border border-gray-300 hover:bg-gray-200 transition duration-200 ease-in-out"
+                      >
+                        {t('workspace.deleteLink')}
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <h3 className="text-xl font-semibold text-gray-700 mb-4">{t('workspace.clientsTitle')}</h3>
+          {clients.length === 0 ? (
+            <p className="text-gray-600 mb-6">{t('workspace.noClients')}</p>
+          ) : (
+            <ul className="space-y-3">
+              {clients.map(client => (
+                <li key={client.uid}>
+                  <button
+                    onClick={() => setSelectedClient(client)}
+                    className="w-full p-4 bg-indigo-50 border border-indigo-200 rounded-lg text-start hover:bg-indigo-100 hover:shadow-md transition duration-200 ease-in-out"
+                  >
+                    <span className="block font-medium text-indigo-800">{client.name}</span>
+                    <span className="block text-sm text-gray-600">{t('workspace.sharedSince', { date: client.grantedAt.toLocaleDateString() })}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <div className="text-center">
+        <button
+          onClick={onBack}
+          className="mt-8 px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg shadow-md hover:bg-gray-300 transition duration-300 ease-in-out"
+        >
+          {t('app.back')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default WorkspaceView;
@@ -0,0 +1,297 @@
+import {
+  collection,
+  collectionGroup,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  writeBatch,
+  query,
+  where,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { DEFAULT_LANGUAGE, hasMessage, translate } from '../i18n';
+
+// Practitioner workspace: coaches and clinicians review the results of clients who shared
+// them. All of it is enforced by firestore.rules:
+//   artifacts/{appId}/practitioners/{uid}                     - { displayName, createdAt }; signed-in accounts only
+//   artifacts/{appId}/invites/{code}                          - { practitionerUid, practitionerName, createdAt, expiresAt }
+//   artifacts/{appId}/users/{clientUid}/grants/{practitionerUid}
+//                                                             - { practitionerUid, practitionerName, clientName, inviteCode, grantedAt };
+//                                                               created by the client from an invite code, lets the
+//                                                               practitioner read the client's sessions
+//   artifacts/{appId}/practitioners/{uid}/clients/{clientUid}/notes/{noteId}
+//                                                             - { text, createdAt }; private to the practitioner
+//   artifacts/{appId}/assignments/{assignmentId}              - a test assigned to a client, or a shareable test link
+//                                                               (see createAssignment)
+//   artifacts/{appId}/assignments/{assignmentId}/completions/{uid}
+//                                                             - { sessionId, completedAt }; one per person who took it
+
+export const INVITE_CODE_LENGTH = 8;
+export const INVITE_VALID_DAYS = 14;
+export const MAX_NOTE_LENGTH = 5000;
+export const MAX_LINK_VALID_DAYS = 90;
+
+// No 0/O or 1/I, so codes survive being read out loud or copied by hand
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Failures carry a `code` the UI translates (workspace.errors in the locale files).
+const workspaceError = (code, message) => Object.assign(new Error(message), { code });
+
+// User-facing message for a workspace failure: our own codes and Firestore's
+// permission-denied (e.g. access was revoked meanwhile) have their own wording.
+export const describeWorkspaceError = (workspaceFailure, t = (key, params) => translate(DEFAULT_LANGUAGE, key, params)) => {
+  const key = `workspace.errors.${workspaceFailure.code}`;
+  return workspaceFailure.code && hasMessage(key) ? t(key) : t('workspace.errors.generic', { message: workspaceFailure.message });
+};
+
+export const generateInviteCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH));
+  return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+};
+
+// What the client typed -> the stored form: "abcd-efgh " -> "ABCDEFGH"
+export const normalizeInviteCode = (input) => input.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// "ABCDEFGH" -> "ABCD-EFGH", for display only
+export const formatInviteCode = (code) => code.replace(/^(.{4})(.+)$/, '$1-$2');
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date());
+
+const practitionerRef = (db, appId, uid) => doc(db, `artifacts/${appId}/practitioners`, uid);
+const grantsCollection = (db, appId, clientUid) => collection(db, `artifacts/${appId}/users/${clientUid}/grants`);
+const notesCollection = (db, appId, practitionerUid, clientUid) => collection(db, `artifacts/${appId}/practitioners/${practitionerUid}/clients/${clientUid}/notes`);
+const assignmentsCollection = (db, appId) => collection(db, `artifacts/${appId}/assignments`);
+const completionsCollection = (db, appId, assignmentId) => collection(db, `artifacts/${appId}/assignments/${assignmentId}/completions`);
+
+// Practitioner setup
+
+export const getPractitioner = async (db, appId, uid) => {
+  const snap = await getDoc(practitionerRef(db, appId, uid));
+  return snap.exists() ? { ...snap.data(), uid } : null;
+};
+
+export const enableWorkspace = async (db, appId, uid, displayName) => {
+  await setDoc(practitionerRef(db, appId, uid), { displayName, createdAt: serverTimestamp() });
+  return { displayName, uid };
+};
+
+// Invite codes
+
+export const createInvite = async (db, appId, practitioner) => {
+  const code = generateInviteCode();
+  const expiresAt = new Date(Date.now() + INVITE_VALID_DAYS * 24 * 60 * 60 * 1000);
+  await setDoc(doc(db, `artifacts/${appId}/invites`, code), {
+    practitionerUid: practitioner.uid,
+    practitionerName: practitioner.displayName,
+    createdAt: serverTimestamp(),
+    expiresAt: Timestamp.fromDate(expiresAt)
+  });
+  return { code, expiresAt };
+};
+
+// The practitioner's codes that haven't expired, newest first
+export const listInvites = async (db, appId, practitionerUid) => {
+  const snapshot = await getDocs(query(collection(db, `artifacts/${appId}/invites`), where('practitionerUid', '==', practitionerUid)));
+  return snapshot.docs
+    .map(snap => ({ code: snap.id, createdAt: toDate(snap.data().createdAt), expiresAt: snap.data().expiresAt.toDate() }))
+    .filter(invite => invite.expiresAt > new Date())
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const deleteInvite = (db, appId, code) => deleteDoc(doc(db, `artifacts/${appId}/invites`, code));
+
+// Client side: sharing with a practitioner
+
+// Grants the invite's practitioner access to the client's sessions and resolves to the grant.
+export const redeemInvite = async (db, appId, clientUid, input, clientName) => {
+  const code = normalizeInviteCode(input);
+  const inviteSnap = code.length === INVITE_CODE_LENGTH ? await getDoc(doc(db, `artifacts/${appId}/invites`, code)) : null;
+  if (!inviteSnap || !inviteSnap.exists()) {
+    throw workspaceError('invalidInvite', `No invite with code ${code}.`);
+  }
+  const invite = inviteSnap.data();
+  if (invite.expiresAt.toDate() <= new Date()) {
+    throw workspaceError('expiredInvite', `Invite ${code} has expired.`);
+  }
+  if (invite.practitionerUid === clientUid) {
+    throw workspaceError('ownInvite', 'Practitioners can not redeem their own invite codes.');
+  }
+  const grant = {
+    practitionerUid: invite.practitionerUid,
+    practitionerName: invite.practitionerName,
+    clientName,
+    inviteCode: code
+  };
+  await setDoc(doc(grantsCollection(db, appId, clientUid), invite.practitionerUid), { ...grant, grantedAt: serverTimestamp() });
+  return grant;
+};
+
+export const listGrants = async (db, appId, clientUid) => {
+  const snapshot = await getDocs(grantsCollection(db, appId, clientUid));
+  return snapshot.docs.map(snap => ({ ...snap.data(), grantedAt: toDate(snap.data().grantedAt) }));
+};
+
+// Used by the client to stop sharing, and by the practitioner to remove a client
+export const revokeGrant = (db, appId, clientUid, practitionerUid) => deleteDoc(doc(grantsCollection(db, appId, clientUid), practitionerUid));
+
+// Practitioner side: clients and notes
+
+// Clients who granted the practitioner access, by name. The grants live under each client,
+// so this is a collection group query (indexed in firestore.indexes.json).
+export const listClients = async (db, appId, practitionerUid) => {
+  const snapshot = await getDocs(query(collectionGroup(db, 'grants'), where('practitionerUid', '==', practitionerUid)));
+  return snapshot.docs
+    .filter(snap => snap.ref.path.startsWith(`artifacts/${appId}/users/`))
+    .map(snap => ({
+      uid: snap.ref.parent.parent.id,
+      name: snap.data().clientName,
+      grantedAt: toDate(snap.data().grantedAt)
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Newest first
+export const listNotes = async (db, appId, practitionerUid, clientUid) => {
+  const snapshot = await getDocs(notesCollection(db, appId, practitionerUid, clientUid));
+  return snapshot.docs
+    .map(snap => ({ id: snap.id, text: snap.data().text, createdAt: toDate(snap.data().createdAt) }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const addNote = async (db, appId, practitionerUid, clientUid, text) => {
+  const docRef = await addDoc(notesCollection(db, appId, practitionerUid, clientUid), { text, createdAt: serverTimestamp() });
+  return { id: docRef.id, text, createdAt: new Date() };
+};
+
+export const deleteNote = (db, appId, practitionerUid, clientUid, noteId) => deleteDoc(doc(notesCollection(db, appId, practitionerUid, clientUid), noteId));
+
+// Assignments: a topic (AI questions) or a validated instrument, either for one client to take
+// or, with clientUid null, for anyone who opens its link (/take/{assignmentId}).
+// { createdBy, createdByName, clientUid, topic, instrumentId, numQuestions, language, message,
+//   singleUse, expiresAt, status: 'open' | 'completed', createdAt, completedAt, sessionId }
+// language (null = the taker's own) and expiresAt (null = never) are optional. Client assignments
+// and single-use links close on their first completion; other links stay open.
+
+const fromAssignmentSnapshot = (snap) => ({
+  ...snap.data(),
+  id: snap.id,
+  createdAt: toDate(snap.data().createdAt),
+  completedAt: snap.data().completedAt ? toDate(snap.data().completedAt) : null,
+  expiresAt: snap.data().expiresAt ? snap.data().expiresAt.toDate() : null
+});
+
+const isExpired = (assignment) => assignment.expiresAt !== null && assignment.expiresAt <= new Date();
+
+export const createAssignment = async (db, appId, practitioner, {
+  clientUid = null,
+  topic,
+  instrumentId,
+  numQuestions,
+  language = null,
+  message,
+  singleUse = false,
+  expiresAt = null
+}) => {
+  const assignment = {
+    createdBy: practitioner.uid,
+    createdByName: practitioner.displayName,
+    clientUid,
+    topic,
+    instrumentId: instrumentId || null,
+    numQuestions,
+    language,
+    message: message || '',
+    singleUse,
+    expiresAt,
+    status: 'open',
+    completedAt: null,
+    sessionId: null
+  };
+  const docRef = await addDoc(assignmentsCollection(db, appId), {
+    ...assignment,
+    expiresAt: expiresAt && Timestamp.fromDate(expiresAt),
+    createdAt: serverTimestamp()
+  });
+  return { ...assignment, id: docRef.id, createdAt: new Date() };
+};
+
+// The URL that opens an assignment straight in the questionnaire
+export const getAssignmentLink = (assignmentId) => `${window.location.origin}/take/${assignmentId}`;
+
+// What the practitioner assigned to one client, newest first
+export const listClientAssignments = async (db, appId, practitionerUid, clientUid) => {
+  const snapshot = await getDocs(query(assignmentsCollection(db, appId), where('createdBy', '==', practitionerUid), where('clientUid', '==', clientUid)));
+  return snapshot.docs.map(fromAssignmentSnapshot).sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// The practitioner's test links, newest first, each with who has taken it so far
+export const listLinkAssignments = async (db, appId, practitionerUid) => {
+  const snapshot = await getDocs(query(assignmentsCollection(db, appId), where('createdBy', '==', practitionerUid), where('clientUid', '==', null)));
+  const links = await Promise.all(snapshot.docs.map(async (snap) => {
+    const completions = await getDocs(completionsCollection(db, appId, snap.id));
+    return {
+      ...fromAssignmentSnapshot(snap),
+      completions: completions.docs.map(completion => ({ uid: completion.id, completedAt: toDate(completion.data().completedAt) }))
+    };
+  }));
+  return links.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// The signed-in client's assignments that are still to do, oldest first
+export const listOpenAssignments = async (db, appId, clientUid) => {
+  const snapshot = await getDocs(query(assignmentsCollection(db, appId), where('clientUid', '==', clientUid), where('status', '==', 'open')));
+  return snapshot.docs
+    .map(fromAssignmentSnapshot)
+    .filter(assignment => !isExpired(assignment))
+    .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Resolves the assignment behind a /take/{assignmentId} link, if the signed-in user may still take it.
+// Another client's assignment reads as permission-denied, which is reported like a missing one.
+export const openAssignmentLink = async (db, appId, uid, assignmentId) => {
+  let snap;
+  try {
+    snap = await getDoc(doc(assignmentsCollection(db, appId), assignmentId));
+  } catch (readError) {
+    if (readError.code !== 'permission-denied') {
+      throw readError;
+    }
+  }
+  if (!snap || !snap.exists()) {
+    throw workspaceError('assignmentNotFound', `No assignment ${assignmentId}.`);
+  }
+  const assignment = fromAssignmentSnapshot(snap);
+  if (assignment.clientUid !== null && assignment.clientUid !== uid) {
+    throw workspaceError('assignmentNotFound', `Assignment ${assignmentId} is for another client.`);
+  }
+  if (assignment.status !== 'open') {
+    throw workspaceError('assignmentUsed', `Assignment ${assignmentId} has already been completed.`);
+  }
+  if (isExpired(assignment)) {
+    throw workspaceError('assignmentExpired', `Assignment ${assignmentId} has expired.`);
+  }
+  return assignment;
+};
+
+// Called by whoever took the test once its session is saved: records the completion for the
+// assignment's creator and closes the assignment if it was only meant to be taken once.
+export const completeAssignment = async (db, appId, uid, assignmentId, sessionId) => {
+  const assignmentRef = doc(assignmentsCollection(db, appId), assignmentId);
+  const snap = await getDoc(assignmentRef);
+  if (!snap.exists()) {
+    return; // Deleted by its creator meanwhile
+  }
+  const { clientUid, singleUse } = snap.data();
+  const batch = writeBatch(db);
+  batch.set(doc(completionsCollection(db, appId, assignmentId), uid), { sessionId, completedAt: serverTimestamp() });
+  if (clientUid !== null || singleUse) {
+    batch.update(assignmentRef, { status: 'completed', completedAt: serverTimestamp(), sessionId });
+  }
+  await batch.commit();
+};
+
+export const deleteAssignment = (db, appId, assignmentId) => deleteDoc(doc(assignmentsCollection(db, appId), assignmentId));
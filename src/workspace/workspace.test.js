@@ -0,0 +1,139 @@
+import { collectionGroup, doc, getDoc, getDocs, setDoc, query, writeBatch } from 'firebase/firestore';
+import { mockFirestorePaths } from '../testing/firestoreMocks';
+import {
+  generateInviteCode,
+  normalizeInviteCode,
+  formatInviteCode,
+  redeemInvite,
+  listClients,
+  openAssignmentLink,
+  completeAssignment,
+  describeWorkspaceError,
+  INVITE_CODE_LENGTH
+} from '.';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn(),
+  collectionGroup: jest.fn(),
+  doc: jest.fn(),
+  addDoc: jest.fn(),
+  getDoc: jest.fn(),
+  getDocs: jest.fn(),
+  setDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  writeBatch: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  serverTimestamp: jest.fn(),
+  Timestamp: { fromDate: jest.fn() }
+}));
+
+// jsdom doesn't provide Web Crypto; Node's implementation is the same API.
+if (typeof global.crypto === 'undefined') {
+  global.crypto = require('crypto').webcrypto;
+}
+
+const inDays = (days) => ({ toDate: () => new Date(Date.now() + days * 24 * 60 * 60 * 1000) });
+
+beforeEach(() => {
+  mockFirestorePaths();
+  collectionGroup.mockImplementation((db, id) => ({ group: id }));
+  query.mockImplementation((source) => source);
+});
+
+test('invite codes avoid look-alike characters and survive sloppy typing', () => {
+  const code = generateInviteCode();
+  expect(code).toMatch(new RegExp(`^[A-HJ-NP-Z2-9]{${INVITE_CODE_LENGTH}}$`));
+  expect(normalizeInviteCode(' abcd-efgh ')).toBe('ABCDEFGH');
+  expect(formatInviteCode('ABCDEFGH')).toBe('ABCD-EFGH');
+});
+
+test('redeeming an invite grants its practitioner access under the client', async () => {
+  getDoc.mockResolvedValue({ exists: () => true, data: () => ({ practitionerUid: 'carol', practitionerName: 'Coach Carol', expiresAt: inDays(3) }) });
+
+  const grant = await redeemInvite({}, 'app', 'alice', 'abcd-efgh', 'Alice');
+
+  expect(doc).toHaveBeenCalledWith({}, 'artifacts/app/invites', 'ABCDEFGH');
+  expect(setDoc).toHaveBeenCalledWith(
+    { path: 'artifacts/app/users/alice/grants/carol' },
+    { practitionerUid: 'carol', practitionerName: 'Coach Carol', clientName: 'Alice', inviteCode: 'ABCDEFGH', grantedAt: 'server-time' }
+  );
+  expect(grant.practitionerName).toBe('Coach Carol');
+});
+
+test('unknown, expired and own invite codes are refused with translatable codes', async () => {
+  await expect(redeemInvite({}, 'app', 'alice', 'short', 'Alice')).rejects.toMatchObject({ code: 'invalidInvite' });
+
+  getDoc.mockResolvedValueOnce({ exists: () => false });
+  await expect(redeemInvite({}, 'app', 'alice', 'ABCDEFGH', 'Alice')).rejects.toMatchObject({ code: 'invalidInvite' });
+
+  getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ practitionerUid: 'carol', expiresAt: inDays(-1) }) });
+  await expect(redeemInvite({}, 'app', 'alice', 'ABCDEFGH', 'Alice')).rejects.toMatchObject({ code: 'expiredInvite' });
+
+  getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ practitionerUid: 'carol', expiresAt: inDays(1) }) });
+  await expect(redeemInvite({}, 'app', 'carol', 'ABCDEFGH', 'Carol')).rejects.toMatchObject({ code: 'ownInvite' });
+  expect(setDoc).not.toHaveBeenCalled();
+
+  expect(describeWorkspaceError({ code: 'expiredInvite' })).toMatch(/expired/);
+  expect(describeWorkspaceError({ code: 'permission-denied' })).toMatch(/access/);
+  expect(describeWorkspaceError(new Error('boom'))).toMatch(/boom/);
+});
+
+test('clients come from grants in this app only, sorted by name', async () => {
+  const grantSnap = (path, clientName) => ({
+    ref: { path, parent: { parent: { id: path.split('/')[3] } } },
+    data: () => ({ clientName, grantedAt: null })
+  });
+  getDocs.mockResolvedValue({
+    docs: [
+      grantSnap('artifacts/app/users/zed/grants/carol', 'Zed'),
+      grantSnap('artifacts/other-app/users/bob/grants/carol', 'Bob'),
+      grantSnap('artifacts/app/users/alice/grants/carol', 'Alice')
+    ]
+  });
+
+  const clients = await listClients({}, 'app', 'carol');
+
+  expect(collectionGroup).toHaveBeenCalledWith({}, 'grants');
+  expect(clients.map(client => client.uid)).toEqual(['alice', 'zed']);
+});
+
+test('assignment links open only while they are usable by this user', async () => {
+  const assignmentSnap = (data) => ({
+    exists: () => true,
+    id: 'a1',
+    data: () => ({ clientUid: null, status: 'open', createdAt: null, completedAt: null, expiresAt: null, ...data })
+  });
+
+  getDoc.mockResolvedValueOnce(assignmentSnap({ topic: 'GAD-7', language: 'es' }));
+  await expect(openAssignmentLink({}, 'app', 'bob', 'a1')).resolves.toMatchObject({ id: 'a1', topic: 'GAD-7', language: 'es' });
+
+  getDoc.mockResolvedValueOnce(assignmentSnap({ expiresAt: inDays(-1) }));
+  await expect(openAssignmentLink({}, 'app', 'bob', 'a1')).rejects.toMatchObject({ code: 'assignmentExpired' });
+
+  getDoc.mockResolvedValueOnce(assignmentSnap({ singleUse: true, status: 'completed' }));
+  await expect(openAssignmentLink({}, 'app', 'bob', 'a1')).rejects.toMatchObject({ code: 'assignmentUsed' });
+
+  getDoc.mockResolvedValueOnce(assignmentSnap({ clientUid: 'alice' }));
+  await expect(openAssignmentLink({}, 'app', 'bob', 'a1')).rejects.toMatchObject({ code: 'assignmentNotFound' });
+
+  // Firestore refuses other clients' assignments outright
+  getDoc.mockRejectedValueOnce(Object.assign(new Error('denied'), { code: 'permission-denied' }));
+  await expect(openAssignmentLink({}, 'app', 'bob', 'a1')).rejects.toMatchObject({ code: 'assignmentNotFound' });
+});
+
+test('completing records who took it and closes only single-use assignments', async () => {
+  const batch = { set: jest.fn(), update: jest.fn(), commit: jest.fn().mockResolvedValue() };
+  writeBatch.mockReturnValue(batch);
+
+  getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ clientUid: null, singleUse: false }) });
+  await completeAssignment({}, 'app', 'bob', 'a1', 's1');
+  expect(batch.set).toHaveBeenCalledWith({ path: 'artifacts/app/assignments/a1/completions/bob' }, { sessionId: 's1', completedAt: 'server-time' });
+  expect(batch.update).not.toHaveBeenCalled();
+
+  getDoc.mockResolvedValueOnce({ exists: () => true, data: () => ({ clientUid: 'bob', singleUse: false }) });
+  await completeAssignment({}, 'app', 'bob', 'a2', 's2');
+  expect(batch.update).toHaveBeenCalledWith({ path: 'artifacts/app/assignments/a2' }, { status: 'completed', completedAt: 'server-time', sessionId: 's2' });
+  expect(batch.commit).toHaveBeenCalledTimes(2);
+});